@@ -11,6 +11,10 @@ if (!fs.existsSync(uploadsDir)) {
     fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
+// Uploads are held in memory, so they are kept small; larger files such as lecture videos are
+// uploaded as materials in resumable chunks (/api/materials/uploads on the main server)
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10485760; // 10MB default
+
 // In-memory storage for uploaded files (in production, use a database)
 let uploadedFiles = [];
 
@@ -109,13 +113,33 @@ const server = http.createServer((req, res) => {
         
         // Upload file endpoint
         if (pathname === '/api/upload' && method === 'POST') {
-            let body = Buffer.alloc(0);
+            if (Number(req.headers['content-length']) > MAX_FILE_SIZE) {
+                req.resume();
+                res.writeHead(413, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'File too large; upload it as a material on the main server (/api/materials/uploads)' }));
+                return;
+            }
+
+            const chunks = [];
+            let received = 0;
+            let tooLarge = false;
             
             req.on('data', chunk => {
-                body = Buffer.concat([body, chunk]);
+                received += chunk.length;
+                if (received > MAX_FILE_SIZE) {
+                    tooLarge = true;
+                    return;
+                }
+                chunks.push(chunk);
             });
             
             req.on('end', () => {
+                if (tooLarge) {
+                    res.writeHead(413, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'File too large; upload it as a material on the main server (/api/materials/uploads)' }));
+                    return;
+                }
+                const body = Buffer.concat(chunks);
                 try {
                     const contentType = req.headers['content-type'];
                     const boundary = contentType.split('boundary=')[1];
@@ -1,35 +1,57 @@
-// Simple script to create admin user in localStorage for login system
-// This bypasses the need for SQLite database setup
-
-console.log('Creating admin user in localStorage...');
-
-// Create admin user directly in localStorage
-const adminUser = {
-    id: 1,
-    fullName: 'Dr. Salma Khaled',
-    email: 'dr.salma.khaled@bioplatform.com',
-    username: 'admin',
-    password: 'admin123',
-    role: 'admin',
-    status: 'active',
-    registrationDate: new Date().toISOString()
-};
-
-// Get existing registered users
-const registeredUsers = JSON.parse(localStorage.getItem('registeredUsers') || '[]');
-
-// Check if admin already exists
-const existingAdmin = registeredUsers.find(user => user.username === 'admin');
-
-if (!existingAdmin) {
-    // Add admin to registered users
-    registeredUsers.push(adminUser);
-    localStorage.setItem('registeredUsers', JSON.stringify(registeredUsers));
-    console.log('Admin user created successfully!');
-    console.log('Username: admin');
-    console.log('Password: admin123');
-} else {
-    console.log('Admin user already exists!');
+// Create (or reset) an admin account in the SQLite database
+// Usage: node create_admin.js <email> <password> [name] [username]
+
+const bcrypt = require('bcryptjs');
+const DatabaseManager = require('./database/init');
+
+async function createAdmin() {
+    const [email, password, name = 'Administrator', username = null] = process.argv.slice(2);
+
+    if (!email || !password) {
+        console.error('Usage: node create_admin.js <email> <password> [name] [username]');
+        process.exit(1);
+    }
+
+    if (password.length < 6) {
+        console.error('Password must be at least 6 characters');
+        process.exit(1);
+    }
+
+    const dbManager = new DatabaseManager();
+
+    try {
+        // Creates or migrates the database first, so this also works on a new install
+        await dbManager.initialize();
+
+        const passwordHash = await bcrypt.hash(password, 10);
+        const existing = await dbManager.get('SELECT id FROM users WHERE email = ?', [email]);
+
+        if (existing) {
+            // Sign the user out everywhere, as the change- and reset-password endpoints do
+            await dbManager.run(
+                `UPDATE users SET password_hash = ?, role = 'admin', status = 'approved', email_verified = 1, is_active = 1,
+                 token_version = token_version + 1 WHERE id = ?`,
+                [passwordHash, existing.id]
+            );
+            await dbManager.run(
+                'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+                [existing.id]
+            );
+            console.log(`Existing user ${email} promoted to admin and password reset.`);
+        } else {
+            await dbManager.run(
+                `INSERT INTO users (name, email, username, password_hash, role, status, email_verified, is_active)
+                 VALUES (?, ?, ?, ?, 'admin', 'approved', 1, 1)`,
+                [name, email, username, passwordHash]
+            );
+            console.log(`Admin user ${email} created.`);
+        }
+    } catch (error) {
+        console.error('Failed to create admin user:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await dbManager.close();
+    }
 }
 
-console.log('Admin setup complete. You can now login with admin/admin123');
+createAdmin();
@@ -0,0 +1,418 @@
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform, Writable, pipeline } = require('stream');
+const { promisify } = require('util');
+const { openZip, ZipWriter } = require('../utils/zip');
+const DatabaseManager = require('./init');
+const Migrator = require('./migrator');
+
+const pipelineAsync = promisify(pipeline);
+
+// Backups are ZIP files holding a copy of the SQLite database, the uploads directory and a
+// manifest.json with the size and SHA-256 of each, named backup-<type>-<time>.zip.
+// Scheduled backups are daily or weekly; the newest BACKUP_KEEP_<TYPE> of each type are kept.
+// Files are streamed into and out of the archive, so backups can be larger than memory.
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, '..', 'backups');
+const BACKUP_RETENTION = {
+    daily: parseInt(process.env.BACKUP_KEEP_DAILY, 10) || 7,
+    weekly: parseInt(process.env.BACKUP_KEEP_WEEKLY, 10) || 4,
+    manual: parseInt(process.env.BACKUP_KEEP_MANUAL, 10) || 10
+};
+const BACKUP_TYPES = Object.keys(BACKUP_RETENTION);
+const BACKUP_NAME_PATTERN = /^backup-(daily|weekly|manual)-(\d{8}T\d{9}Z)\.zip$/;
+const MANIFEST_VERSION = 1;
+const MANIFEST_ENTRY = 'manifest.json';
+const DATABASE_ENTRY = 'database.sqlite';
+
+// Uploads still in progress (utils/chunkedUpload.js) are not part of the library yet
+const EXCLUDED_UPLOADS = ['partial'];
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEK = 7 * DAY;
+
+// 2026-10-19T08:39:47.123Z <-> 20261019T083947123Z
+const toStamp = (date) => date.toISOString().replace(/[-:.]/g, '');
+const fromStamp = (stamp) => new Date(stamp.replace(
+    /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z$/,
+    '$1-$2-$3T$4:$5:$6.$7Z'
+));
+
+const exists = (target) => fs.access(target).then(() => true, () => false);
+
+// Every file below `dir` as [{ path (relative, with forward slashes), fullPath }], leaving
+// out the relative paths in `skip`
+async function walk(dir, prefix = '', skip = []) {
+    if (!await exists(dir)) return [];
+
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (skip.includes(relative)) continue;
+        if (entry.isDirectory()) {
+            files.push(...await walk(fullPath, relative, skip));
+        } else if (entry.isFile()) {
+            files.push({ path: relative, fullPath });
+        }
+    }
+    return files;
+}
+
+// A pass-through stream that counts the bytes going through it and their SHA-256
+function measuring() {
+    const hash = crypto.createHash('sha256');
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            stream.size += chunk.length;
+            callback(null, chunk);
+        }
+    });
+    stream.size = 0;
+    stream.sha256 = () => hash.digest('hex');
+    return stream;
+}
+
+// Stream a file into the archive; resolves to its manifest entry ({ path, size, sha256 }),
+// or null when it was deleted before it could be opened
+async function addFile(zip, entryName, fullPath) {
+    let handle;
+    try {
+        handle = await fs.open(fullPath, 'r');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    let size;
+    try {
+        ({ size } = await handle.stat());
+    } catch (error) {
+        await handle.close();
+        throw error;
+    }
+
+    const measure = measuring();
+    await zip.add(entryName, pipeline(handle.createReadStream(), measure, () => {}), { size });
+    return { path: entryName, size: measure.size, sha256: measure.sha256() };
+}
+
+// Stream an archive entry to the file `target`, or just read it through when target is null;
+// resolves to its size and SHA-256
+async function copyEntry(entry, target) {
+    const measure = measuring();
+    let sink;
+    if (target) {
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        sink = createWriteStream(target);
+    } else {
+        sink = new Writable({ write: (chunk, encoding, callback) => callback() });
+    }
+
+    await pipelineAsync(await entry.stream(), measure, sink);
+    return { size: measure.size, sha256: measure.sha256() };
+}
+
+async function readEntry(entry) {
+    const chunks = [];
+    for await (const chunk of await entry.stream()) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+class BackupManager {
+    // dbManager: the connected DatabaseManager being backed up
+    constructor(dbManager, { directory = BACKUP_DIR, uploadsDir = path.join(__dirname, '..', 'uploads'), retention = BACKUP_RETENTION } = {}) {
+        this.db = dbManager;
+        this.directory = directory;
+        this.uploadsDir = uploadsDir;
+        this.retention = retention;
+        this.inProgress = false;
+    }
+
+    // Absolute path of a backup, or null when the name isn't one of ours
+    resolve(name) {
+        return BACKUP_NAME_PATTERN.test(name) ? path.join(this.directory, name) : null;
+    }
+
+    // Backups newest first: [{ name, type, createdAt, size }]
+    async list() {
+        if (!await exists(this.directory)) return [];
+
+        const backups = [];
+        for (const name of await fs.readdir(this.directory)) {
+            const match = BACKUP_NAME_PATTERN.exec(name);
+            if (!match) continue;
+
+            const { size } = await fs.stat(path.join(this.directory, name));
+            backups.push({ name, type: match[1], createdAt: fromStamp(match[2]), size });
+        }
+        return backups.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    // One backup from list(), or null
+    async find(name) {
+        if (!this.resolve(name)) return null;
+        return (await this.list()).find(backup => backup.name === name) || null;
+    }
+
+    // Copy the live database (with SQLite's online backup) and the uploads into a new backup.
+    // One backup runs at a time; check inProgress before starting one.
+    async create(type = 'manual') {
+        if (!BACKUP_TYPES.includes(type)) {
+            throw new Error(`Unknown backup type: ${type}`);
+        }
+        if (this.inProgress) {
+            throw new Error('A backup is already in progress');
+        }
+
+        this.inProgress = true;
+        try {
+            return await this.write(type);
+        } finally {
+            this.inProgress = false;
+        }
+    }
+
+    async write(type) {
+        await fs.mkdir(this.directory, { recursive: true });
+        const createdAt = new Date();
+        const name = `backup-${type}-${toStamp(createdAt)}.zip`;
+        const target = path.join(this.directory, name);
+        const snapshotPath = path.join(this.directory, `.${name}.sqlite`);
+        // Written under a temporary name so a partial file is never listed as a backup
+        const partialPath = `${target}.partial`;
+        let zip = null;
+
+        try {
+            await this.db.backup(snapshotPath);
+            zip = await ZipWriter.create(partialPath);
+
+            const database = await addFile(zip, DATABASE_ENTRY, snapshotPath);
+            const files = [];
+            for (const file of await walk(this.uploadsDir, '', EXCLUDED_UPLOADS)) {
+                const added = await addFile(zip, `uploads/${file.path}`, file.fullPath);
+                if (added) files.push(added);
+            }
+
+            // The manifest goes last, once every checksum is known
+            const manifest = {
+                version: MANIFEST_VERSION,
+                type,
+                createdAt: createdAt.toISOString(),
+                schemaVersion: await new Migrator(this.db).currentVersion(),
+                database,
+                files
+            };
+            await zip.add(MANIFEST_ENTRY, JSON.stringify(manifest, null, 2));
+            await zip.close();
+            zip = null;
+            await fs.rename(partialPath, target);
+
+            const { size } = await fs.stat(target);
+            console.log(`Backup created: ${name} (${files.length} upload(s))`);
+            return { name, type, createdAt, size, files: files.length };
+        } catch (error) {
+            if (zip) await zip.abort();
+            await fs.rm(partialPath, { force: true });
+            throw error;
+        } finally {
+            await fs.rm(snapshotPath, { force: true });
+        }
+    }
+
+    // Read every file of a backup through, checking the manifest and each file's size and
+    // SHA-256. `destination(file)` may return a path to write the file to on the way.
+    // Resolves to { ok, errors, manifest }.
+    async inspect(name, destination = () => null) {
+        const backupPath = this.resolve(name);
+        if (!backupPath || !await exists(backupPath)) {
+            throw new Error(`Backup not found: ${name}`);
+        }
+
+        const errors = [];
+        let entries;
+        try {
+            entries = await openZip(backupPath);
+        } catch (error) {
+            return { ok: false, errors: [`Unreadable archive: ${error.message}`], manifest: null };
+        }
+
+        let manifest = null;
+        try {
+            manifest = JSON.parse((await readEntry(entries.get(MANIFEST_ENTRY))).toString('utf8'));
+        } catch (error) {
+            return { ok: false, errors: [`Missing or invalid ${MANIFEST_ENTRY}`], manifest: null };
+        }
+
+        if (manifest.version !== MANIFEST_VERSION) {
+            errors.push(`Unsupported manifest version ${manifest.version}`);
+        }
+        if (!manifest.database || manifest.database.path !== DATABASE_ENTRY) {
+            errors.push('Manifest does not describe the database');
+        }
+
+        for (const file of [manifest.database, ...(manifest.files || [])]) {
+            if (!file || !file.path) {
+                errors.push('Manifest entry without a path');
+                continue;
+            }
+            // Keep restores inside the uploads directory
+            if (file.path !== DATABASE_ENTRY && (!file.path.startsWith('uploads/') || file.path.split('/').includes('..'))) {
+                errors.push(`Unexpected path in manifest: ${file.path}`);
+                continue;
+            }
+
+            const entry = entries.get(file.path);
+            if (!entry) {
+                errors.push(`Missing from archive: ${file.path}`);
+                continue;
+            }
+            try {
+                const { size, sha256 } = await copyEntry(entry, destination(file));
+                if (size !== file.size || sha256 !== file.sha256) {
+                    errors.push(`Checksum mismatch: ${file.path}`);
+                }
+            } catch (error) {
+                errors.push(`Unreadable entry ${file.path}: ${error.message}`);
+            }
+        }
+
+        return { ok: errors.length === 0, errors, manifest };
+    }
+
+    // Checksums plus SQLite's own integrity check of the backed-up database
+    async verify(name) {
+        const checkPath = path.join(this.directory, `.verify-${crypto.randomBytes(6).toString('hex')}.sqlite`);
+        try {
+            const result = await this.inspect(name, file => (file.path === DATABASE_ENTRY ? checkPath : null));
+            if (!result.ok) {
+                return { ok: false, errors: result.errors, manifest: result.manifest };
+            }
+
+            const problems = await checkDatabase(checkPath);
+            return { ok: problems.length === 0, errors: problems, manifest: result.manifest };
+        } finally {
+            await fs.rm(checkPath, { force: true });
+        }
+    }
+
+    // Keep the newest `retention[type]` backups of each type; resolves to the names removed
+    async prune() {
+        const removed = [];
+        const counts = {};
+
+        for (const backup of await this.list()) {
+            counts[backup.type] = (counts[backup.type] || 0) + 1;
+            if (counts[backup.type] > this.retention[backup.type]) {
+                await fs.rm(path.join(this.directory, backup.name), { force: true });
+                removed.push(backup.name);
+            }
+        }
+
+        if (removed.length > 0) {
+            console.log(`Removed ${removed.length} old backup(s)`);
+        }
+        return removed;
+    }
+
+    // Take a weekly backup when the last is a week old, otherwise a daily one when the last
+    // backup of either kind is a day old; then apply retention. Resolves to the backup or null.
+    async runScheduled(now = Date.now()) {
+        if (this.inProgress) return null;
+
+        const backups = await this.list();
+        const age = (types) => {
+            const newest = backups.find(backup => types.includes(backup.type));
+            return newest ? now - newest.createdAt.getTime() : Infinity;
+        };
+
+        let backup = null;
+        if (age(['weekly']) >= WEEK) {
+            backup = await this.create('weekly');
+        } else if (age(['daily', 'weekly']) >= DAY) {
+            backup = await this.create('daily');
+        }
+
+        await this.prune();
+        return backup;
+    }
+}
+
+// Problems SQLite finds in the database file at `dbPath` (an empty list when it is sound)
+async function checkDatabase(dbPath) {
+    const db = new DatabaseManager(dbPath);
+    await db.connect();
+    try {
+        const rows = await db.query('PRAGMA integrity_check');
+        return rows.map(row => Object.values(row)[0]).filter(result => result !== 'ok');
+    } finally {
+        await db.close();
+    }
+}
+
+// Replace the database at `dbPath` and the uploads directory with the contents of a backup.
+// The files are unpacked beside the current ones and checked on the way; nothing is replaced
+// unless the whole backup checks out. The current files are kept with a .pre-restore-<time>
+// suffix. Uploads in progress are not backed up. The server must not be running.
+async function restoreBackup(name, { dbPath, directory = BACKUP_DIR, uploadsDir = path.join(__dirname, '..', 'uploads') }) {
+    const backups = new BackupManager(null, { directory, uploadsDir });
+    const stamp = toStamp(new Date());
+    const restoringDb = `${dbPath}.restoring`;
+    const restoringUploads = `${uploadsDir}.restoring`;
+    let manifest;
+
+    try {
+        await fs.rm(restoringDb, { force: true });
+        await fs.rm(restoringUploads, { recursive: true, force: true });
+        await fs.mkdir(restoringUploads, { recursive: true });
+
+        const result = await backups.inspect(name, file => (file.path === DATABASE_ENTRY
+            ? restoringDb
+            : path.join(restoringUploads, ...file.path.split('/').slice(1))));
+        if (!result.ok) {
+            throw new Error(`Backup ${name} failed verification: ${result.errors.join('; ')}`);
+        }
+        manifest = result.manifest;
+
+        const latest = Math.max(0, ...new Migrator(null).list().map(migration => migration.version));
+        if (manifest.schemaVersion > latest) {
+            throw new Error(`Backup ${name} is at schema version ${manifest.schemaVersion}, newer than this code (${latest})`);
+        }
+
+        const problems = await checkDatabase(restoringDb);
+        if (problems.length > 0) {
+            throw new Error(`Backup ${name} database failed the integrity check: ${problems.join('; ')}`);
+        }
+    } catch (error) {
+        await fs.rm(restoringDb, { force: true });
+        await fs.rm(restoringUploads, { recursive: true, force: true });
+        throw error;
+    }
+
+    // Everything checked out: swap the new files in
+    const previous = {};
+    if (await exists(dbPath)) {
+        previous.database = `${dbPath}.pre-restore-${stamp}`;
+        await fs.rename(dbPath, previous.database);
+    }
+    await fs.rename(restoringDb, dbPath);
+
+    if (await exists(uploadsDir)) {
+        previous.uploads = `${uploadsDir}.pre-restore-${stamp}`;
+        await fs.rename(uploadsDir, previous.uploads);
+    }
+    await fs.rename(restoringUploads, uploadsDir);
+
+    return { manifest, previous };
+}
+
+module.exports = {
+    BACKUP_DIR,
+    BACKUP_RETENTION,
+    BACKUP_TYPES,
+    BackupManager,
+    restoreBackup
+};
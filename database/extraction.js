@@ -0,0 +1,88 @@
+const { isExtractable, extractDocumentText } = require('../utils/documentText');
+
+// Background text extraction for uploaded materials. Uploads are queued here and their
+// text, page count and headings are written to the material row one at a time, off the
+// request. The text goes into content_text, which the materials_fts triggers index.
+//
+// extraction_status: pending -> processing -> done | failed | unsupported
+
+class TextExtractionQueue {
+    constructor(dbManager) {
+        this.db = dbManager;
+        this.queue = [];
+        this.queued = new Set();
+        this.active = false;
+    }
+
+    enqueue(materialId) {
+        if (this.queued.has(materialId)) return;
+
+        this.queued.add(materialId);
+        this.queue.push(materialId);
+        if (!this.active) {
+            this.active = true;
+            setImmediate(() => this.drain());
+        }
+    }
+
+    // Queue the materials left pending, or cut short by a restart while processing
+    async resume() {
+        const rows = await this.db.query(
+            `SELECT id FROM materials WHERE extraction_status IN ('pending', 'processing') ORDER BY id`
+        );
+        rows.forEach(row => this.enqueue(row.id));
+        return rows.length;
+    }
+
+    async drain() {
+        while (this.queue.length) {
+            const materialId = this.queue.shift();
+            try {
+                await this.process(materialId);
+            } catch (error) {
+                console.error(`Text extraction error (material ${materialId}):`, error);
+            } finally {
+                this.queued.delete(materialId);
+            }
+        }
+        this.active = false;
+    }
+
+    // Extract one material now. A document that cannot be read is recorded as failed, not thrown.
+    async process(materialId) {
+        const material = await this.db.get('SELECT id, file_name, file_path FROM materials WHERE id = ?', [materialId]);
+        if (!material) return null;
+
+        if (!material.file_path || !isExtractable(material.file_name)) {
+            await this.db.run(
+                `UPDATE materials SET extraction_status = 'unsupported', extraction_error = NULL WHERE id = ?`,
+                [materialId]
+            );
+            return 'unsupported';
+        }
+
+        await this.db.run(`UPDATE materials SET extraction_status = 'processing' WHERE id = ?`, [materialId]);
+
+        try {
+            const { text, pageCount, headings } = await extractDocumentText(material.file_path, material.file_name);
+
+            await this.db.run(
+                `UPDATE materials SET content_text = ?, page_count = ?, headings = ?, extraction_status = 'done',
+                 extraction_error = NULL, extracted_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [text || null, pageCount, JSON.stringify(headings), materialId]
+            );
+            return 'done';
+        } catch (error) {
+            await this.db.run(
+                `UPDATE materials SET extraction_status = 'failed', extraction_error = ?, extracted_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [error.message, materialId]
+            );
+            return 'failed';
+        }
+    }
+}
+
+module.exports = {
+    TextExtractionQueue
+};
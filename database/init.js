@@ -1,6 +1,6 @@
 const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
-const path = require('path');
+const Migrator = require('./migrator');
 
 class DatabaseManager {
     constructor(dbPath = './database/biology_platform.db') {
@@ -40,20 +40,16 @@ class DatabaseManager {
         });
     }
 
-    // Initialize database with schema and seed data
+    // Connect and apply any pending migrations (database/migrations)
     async initialize() {
         try {
             await this.connect();
+            await this.run('PRAGMA foreign_keys = ON');
+
+            const migrator = new Migrator(this);
+            await migrator.migrate();
             
-            // Create schema
-            const schemaPath = path.join(__dirname, 'schema.sql');
-            await this.executeSqlFile(schemaPath);
-            
-            // Insert seed data
-            const seedPath = path.join(__dirname, 'seed.sql');
-            await this.executeSqlFile(seedPath);
-            
-            console.log('Database initialized successfully!');
+            console.log(`Database initialized successfully (schema version ${await migrator.currentVersion()})`);
         } catch (error) {
             console.error('Database initialization failed:', error);
             throw error;
@@ -83,6 +79,19 @@ class DatabaseManager {
         });
     }
 
+    // Run one or more statements that return no rows
+    async exec(sql) {
+        return new Promise((resolve, reject) => {
+            this.db.exec(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
     // Run a query
     async query(sql, params = []) {
         return new Promise((resolve, reject) => {
@@ -199,14 +208,12 @@ class DatabaseManager {
         }
     }
 
-    // Clean up old activity logs (keep last 30 days)
-    async cleanupLogs() {
-        const thirtyDaysAgo = new Date();
-        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-        
+    // Clean up old activity logs without archiving them (the data-retention job in
+    // database/maintenance.js archives them first)
+    async cleanupLogs(days = 30) {
         const result = await this.run(
-            'DELETE FROM activity_logs WHERE created_at < ?',
-            [thirtyDaysAgo.toISOString()]
+            "DELETE FROM activity_logs WHERE created_at < datetime('now', ?)",
+            [`-${days} days`]
         );
         
         console.log(`Cleaned up ${result.changes} old activity logs`);
@@ -226,6 +233,12 @@ class DatabaseManager {
             });
         });
     }
+
+    // Refresh the query planner's statistics
+    async analyze() {
+        await this.run('ANALYZE');
+        console.log('Database analyzed successfully');
+    }
 }
 
 module.exports = DatabaseManager;
@@ -0,0 +1,217 @@
+// In-process scheduler for maintenance jobs. Each registered job runs every `interval`
+// milliseconds, optionally only inside a daily time window, and every run is recorded in
+// the job_runs table. Jobs run one at a time, checked once a minute.
+
+const MINUTE = 60 * 1000;
+
+// 'HH:MM-HH:MM' (server local time, may wrap past midnight) -> { start, end } in minutes
+function parseWindow(value) {
+    if (!value) return null;
+
+    const label = value.replace(/\s/g, '');
+    const match = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(label);
+    const [startHour, startMinute, endHour, endMinute] = match ? match.slice(1).map(Number) : [];
+    if (!match || startHour > 23 || endHour > 23 || startMinute > 59 || endMinute > 59) {
+        throw new Error(`Invalid time window "${value}", expected HH:MM-HH:MM`);
+    }
+    return { start: startHour * 60 + startMinute, end: endHour * 60 + endMinute, label };
+}
+
+function inWindow(window, date) {
+    if (!window) return true;
+
+    const minute = date.getHours() * 60 + date.getMinutes();
+    return window.start <= window.end
+        ? minute >= window.start && minute < window.end
+        : minute >= window.start || minute < window.end;
+}
+
+// SQLite's UTC 'YYYY-MM-DD HH:MM:SS'
+const fromSqlDateTime = (value) => (value ? new Date(value.replace(' ', 'T') + 'Z') : null);
+
+const toRun = (row) => ({
+    ...row,
+    result: row.result ? JSON.parse(row.result) : null,
+    started_at: fromSqlDateTime(row.started_at),
+    finished_at: fromSqlDateTime(row.finished_at)
+});
+
+// e.g. 'Every 24 hours, 02:00-05:00'
+function describeSchedule(job) {
+    const minutes = Math.round(job.interval / MINUTE);
+    const every = minutes % 60 === 0 ? `Every ${minutes / 60} hour${minutes === 60 ? '' : 's'}` : `Every ${minutes} minutes`;
+    return job.window ? `${every}, ${job.window.label}` : every;
+}
+
+class JobScheduler {
+    constructor(dbManager, { tickInterval = MINUTE } = {}) {
+        this.db = dbManager;
+        this.tickInterval = tickInterval;
+        this.jobs = new Map();
+        this.running = new Set();
+        this.lastStarted = new Map();
+        this.timer = null;
+    }
+
+    // run() does the work and returns a JSON-serialisable result. Returning null from a
+    // scheduled run means there was nothing to do, and the run is not kept in the history.
+    register(name, { description = '', interval, window = null, enabled = true, run }) {
+        if (this.jobs.has(name)) {
+            throw new Error(`Job ${name} is already registered`);
+        }
+        if (!(interval > 0) || typeof run !== 'function') {
+            throw new Error(`Job ${name} needs an interval and a run function`);
+        }
+
+        this.jobs.set(name, {
+            name,
+            description,
+            interval,
+            window: parseWindow(window),
+            enabled,
+            run
+        });
+        return this;
+    }
+
+    has(name) {
+        return this.jobs.has(name);
+    }
+
+    isRunning(name) {
+        return this.running.has(name);
+    }
+
+    async start() {
+        // Runs still marked as running were cut short by a restart
+        await this.db.run(
+            `UPDATE job_runs SET status = 'failed', error = 'Interrupted by a server restart', finished_at = CURRENT_TIMESTAMP
+             WHERE status = 'running'`
+        );
+
+        const rows = await this.db.query('SELECT job, MAX(started_at) as started_at FROM job_runs GROUP BY job');
+        for (const row of rows) {
+            this.lastStarted.set(row.job, fromSqlDateTime(row.started_at));
+        }
+
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('Job scheduler error:', error));
+        }, this.tickInterval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    isDue(job, now) {
+        const last = this.lastStarted.get(job.name);
+        return job.enabled
+            && !this.running.has(job.name)
+            && (!last || now - last >= job.interval)
+            && inWindow(job.window, now);
+    }
+
+    // Run every job that is due, one after another
+    async tick(now = new Date()) {
+        for (const job of this.jobs.values()) {
+            if (this.isDue(job, now)) {
+                await this.runJob(job.name, { source: 'schedule' });
+            }
+        }
+    }
+
+    // Run a job now and record it. A failing job does not throw; the returned run has
+    // status 'failed' and the error message.
+    async runJob(name, { source = 'manual', requestedBy = null } = {}) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Unknown job: ${name}`);
+        }
+        if (this.running.has(name)) {
+            throw new Error(`Job ${name} is already running`);
+        }
+
+        this.running.add(name);
+        this.lastStarted.set(name, new Date());
+        const startedAt = Date.now();
+
+        try {
+            const { id } = await this.db.run(
+                'INSERT INTO job_runs (job, source, requested_by) VALUES (?, ?, ?)',
+                [name, source, requestedBy]
+            );
+
+            try {
+                const result = await job.run({ source });
+
+                if (result === null && source === 'schedule') {
+                    await this.db.run('DELETE FROM job_runs WHERE id = ?', [id]);
+                    return null;
+                }
+
+                await this.finish(id, startedAt, {
+                    status: 'succeeded',
+                    result: JSON.stringify(result === undefined ? null : result)
+                });
+            } catch (error) {
+                console.error(`Job ${name} failed:`, error);
+                await this.finish(id, startedAt, { status: 'failed', error: error.message });
+            }
+
+            return toRun(await this.db.get('SELECT * FROM job_runs WHERE id = ?', [id]));
+        } finally {
+            this.running.delete(name);
+        }
+    }
+
+    finish(id, startedAt, { status, result = null, error = null }) {
+        return this.db.run(
+            `UPDATE job_runs SET status = ?, result = ?, error = ?, finished_at = CURRENT_TIMESTAMP, duration_ms = ?
+             WHERE id = ?`,
+            [status, result, error, Date.now() - startedAt, id]
+        );
+    }
+
+    // Recent runs, newest first, optionally of one job
+    async history({ job, limit = 20 } = {}) {
+        const rows = await this.db.query(
+            `SELECT jr.*, u.name as requested_by_name
+             FROM job_runs jr
+             LEFT JOIN users u ON jr.requested_by = u.id
+             ${job ? 'WHERE jr.job = ?' : ''}
+             ORDER BY jr.started_at DESC, jr.id DESC LIMIT ?`,
+            job ? [job, limit] : [limit]
+        );
+        return rows.map(toRun);
+    }
+
+    // Every registered job with its schedule and most recent run
+    async status() {
+        const latest = await this.db.query(
+            `SELECT * FROM job_runs WHERE id IN (SELECT MAX(id) FROM job_runs GROUP BY job)`
+        );
+        const lastRuns = new Map(latest.map(row => [row.job, toRun(row)]));
+
+        return [...this.jobs.values()].map(job => {
+            const last = this.lastStarted.get(job.name);
+            return {
+                name: job.name,
+                description: job.description,
+                enabled: job.enabled,
+                interval_minutes: Math.round(job.interval / MINUTE),
+                window: job.window ? job.window.label : null,
+                schedule: describeSchedule(job),
+                running: this.running.has(job.name),
+                next_due_at: job.enabled ? new Date(last ? last.getTime() + job.interval : Date.now()) : null,
+                last_run: lastRuns.get(job.name) || null
+            };
+        });
+    }
+}
+
+module.exports = {
+    JobScheduler,
+    parseWindow,
+    inWindow
+};
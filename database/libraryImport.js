@@ -0,0 +1,250 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { isExtractable } = require('../utils/documentText');
+const { UPLOAD_ROOT, hashFile } = require('../utils/blobStore');
+const { UploadStorage } = require('./storage');
+
+// Import a directory of lecture files (the WORD/ and PDF/ folders shipped with the project)
+// as materials. Each file name is matched to a course ("Biochemistry 2.docx" -> Biochemistry,
+// "The Cell 1.docx" -> Cell Biology) and the file is copied into the upload blob store, in the
+// course's LIBRARY_FOLDER_NAME folder, within the owner's storage quota. Files whose SHA-256
+// matches a material that is already in the database are skipped, so an import can be run
+// again after adding files.
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const LIBRARY_DIRS = ['WORD', 'PDF'];
+const LIBRARY_FOLDER_NAME = 'Lecture Notes';
+
+const EXTENSION_TYPES = {
+    '.pdf': 'pdf',
+    '.doc': 'doc',
+    '.docx': 'docx',
+    '.ppt': 'ppt',
+    '.pptx': 'pptx',
+    '.mp4': 'video',
+    '.mov': 'video',
+    '.avi': 'video',
+    '.jpg': 'image',
+    '.jpeg': 'image',
+    '.png': 'image',
+    '.gif': 'image'
+};
+
+// Lecture titles that do not name their course
+const COURSE_ALIASES = {
+    'the cell': 'Cell Biology',
+    'cell': 'Cell Biology',
+    'cells': 'Cell Biology',
+    'biology': 'General Biology'
+};
+
+// Paths in reports are relative to the project when they are inside it
+const displayPath = (file) => {
+    const relative = path.relative(PROJECT_ROOT, file);
+    return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : file;
+};
+
+const normalize = (text) => text.toLowerCase().replace(/[_\s-]+/g, ' ').trim();
+
+// "Biochemistry 2.docx" -> { topic: 'Biochemistry', part: 2 }
+function parseLectureName(fileName) {
+    const base = path.basename(fileName, path.extname(fileName)).replace(/[_\s]+/g, ' ').trim();
+    const numbered = /^(.*\D)\s*(\d{1,2})$/.exec(base);
+
+    return numbered
+        ? { topic: numbered[1].replace(/[\s-]+$/, ''), part: Number(numbered[2]) }
+        : { topic: base, part: null };
+}
+
+const lectureTitle = ({ topic, part }) => (part ? `${topic} (Part ${part})` : topic);
+
+// The course a lecture topic belongs to: the course of that name, an alias, or the course
+// whose name appears in the topic (longest name first), else null
+function matchCourse(topic, courses) {
+    const name = normalize(topic);
+    const byName = new Map(courses.map(course => [normalize(course.name), course]));
+
+    if (byName.has(name)) return byName.get(name);
+    if (COURSE_ALIASES[name]) return byName.get(normalize(COURSE_ALIASES[name])) || null;
+
+    const words = ` ${name} `;
+    return [...byName.entries()]
+        .sort((a, b) => b[0].length - a[0].length)
+        .map(([courseName, course]) => (words.includes(` ${courseName} `) ? course : null))
+        .find(Boolean) || null;
+}
+
+// Paths of the importable files directly in a directory, by name
+async function listLibraryFiles(directory) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    return entries
+        .filter(entry => entry.isFile() && !entry.name.startsWith('.') && !entry.name.startsWith('~$'))
+        .map(entry => entry.name)
+        .sort((a, b) => a.localeCompare(b))
+        .map(name => path.join(directory, name));
+}
+
+class LibraryImporter {
+    constructor(dbManager, { ownerId, uploadDir = UPLOAD_ROOT, isPublic = false, dryRun = false }) {
+        this.db = dbManager;
+        this.storage = new UploadStorage(dbManager, { root: path.join(uploadDir, 'blobs') });
+        this.ownerId = ownerId;
+        this.uploadDir = uploadDir;
+        this.isPublic = isPublic;
+        this.dryRun = dryRun;
+        this.folders = new Map();
+        this.hashes = new Map();
+    }
+
+    async run(directories) {
+        const report = { dry_run: this.dryRun, imported: [], skipped: [], failed: [] };
+        const courses = await this.db.query('SELECT id, name, grade_level, program FROM courses WHERE is_active = 1');
+
+        for (const directory of directories) {
+            let files;
+            try {
+                files = await listLibraryFiles(directory);
+            } catch (error) {
+                report.failed.push({ file: displayPath(directory), error: error.message });
+                continue;
+            }
+
+            for (const filePath of files) {
+                try {
+                    await this.importFile(filePath, courses, report);
+                } catch (error) {
+                    report.failed.push({ file: displayPath(filePath), error: error.message });
+                }
+            }
+        }
+
+        return report;
+    }
+
+    async importFile(filePath, courses, report) {
+        const file = displayPath(filePath);
+        const fileName = path.basename(filePath);
+        const extension = path.extname(fileName).toLowerCase();
+        const type = EXTENSION_TYPES[extension];
+        if (!type) {
+            report.skipped.push({ file, reason: `Unsupported file type ${extension || '(none)'}` });
+            return;
+        }
+
+        const lecture = parseLectureName(fileName);
+        const course = matchCourse(lecture.topic, courses);
+        if (!course) {
+            report.skipped.push({ file, reason: `No course matches "${lecture.topic}"` });
+            return;
+        }
+
+        const contentHash = await hashFile(filePath);
+        const existing = await this.db.get('SELECT id, title FROM materials WHERE content_hash = ?', [contentHash]);
+        if (existing) {
+            report.skipped.push({ file, reason: `Already imported as material ${existing.id} (${existing.title})` });
+            return;
+        }
+        if (this.hashes.has(contentHash)) {
+            report.skipped.push({ file, reason: `Same content as ${displayPath(this.hashes.get(contentHash))}` });
+            return;
+        }
+        this.hashes.set(contentHash, filePath);
+
+        const title = lectureTitle(lecture);
+        const entry = { file, title, course: course.name, type, material_id: null };
+        if (this.dryRun) {
+            report.imported.push(entry);
+            return;
+        }
+
+        // A copy named like the files multer writes, which the blob store then takes over
+        const ownerDir = path.join(this.uploadDir, String(this.ownerId));
+        const copyPath = path.join(ownerDir, `file-${Date.now()}-${Math.round(Math.random() * 1E9)}${extension}`);
+        await fs.mkdir(ownerDir, { recursive: true });
+        await fs.copyFile(filePath, copyPath);
+
+        const stored = await this.storage.store(copyPath, fileName, this.ownerId);
+        if (stored.refused) {
+            report.failed.push({ file, error: stored.refused.message });
+            return;
+        }
+
+        const folderId = await this.folderFor(course);
+        const result = await this.db.run(
+            `INSERT INTO materials (title, type, file_name, file_path, file_size, folder_id, course_id, owner_id,
+             uploaded_by, grade, program, is_public, content_hash, extraction_status)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                title, type, fileName, stored.file.file_path, stored.file.file_size, folderId, course.id, this.ownerId,
+                this.ownerId, course.grade_level, course.program, this.isPublic ? 1 : 0, contentHash,
+                isExtractable(fileName) ? 'pending' : null
+            ]
+        );
+        entry.material_id = result.id;
+        report.imported.push(entry);
+    }
+
+    // The owner's LIBRARY_FOLDER_NAME folder at the top of the course, created on first use
+    async folderFor(course) {
+        if (this.folders.has(course.id)) return this.folders.get(course.id);
+
+        const folder = await this.db.get(
+            'SELECT id FROM folders WHERE course_id = ? AND owner_id = ? AND parent_id IS NULL AND name = ?',
+            [course.id, this.ownerId, LIBRARY_FOLDER_NAME]
+        );
+        const folderId = folder
+            ? folder.id
+            : (await this.db.run(
+                `INSERT INTO folders (name, description, course_id, owner_id, path, grade, program, is_public)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    LIBRARY_FOLDER_NAME, `${course.name} lecture notes`, course.id, this.ownerId,
+                    LIBRARY_FOLDER_NAME, course.grade_level, course.program, this.isPublic ? 1 : 0
+                ]
+            )).id;
+
+        this.folders.set(course.id, folderId);
+        return folderId;
+    }
+}
+
+// Import every file of `directories`; returns { dry_run, imported, skipped, failed }.
+// With dryRun nothing is written and imported lists what would be.
+function importLibrary(dbManager, directories, options) {
+    return new LibraryImporter(dbManager, options).run(directories);
+}
+
+// Plain-text summary of an import report
+function formatImportReport(report) {
+    const lines = [];
+
+    if (report.imported.length) {
+        lines.push(report.dry_run ? 'Would import:' : 'Imported:');
+        for (const item of report.imported) {
+            const id = item.material_id ? ` [material ${item.material_id}]` : '';
+            lines.push(`  ${item.file} -> ${item.course} / ${item.title}${id}`);
+        }
+    }
+    if (report.skipped.length) {
+        lines.push('Skipped:');
+        report.skipped.forEach(item => lines.push(`  ${item.file}: ${item.reason}`));
+    }
+    if (report.failed.length) {
+        lines.push('Failed:');
+        report.failed.forEach(item => lines.push(`  ${item.file}: ${item.error}`));
+    }
+
+    lines.push(`${report.imported.length} ${report.dry_run ? 'to import' : 'imported'}, ` +
+        `${report.skipped.length} skipped, ${report.failed.length} failed`);
+    return lines.join('\n');
+}
+
+module.exports = {
+    PROJECT_ROOT,
+    LIBRARY_DIRS,
+    LIBRARY_FOLDER_NAME,
+    parseLectureName,
+    matchCourse,
+    importLibrary,
+    formatImportReport
+};
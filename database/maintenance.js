@@ -0,0 +1,199 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const DatabaseManager = require('./init');
+
+// Maintenance jobs for the SQLite server, run by the JobScheduler (database/jobs.js):
+// - data-retention deletes rows older than their table's retention period. Activity logs
+//   are first written to ARCHIVE_DIR as gzip-compressed JSON (<table>-<time>.json.gz).
+// - database-optimize runs VACUUM and ANALYZE once a day inside MAINTENANCE_WINDOW.
+
+const gzip = promisify(zlib.gzip);
+
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(__dirname, '..', 'archives');
+const MAINTENANCE_WINDOW = process.env.MAINTENANCE_WINDOW || '02:00-05:00';
+const PURGE_BATCH_SIZE = 5000;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Retention in days from the environment; 0 keeps the rows forever
+const retentionDays = (value, fallback) => {
+    const days = parseInt(value, 10);
+    return Number.isNaN(days) || days < 0 ? fallback : days;
+};
+
+const RETENTION_POLICIES = [
+    {
+        table: 'activity_logs',
+        column: 'created_at',
+        days: retentionDays(process.env.ACTIVITY_LOG_RETENTION_DAYS, 30),
+        archive: true
+    },
+    {
+        table: 'job_runs',
+        column: 'started_at',
+        days: retentionDays(process.env.JOB_HISTORY_RETENTION_DAYS, 90),
+        archive: false
+    },
+    // Sessions hold login state, so they are never archived. `expired` is in milliseconds
+    // and the retention counts from the session's expiry.
+    {
+        table: 'sessions',
+        database: 'sessions',
+        column: 'expired',
+        epochMs: true,
+        days: retentionDays(process.env.SESSION_RETENTION_DAYS, 1),
+        archive: false
+    }
+];
+
+const toSqlDateTime = (value) => new Date(value).toISOString().slice(0, 19).replace('T', ' ');
+const toStamp = (date) => date.toISOString().replace(/[-:.]/g, '');
+const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+async function writeArchive(directory, table, rows, { cutoff, now, part }) {
+    await fs.mkdir(directory, { recursive: true });
+    const name = `${table}-${toStamp(now)}${part > 1 ? `-${part}` : ''}.json.gz`;
+    const data = await gzip(JSON.stringify({ table, cutoff, archivedAt: now.toISOString(), rows }));
+
+    await fs.writeFile(path.join(directory, name), data);
+    return name;
+}
+
+// Delete a table's rows past the policy's retention, archiving them first when it says so
+async function purgeTable(db, policy, { archiveDir = ARCHIVE_DIR, now = new Date() } = {}) {
+    const outcome = { table: policy.table, retention_days: policy.days, deleted: 0, archives: [] };
+    if (policy.days === 0) return outcome;
+
+    const cutoffTime = now.getTime() - policy.days * DAY;
+    const cutoff = policy.epochMs ? cutoffTime : toSqlDateTime(cutoffTime);
+    const expired = `${policy.column} < ?`;
+
+    if (!policy.archive) {
+        const { changes } = await db.run(`DELETE FROM ${policy.table} WHERE ${expired}`, [cutoff]);
+        outcome.deleted = changes;
+        return outcome;
+    }
+
+    // In batches, each written to its archive before its rows are deleted
+    for (let part = 1; ; part++) {
+        const rows = await db.query(
+            `SELECT rowid as archive_rowid, * FROM ${policy.table} WHERE ${expired} ORDER BY rowid LIMIT ?`,
+            [cutoff, PURGE_BATCH_SIZE]
+        );
+        if (rows.length === 0) break;
+
+        const lastRowid = rows[rows.length - 1].archive_rowid;
+        const records = rows.map(({ archive_rowid, ...record }) => record);
+        outcome.archives.push(await writeArchive(archiveDir, policy.table, records, { cutoff, now, part }));
+
+        const { changes } = await db.run(
+            `DELETE FROM ${policy.table} WHERE ${expired} AND rowid <= ?`,
+            [cutoff, lastRowid]
+        );
+        outcome.deleted += changes;
+
+        if (rows.length < PURGE_BATCH_SIZE) break;
+    }
+
+    return outcome;
+}
+
+// The session store's database, or null before the first session has been saved
+async function openSessionsDb(dbPath) {
+    const exists = await fs.access(dbPath).then(() => true, () => false);
+    if (!exists) return null;
+
+    const db = new DatabaseManager(dbPath);
+    await db.connect();
+    // The session store writes to the same file
+    await db.run('PRAGMA busy_timeout = 5000');
+
+    const table = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'sessions'");
+    if (!table) {
+        await db.close();
+        return null;
+    }
+    return db;
+}
+
+async function runRetention(dbManager, {
+    policies = RETENTION_POLICIES,
+    archiveDir = ARCHIVE_DIR,
+    sessionsDbPath = path.join(path.dirname(dbManager.dbPath), 'sessions.db'), // connect-sqlite3 store of server-sqlite.js
+    now = new Date()
+} = {}) {
+    const tables = [];
+    let sessionsDb;
+
+    try {
+        for (const policy of policies) {
+            let db = dbManager;
+            if (policy.database === 'sessions') {
+                if (sessionsDb === undefined) {
+                    sessionsDb = await openSessionsDb(sessionsDbPath);
+                }
+                if (!sessionsDb) continue;
+                db = sessionsDb;
+            }
+
+            tables.push(await purgeTable(db, policy, { archiveDir, now }));
+        }
+    } finally {
+        if (sessionsDb) await sessionsDb.close();
+    }
+
+    const describe = ({ table, deleted, archives }) => (archives.length
+        ? `${table}: ${deleted} deleted (${archives.length} archive file${archives.length > 1 ? 's' : ''})`
+        : `${table}: ${deleted} deleted`);
+
+    return { summary: tables.map(describe).join(', '), tables };
+}
+
+async function databaseSize(db) {
+    const { page_count } = await db.get('PRAGMA page_count');
+    const { page_size } = await db.get('PRAGMA page_size');
+    return page_count * page_size;
+}
+
+// VACUUM rebuilds the file without free pages; ANALYZE refreshes the query planner's statistics
+async function optimizeDatabase(dbManager) {
+    const sizeBefore = await databaseSize(dbManager);
+    await dbManager.vacuum();
+    await dbManager.analyze();
+    const sizeAfter = await databaseSize(dbManager);
+
+    return {
+        summary: `${formatSize(sizeBefore)} -> ${formatSize(sizeAfter)}`,
+        size_before: sizeBefore,
+        size_after: sizeAfter
+    };
+}
+
+function registerMaintenanceJobs(scheduler, dbManager, { window = MAINTENANCE_WINDOW } = {}) {
+    scheduler.register('data-retention', {
+        description: 'Archive and delete activity logs, job history and sessions past their retention',
+        interval: DAY,
+        run: () => runRetention(dbManager)
+    });
+
+    // Due 12 hours after its last run, so it runs once a night in any window shorter than that
+    scheduler.register('database-optimize', {
+        description: 'VACUUM and ANALYZE the database',
+        interval: 12 * HOUR,
+        window,
+        run: () => optimizeDatabase(dbManager)
+    });
+}
+
+module.exports = {
+    ARCHIVE_DIR,
+    MAINTENANCE_WINDOW,
+    RETENTION_POLICIES,
+    purgeTable,
+    runRetention,
+    optimizeDatabase,
+    registerMaintenanceJobs
+};
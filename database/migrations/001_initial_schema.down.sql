@@ -0,0 +1,17 @@
+-- Revert migration 001: drops every table (and with them their indexes, triggers and data)
+
+DROP TABLE IF EXISTS settings;
+DROP TABLE IF EXISTS activity_logs;
+DROP TABLE IF EXISTS announcements;
+DROP TABLE IF EXISTS assignment_submissions;
+DROP TABLE IF EXISTS assignments;
+DROP TABLE IF EXISTS student_progress;
+DROP TABLE IF EXISTS folder_shares;
+DROP TABLE IF EXISTS material_shares;
+DROP TABLE IF EXISTS session_materials;
+DROP TABLE IF EXISTS session_attendees;
+DROP TABLE IF EXISTS zoom_sessions;
+DROP TABLE IF EXISTS materials;
+DROP TABLE IF EXISTS folders;
+DROP TABLE IF EXISTS courses;
+DROP TABLE IF EXISTS users;
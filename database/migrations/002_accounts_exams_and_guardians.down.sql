@@ -0,0 +1,126 @@
+-- Revert migration 002
+-- migrator: foreign-keys-off
+
+DROP TABLE IF EXISTS announcement_reads;
+DROP TABLE IF EXISTS exam_attempts;
+DROP TABLE IF EXISTS exam_blueprint_rules;
+DROP TABLE IF EXISTS question_bank;
+DROP TABLE IF EXISTS exam_questions;
+DROP TABLE IF EXISTS exams;
+DROP TABLE IF EXISTS invitations;
+DROP TABLE IF EXISTS login_attempts;
+DROP TABLE IF EXISTS guardian_students;
+DROP TABLE IF EXISTS two_factor_recovery_codes;
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS user_tokens;
+
+DELETE FROM settings WHERE key = 'require_staff_2fa';
+
+ALTER TABLE folders DROP COLUMN tags;
+ALTER TABLE folders DROP COLUMN program;
+ALTER TABLE folders DROP COLUMN grade;
+
+-- A column with a foreign key cannot be dropped, so materials is rebuilt without uploaded_by
+CREATE TABLE materials_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    type VARCHAR(20) CHECK(type IN ('pdf', 'doc', 'docx', 'ppt', 'pptx', 'video', 'image', 'link', 'quiz', 'assignment')) NOT NULL,
+    file_name VARCHAR(255),
+    file_path VARCHAR(500),
+    file_size INTEGER,
+    url TEXT,
+    folder_id INTEGER,
+    course_id INTEGER NOT NULL,
+    owner_id INTEGER NOT NULL,
+    grade VARCHAR(2) CHECK(grade IN ('9', '10', '11', '12')),
+    program VARCHAR(10) CHECK(program IN ('EST', 'ACT', 'Both')),
+    tags TEXT, -- JSON array of tags
+    is_public BOOLEAN DEFAULT 0,
+    view_count INTEGER DEFAULT 0,
+    download_count INTEGER DEFAULT 0,
+    due_date DATE,
+    priority VARCHAR(10) CHECK(priority IN ('low', 'medium', 'high')) DEFAULT 'medium',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (folder_id) REFERENCES folders(id) ON DELETE SET NULL,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+INSERT INTO materials_old (id, title, description, type, file_name, file_path, file_size, url, folder_id, course_id, owner_id, grade, program, tags, is_public, view_count, download_count, due_date, priority, created_at, updated_at)
+SELECT id, title, description, type, file_name, file_path, file_size, url, folder_id, course_id, owner_id, grade, program, tags, is_public, view_count, download_count, due_date, priority, created_at, updated_at FROM materials;
+
+DROP TABLE materials;
+ALTER TABLE materials_old RENAME TO materials;
+
+CREATE INDEX idx_materials_course ON materials(course_id);
+CREATE INDEX idx_materials_folder ON materials(folder_id);
+CREATE INDEX idx_materials_owner ON materials(owner_id);
+CREATE INDEX idx_materials_type ON materials(type);
+
+CREATE TRIGGER update_materials_timestamp 
+    AFTER UPDATE ON materials
+    BEGIN
+        UPDATE materials SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
+
+-- Guardian accounts and events without an account do not fit the original tables
+DELETE FROM activity_logs WHERE user_id IS NULL OR user_id IN (SELECT id FROM users WHERE role = 'guardian');
+DELETE FROM users WHERE role = 'guardian';
+
+CREATE TABLE activity_logs_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    action VARCHAR(50) NOT NULL,
+    entity_type VARCHAR(50), -- 'material', 'session', 'assignment', etc.
+    entity_id INTEGER,
+    details TEXT, -- JSON with additional details
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+INSERT INTO activity_logs_old (id, user_id, action, entity_type, entity_id, details, ip_address, user_agent, created_at)
+SELECT id, user_id, action, entity_type, entity_id, details, ip_address, user_agent, created_at FROM activity_logs;
+
+DROP TABLE activity_logs;
+ALTER TABLE activity_logs_old RENAME TO activity_logs;
+
+CREATE INDEX idx_activity_logs_user ON activity_logs(user_id);
+CREATE INDEX idx_activity_logs_created ON activity_logs(created_at);
+
+CREATE TABLE users_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(100) NOT NULL,
+    email VARCHAR(150) UNIQUE NOT NULL,
+    username VARCHAR(50) UNIQUE,
+    password_hash VARCHAR(255) NOT NULL,
+    role VARCHAR(20) CHECK(role IN ('teacher', 'student', 'admin')) DEFAULT 'student',
+    avatar VARCHAR(255),
+    phone VARCHAR(20),
+    grade VARCHAR(2) CHECK(grade IN ('9', '10', '11', '12')),
+    program VARCHAR(10) CHECK(program IN ('EST', 'ACT', 'Both')),
+    enrollment_date DATE DEFAULT CURRENT_DATE,
+    is_active BOOLEAN DEFAULT 1,
+    last_login DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO users_old (id, name, email, username, password_hash, role, avatar, phone, grade, program, enrollment_date, is_active, last_login, created_at, updated_at)
+SELECT id, name, email, username, password_hash, role, avatar, phone, grade, program, enrollment_date, is_active, last_login, created_at, updated_at FROM users;
+
+DROP TABLE users;
+ALTER TABLE users_old RENAME TO users;
+
+CREATE INDEX idx_users_email ON users(email);
+CREATE INDEX idx_users_role ON users(role);
+CREATE INDEX idx_users_grade_program ON users(grade, program);
+
+CREATE TRIGGER update_users_timestamp 
+    AFTER UPDATE ON users
+    BEGIN
+        UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
@@ -0,0 +1,365 @@
+-- Migration 002: account review, email verification, two-factor sign-in, login lockout,
+-- guardians, invitations, exams with a question bank, and announcement read receipts
+-- migrator: foreign-keys-off
+
+-- users gains the 'guardian' role, so the table is rebuilt (SQLite cannot change a CHECK)
+CREATE TABLE users_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(100) NOT NULL,
+    email VARCHAR(150) UNIQUE NOT NULL,
+    username VARCHAR(50) UNIQUE,
+    password_hash VARCHAR(255) NOT NULL,
+    role VARCHAR(20) CHECK(role IN ('teacher', 'student', 'admin', 'guardian')) DEFAULT 'student',
+    avatar VARCHAR(255),
+    phone VARCHAR(20),
+    grade VARCHAR(2) CHECK(grade IN ('9', '10', '11', '12')),
+    program VARCHAR(10) CHECK(program IN ('EST', 'ACT', 'Both')),
+    enrollment_date DATE DEFAULT CURRENT_DATE,
+    is_active BOOLEAN DEFAULT 1,
+    status VARCHAR(10) CHECK(status IN ('pending', 'approved', 'rejected')) DEFAULT 'approved',
+    rejection_reason TEXT,
+    reviewed_by INTEGER,
+    reviewed_at DATETIME,
+    email_verified BOOLEAN DEFAULT 0,
+    email_verification_token VARCHAR(64), -- used by the Express routes (server.js); server-sqlite.js uses user_tokens
+    email_verification_expires DATETIME,
+    password_reset_token VARCHAR(64),
+    password_reset_expires DATETIME,
+    password_changed_at DATETIME,
+    token_version INTEGER DEFAULT 0,
+    two_factor_enabled BOOLEAN DEFAULT 0,
+    two_factor_secret TEXT, -- AES-GCM encrypted; set at setup, used once enabled
+    two_factor_last_step INTEGER, -- last accepted TOTP time step (prevents code replay)
+    two_factor_enabled_at DATETIME,
+    failed_login_attempts INTEGER DEFAULT 0, -- consecutive failures since the last login or lockout
+    last_failed_login DATETIME,
+    locked_until DATETIME, -- temporary lockout after too many failures
+    weekly_digest BOOLEAN DEFAULT 1, -- guardians: receive the weekly summary email
+    digest_sent_at DATETIME,
+    last_login DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Existing accounts were created before email verification and are treated as verified
+INSERT INTO users_new (id, name, email, username, password_hash, role, avatar, phone, grade, program, enrollment_date, is_active, last_login, created_at, updated_at, email_verified)
+SELECT id, name, email, username, password_hash, role, avatar, phone, grade, program, enrollment_date, is_active, last_login, created_at, updated_at, 1 FROM users;
+
+DROP TABLE users;
+ALTER TABLE users_new RENAME TO users;
+
+CREATE INDEX idx_users_email ON users(email);
+CREATE INDEX idx_users_role ON users(role);
+CREATE INDEX idx_users_grade_program ON users(grade, program);
+CREATE INDEX idx_users_status ON users(status);
+
+CREATE TRIGGER update_users_timestamp 
+    AFTER UPDATE ON users
+    BEGIN
+        UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
+
+-- activity_logs.user_id becomes optional (NULL for events with no account, e.g. a blocked IP)
+CREATE TABLE activity_logs_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER, -- NULL for events with no account, e.g. a blocked IP address
+    action VARCHAR(50) NOT NULL,
+    entity_type VARCHAR(50), -- 'material', 'session', 'assignment', etc.
+    entity_id INTEGER,
+    details TEXT, -- JSON with additional details
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+INSERT INTO activity_logs_new (id, user_id, action, entity_type, entity_id, details, ip_address, user_agent, created_at)
+SELECT id, user_id, action, entity_type, entity_id, details, ip_address, user_agent, created_at FROM activity_logs;
+
+DROP TABLE activity_logs;
+ALTER TABLE activity_logs_new RENAME TO activity_logs;
+
+CREATE INDEX idx_activity_logs_user ON activity_logs(user_id);
+CREATE INDEX idx_activity_logs_created ON activity_logs(created_at);
+
+-- Folder grade, program and tags
+ALTER TABLE folders ADD COLUMN grade VARCHAR(2) CHECK(grade IN ('9', '10', '11', '12'));
+ALTER TABLE folders ADD COLUMN program VARCHAR(10) CHECK(program IN ('EST', 'ACT', 'Both'));
+ALTER TABLE folders ADD COLUMN tags TEXT; -- JSON array of tags
+
+-- Differs from owner_id when a co-teacher uploads into a shared folder
+ALTER TABLE materials ADD COLUMN uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Single-use tokens sent by email (only an HMAC of the token is stored)
+CREATE TABLE user_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    type VARCHAR(30) CHECK(type IN ('password_reset', 'email_verification')) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Refresh tokens (rotated on every use; only an HMAC of the token is stored)
+CREATE TABLE refresh_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    family VARCHAR(32) NOT NULL,
+    token_version INTEGER NOT NULL DEFAULT 0,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    replaced_by INTEGER,
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (replaced_by) REFERENCES refresh_tokens(id) ON DELETE SET NULL
+);
+
+-- Two-factor recovery codes (single use; only an HMAC is stored)
+CREATE TABLE two_factor_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Guardians (parents) and the students whose progress they can view
+CREATE TABLE guardian_students (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guardian_id INTEGER NOT NULL,
+    student_id INTEGER NOT NULL,
+    relationship VARCHAR(30), -- 'mother', 'father', 'guardian', etc.
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (guardian_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE(guardian_id, student_id)
+);
+
+-- Login attempts, used to throttle failures per IP address and to audit logins
+CREATE TABLE login_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    identifier VARCHAR(150), -- email or username as typed
+    user_id INTEGER, -- NULL when no account matched
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    succeeded BOOLEAN DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Student invitations sent by teachers; the account is created when one is accepted
+CREATE TABLE invitations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email VARCHAR(150) NOT NULL,
+    name VARCHAR(100),
+    phone VARCHAR(20),
+    grade VARCHAR(2) CHECK(grade IN ('9', '10', '11', '12')) NOT NULL,
+    program VARCHAR(10) CHECK(program IN ('EST', 'ACT', 'Both')) NOT NULL,
+    message TEXT,
+    invited_by INTEGER NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL, -- HMAC of the emailed token
+    expires_at DATETIME NOT NULL,
+    status VARCHAR(10) CHECK(status IN ('pending', 'accepted', 'revoked')) DEFAULT 'pending',
+    send_count INTEGER DEFAULT 1,
+    last_sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    accepted_at DATETIME,
+    user_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Exams table (timed, auto-graded assessments)
+CREATE TABLE exams (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    course_id INTEGER NOT NULL,
+    teacher_id INTEGER NOT NULL,
+    duration INTEGER NOT NULL DEFAULT 30, -- minutes
+    difficulty VARCHAR(20) CHECK(difficulty IN ('beginner', 'intermediate', 'advanced')) DEFAULT 'intermediate',
+    pass_score INTEGER DEFAULT 60, -- percentage
+    max_attempts INTEGER, -- NULL for unlimited
+    assembly VARCHAR(20) CHECK(assembly IN ('fixed', 'blueprint')) DEFAULT 'fixed', -- blueprint exams draw from the question bank
+    grade VARCHAR(2) CHECK(grade IN ('9', '10', '11', '12')),
+    program VARCHAR(10) CHECK(program IN ('EST', 'ACT', 'Both')),
+    is_published BOOLEAN DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    FOREIGN KEY (teacher_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Exam questions table
+CREATE TABLE exam_questions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    exam_id INTEGER NOT NULL,
+    question_text TEXT NOT NULL,
+    type VARCHAR(20) CHECK(type IN ('multiple_choice', 'true_false', 'numeric')) NOT NULL,
+    options TEXT, -- JSON array of choices for multiple_choice
+    correct_answer TEXT NOT NULL,
+    tolerance DECIMAL(10,4) DEFAULT 0, -- accepted deviation for numeric answers
+    points INTEGER DEFAULT 1,
+    explanation TEXT,
+    position INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (exam_id) REFERENCES exams(id) ON DELETE CASCADE
+);
+
+-- Question bank (reusable questions tagged by course, topic, difficulty and program)
+CREATE TABLE question_bank (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    course_id INTEGER NOT NULL,
+    owner_id INTEGER NOT NULL,
+    topic VARCHAR(100) NOT NULL,
+    difficulty VARCHAR(10) CHECK(difficulty IN ('easy', 'medium', 'hard')) DEFAULT 'medium',
+    program VARCHAR(10) CHECK(program IN ('EST', 'ACT', 'Both')) DEFAULT 'Both',
+    tags TEXT, -- JSON array of tags
+    question_text TEXT NOT NULL,
+    type VARCHAR(20) CHECK(type IN ('multiple_choice', 'true_false', 'numeric')) NOT NULL,
+    options TEXT, -- JSON array of choices for multiple_choice
+    correct_answer TEXT NOT NULL,
+    tolerance DECIMAL(10,4) DEFAULT 0,
+    points INTEGER DEFAULT 1,
+    explanation TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Exam blueprint rules ("10 Krebs Cycle medium + 5 Glycolysis hard")
+CREATE TABLE exam_blueprint_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    exam_id INTEGER NOT NULL,
+    course_id INTEGER, -- NULL to use the exam's course
+    topic VARCHAR(100),
+    difficulty VARCHAR(10) CHECK(difficulty IN ('easy', 'medium', 'hard')),
+    count INTEGER NOT NULL CHECK(count > 0),
+    position INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (exam_id) REFERENCES exams(id) ON DELETE CASCADE,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
+);
+
+-- Exam attempts table
+CREATE TABLE exam_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    exam_id INTEGER NOT NULL,
+    student_id INTEGER NOT NULL,
+    question_source VARCHAR(10) CHECK(question_source IN ('exam', 'bank')) DEFAULT 'exam',
+    question_ids TEXT NOT NULL, -- JSON array, order the questions were served in
+    answers TEXT, -- JSON object keyed by question id
+    status VARCHAR(20) CHECK(status IN ('in_progress', 'submitted', 'expired')) DEFAULT 'in_progress',
+    score INTEGER,
+    max_score INTEGER,
+    percentage DECIMAL(5,2),
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    submitted_at DATETIME,
+    FOREIGN KEY (exam_id) REFERENCES exams(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Announcement read receipts (per student)
+CREATE TABLE announcement_reads (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    announcement_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    read_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (announcement_id) REFERENCES announcements(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE(announcement_id, user_id)
+);
+
+CREATE INDEX idx_user_tokens_user_type ON user_tokens(user_id, type);
+CREATE INDEX idx_refresh_tokens_user ON refresh_tokens(user_id, revoked_at);
+CREATE INDEX idx_refresh_tokens_family ON refresh_tokens(family);
+CREATE INDEX idx_two_factor_recovery_codes_user ON two_factor_recovery_codes(user_id);
+CREATE INDEX idx_guardian_students_student ON guardian_students(student_id);
+CREATE INDEX idx_login_attempts_ip ON login_attempts(ip_address, created_at);
+CREATE INDEX idx_invitations_email_status ON invitations(email, status);
+CREATE INDEX idx_invitations_invited_by ON invitations(invited_by, status, expires_at);
+CREATE INDEX idx_exams_course ON exams(course_id);
+CREATE INDEX idx_exam_questions_exam ON exam_questions(exam_id, position);
+CREATE INDEX idx_question_bank_course_topic ON question_bank(course_id, topic, difficulty);
+CREATE INDEX idx_exam_blueprint_rules_exam ON exam_blueprint_rules(exam_id, position);
+CREATE INDEX idx_exam_attempts_exam_student ON exam_attempts(exam_id, student_id);
+CREATE INDEX idx_exam_attempts_student ON exam_attempts(student_id);
+CREATE INDEX idx_announcement_reads_user ON announcement_reads(user_id);
+
+CREATE TRIGGER update_invitations_timestamp 
+    AFTER UPDATE ON invitations
+    BEGIN
+        UPDATE invitations SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
+
+CREATE TRIGGER update_exams_timestamp 
+    AFTER UPDATE ON exams
+    BEGIN
+        UPDATE exams SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
+
+CREATE TRIGGER update_exam_questions_timestamp 
+    AFTER UPDATE ON exam_questions
+    BEGIN
+        UPDATE exam_questions SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
+
+CREATE TRIGGER update_question_bank_timestamp 
+    AFTER UPDATE ON question_bank
+    BEGIN
+        UPDATE question_bank SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
+
+-- Setting used by the two-factor sign-in
+INSERT OR IGNORE INTO settings (key, value, description, type) VALUES
+('require_staff_2fa', 'false', 'Require two-factor authentication for teacher and admin accounts', 'boolean');
+
+-- Sample exams and question bank for the sample teacher, when the sample data is present
+WITH sample (title, description, course_code, duration, difficulty, pass_score, grade, program, is_published) AS (VALUES
+('Cell Biology Practice Exam', 'Cell structures, organelles and membrane transport', 'CELLBIO', 50, 'advanced', 70, '11', 'Both', 1),
+('Photosynthesis Checkpoint', 'Light reactions and the Calvin cycle', 'PHOTOS', 38, 'intermediate', 60, '10', 'Both', 1),
+('Cell Respiration Quiz', 'Glycolysis, Krebs cycle and the electron transport chain', 'CELLRESP', 45, 'intermediate', 60, '11', 'Both', 1))
+INSERT INTO exams (title, description, course_id, teacher_id, duration, difficulty, pass_score, grade, program, is_published)
+SELECT sample.title, sample.description, courses.id, users.id, sample.duration, sample.difficulty, sample.pass_score, sample.grade, sample.program, sample.is_published
+FROM sample
+JOIN courses ON courses.code = sample.course_code
+JOIN users ON users.email = 'teacher@bioplatform.com';
+
+WITH sample (exam_title, question_text, type, options, correct_answer, tolerance, points, explanation, position) AS (VALUES
+('Cell Biology Practice Exam', 'Which organelle is the site of ATP synthesis by oxidative phosphorylation?', 'multiple_choice', '["Nucleus", "Mitochondrion", "Golgi apparatus", "Lysosome"]', 'Mitochondrion', 0, 1, 'The inner mitochondrial membrane holds ATP synthase.', 1),
+('Cell Biology Practice Exam', 'Prokaryotic cells contain a membrane-bound nucleus.', 'true_false', NULL, 'false', 0, 1, 'Prokaryotic DNA sits in the nucleoid region, not a nucleus.', 2),
+('Cell Biology Practice Exam', 'How many layers of phospholipids make up the plasma membrane?', 'numeric', NULL, '2', 0, 1, 'The plasma membrane is a phospholipid bilayer.', 3),
+('Photosynthesis Checkpoint', 'Which gas is released as a by-product of the light reactions?', 'multiple_choice', '["Carbon dioxide", "Nitrogen", "Oxygen", "Hydrogen"]', 'Oxygen', 0, 1, 'Oxygen comes from the splitting of water at photosystem II.', 1),
+('Photosynthesis Checkpoint', 'The Calvin cycle takes place in the stroma of the chloroplast.', 'true_false', NULL, 'true', 0, 1, NULL, 2),
+('Cell Respiration Quiz', 'What is the net ATP yield of glycolysis per molecule of glucose?', 'numeric', NULL, '2', 0, 1, 'Four ATP are made but two are invested.', 1),
+('Cell Respiration Quiz', 'Where does the Krebs cycle take place in eukaryotic cells?', 'multiple_choice', '["Cytoplasm", "Mitochondrial matrix", "Inner mitochondrial membrane", "Nucleus"]', 'Mitochondrial matrix', 0, 1, NULL, 2),
+('Cell Respiration Quiz', 'Oxygen is the final electron acceptor of the electron transport chain.', 'true_false', NULL, 'true', 0, 1, NULL, 3))
+INSERT INTO exam_questions (exam_id, question_text, type, options, correct_answer, tolerance, points, explanation, position)
+SELECT exams.id, sample.question_text, sample.type, sample.options, sample.correct_answer, sample.tolerance, sample.points, sample.explanation, sample.position
+FROM sample
+JOIN exams ON exams.title = sample.exam_title;
+
+WITH sample (course_code, topic, difficulty, program, tags, question_text, type, options, correct_answer, tolerance, points, explanation) AS (VALUES
+('CELLRESP', 'Glycolysis', 'easy', 'Both', '["ATP", "cytoplasm"]', 'Glycolysis takes place in the cytoplasm.', 'true_false', NULL, 'true', 0, 1, NULL),
+('CELLRESP', 'Glycolysis', 'hard', 'Both', '["NADH"]', 'How many NADH molecules are produced by glycolysis per molecule of glucose?', 'numeric', NULL, '2', 0, 1, NULL),
+('CELLRESP', 'Krebs Cycle', 'medium', 'Both', '["acetyl-CoA"]', 'Which molecule combines with acetyl-CoA at the start of the Krebs cycle?', 'multiple_choice', '["Pyruvate", "Oxaloacetate", "Citrate", "Glucose"]', 'Oxaloacetate', 0, 1, 'Acetyl-CoA and oxaloacetate form citrate.'),
+('CELLRESP', 'Krebs Cycle', 'medium', 'EST', '["CO2"]', 'How many CO2 molecules are released per turn of the Krebs cycle?', 'numeric', NULL, '2', 0, 1, NULL),
+('CELLRESP', 'Krebs Cycle', 'medium', 'ACT', '["FADH2"]', 'The Krebs cycle produces FADH2.', 'true_false', NULL, 'true', 0, 1, NULL))
+INSERT INTO question_bank (course_id, owner_id, topic, difficulty, program, tags, question_text, type, options, correct_answer, tolerance, points, explanation)
+SELECT courses.id, users.id, sample.topic, sample.difficulty, sample.program, sample.tags, sample.question_text, sample.type, sample.options, sample.correct_answer, sample.tolerance, sample.points, sample.explanation
+FROM sample
+JOIN courses ON courses.code = sample.course_code
+JOIN users ON users.email = 'teacher@bioplatform.com';
@@ -0,0 +1,3 @@
+-- Revert migration 003
+
+DROP TABLE IF EXISTS job_runs;
@@ -0,0 +1,17 @@
+-- Migration 003: history of maintenance job runs (database/jobs.js)
+
+CREATE TABLE job_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job VARCHAR(50) NOT NULL,
+    source VARCHAR(10) CHECK(source IN ('schedule', 'manual')) DEFAULT 'schedule',
+    status VARCHAR(10) CHECK(status IN ('running', 'succeeded', 'failed')) DEFAULT 'running',
+    result TEXT, -- JSON returned by the job
+    error TEXT,
+    requested_by INTEGER,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME,
+    duration_ms INTEGER,
+    FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_job_runs_job_started ON job_runs(job, started_at);
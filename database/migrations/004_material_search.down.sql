@@ -0,0 +1,7 @@
+-- Revert migration 004
+
+DROP TRIGGER IF EXISTS materials_fts_update;
+DROP TRIGGER IF EXISTS materials_fts_delete;
+DROP TRIGGER IF EXISTS materials_fts_insert;
+DROP TABLE IF EXISTS materials_fts;
+ALTER TABLE materials DROP COLUMN content_text;
@@ -0,0 +1,37 @@
+-- Migration 004: full-text search over materials (FTS5)
+
+-- Text extracted from uploaded documents, searched along with the title, description and tags
+ALTER TABLE materials ADD COLUMN content_text TEXT;
+
+-- External-content index: the text itself stays in materials and the triggers below keep
+-- the index in step. Porter stemming matches "cells" to "cell"; prefix indexes speed up "mito*".
+CREATE VIRTUAL TABLE materials_fts USING fts5(
+    title,
+    description,
+    tags,
+    content_text,
+    content = 'materials',
+    content_rowid = 'id',
+    tokenize = 'porter unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
+CREATE TRIGGER materials_fts_insert AFTER INSERT ON materials BEGIN
+    INSERT INTO materials_fts (rowid, title, description, tags, content_text)
+    VALUES (new.id, new.title, new.description, new.tags, new.content_text);
+END;
+
+CREATE TRIGGER materials_fts_delete AFTER DELETE ON materials BEGIN
+    INSERT INTO materials_fts (materials_fts, rowid, title, description, tags, content_text)
+    VALUES ('delete', old.id, old.title, old.description, old.tags, old.content_text);
+END;
+
+CREATE TRIGGER materials_fts_update AFTER UPDATE OF title, description, tags, content_text ON materials BEGIN
+    INSERT INTO materials_fts (materials_fts, rowid, title, description, tags, content_text)
+    VALUES ('delete', old.id, old.title, old.description, old.tags, old.content_text);
+    INSERT INTO materials_fts (rowid, title, description, tags, content_text)
+    VALUES (new.id, new.title, new.description, new.tags, new.content_text);
+END;
+
+-- Index the materials that already exist
+INSERT INTO materials_fts (materials_fts) VALUES ('rebuild');
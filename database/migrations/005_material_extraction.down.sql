@@ -0,0 +1,8 @@
+-- Revert migration 005
+
+DROP INDEX IF EXISTS idx_materials_extraction_status;
+ALTER TABLE materials DROP COLUMN extracted_at;
+ALTER TABLE materials DROP COLUMN extraction_error;
+ALTER TABLE materials DROP COLUMN extraction_status;
+ALTER TABLE materials DROP COLUMN headings;
+ALTER TABLE materials DROP COLUMN page_count;
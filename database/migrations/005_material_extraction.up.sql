@@ -0,0 +1,16 @@
+-- Migration 005: text extraction from uploaded PDF, DOCX and PPTX materials
+
+-- content_text (migration 004) holds the extracted text; these hold the rest of what
+-- database/extraction.js pulls out of the document and where it got to
+ALTER TABLE materials ADD COLUMN page_count INTEGER;
+ALTER TABLE materials ADD COLUMN headings TEXT; -- JSON array of { level, text }
+ALTER TABLE materials ADD COLUMN extraction_status VARCHAR(12)
+    CHECK(extraction_status IN ('pending', 'processing', 'done', 'failed', 'unsupported'));
+ALTER TABLE materials ADD COLUMN extraction_error TEXT;
+ALTER TABLE materials ADD COLUMN extracted_at DATETIME;
+
+CREATE INDEX idx_materials_extraction_status ON materials(extraction_status);
+
+-- Queue the documents uploaded before extraction existed
+UPDATE materials SET extraction_status = 'pending'
+WHERE file_path IS NOT NULL AND type IN ('pdf', 'docx', 'pptx');
@@ -0,0 +1,4 @@
+-- Revert migration 006
+
+DROP INDEX IF EXISTS idx_materials_content_hash;
+ALTER TABLE materials DROP COLUMN content_hash;
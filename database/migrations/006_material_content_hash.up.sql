@@ -0,0 +1,7 @@
+-- Migration 006: content hashes of uploaded material files
+
+-- SHA-256 of the file, so the library import (database/libraryImport.js) can tell which
+-- files are already in the database whatever they are called
+ALTER TABLE materials ADD COLUMN content_hash VARCHAR(64);
+
+CREATE INDEX idx_materials_content_hash ON materials(content_hash);
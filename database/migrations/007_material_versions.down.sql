@@ -0,0 +1,7 @@
+-- Revert migration 007
+
+DROP TABLE IF EXISTS material_downloads;
+DROP TABLE IF EXISTS material_versions;
+ALTER TABLE materials DROP COLUMN file_updated_at;
+ALTER TABLE materials DROP COLUMN version_note;
+ALTER TABLE materials DROP COLUMN version;
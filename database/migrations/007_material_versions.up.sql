@@ -0,0 +1,34 @@
+-- Migration 007: material file versions and who downloaded which version
+
+-- The material row holds the current file, version `version`
+ALTER TABLE materials ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE materials ADD COLUMN version_note TEXT;
+ALTER TABLE materials ADD COLUMN file_updated_at DATETIME;
+
+-- Files the material had before it was replaced
+CREATE TABLE material_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    material_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    file_name VARCHAR(255),
+    file_path VARCHAR(500),
+    file_size INTEGER,
+    uploaded_by INTEGER,
+    note TEXT,
+    uploaded_at DATETIME,
+    FOREIGN KEY (material_id) REFERENCES materials(id) ON DELETE CASCADE,
+    FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE(material_id, version)
+);
+
+-- The version each user last downloaded
+CREATE TABLE material_downloads (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    material_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    downloaded_at DATETIME,
+    FOREIGN KEY (material_id) REFERENCES materials(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE(material_id, user_id)
+);
@@ -0,0 +1,5 @@
+-- Revert migration 008
+
+DROP INDEX IF EXISTS idx_materials_owner_file;
+DROP TABLE IF EXISTS file_blobs;
+ALTER TABLE material_versions DROP COLUMN content_hash;
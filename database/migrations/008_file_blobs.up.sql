@@ -0,0 +1,18 @@
+-- Migration 008: content-addressed upload storage (utils/blobStore.js)
+
+-- One row per stored file. ref_count is the number of materials and material versions
+-- whose file_path is this file; the file is deleted when it drops to zero.
+CREATE TABLE file_blobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    hash VARCHAR(64) NOT NULL UNIQUE,
+    path VARCHAR(500) NOT NULL,
+    size INTEGER NOT NULL,
+    ref_count INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_file_blobs_path ON file_blobs(path);
+
+ALTER TABLE material_versions ADD COLUMN content_hash VARCHAR(64);
+CREATE INDEX idx_materials_owner_file ON materials(owner_id, file_size);
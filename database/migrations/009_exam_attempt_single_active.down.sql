@@ -0,0 +1,3 @@
+-- Revert migration 009
+
+DROP INDEX IF EXISTS idx_exam_attempts_active;
@@ -0,0 +1,11 @@
+-- Migration 009: at most one attempt in progress per student and exam
+-- Two concurrent starts could both find no running attempt and insert one each.
+
+-- Close all but the newest of any duplicates left by that race
+UPDATE exam_attempts SET status = 'expired', submitted_at = CURRENT_TIMESTAMP
+WHERE status = 'in_progress'
+  AND id NOT IN (
+      SELECT MAX(id) FROM exam_attempts WHERE status = 'in_progress' GROUP BY exam_id, student_id
+  );
+
+CREATE UNIQUE INDEX idx_exam_attempts_active ON exam_attempts(exam_id, student_id) WHERE status = 'in_progress';
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Migrations are pairs of files in database/migrations: NNN_name.up.sql applies a change and
+// NNN_name.down.sql (optional) reverts it. Applied versions are recorded in schema_version.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Databases created before migrations existed (schema.sql and seed.sql run by initialize())
+// already have everything migration 001 creates
+const LEGACY_VERSION = 1;
+
+// A migration whose file contains this line runs with foreign key enforcement off, as SQLite
+// requires for rebuilding a table; the foreign keys are checked before it is committed
+const FOREIGN_KEYS_OFF = /^--\s*migrator:\s*foreign-keys-off\s*$/m;
+
+const TABLE_PATTERN = /CREATE\s+(?:VIRTUAL\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(\w+)/gi;
+const tablesCreatedBy = (file) => [...fs.readFileSync(file, 'utf8').matchAll(TABLE_PATTERN)].map(match => match[1]);
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+class Migrator {
+    constructor(dbManager, directory = MIGRATIONS_DIR) {
+        this.db = dbManager;
+        this.directory = directory;
+    }
+
+    // Migration files in version order: [{ version, name, up, down }]
+    list() {
+        const migrations = new Map();
+
+        for (const file of fs.readdirSync(this.directory)) {
+            const match = FILE_PATTERN.exec(file);
+            if (!match) continue;
+
+            const version = parseInt(match[1], 10);
+            const name = `${match[1]}_${match[2]}`;
+            const migration = migrations.get(version) || { version, name };
+            if (migration.name !== name) {
+                throw new Error(`Migrations ${migration.name} and ${name} have the same version`);
+            }
+            migration[match[3]] = path.join(this.directory, file);
+            migrations.set(version, migration);
+        }
+
+        const list = [...migrations.values()].sort((a, b) => a.version - b.version);
+        const missingUp = list.find(migration => !migration.up);
+        if (missingUp) {
+            throw new Error(`Migration ${missingUp.name} has no .up.sql file`);
+        }
+        return list;
+    }
+
+    async hasTable(name) {
+        return Boolean(await this.db.get(
+            "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+            [name]
+        ));
+    }
+
+    // Applied migrations by version. A legacy database without schema_version counts as
+    // being at LEGACY_VERSION; the table is only created (and that recorded) when `create` is set.
+    async applied({ create = false } = {}) {
+        if (!await this.hasTable('schema_version')) {
+            const legacy = await this.hasTable('users');
+            const baseline = legacy
+                ? this.list().filter(migration => migration.version <= LEGACY_VERSION)
+                : [];
+            if (legacy) await this.checkLegacy(baseline);
+
+            if (!create) {
+                return new Map(baseline.map(migration => [migration.version, { name: migration.name, checksum: null }]));
+            }
+
+            await this.db.run(`CREATE TABLE schema_version (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                checksum VARCHAR(64),
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+
+            // Checksum left empty: the legacy schema was not created from these files
+            for (const migration of baseline) {
+                await this.db.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+                console.log(`Existing database recorded as migrated to ${migration.name}`);
+            }
+        }
+
+        const rows = await this.db.query('SELECT version, name, checksum, applied_at FROM schema_version ORDER BY version');
+        return new Map(rows.map(row => [row.version, row]));
+    }
+
+    // Every migration with whether it has been applied, and whether its file changed since
+    async status() {
+        const applied = await this.applied();
+
+        return this.list().map(migration => {
+            const row = applied.get(migration.version);
+            return {
+                version: migration.version,
+                name: migration.name,
+                applied: Boolean(row),
+                appliedAt: row ? row.applied_at || null : null,
+                modified: Boolean(row && row.checksum && row.checksum !== checksum(fs.readFileSync(migration.up, 'utf8'))),
+                reversible: Boolean(migration.down)
+            };
+        });
+    }
+
+    // A database without schema_version is only recorded at LEGACY_VERSION when it has the
+    // tables of the baseline migrations and none of those created by later ones
+    async checkLegacy(baseline) {
+        const later = this.list().filter(migration => migration.version > LEGACY_VERSION);
+        const missing = [];
+        const extra = [];
+
+        for (const migration of baseline) {
+            for (const table of tablesCreatedBy(migration.up)) {
+                if (!await this.hasTable(table)) missing.push(table);
+            }
+        }
+        for (const migration of later) {
+            for (const table of tablesCreatedBy(migration.up)) {
+                if (await this.hasTable(table)) extra.push(table);
+            }
+        }
+
+        if (missing.length || extra.length) {
+            const problems = [
+                missing.length ? `missing ${missing.join(', ')}` : null,
+                extra.length ? `already has ${extra.join(', ')}` : null
+            ].filter(Boolean).join('; ');
+            throw new Error(`Database has no schema_version table and does not match migration ${String(LEGACY_VERSION).padStart(3, '0')} (${problems}); recreate it or record its version by hand`);
+        }
+    }
+
+    async currentVersion() {
+        const versions = [...(await this.applied()).keys()];
+        return versions.length ? Math.max(...versions) : 0;
+    }
+
+    // Apply pending migrations up to `to` (all by default). With dryRun they are run in one
+    // transaction that is rolled back, so errors show up without changing the database.
+    async migrate({ to = Infinity, dryRun = false } = {}) {
+        const applied = await this.applied({ create: !dryRun });
+        const pending = this.list().filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+        if (dryRun) {
+            const scripts = pending.map(migration => fs.readFileSync(migration.up, 'utf8'));
+            await this.inTransaction(async () => {
+                for (const sql of scripts) {
+                    await this.db.exec(sql);
+                }
+            }, { rollback: true, foreignKeysOff: scripts.some(sql => FOREIGN_KEYS_OFF.test(sql)) });
+            return pending.map(migration => migration.name);
+        }
+
+        for (const migration of pending) {
+            const sql = fs.readFileSync(migration.up, 'utf8');
+            await this.inTransaction(async () => {
+                await this.db.exec(sql);
+                await this.db.run(
+                    'INSERT INTO schema_version (version, name, checksum) VALUES (?, ?, ?)',
+                    [migration.version, migration.name, checksum(sql)]
+                );
+            }, { foreignKeysOff: FOREIGN_KEYS_OFF.test(sql) });
+            console.log(`Applied migration ${migration.name}`);
+        }
+
+        return pending.map(migration => migration.name);
+    }
+
+    // Revert the last `steps` applied migrations, or every one above version `to`
+    async rollback({ steps = 1, to, dryRun = false } = {}) {
+        const applied = await this.applied({ create: !dryRun });
+        const byVersion = new Map(this.list().map(migration => [migration.version, migration]));
+
+        let versions = [...applied.keys()].sort((a, b) => b - a);
+        versions = to !== undefined ? versions.filter(version => version > to) : versions.slice(0, steps);
+
+        const targets = versions.map(version => {
+            const migration = byVersion.get(version);
+            if (!migration) {
+                throw new Error(`Migration ${applied.get(version).name} is applied but its files are missing`);
+            }
+            if (!migration.down) {
+                throw new Error(`Migration ${migration.name} cannot be reverted (no .down.sql file)`);
+            }
+            return migration;
+        });
+
+        const scripts = targets.map(migration => fs.readFileSync(migration.down, 'utf8'));
+        await this.inTransaction(async () => {
+            for (const [i, migration] of targets.entries()) {
+                await this.db.exec(scripts[i]);
+                if (!dryRun) {
+                    await this.db.run('DELETE FROM schema_version WHERE version = ?', [migration.version]);
+                    console.log(`Reverted migration ${migration.name}`);
+                }
+            }
+        }, { rollback: dryRun, foreignKeysOff: scripts.some(sql => FOREIGN_KEYS_OFF.test(sql)) });
+
+        return targets.map(migration => migration.name);
+    }
+
+    // With foreignKeysOff, enforcement is turned off around the transaction (it cannot change
+    // inside one) and the work is rolled back if it leaves a foreign key violated
+    async inTransaction(work, { rollback = false, foreignKeysOff = false } = {}) {
+        const enforced = foreignKeysOff && (await this.db.get('PRAGMA foreign_keys')).foreign_keys === 1;
+        if (enforced) await this.db.exec('PRAGMA foreign_keys = OFF');
+
+        try {
+            await this.db.exec('BEGIN');
+            try {
+                await work();
+                if (foreignKeysOff) {
+                    const violations = await this.db.query('PRAGMA foreign_key_check');
+                    if (violations.length) {
+                        const tables = [...new Set(violations.map(row => row.table))].join(', ');
+                        throw new Error(`Migration leaves ${violations.length} foreign key violation(s) in ${tables}`);
+                    }
+                }
+            } catch (error) {
+                await this.db.exec('ROLLBACK');
+                throw error;
+            }
+            await this.db.exec(rollback ? 'ROLLBACK' : 'COMMIT');
+        } finally {
+            if (enforced) await this.db.exec('PRAGMA foreign_keys = ON');
+        }
+    }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,69 @@
+// Full-text search over materials with the FTS5 index materials_fts (migration 004).
+//
+// Search text is turned into an FTS5 query rather than passed through, so users cannot
+// write invalid syntax: words must all match, "quoted words" match as a phrase and a
+// trailing * matches by prefix (mito* finds mitosis and mitochondria).
+
+// bm25 weights of the indexed columns: title, description, tags, content_text
+const MATERIAL_SEARCH_WEIGHTS = [10, 5, 5, 1];
+const SNIPPET_TOKENS = 16;
+
+// Marks around matched text in highlights and snippets; control characters that never
+// appear in material text, swapped for <mark> once the rest has been HTML-escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+const quote = (text) => `"${text.replace(/"/g, '""')}"`;
+const hasWordCharacters = (text) => /[\p{L}\p{N}]/u.test(text);
+
+// FTS5 MATCH expression for the search text, or null when there is nothing to search for
+function toFtsQuery(search) {
+    const terms = [];
+    const pattern = /"([^"]*)"?|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(String(search || ''))) !== null) {
+        if (match[1] !== undefined) {
+            if (hasWordCharacters(match[1])) terms.push(quote(match[1]));
+            continue;
+        }
+
+        const word = match[2].replace(/"/g, '');
+        const prefix = word.endsWith('*');
+        const text = word.replace(/\*+$/, '');
+        if (hasWordCharacters(text)) {
+            terms.push(prefix ? `${quote(text)}*` : quote(text));
+        }
+    }
+
+    return terms.length ? terms.join(' ') : null;
+}
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// A highlight or snippet as HTML safe to insert into a page, matches wrapped in <mark>
+function toHighlightHtml(text) {
+    if (text === null || text === undefined) return null;
+
+    return escapeHtml(String(text))
+        .split(MATCH_START).join('<mark>')
+        .split(MATCH_END).join('</mark>');
+}
+
+// SELECT columns giving each match's rank (lower is better), highlighted title and the best
+// matching snippet; the query must join materials_fts and filter it with MATCH
+const MATERIAL_SEARCH_COLUMNS = `
+    bm25(materials_fts, ${MATERIAL_SEARCH_WEIGHTS.join(', ')}) as search_rank,
+    highlight(materials_fts, 0, '${MATCH_START}', '${MATCH_END}') as title_highlight,
+    snippet(materials_fts, -1, '${MATCH_START}', '${MATCH_END}', '…', ${SNIPPET_TOKENS}) as snippet`;
+
+module.exports = {
+    MATERIAL_SEARCH_COLUMNS,
+    toFtsQuery,
+    toHighlightHtml
+};
@@ -0,0 +1,125 @@
+const fs = require('fs').promises;
+const { BlobStore, checkQuota, buildStorageReport } = require('../utils/blobStore');
+
+// Upload storage for server-sqlite.js: the blob store (utils/blobStore.js) indexed by the
+// file_blobs table (migration 008), quota usage and the storage report.
+
+function sqliteBlobIndex(db) {
+    const columns = 'hash, path, size, ref_count as refCount';
+
+    return {
+        get: (hash) => db.get(`SELECT ${columns} FROM file_blobs WHERE hash = ?`, [hash]),
+        findByPath: (filePath) => db.get(`SELECT ${columns} FROM file_blobs WHERE path = ?`, [filePath]),
+        insert: ({ hash, path, size, refCount }) => db.run(
+            'INSERT INTO file_blobs (hash, path, size, ref_count) VALUES (?, ?, ?, ?)',
+            [hash, path, size, refCount]
+        ),
+        setPath: (hash, filePath) => db.run(
+            'UPDATE file_blobs SET path = ?, updated_at = CURRENT_TIMESTAMP WHERE hash = ?',
+            [filePath, hash]
+        ),
+        async addReferences(hash, delta) {
+            const { changes } = await db.run(
+                'UPDATE file_blobs SET ref_count = ref_count + ?, updated_at = CURRENT_TIMESTAMP WHERE hash = ?',
+                [delta, hash]
+            );
+            if (!changes) return null;
+            const blob = await db.get('SELECT ref_count FROM file_blobs WHERE hash = ?', [hash]);
+            return blob.ref_count;
+        },
+        remove: (hash) => db.run('DELETE FROM file_blobs WHERE hash = ?', [hash])
+    };
+}
+
+// Every file materials reference, the current one and earlier versions of each
+const MATERIAL_FILES_SQL = `
+    SELECT m.file_path as path, m.file_size as size, m.owner_id as owner, u.name as ownerName,
+           c.name as course, m.type
+    FROM materials m
+    LEFT JOIN users u ON m.owner_id = u.id
+    LEFT JOIN courses c ON m.course_id = c.id
+    WHERE m.file_path IS NOT NULL
+    UNION ALL
+    SELECT v.file_path, v.file_size, m.owner_id, u.name, c.name, m.type
+    FROM material_versions v
+    JOIN materials m ON v.material_id = m.id
+    LEFT JOIN users u ON m.owner_id = u.id
+    LEFT JOIN courses c ON m.course_id = c.id
+    WHERE v.file_path IS NOT NULL`;
+
+// Bytes used by an owner's materials, and by all stored files counted once
+async function storageUsage(db, ownerId) {
+    const owner = await db.get(
+        `SELECT COALESCE(SUM(size), 0) as bytes FROM (
+            SELECT file_size as size FROM materials WHERE owner_id = ?
+            UNION ALL
+            SELECT v.file_size FROM material_versions v JOIN materials m ON v.material_id = m.id WHERE m.owner_id = ?
+        )`,
+        [ownerId, ownerId]
+    );
+    const total = await db.get(
+        `SELECT COALESCE(SUM(size), 0) as bytes FROM (
+            SELECT file_path, MAX(file_size) as size FROM (
+                SELECT file_path, file_size FROM materials
+                UNION ALL
+                SELECT file_path, file_size FROM material_versions
+            ) WHERE file_path IS NOT NULL GROUP BY file_path
+        )`
+    );
+    return { ownerUsage: owner.bytes, totalUsage: total.bytes };
+}
+
+class UploadStorage {
+    constructor(dbManager, { root } = {}) {
+        this.db = dbManager;
+        this.blobs = new BlobStore(sqliteBlobIndex(dbManager), { root });
+    }
+
+    // Store a file (a multer upload or any file that may be moved) for a material of `ownerId`.
+    // Resolves to { refused: { status, message } } when it would exceed a storage quota (the
+    // file is deleted), otherwise to { file: { file_path, file_size, content_hash } }.
+    async store(filePath, fileName, ownerId) {
+        const [owner, inspected] = await Promise.all([
+            this.db.get('SELECT role FROM users WHERE id = ?', [ownerId]),
+            this.blobs.inspect(filePath)
+        ]);
+        const { ownerUsage, totalUsage } = await storageUsage(this.db, ownerId);
+
+        const refused = checkQuota({
+            role: owner && owner.role,
+            ownerUsage,
+            totalUsage,
+            size: inspected.size,
+            newBytes: inspected.stored ? 0 : inspected.size
+        });
+        if (refused) {
+            await fs.unlink(filePath).catch(() => {});
+            return { refused };
+        }
+
+        return {
+            file: {
+                file_path: await this.blobs.add(filePath, fileName, inspected),
+                file_size: inspected.size,
+                content_hash: inspected.hash
+            }
+        };
+    }
+
+    // Usage per teacher, course and type, deduplication savings and orphaned files; `skip` lists
+    // directories whose files are not orphans (unfinished resumable uploads)
+    async report({ skip = [] } = {}) {
+        const [files, blobs, submissions] = await Promise.all([
+            this.db.query(MATERIAL_FILES_SQL),
+            this.db.query('SELECT hash, path, size, ref_count as refCount FROM file_blobs'),
+            this.db.query('SELECT file_path FROM assignment_submissions WHERE file_path IS NOT NULL')
+        ]);
+
+        return buildStorageReport({ files, blobs, otherPaths: submissions.map(row => row.file_path), skip });
+    }
+}
+
+module.exports = {
+    UploadStorage,
+    storageUsage
+};
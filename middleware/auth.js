@@ -1,5 +1,5 @@
 const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { users } = require('../repositories');
 
 // Verify JWT token
 const auth = async (req, res, next) => {
@@ -11,9 +11,10 @@ const auth = async (req, res, next) => {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId).select('-password');
+        const user = await users.findById(decoded.userId, { select: '-password' });
         
-        if (!user) {
+        // Tokens issued before a logout-all, password change or deactivation are rejected
+        if (!user || !user.isActive || (decoded.tv || 0) !== (user.tokenVersion || 0)) {
             return res.status(401).json({ message: 'Token is not valid' });
         }
 
@@ -24,14 +25,42 @@ const auth = async (req, res, next) => {
     }
 };
 
-// Check if user is teacher
+// What each role may do; admins can do everything teachers can plus manage other teachers' content
+const ROLE_PERMISSIONS = {
+    admin: ['content:manage', 'content:view-all', 'content:reassign', 'students:manage', 'teachers:manage'],
+    teacher: ['content:manage', 'students:manage'],
+    student: []
+};
+
+const hasPermission = (user, permission) => (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+
+// Allow only the given roles, e.g. requireRole('admin') or requireRole('teacher', 'admin')
+const requireRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ message: `Access denied. ${roles.join(' or ')} role required.` });
+    }
+    next();
+};
+
+// Allow users whose role grants the permission
+const requirePermission = (permission) => (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+        return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
+    }
+    next();
+};
+
+// Check if user is teacher (admins have every teacher permission)
 const isTeacher = (req, res, next) => {
-    if (req.user.role !== 'teacher') {
+    if (req.user.role !== 'teacher' && req.user.role !== 'admin') {
         return res.status(403).json({ message: 'Access denied. Teacher role required.' });
     }
     next();
 };
 
+// Check if user is admin
+const isAdmin = requireRole('admin');
+
 // Check if user is student
 const isStudent = (req, res, next) => {
     if (req.user.role !== 'student') {
@@ -40,4 +69,13 @@ const isStudent = (req, res, next) => {
     next();
 };
 
-module.exports = { auth, isTeacher, isStudent };
+module.exports = {
+    ROLE_PERMISSIONS,
+    auth,
+    hasPermission,
+    requireRole,
+    requirePermission,
+    isTeacher,
+    isAdmin,
+    isStudent
+};
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// An audit entry, e.g. a security event such as an account lockout. Shares the
+// activity_logs table with server-sqlite.js on the SQLite driver.
+const activityLogSchema = new mongoose.Schema({
+    // Empty for events with no account, e.g. a blocked IP address
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    action: {
+        type: String,
+        required: true
+    },
+    // 'security', 'material', 'session', ...
+    entityType: {
+        type: String
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    details: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    ipAddress: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+activityLogSchema.index({ user: 1 });
+activityLogSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model('ActivityLog', activityLogSchema);
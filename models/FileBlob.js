@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A stored upload, shared by every material with the same content (see utils/blobStore.js)
+const fileBlobSchema = new mongoose.Schema({
+    hash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    path: {
+        type: String,
+        required: true,
+        index: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    // Materials and material versions whose file this is
+    refCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('FileBlob', fileBlobSchema);
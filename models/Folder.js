@@ -62,6 +62,8 @@ const folderSchema = new mongoose.Schema({
         type: String,
         trim: true
     }],
+    // Set by the folders repository (repositories/entities.js), which also populates the
+    // folder's subfolders and materials
     path: {
         type: String,
         required: true
@@ -70,32 +72,4 @@ const folderSchema = new mongoose.Schema({
     timestamps: true
 });
 
-// Create path before saving
-folderSchema.pre('save', async function(next) {
-    if (this.parentFolder) {
-        const parent = await this.constructor.findById(this.parentFolder);
-        this.path = `${parent.path}/${this.name}`;
-    } else {
-        this.path = this.name;
-    }
-    next();
-});
-
-// Virtual for subfolders
-folderSchema.virtual('subfolders', {
-    ref: 'Folder',
-    localField: '_id',
-    foreignField: 'parentFolder'
-});
-
-// Virtual for materials
-folderSchema.virtual('materials', {
-    ref: 'Material',
-    localField: '_id',
-    foreignField: 'folder'
-});
-
-folderSchema.set('toJSON', { virtuals: true });
-folderSchema.set('toObject', { virtuals: true });
-
 module.exports = mongoose.model('Folder', folderSchema);
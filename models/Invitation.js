@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// A student invitation sent by a teacher. The student account is created when the
+// invitation is accepted, so no temporary password is ever generated or emailed.
+const invitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    grade: {
+        type: String,
+        enum: ['9', '10', '11', '12'],
+        required: true
+    },
+    program: {
+        type: String,
+        enum: ['EST', 'ACT', 'Both'],
+        required: true
+    },
+    message: {
+        type: String,
+        trim: true,
+        maxlength: 2000
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // HMAC of the emailed token (see utils/tokens.js)
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'revoked'],
+        default: 'pending'
+    },
+    sendCount: {
+        type: Number,
+        default: 1
+    },
+    lastSentAt: {
+        type: Date,
+        default: Date.now
+    },
+    acceptedAt: {
+        type: Date
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ invitedBy: 1, status: 1, expiresAt: 1 });
+
+// Expiry state and JSON output are added by the invitations repository (repositories/entities.js)
+
+module.exports = mongoose.model('Invitation', invitationSchema);
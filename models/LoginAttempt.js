@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A login attempt, used to throttle failures per IP address (see utils/loginThrottle.js)
+const loginAttemptSchema = new mongoose.Schema({
+    // Email as typed, even when no account matched
+    identifier: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    ipAddress: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    succeeded: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginAttemptSchema.index({ ipAddress: 1, createdAt: 1 });
+// MongoDB removes attempts after 30 days
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -30,6 +30,10 @@ const materialSchema = new mongoose.Schema({
     fileSize: {
         type: Number
     },
+    // SHA-256 of the file (see utils/blobStore.js)
+    contentHash: {
+        type: String
+    },
     url: {
         type: String,
         required: function() {
@@ -46,6 +50,11 @@ const materialSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    // Who uploaded it; differs from owner when a co-teacher uploads into a shared folder
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
     course: {
         type: String,
         enum: ['Biochemistry', 'Cell Biology', 'Animal Behavior', 'Evolution', 'Photosynthesis', 'Cell Division', 'Cell Respiration', 'General Biology'],
@@ -69,6 +78,58 @@ const materialSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Students the material was shared with directly
+    sharedWith: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        permission: {
+            type: String,
+            enum: ['read', 'write', 'admin'],
+            default: 'read'
+        }
+    }],
+    // The current file is version `version`; earlier files are kept in `versions`
+    version: {
+        type: Number,
+        default: 1
+    },
+    versionNote: {
+        type: String,
+        trim: true
+    },
+    fileUpdatedAt: {
+        type: Date
+    },
+    versions: [{
+        version: {
+            type: Number,
+            required: true
+        },
+        fileName: String,
+        filePath: String,
+        fileSize: Number,
+        contentHash: String,
+        uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        note: {
+            type: String,
+            trim: true
+        },
+        uploadedAt: Date
+    }],
+    // The version each user last downloaded, to tell students when it has been replaced
+    downloadedBy: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        version: Number,
+        downloadedAt: Date
+    }],
     downloadCount: {
         type: Number,
         default: 0
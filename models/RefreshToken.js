@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A refresh token issued at login. Each use replaces it with a new token in the same
+// family; presenting an already-used token revokes the whole family.
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // HMAC of the token handed to the client (see utils/tokens.js)
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    family: {
+        type: String,
+        required: true
+    },
+    // User.tokenVersion at issue time; bumping the user's version invalidates the token
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RefreshToken'
+    },
+    userAgent: {
+        type: String
+    },
+    ipAddress: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+// MongoDB removes tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
+
+// Password hashing, token invalidation and JSON output are handled by the users repository
+// (repositories/entities.js) so they behave the same on every database
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -21,7 +23,7 @@ const userSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['teacher', 'student'],
+        enum: ['teacher', 'student', 'admin'],
         default: 'student'
     },
     studentInfo: {
@@ -43,40 +45,56 @@ const userSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    phone: {
+        type: String,
+        trim: true
+    },
     isActive: {
         type: Boolean,
         default: true
     },
     lastLogin: {
         type: Date
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    // Only HMACs of emailed tokens are stored (see utils/tokens.js)
+    emailVerificationToken: String,
+    emailVerificationExpires: Date,
+    passwordResetToken: String,
+    passwordResetExpires: Date,
+    passwordChangedAt: Date,
+    // Included in access tokens; incrementing it signs the user out of every device
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    // Login throttling (see utils/loginThrottle.js): consecutive failures since the last
+    // login or lockout, and the end of a temporary lockout
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLogin: Date,
+    lockedUntil: Date,
+    // TOTP two-factor authentication (see utils/twoFactor.js)
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: String, // AES-GCM encrypted
+        lastUsedStep: Number, // prevents replaying a code
+        enabledAt: Date,
+        recoveryCodes: [{
+            codeHash: String,
+            usedAt: Date
+        }]
     }
 }, {
     timestamps: true
 });
 
-// Hash password before saving
-userSchema.pre('save', async function(next) {
-    if (!this.isModified('password')) return next();
-    
-    try {
-        const salt = await bcrypt.genSalt(10);
-        this.password = await bcrypt.hash(this.password, salt);
-        next();
-    } catch (error) {
-        next(error);
-    }
-});
-
-// Compare password method
-userSchema.methods.comparePassword = async function(candidatePassword) {
-    return await bcrypt.compare(candidatePassword, this.password);
-};
-
-// Remove password from JSON output
-userSchema.methods.toJSON = function() {
-    const user = this.toObject();
-    delete user.password;
-    return user;
-};
-
 module.exports = mongoose.model('User', userSchema);
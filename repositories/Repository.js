@@ -0,0 +1,283 @@
+// Storage-independent access to one collection. The adapter (./mongo or ./sqlite) does the
+// querying; this class adds what both share: population of references, change tracking for
+// save(), the entity hooks and JSON serialisation from ./entities.js.
+//
+// Records are plain objects with an `_id`. Queries use a subset of MongoDB's language:
+// equality, $in, $nin, $ne, $gt(e), $lt(e), $exists, $regex, $or, $and, $text, and dotted
+// paths into arrays ('sharedWith.user'); updates take plain fields, $set, $inc and $unset.
+
+// Copy of plain objects and arrays; other values (dates, ObjectIds) are shared
+function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+}
+
+// Call fn on every value at a dotted path, stepping into arrays along the way
+function visitPath(target, parts, fn) {
+    if (target === null || target === undefined) return;
+    if (Array.isArray(target)) {
+        target.forEach((item, index) => {
+            if (parts.length === 0) target[index] = fn(item);
+            else visitPath(item, parts, fn);
+        });
+        return;
+    }
+    const [head, ...rest] = parts;
+    if (rest.length === 0 && !Array.isArray(target[head])) {
+        if (target[head] !== undefined) target[head] = fn(target[head]);
+    } else {
+        visitPath(target[head], rest, fn);
+    }
+}
+
+// Only the listed fields ('name email', 'twoFactor.recoveryCodes') or all but some ('-password')
+function pick(record, select) {
+    if (!select) return record;
+    const paths = select.split(/\s+/).filter(Boolean);
+
+    if (paths.every(path => path.startsWith('-'))) {
+        for (const path of paths) {
+            const parts = path.slice(1).split('.');
+            const parent = parts.slice(0, -1).reduce((target, part) => target && target[part], record);
+            if (parent) delete parent[parts[parts.length - 1]];
+        }
+        return record;
+    }
+
+    const picked = { _id: record._id };
+    for (const path of paths) {
+        const parts = path.split('.');
+        let source = record;
+        let target = picked;
+        parts.forEach((part, index) => {
+            if (source === undefined || source === null) return;
+            if (index === parts.length - 1) {
+                if (source[part] !== undefined) target[part] = source[part];
+            } else {
+                target[part] = target[part] || {};
+                target = target[part];
+            }
+            source = source[part];
+        });
+    }
+    return picked;
+}
+
+const idOf = (value) => (value && typeof value === 'object' && value._id !== undefined ? value._id : value);
+
+class Repository {
+    constructor(name, entity, collection, registry) {
+        this.name = name;
+        this.entity = entity;
+        this.collection = collection;
+        this.registry = registry;
+        this.snapshots = new WeakMap();
+
+        for (const [method, fn] of Object.entries(entity.methods || {})) {
+            this[method] = fn.bind(this);
+        }
+    }
+
+    // Record with references reduced to ids, as stored
+    normalize(record) {
+        const copy = clone(record);
+        for (const path of Object.keys(this.entity.refs || {})) {
+            visitPath(copy, path.split('.'), idOf);
+        }
+        // Only stored fields count; virtuals and anything else set on the record are left out
+        for (const key of Object.keys(copy)) {
+            if (key === '_id' || !this.collection.fields.includes(key)) delete copy[key];
+        }
+        return copy;
+    }
+
+    remember(record) {
+        const stored = this.normalize(record);
+        this.snapshots.set(record, new Map(Object.entries(stored).map(([key, value]) => [key, JSON.stringify(value)])));
+    }
+
+    // Attach serialisation and remember the stored state so save() can find changes
+    track(record) {
+        const serialize = this.entity.serialize;
+        Object.defineProperty(record, 'toJSON', {
+            value() {
+                // Shallow, so populated records are serialised by their own toJSON
+                return serialize ? serialize({ ...this }) : { ...this };
+            },
+            enumerable: false,
+            configurable: true
+        });
+
+        this.remember(record);
+        return record;
+    }
+
+    // Fields changed since the record was loaded or last saved
+    changes(record) {
+        const snapshot = this.snapshots.get(record) || new Map();
+        const current = this.normalize(record);
+        const keys = new Set([...snapshot.keys(), ...Object.keys(current)]);
+        const changed = {};
+
+        for (const key of keys) {
+            if (JSON.stringify(current[key]) !== snapshot.get(key)) changed[key] = current[key];
+        }
+        return changed;
+    }
+
+    async find(filter = {}, { sort, skip, limit, select, populate } = {}) {
+        const records = (await this.collection.find(filter, { sort, skip, limit, select }))
+            .map(record => this.track(pick(record, select)));
+        if (populate) await this.populate(records, populate);
+        return records;
+    }
+
+    async findOne(filter = {}, options = {}) {
+        const [record] = await this.find(filter, { ...options, limit: 1 });
+        return record || null;
+    }
+
+    findById(id, options = {}) {
+        if (!this.registry.isValidId(id)) return Promise.resolve(null);
+        return this.findOne({ _id: id }, options);
+    }
+
+    count(filter = {}) {
+        return this.collection.count(filter);
+    }
+
+    distinct(path, filter = {}) {
+        return this.collection.distinct(path, filter);
+    }
+
+    // Totals per value of a field: group(filter, { by, count: 'count', sum: { views: 'viewCount' },
+    // avg: { attendance: { size: 'attendees' } }, sort: { _id: 1 } }). Besides a field, a total
+    // can be over an array's length ({ size: 'attendees' }) or the sum of a field of its elements
+    // ({ total: 'versions.fileSize' }).
+    group(filter = {}, spec = {}) {
+        return this.collection.group(filter, spec);
+    }
+
+    async create(data) {
+        const record = clone(data);
+        if (this.entity.beforeSave) {
+            await this.entity.beforeSave.call(this, record, { isNew: true, modified: new Set(Object.keys(record)) });
+        }
+        return this.track(await this.collection.insert(this.normalize(record)));
+    }
+
+    // Persist the changes made to a loaded record
+    async save(record) {
+        let changed = this.changes(record);
+        if (!Object.keys(changed).length) return record;
+
+        if (this.entity.beforeSave) {
+            await this.entity.beforeSave.call(this, record, { isNew: false, modified: new Set(Object.keys(changed)) });
+            changed = this.changes(record);
+        }
+
+        const $set = {};
+        const $unset = {};
+        for (const [key, value] of Object.entries(changed)) {
+            if (value === undefined) $unset[key] = 1;
+            else $set[key] = value;
+        }
+
+        const update = {};
+        if (Object.keys($set).length) update.$set = $set;
+        if (Object.keys($unset).length) update.$unset = $unset;
+        await this.collection.update({ _id: record._id }, update, { limit: 1 });
+
+        this.remember(record);
+        return record;
+    }
+
+    // Resolves to whether a record matched and was updated
+    async updateOne(filter, update) {
+        return (await this.collection.update(filter, update, { limit: 1 })).length > 0;
+    }
+
+    updateById(id, update) {
+        if (!this.registry.isValidId(id)) return Promise.resolve(false);
+        return this.updateOne({ _id: id }, update);
+    }
+
+    // Resolves to the number of records updated
+    async updateMany(filter, update) {
+        return (await this.collection.update(filter, update)).length;
+    }
+
+    // Update the first match and resolve to its new state, or null when nothing matched
+    async findOneAndUpdate(filter, update, options = {}) {
+        const [id] = await this.collection.update(filter, update, { limit: 1 });
+        return id === undefined ? null : this.findOne({ _id: id }, options);
+    }
+
+    async deleteById(id) {
+        if (!this.registry.isValidId(id)) return false;
+        return (await this.collection.remove({ _id: id })) > 0;
+    }
+
+    // Resolves to the number of records deleted
+    deleteMany(filter) {
+        return this.collection.remove(filter);
+    }
+
+    // Replace references with the referenced records, e.g.
+    // populate(materials, { owner: 'name email', folder: 'name path' }). Virtual lists
+    // (a folder's subfolders) are filled the same way.
+    async populate(records, spec) {
+        const list = Array.isArray(records) ? records : [records];
+        if (!list.length) return records;
+
+        for (const [path, select] of Object.entries(spec)) {
+            const virtual = this.entity.virtuals && this.entity.virtuals[path];
+            if (virtual) {
+                await this.populateVirtual(list, path, virtual, select);
+                continue;
+            }
+
+            const target = this.entity.refs && this.entity.refs[path];
+            if (!target) throw new Error(`${this.name}.${path} is not a reference`);
+
+            const ids = new Set();
+            for (const record of list) {
+                visitPath(record, path.split('.'), value => {
+                    if (value !== null && value !== undefined) ids.add(String(idOf(value)));
+                    return value;
+                });
+            }
+            if (!ids.size) continue;
+
+            const related = await this.registry[target].find(
+                { _id: { $in: [...ids] } },
+                { select: typeof select === 'string' ? select : undefined }
+            );
+            const byId = new Map(related.map(item => [String(item._id), item]));
+            for (const record of list) {
+                visitPath(record, path.split('.'), value => byId.get(String(idOf(value))) || null);
+            }
+        }
+
+        return records;
+    }
+
+    async populateVirtual(list, path, { repository, foreignField }, select) {
+        // The records are matched up by foreignField, so a list of fields has to include it
+        let fields = typeof select === 'string' ? select : undefined;
+        if (fields && !fields.split(/\s+/).some(field => field.startsWith('-'))) fields = `${fields} ${foreignField}`;
+
+        const related = await this.registry[repository].find(
+            { [foreignField]: { $in: list.map(record => record._id) } },
+            { select: fields }
+        );
+        for (const record of list) {
+            record[path] = related.filter(item => String(idOf(item[foreignField])) === String(record._id));
+        }
+    }
+}
+
+module.exports = Repository;
@@ -0,0 +1,143 @@
+// What every storage adapter shares per collection: references (for populate), derived
+// lists, hooks run before a record is stored and how records are serialised to JSON.
+const bcrypt = require('bcryptjs');
+
+const users = {
+    refs: {},
+
+    async beforeSave(user, { isNew, modified }) {
+        // Changing the password or deactivating the account invalidates existing tokens
+        if (!isNew && (modified.has('password') || (modified.has('isActive') && !user.isActive))) {
+            user.tokenVersion = (user.tokenVersion || 0) + 1;
+        }
+
+        if (modified.has('password') && user.password) {
+            user.password = await bcrypt.hash(user.password, 10);
+            if (!isNew) user.passwordChangedAt = new Date();
+        }
+    },
+
+    // Secrets never leave the server
+    serialize(user) {
+        delete user.password;
+        delete user.emailVerificationToken;
+        delete user.passwordResetToken;
+        if (user.twoFactor) {
+            user.twoFactor = { enabled: user.twoFactor.enabled, enabledAt: user.twoFactor.enabledAt };
+        }
+        return user;
+    },
+
+    methods: {
+        // The user record must have been loaded with its password
+        comparePassword(user, candidatePassword) {
+            return bcrypt.compare(candidatePassword, user.password || '');
+        }
+    }
+};
+
+const folders = {
+    refs: {
+        owner: 'users',
+        parentFolder: 'folders',
+        'sharedWith.user': 'users'
+    },
+
+    virtuals: {
+        subfolders: { repository: 'folders', foreignField: 'parentFolder' },
+        materials: { repository: 'materials', foreignField: 'folder' }
+    },
+
+    // The path is the names of the folder and its ancestors, e.g. "Cell Biology/Mitosis"
+    async beforeSave(folder) {
+        const parent = folder.parentFolder && await this.findById(folder.parentFolder._id || folder.parentFolder);
+        folder.path = parent ? `${parent.path}/${folder.name}` : folder.name;
+    },
+
+    serialize(folder) {
+        folder.id = String(folder._id);
+        return folder;
+    }
+};
+
+const materials = {
+    refs: {
+        owner: 'users',
+        folder: 'folders',
+        uploadedBy: 'users',
+        'sharedWith.user': 'users',
+        'versions.uploadedBy': 'users',
+        'downloadedBy.user': 'users'
+    },
+
+    // Who downloaded what is kept for the updated flag (routes/materials.js), not shown
+    serialize(material) {
+        delete material.downloadedBy;
+        return material;
+    }
+};
+
+const sessions = {
+    refs: {
+        teacher: 'users',
+        materials: 'materials',
+        'attendees.student': 'users'
+    }
+};
+
+const invitations = {
+    refs: {
+        invitedBy: 'users',
+        user: 'users'
+    },
+
+    // Pending invitations past their expiry are reported as expired
+    serialize(invitation) {
+        delete invitation.tokenHash;
+        invitation.isExpired = invitation.status === 'pending' && invitation.expiresAt < new Date();
+        invitation.state = invitation.isExpired ? 'expired' : invitation.status;
+        return invitation;
+    }
+};
+
+const refreshTokens = {
+    refs: {
+        user: 'users',
+        replacedBy: 'refreshTokens'
+    },
+
+    methods: {
+        // Revoke every outstanding refresh token for a user
+        revokeAllForUser(userId) {
+            return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+        }
+    }
+};
+
+const loginAttempts = {
+    refs: {
+        user: 'users'
+    }
+};
+
+const activityLogs = {
+    refs: {
+        user: 'users'
+    }
+};
+
+const blobs = {
+    refs: {}
+};
+
+module.exports = {
+    users,
+    folders,
+    materials,
+    sessions,
+    invitations,
+    refreshTokens,
+    loginAttempts,
+    activityLogs,
+    blobs
+};
@@ -0,0 +1,37 @@
+// Storage for the routes in routes/, on MongoDB or SQLite depending on DB_DRIVER
+// ('mongo' by default, or 'sqlite' to share the database of server-sqlite.js)
+const Repository = require('./Repository');
+const entities = require('./entities');
+
+const DB_DRIVER = (process.env.DB_DRIVER || 'mongo').toLowerCase();
+const DRIVERS = {
+    mongo: () => require('./mongo'),
+    sqlite: () => require('./sqlite')
+};
+
+if (!DRIVERS[DB_DRIVER]) {
+    throw new Error(`Unknown DB_DRIVER "${DB_DRIVER}", expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+}
+
+const adapter = DRIVERS[DB_DRIVER]();
+
+// Whether two ids (or records, or populated references) refer to the same record
+const sameId = (a, b) => {
+    const idOf = (value) => (value && value._id !== undefined ? value._id : value);
+    return Boolean(a && b) && idOf(a).toString() === idOf(b).toString();
+};
+
+const repositories = {
+    driver: adapter.name,
+    connect: adapter.connect,
+    disconnect: adapter.disconnect,
+    isValidId: adapter.isValidId,
+    sameId
+};
+
+for (const [name, entity] of Object.entries(entities)) {
+    const methods = { ...entity.methods, ...adapter.methods[name] };
+    repositories[name] = new Repository(name, { ...entity, methods }, adapter.createCollection(name), repositories);
+}
+
+module.exports = repositories;
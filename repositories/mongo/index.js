@@ -0,0 +1,118 @@
+// MongoDB storage adapter: each collection wraps its Mongoose model and returns plain objects
+const mongoose = require('mongoose');
+
+const MODELS = {
+    users: () => require('../../models/User'),
+    folders: () => require('../../models/Folder'),
+    materials: () => require('../../models/Material'),
+    sessions: () => require('../../models/ZoomSession'),
+    invitations: () => require('../../models/Invitation'),
+    refreshTokens: () => require('../../models/RefreshToken'),
+    loginAttempts: () => require('../../models/LoginAttempt'),
+    activityLogs: () => require('../../models/ActivityLog'),
+    blobs: () => require('../../models/FileBlob')
+};
+
+function connect() {
+    return mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/bio-teaching-platform', {
+        useNewUrlParser: true,
+        useUnifiedTopology: true
+    });
+}
+
+function disconnect() {
+    return mongoose.disconnect();
+}
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const toPlain = (doc) => doc.toObject({ virtuals: false, depopulate: true, versionKey: false });
+
+function createCollection(name) {
+    const Model = MODELS[name]();
+
+    // Top-level fields of stored records
+    const fields = [...new Set(Object.keys(Model.schema.paths).map(path => path.split('.')[0]))]
+        .filter(field => field !== '_id' && field !== '__v');
+
+    // Aggregation pipelines don't cast their $match stage the way queries do
+    const cast = (filter) => Model.where(filter).cast(Model);
+
+    async function find(filter = {}, { sort, skip, limit, select } = {}) {
+        const query = Model.find(filter);
+        if (sort) query.sort(sort);
+        if (skip) query.skip(skip);
+        if (limit) query.limit(limit);
+        if (select) query.select(select);
+        return query.lean();
+    }
+
+    const count = (filter = {}) => Model.countDocuments(filter);
+
+    async function insert(record) {
+        return toPlain(await Model.create(record));
+    }
+
+    async function update(filter, changes, { limit } = {}) {
+        const options = { runValidators: true };
+        if (limit === 1) {
+            const updated = await Model.findOneAndUpdate(filter, changes, { ...options, new: true }).select('_id').lean();
+            return updated ? [updated._id] : [];
+        }
+
+        const ids = (await Model.find(filter).select('_id').lean()).map(doc => doc._id);
+        if (!ids.length) return [];
+        await Model.updateMany({ ...filter, _id: { $in: ids } }, changes, options);
+        return ids;
+    }
+
+    async function remove(filter = {}) {
+        const result = await Model.deleteMany(filter);
+        return result.deletedCount;
+    }
+
+    const distinct = (path, filter = {}) => Model.distinct(path, filter);
+
+    async function group(filter = {}, { by = null, count: countAs, sum = {}, avg = {}, sort } = {}) {
+        const operand = (field) => {
+            if (typeof field === 'string') return `$${field}`;
+            if (field.size) return { $size: { $ifNull: [`$${field.size}`, []] } };
+            return { $sum: `$${field.total}` };
+        };
+
+        const stage = { _id: by ? `$${by}` : null };
+        if (countAs) stage[countAs] = { $sum: 1 };
+        for (const [key, field] of Object.entries(sum)) stage[key] = { $sum: operand(field) };
+        for (const [key, field] of Object.entries(avg)) stage[key] = { $avg: operand(field) };
+
+        const pipeline = [{ $match: cast(filter) }, { $group: stage }];
+        if (sort) pipeline.push({ $sort: sort });
+        return Model.aggregate(pipeline);
+    }
+
+    return { fields, find, count, insert, update, remove, distinct, group };
+}
+
+// Collection-specific operations that don't fit the generic query language
+const methods = {
+    users: {
+        // Mark an unused recovery code as used; resolves to whether one was
+        async useRecoveryCode(userId, codeHash) {
+            const User = MODELS.users();
+            const result = await User.updateOne(
+                { _id: userId, 'twoFactor.recoveryCodes': { $elemMatch: { codeHash, usedAt: null } } },
+                { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+            );
+            return result.modifiedCount > 0;
+        }
+    }
+};
+
+module.exports = {
+    name: 'mongo',
+    connect,
+    disconnect,
+    isValidId,
+    createCollection,
+    methods
+};
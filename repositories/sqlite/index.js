@@ -0,0 +1,245 @@
+// SQLite storage adapter: the same collections as the Mongo adapter, kept in the tables that
+// server-sqlite.js uses (see ./tables.js for the mapping)
+const DatabaseManager = require('../../database/init');
+const TABLES = require('./tables');
+const {
+    toSql,
+    fromSql,
+    columnExpression,
+    compileFilter,
+    compileSort,
+    compileUpdate,
+    compileInsert
+} = require('./query');
+
+const db = new DatabaseManager(process.env.SQLITE_DB_PATH);
+
+// Connects and applies pending migrations, as server-sqlite.js does on start
+function connect() {
+    return db.initialize();
+}
+
+function disconnect() {
+    return db.close();
+}
+
+const isValidId = (id) => /^\d+$/.test(String(id));
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+function setPath(record, path, value) {
+    const parts = path.split('.');
+    let target = record;
+    for (const part of parts.slice(0, -1)) {
+        if (!target[part]) target[part] = {};
+        target = target[part];
+    }
+    if (value !== undefined) target[parts[parts.length - 1]] = value;
+}
+
+function createCollection(name) {
+    const definition = TABLES[name];
+    if (!definition) throw new Error(`No SQLite table for ${name}`);
+
+    const { table, fields } = definition;
+    const lists = definition.lists || {};
+    // Top-level fields of stored records
+    const storedFields = [...new Set([...Object.keys(fields), ...Object.keys(lists)].map(path => path.split('.')[0]))];
+    const selectColumns = [
+        `${table}.id AS _id`,
+        ...Object.entries(fields).map(([path, spec]) => `${columnExpression(table, spec)} AS "${path}"`)
+    ].join(', ');
+
+    function toRecord(row) {
+        const record = { _id: row._id };
+        for (const [path, spec] of Object.entries(fields)) setPath(record, path, fromSql(spec, row[path]));
+        for (const path of Object.keys(lists)) setPath(record, path, []);
+        return record;
+    }
+
+    // Fill the array fields of `records` from their child tables
+    async function loadLists(records) {
+        if (!records.length) return;
+        const byId = new Map(records.map(record => [record._id, record]));
+        const ids = [...byId.keys()];
+
+        for (const [path, list] of Object.entries(lists)) {
+            const specs = list.fields || { value: list.value };
+            const columns = Object.entries(specs).map(([field, spec]) => `${spec.column} AS "${field}"`);
+            const rows = await db.query(
+                `SELECT id, ${list.key} AS parent, ${columns.join(', ')} FROM ${list.table}
+                 WHERE ${list.key} IN (${placeholders(ids)}) ORDER BY id`,
+                ids
+            );
+
+            for (const row of rows) {
+                const item = list.fields
+                    ? Object.fromEntries([['_id', row.id], ...Object.entries(specs).map(([field, spec]) => [field, fromSql(spec, row[field])])])
+                    : fromSql(list.value, row.value);
+                path.split('.').reduce((target, part) => target[part], byId.get(row.parent)).push(item);
+            }
+        }
+    }
+
+    // Replace the child rows of `id` for each rewritten list
+    async function writeLists(id, values) {
+        for (const [path, items] of values) {
+            const list = lists[path];
+            await db.run(`DELETE FROM ${list.table} WHERE ${list.key} = ?`, [id]);
+
+            const specs = list.fields || { value: list.value };
+            const copy = Object.entries(list.copy || {});
+            for (const item of items) {
+                const columns = [list.key];
+                const params = [id];
+                if (list.fields && item._id !== undefined && isValidId(item._id)) {
+                    columns.push('id');
+                    params.push(Number(item._id));
+                }
+                for (const [field, spec] of Object.entries(specs)) {
+                    columns.push(spec.column);
+                    params.push(toSql(spec, list.fields ? item[field] : item));
+                }
+                await db.run(
+                    `INSERT INTO ${list.table} (${[...columns, ...copy.map(([column]) => column)].join(', ')})
+                     SELECT ${[placeholders(params), ...copy.map(([, source]) => source)].join(', ')} FROM ${table} WHERE id = ?`,
+                    [...params, id]
+                );
+            }
+        }
+    }
+
+    async function find(filter = {}, { sort, skip, limit } = {}) {
+        const params = [];
+        const where = compileFilter(definition, filter, params);
+        let sql = `SELECT ${selectColumns} FROM ${table} WHERE ${where}${compileSort(definition, sort)}`;
+        if (limit || skip) {
+            sql += ' LIMIT ? OFFSET ?';
+            params.push(limit || -1, skip || 0);
+        }
+
+        const records = (await db.query(sql, params)).map(toRecord);
+        await loadLists(records);
+        return records;
+    }
+
+    async function count(filter = {}) {
+        const params = [];
+        const row = await db.get(`SELECT COUNT(*) AS count FROM ${table} WHERE ${compileFilter(definition, filter, params)}`, params);
+        return row.count;
+    }
+
+    async function insert(record) {
+        const { columns, values, params, lists: listValues } = compileInsert(definition, record);
+        const result = await db.run(
+            `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${values.join(', ')})`,
+            params
+        );
+        await writeLists(result.id, listValues);
+        const [created] = await find({ _id: result.id });
+        return created;
+    }
+
+    // Apply `update` to the rows matching `filter` (at most `limit`); resolves to the updated ids
+    async function update(filter, changes, { limit } = {}) {
+        const whereParams = [];
+        const where = compileFilter(definition, filter, whereParams);
+        let ids = (await db.query(
+            `SELECT id FROM ${table} WHERE ${where}${limit ? ` LIMIT ${Number(limit)}` : ''}`,
+            whereParams
+        )).map(row => row.id);
+        if (!ids.length) return [];
+
+        const { sets, params, lists: listValues } = compileUpdate(definition, changes);
+        if (sets.length) {
+            // The filter is checked again so that two concurrent claims can't both succeed
+            const result = await db.run(
+                `UPDATE ${table} SET ${sets.join(', ')} WHERE id IN (${placeholders(ids)}) AND ${where}`,
+                [...params, ...ids, ...whereParams]
+            );
+            if (!result.changes) return [];
+            if (result.changes < ids.length) ids = ids.slice(0, result.changes);
+        }
+
+        for (const id of ids) await writeLists(id, listValues);
+        return ids;
+    }
+
+    async function remove(filter = {}) {
+        const params = [];
+        const result = await db.run(`DELETE FROM ${table} WHERE ${compileFilter(definition, filter, params)}`, params);
+        return result.changes;
+    }
+
+    async function distinct(path, filter = {}) {
+        const spec = fields[path];
+        if (!spec) throw new Error(`Unsupported field: ${path}`);
+        const params = [];
+        const expression = columnExpression(table, spec);
+        const rows = await db.query(
+            `SELECT DISTINCT ${expression} AS value FROM ${table}
+             WHERE ${compileFilter(definition, filter, params)} AND ${expression} IS NOT NULL`,
+            params
+        );
+        return rows.map(row => fromSql(spec, row.value));
+    }
+
+    // Counts, sums and averages per value of `by` (or over everything when `by` is null)
+    async function group(filter = {}, { by = null, count: countAs, sum = {}, avg = {}, sort } = {}) {
+        const operand = (field) => {
+            if (typeof field === 'string') return columnExpression(table, fields[field]);
+            if (field.size) {
+                const list = lists[field.size];
+                return `(SELECT COUNT(*) FROM ${list.table} WHERE ${list.table}.${list.key} = ${table}.id)`;
+            }
+            const [listPath, key] = field.total.split('.');
+            const list = lists[listPath];
+            const column = columnExpression(list.table, list.fields[key]);
+            return `(SELECT COALESCE(SUM(${column}), 0) FROM ${list.table} WHERE ${list.table}.${list.key} = ${table}.id)`;
+        };
+        const byExpression = by ? columnExpression(table, fields[by]) : 'NULL';
+
+        const columns = [`${byExpression} AS "_id"`, 'COUNT(*) AS "$rows"'];
+        if (countAs) columns.push(`COUNT(*) AS "${countAs}"`);
+        for (const [name, field] of Object.entries(sum)) columns.push(`COALESCE(SUM(${operand(field)}), 0) AS "${name}"`);
+        for (const [name, field] of Object.entries(avg)) columns.push(`AVG(${operand(field)}) AS "${name}"`);
+
+        const params = [];
+        let sql = `SELECT ${columns.join(', ')} FROM ${table} WHERE ${compileFilter(definition, filter, params)}`;
+        if (by) sql += ` GROUP BY ${byExpression}`;
+        const order = Object.entries(sort || {}).map(([name, direction]) => `"${name}" ${direction < 0 ? 'DESC' : 'ASC'}`);
+        if (order.length) sql += ` ORDER BY ${order.join(', ')}`;
+
+        // Like MongoDB, grouping nothing gives no groups rather than one empty one
+        return (await db.query(sql, params))
+            .filter(row => row.$rows > 0)
+            .map(({ $rows, _id, ...totals }) => ({ _id: by ? fromSql(fields[by], _id) : null, ...totals }));
+    }
+
+    return { fields: storedFields, find, count, insert, update, remove, distinct, group };
+}
+
+// Collection-specific operations that don't fit the generic query language
+const methods = {
+    users: {
+        // Mark an unused recovery code as used; resolves to whether one was
+        async useRecoveryCode(userId, codeHash) {
+            const result = await db.run(
+                `UPDATE two_factor_recovery_codes SET used_at = ?
+                 WHERE id = (SELECT id FROM two_factor_recovery_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL LIMIT 1)`,
+                [toSql({ type: 'date' }, new Date()), userId, codeHash]
+            );
+            return result.changes > 0;
+        }
+    }
+};
+
+module.exports = {
+    name: 'sqlite',
+    db,
+    connect,
+    disconnect,
+    isValidId,
+    createCollection,
+    methods
+};
@@ -0,0 +1,327 @@
+// Translates the repository query language (a subset of MongoDB's filters, sorts and update
+// operators) into SQL for the tables described in ./tables.js.
+const { toFtsQuery } = require('../../database/search');
+
+const COMPARISONS = { $eq: '=', $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+
+const toSqlDateTime = (value) => new Date(value).toISOString().slice(0, 19).replace('T', ' ');
+
+// DATETIME columns hold UTC 'YYYY-MM-DD HH:MM:SS'; DATE columns just the day
+function fromSqlDateTime(value) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(`${value}T00:00:00Z`);
+    if (value.includes('T')) return new Date(value);
+    return new Date(value.replace(' ', 'T') + 'Z');
+}
+
+const isOperatorObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && Object.keys(value).some(key => key.startsWith('$'));
+
+// Convert a record value to what is stored in the column
+function toSql(spec, value) {
+    if (value === undefined || value === null) return null;
+
+    switch (spec.type) {
+        case 'id': {
+            const id = value._id !== undefined ? value._id : value;
+            return /^\d+$/.test(String(id)) ? Number(id) : String(id);
+        }
+        case 'boolean': return value ? 1 : 0;
+        case 'date': return toSqlDateTime(value);
+        case 'json': return JSON.stringify(value);
+        case 'number': return Number(value);
+        default: return value;
+    }
+}
+
+// Convert a column value back to a record value
+function fromSql(spec, value) {
+    if (value === undefined || value === null) {
+        if (spec.default !== undefined) return JSON.parse(JSON.stringify(spec.default));
+        return spec.type === 'boolean' ? false : undefined;
+    }
+
+    switch (spec.type) {
+        case 'boolean': return Boolean(value);
+        case 'date': return fromSqlDateTime(value);
+        case 'json':
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return spec.default !== undefined ? JSON.parse(JSON.stringify(spec.default)) : undefined;
+            }
+        default: return value;
+    }
+}
+
+// SQL expression that reads a field; course names live in the courses table
+function columnExpression(table, spec) {
+    if (spec.type === 'course') return `(SELECT name FROM courses WHERE courses.id = ${table}.${spec.column})`;
+    return `${table}.${spec.column}`;
+}
+
+// Placeholder that writes a field
+const placeholder = (spec) => (spec.type === 'course' ? '(SELECT id FROM courses WHERE name = ?)' : '?');
+
+// Case-insensitive substring regular expressions (as built for search boxes) become LIKE
+function likePattern(regex) {
+    let source = regex instanceof RegExp ? regex.source : String(regex);
+    const anchoredStart = source.startsWith('^');
+    const anchoredEnd = source.endsWith('$') && !source.endsWith('\\$');
+    if (anchoredStart) source = source.slice(1);
+    if (anchoredEnd) source = source.slice(0, -1);
+
+    if (/(^|[^\\])[.*+?()[\]{}|^$]/.test(source)) {
+        throw new Error(`Unsupported regular expression: ${source}`);
+    }
+
+    const literal = source.replace(/\\(.)/g, '$1').replace(/[\\%_]/g, '\\$&');
+    return `${anchoredStart ? '' : '%'}${literal}${anchoredEnd ? '' : '%'}`;
+}
+
+function compileCondition(expression, spec, value, params) {
+    if (value instanceof RegExp) {
+        params.push(likePattern(value));
+        return `${expression} LIKE ? ESCAPE '\\'`;
+    }
+
+    if (!isOperatorObject(value)) {
+        if (value === null || value === undefined) return `${expression} IS NULL`;
+        params.push(toSql(spec, value));
+        return `${expression} = ?`;
+    }
+
+    const clauses = Object.entries(value).map(([operator, operand]) => {
+        if (COMPARISONS[operator]) {
+            if (operand === null) return operator === '$eq' ? `${expression} IS NULL` : '0';
+            params.push(toSql(spec, operand));
+            return `${expression} ${COMPARISONS[operator]} ?`;
+        }
+
+        switch (operator) {
+            case '$ne':
+                if (operand === null || operand === undefined) return `${expression} IS NOT NULL`;
+                params.push(toSql(spec, operand));
+                return `(${expression} IS NULL OR ${expression} != ?)`;
+            case '$in':
+            case '$nin': {
+                const values = operand.filter(item => item !== null && item !== undefined);
+                const hasNull = values.length < operand.length;
+                params.push(...values.map(item => toSql(spec, item)));
+                const list = values.length ? `${expression} IN (${values.map(() => '?').join(', ')})` : '0';
+                const matches = hasNull ? `(${list} OR ${expression} IS NULL)` : list;
+                return operator === '$in' ? matches : `NOT COALESCE(${matches}, 0)`;
+            }
+            case '$exists':
+                return operand ? `${expression} IS NOT NULL` : `${expression} IS NULL`;
+            case '$regex':
+                params.push(likePattern(operand));
+                return `${expression} LIKE ? ESCAPE '\\'`;
+            case '$options':
+                return '1';
+            default:
+                throw new Error(`Unsupported filter operator: ${operator}`);
+        }
+    });
+
+    return clauses.length === 1 ? clauses[0] : `(${clauses.join(' AND ')})`;
+}
+
+// The list a path points into, e.g. 'sharedWith.user' -> sharedWith / user
+function findList(definition, path) {
+    for (const [listPath, list] of Object.entries(definition.lists || {})) {
+        if (path === listPath && list.value) return { list, spec: list.value };
+        if (path.startsWith(`${listPath}.`) && list.fields) {
+            const spec = list.fields[path.slice(listPath.length + 1)];
+            if (spec) return { list, spec };
+        }
+    }
+    return null;
+}
+
+// Lists of plain values kept as a JSON array in one column (tags)
+const isJsonList = (spec) => spec.type === 'json' && Array.isArray(spec.default);
+
+// A value, $in or $nin matches a JSON array by its elements, as MongoDB matches arrays
+function compileJsonListCondition(table, spec, value, params) {
+    const elements = (operator, values) => {
+        params.push(...values);
+        const list = values.length ? `value IN (${values.map(() => '?').join(', ')})` : '0';
+        return `${operator} (SELECT 1 FROM json_each(COALESCE(${table}.${spec.column}, '[]')) WHERE ${list})`;
+    };
+
+    if (value === null) return compileCondition(columnExpression(table, spec), spec, value, params);
+    if (!isOperatorObject(value)) return elements('EXISTS', [value]);
+
+    const operators = Object.keys(value);
+    if (operators.length === 1 && operators[0] === '$in') return elements('EXISTS', value.$in);
+    if (operators.length === 1 && operators[0] === '$nin') return elements('NOT EXISTS', value.$nin);
+    return compileCondition(columnExpression(table, spec), spec, value, params);
+}
+
+function compilePath(definition, path, value, params) {
+    const { table } = definition;
+
+    if (path === '_id') return compileCondition(`${table}.id`, { type: 'id' }, value, params);
+
+    const spec = definition.fields[path];
+    if (spec && isJsonList(spec) && !Array.isArray(value)) return compileJsonListCondition(table, spec, value, params);
+    if (spec) return compileCondition(columnExpression(table, spec), spec, value, params);
+
+    // Array fields match when any element does
+    const match = findList(definition, path);
+    if (match) {
+        const { list, spec: itemSpec } = match;
+        const condition = compileCondition(`${list.table}.${itemSpec.column}`, itemSpec, value, params);
+        return `${table}.id IN (SELECT ${list.table}.${list.key} FROM ${list.table} WHERE ${condition})`;
+    }
+
+    throw new Error(`Unsupported filter field: ${path}`);
+}
+
+// $text: a match in the table's FTS5 index when it has one, otherwise LIKE on its search columns
+function compileTextSearch(definition, search, params) {
+    if (definition.textIndex) {
+        const ftsQuery = toFtsQuery(search);
+        if (!ftsQuery) return '1';
+        params.push(ftsQuery);
+        return `${definition.table}.id IN (SELECT rowid FROM ${definition.textIndex} WHERE ${definition.textIndex} MATCH ?)`;
+    }
+
+    const columns = definition.search || [];
+    const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+    params.push(...columns.map(() => pattern));
+    return `(${columns.map(column => `${definition.table}.${column} LIKE ? ESCAPE '\\'`).join(' OR ') || '0'})`;
+}
+
+// WHERE clause for a filter; values are appended to `params`
+function compileFilter(definition, filter = {}, params = []) {
+    const clauses = [];
+
+    for (const [key, value] of Object.entries(filter)) {
+        if (value === undefined) continue;
+
+        if (key === '$or' || key === '$and') {
+            const parts = value.map(part => `(${compileFilter(definition, part, params)})`);
+            if (!parts.length) clauses.push(key === '$or' ? '0' : '1');
+            else clauses.push(`(${parts.join(key === '$or' ? ' OR ' : ' AND ')})`);
+        } else if (key === '$text') {
+            clauses.push(compileTextSearch(definition, value.$search, params));
+        } else {
+            clauses.push(compilePath(definition, key, value, params));
+        }
+    }
+
+    return clauses.length ? clauses.join(' AND ') : '1';
+}
+
+// ORDER BY clause; text-score sorts have no SQLite equivalent and are skipped
+function compileSort(definition, sort = {}) {
+    const terms = Object.entries(sort)
+        .filter(([, direction]) => typeof direction === 'number')
+        .map(([path, direction]) => {
+            const expression = path === '_id'
+                ? `${definition.table}.id`
+                : columnExpression(definition.table, definition.fields[path] || {});
+            if (path !== '_id' && !definition.fields[path]) throw new Error(`Unsupported sort field: ${path}`);
+            return `${expression} ${direction < 0 ? 'DESC' : 'ASC'}`;
+        });
+
+    return terms.length ? ` ORDER BY ${terms.join(', ')}` : '';
+}
+
+// Spread a value set at `path` over the columns and lists below it, e.g. setting
+// 'studentInfo' writes grade, program and enrollment_date
+function flattenValue(definition, path, value, out, { skipUndefined = false } = {}) {
+    if (value === undefined && skipUndefined) return;
+
+    const spec = definition.fields[path];
+    if (spec) {
+        if (!spec.readOnly) out.columns.set(path, value === undefined ? null : value);
+        return;
+    }
+
+    const lists = definition.lists || {};
+    if (lists[path]) {
+        out.lists.set(path, value || []);
+        return;
+    }
+
+    const prefix = `${path}.`;
+    const nested = [...Object.keys(definition.fields), ...Object.keys(lists)].filter(key => key.startsWith(prefix));
+    if (!nested.length) throw new Error(`Unsupported field: ${path}`);
+
+    const children = new Set(nested.map(key => key.slice(prefix.length).split('.')[0]));
+    for (const child of children) {
+        const childValue = value === null || value === undefined ? value : value[child];
+        flattenValue(definition, `${prefix}${child}`, childValue, out, { skipUndefined });
+    }
+}
+
+// SET clause and list rewrites for a repository update ({ field: value, $set, $inc, $unset })
+function compileUpdate(definition, update) {
+    const out = { columns: new Map(), lists: new Map() };
+    const increments = [];
+
+    for (const [key, value] of Object.entries(update)) {
+        if (key === '$set') {
+            for (const [path, item] of Object.entries(value)) flattenValue(definition, path, item, out);
+        } else if (key === '$unset') {
+            for (const path of Object.keys(value)) flattenValue(definition, path, null, out);
+        } else if (key === '$inc') {
+            for (const [path, amount] of Object.entries(value)) {
+                const spec = definition.fields[path];
+                if (!spec) throw new Error(`Unsupported field: ${path}`);
+                increments.push([spec, amount]);
+            }
+        } else if (key.startsWith('$')) {
+            throw new Error(`Unsupported update operator: ${key}`);
+        } else {
+            flattenValue(definition, key, value, out);
+        }
+    }
+
+    const sets = [];
+    const params = [];
+    for (const [path, value] of out.columns) {
+        const spec = definition.fields[path];
+        sets.push(`${spec.column} = ${value === null ? '?' : placeholder(spec)}`);
+        params.push(toSql(spec, value));
+    }
+    for (const [spec, amount] of increments) {
+        sets.push(`${spec.column} = COALESCE(${spec.column}, 0) + ?`);
+        params.push(Number(amount));
+    }
+
+    return { sets, params, lists: out.lists };
+}
+
+// Columns and placeholders for inserting a new record
+function compileInsert(definition, record) {
+    const out = { columns: new Map(), lists: new Map() };
+    for (const [key, value] of Object.entries(record)) {
+        if (key === '_id') continue;
+        flattenValue(definition, key, value, out, { skipUndefined: true });
+    }
+
+    const columns = [];
+    const values = [];
+    const params = [];
+    for (const [path, value] of out.columns) {
+        const spec = definition.fields[path];
+        columns.push(spec.column);
+        values.push(value === null ? '?' : placeholder(spec));
+        params.push(toSql(spec, value));
+    }
+
+    return { columns, values, params, lists: out.lists };
+}
+
+module.exports = {
+    toSql,
+    fromSql,
+    columnExpression,
+    compileFilter,
+    compileSort,
+    compileUpdate,
+    compileInsert
+};
@@ -0,0 +1,290 @@
+// How each repository maps onto the SQLite schema (database/migrations).
+//
+// `fields` maps a record path (dotted for nested objects, e.g. 'studentInfo.grade') to a
+// column, either by name or as { column, type, default }. Types: string (default), number,
+// boolean, date, id (a reference to another row), course (course name <-> courses.id) and json.
+// `lists` maps array paths onto child tables keyed by `key`; a list either has `fields`
+// (array of objects) or a single `value` column (array of ids). `copy` fills child columns
+// from the parent row, e.g. the NOT NULL shared_by of a share is the folder's owner.
+// `search` lists the columns a $text query matches against, or `textIndex` names the
+// table's FTS5 index (see database/search.js).
+
+const timestamps = {
+    createdAt: { column: 'created_at', type: 'date', readOnly: true },
+    updatedAt: { column: 'updated_at', type: 'date', readOnly: true }
+};
+
+const TABLES = {
+    users: {
+        table: 'users',
+        fields: {
+            name: 'name',
+            email: 'email',
+            password: 'password_hash',
+            role: 'role',
+            avatar: 'avatar',
+            phone: 'phone',
+            'studentInfo.grade': 'grade',
+            'studentInfo.program': 'program',
+            'studentInfo.enrollmentDate': { column: 'enrollment_date', type: 'date' },
+            isActive: { column: 'is_active', type: 'boolean' },
+            lastLogin: { column: 'last_login', type: 'date' },
+            emailVerified: { column: 'email_verified', type: 'boolean' },
+            emailVerificationToken: 'email_verification_token',
+            emailVerificationExpires: { column: 'email_verification_expires', type: 'date' },
+            passwordResetToken: 'password_reset_token',
+            passwordResetExpires: { column: 'password_reset_expires', type: 'date' },
+            passwordChangedAt: { column: 'password_changed_at', type: 'date' },
+            tokenVersion: { column: 'token_version', type: 'number' },
+            failedLoginAttempts: { column: 'failed_login_attempts', type: 'number' },
+            lastFailedLogin: { column: 'last_failed_login', type: 'date' },
+            lockedUntil: { column: 'locked_until', type: 'date' },
+            'twoFactor.enabled': { column: 'two_factor_enabled', type: 'boolean' },
+            'twoFactor.secret': 'two_factor_secret',
+            'twoFactor.lastUsedStep': { column: 'two_factor_last_step', type: 'number' },
+            'twoFactor.enabledAt': { column: 'two_factor_enabled_at', type: 'date' },
+            ...timestamps
+        },
+        lists: {
+            'twoFactor.recoveryCodes': {
+                table: 'two_factor_recovery_codes',
+                key: 'user_id',
+                fields: {
+                    codeHash: 'code_hash',
+                    usedAt: { column: 'used_at', type: 'date' }
+                }
+            }
+        }
+    },
+
+    folders: {
+        table: 'folders',
+        fields: {
+            name: 'name',
+            description: 'description',
+            parentFolder: { column: 'parent_id', type: 'id' },
+            owner: { column: 'owner_id', type: 'id' },
+            course: { column: 'course_id', type: 'course' },
+            grade: 'grade',
+            program: 'program',
+            color: 'color',
+            icon: 'icon',
+            isPublic: { column: 'is_public', type: 'boolean' },
+            tags: { column: 'tags', type: 'json', default: [] },
+            path: 'path',
+            ...timestamps
+        },
+        lists: {
+            sharedWith: {
+                table: 'folder_shares',
+                key: 'folder_id',
+                fields: {
+                    user: { column: 'user_id', type: 'id' },
+                    permission: 'permission'
+                },
+                copy: { shared_by: 'owner_id' }
+            }
+        }
+    },
+
+    materials: {
+        table: 'materials',
+        fields: {
+            title: 'title',
+            description: 'description',
+            type: 'type',
+            fileName: 'file_name',
+            filePath: 'file_path',
+            fileSize: { column: 'file_size', type: 'number' },
+            contentHash: 'content_hash',
+            url: 'url',
+            folder: { column: 'folder_id', type: 'id' },
+            owner: { column: 'owner_id', type: 'id' },
+            uploadedBy: { column: 'uploaded_by', type: 'id' },
+            course: { column: 'course_id', type: 'course' },
+            grade: 'grade',
+            program: 'program',
+            tags: { column: 'tags', type: 'json', default: [] },
+            isPublic: { column: 'is_public', type: 'boolean' },
+            downloadCount: { column: 'download_count', type: 'number' },
+            viewCount: { column: 'view_count', type: 'number' },
+            dueDate: { column: 'due_date', type: 'date' },
+            priority: 'priority',
+            version: { column: 'version', type: 'number' },
+            versionNote: 'version_note',
+            fileUpdatedAt: { column: 'file_updated_at', type: 'date' },
+            ...timestamps
+        },
+        lists: {
+            sharedWith: {
+                table: 'material_shares',
+                key: 'material_id',
+                fields: {
+                    user: { column: 'user_id', type: 'id' },
+                    permission: 'permission'
+                },
+                copy: { shared_by: 'owner_id' }
+            },
+            versions: {
+                table: 'material_versions',
+                key: 'material_id',
+                fields: {
+                    version: { column: 'version', type: 'number' },
+                    fileName: 'file_name',
+                    filePath: 'file_path',
+                    fileSize: { column: 'file_size', type: 'number' },
+                    contentHash: 'content_hash',
+                    uploadedBy: { column: 'uploaded_by', type: 'id' },
+                    note: 'note',
+                    uploadedAt: { column: 'uploaded_at', type: 'date' }
+                }
+            },
+            downloadedBy: {
+                table: 'material_downloads',
+                key: 'material_id',
+                fields: {
+                    user: { column: 'user_id', type: 'id' },
+                    version: { column: 'version', type: 'number' },
+                    downloadedAt: { column: 'downloaded_at', type: 'date' }
+                }
+            }
+        },
+        textIndex: 'materials_fts'
+    },
+
+    sessions: {
+        table: 'zoom_sessions',
+        fields: {
+            title: 'title',
+            description: 'description',
+            course: { column: 'course_id', type: 'course' },
+            grade: 'grade',
+            program: 'program',
+            teacher: { column: 'teacher_id', type: 'id' },
+            zoomMeetingId: 'zoom_meeting_id',
+            zoomPassword: 'zoom_password',
+            joinUrl: 'join_url',
+            startUrl: 'start_url',
+            scheduledTime: { column: 'scheduled_time', type: 'date' },
+            duration: { column: 'duration', type: 'number' },
+            timezone: 'timezone',
+            status: 'status',
+            recordingUrl: 'recording_url',
+            isRecorded: { column: 'is_recorded', type: 'boolean' },
+            isRecurring: { column: 'is_recurring', type: 'boolean' },
+            recurrencePattern: { column: 'recurrence_pattern', type: 'json' },
+            waitingRoom: { column: 'waiting_room', type: 'boolean' },
+            requirePassword: { column: 'require_password', type: 'boolean' },
+            allowJoinBeforeHost: { column: 'allow_join_before_host', type: 'boolean' },
+            muteOnEntry: { column: 'mute_on_entry', type: 'boolean' },
+            ...timestamps
+        },
+        lists: {
+            attendees: {
+                table: 'session_attendees',
+                key: 'session_id',
+                fields: {
+                    student: { column: 'student_id', type: 'id' },
+                    joinedAt: { column: 'joined_at', type: 'date' },
+                    leftAt: { column: 'left_at', type: 'date' },
+                    duration: { column: 'duration', type: 'number' }
+                }
+            },
+            materials: {
+                table: 'session_materials',
+                key: 'session_id',
+                value: { column: 'material_id', type: 'id' }
+            }
+        }
+    },
+
+    invitations: {
+        table: 'invitations',
+        fields: {
+            email: 'email',
+            name: 'name',
+            phone: 'phone',
+            grade: 'grade',
+            program: 'program',
+            message: 'message',
+            invitedBy: { column: 'invited_by', type: 'id' },
+            tokenHash: 'token_hash',
+            expiresAt: { column: 'expires_at', type: 'date' },
+            status: 'status',
+            sendCount: { column: 'send_count', type: 'number' },
+            lastSentAt: { column: 'last_sent_at', type: 'date' },
+            acceptedAt: { column: 'accepted_at', type: 'date' },
+            user: { column: 'user_id', type: 'id' },
+            ...timestamps
+        }
+    },
+
+    refreshTokens: {
+        table: 'refresh_tokens',
+        fields: {
+            user: { column: 'user_id', type: 'id' },
+            tokenHash: 'token_hash',
+            family: 'family',
+            tokenVersion: { column: 'token_version', type: 'number' },
+            expiresAt: { column: 'expires_at', type: 'date' },
+            revokedAt: { column: 'revoked_at', type: 'date' },
+            replacedBy: { column: 'replaced_by', type: 'id' },
+            userAgent: 'user_agent',
+            ipAddress: 'ip_address',
+            createdAt: { column: 'created_at', type: 'date', readOnly: true }
+        }
+    },
+
+    loginAttempts: {
+        table: 'login_attempts',
+        fields: {
+            identifier: 'identifier',
+            user: { column: 'user_id', type: 'id' },
+            ipAddress: 'ip_address',
+            userAgent: 'user_agent',
+            succeeded: { column: 'succeeded', type: 'boolean' },
+            createdAt: { column: 'created_at', type: 'date', readOnly: true }
+        }
+    },
+
+    activityLogs: {
+        table: 'activity_logs',
+        fields: {
+            user: { column: 'user_id', type: 'id' },
+            action: 'action',
+            entityType: 'entity_type',
+            entityId: { column: 'entity_id', type: 'id' },
+            details: { column: 'details', type: 'json' },
+            ipAddress: 'ip_address',
+            userAgent: 'user_agent',
+            createdAt: { column: 'created_at', type: 'date', readOnly: true }
+        }
+    },
+
+    blobs: {
+        table: 'file_blobs',
+        fields: {
+            hash: 'hash',
+            path: 'path',
+            size: { column: 'size', type: 'number' },
+            refCount: { column: 'ref_count', type: 'number' },
+            ...timestamps
+        }
+    }
+};
+
+// Expand the shorthand column names into { column, type }
+const normalize = (specs = {}) => Object.fromEntries(Object.entries(specs).map(([path, spec]) => [
+    path,
+    typeof spec === 'string' ? { column: spec, type: 'string' } : { type: 'string', ...spec }
+]));
+
+for (const definition of Object.values(TABLES)) {
+    definition.fields = normalize(definition.fields);
+    for (const list of Object.values(definition.lists || {})) {
+        if (list.fields) list.fields = normalize(list.fields);
+        if (list.value) list.value = normalize({ value: list.value }).value;
+    }
+}
+
+module.exports = TABLES;
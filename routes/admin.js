@@ -0,0 +1,542 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { users, folders, materials, sessions, refreshTokens, isValidId, sameId } = require('../repositories');
+const { auth, requirePermission } = require('../middleware/auth');
+const { storageReport } = require('../utils/materialStorage');
+
+const router = express.Router();
+
+// Every route here needs a logged-in user; each route checks its own permission
+router.use(auth);
+
+// Page and limit from the query string (20 per page, at most 100)
+const listOptions = (req) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+const contentFilters = (req) => {
+    const { course, grade, program } = req.query;
+    const query = {};
+    if (course) query.course = course;
+    if (grade) query.grade = grade;
+    if (program) query.program = program;
+    return query;
+};
+
+// Find an active teacher or admin to receive content
+const findContentOwner = async (id) => {
+    if (!isValidId(id)) return null;
+    return users.findOne({ _id: id, role: { $in: ['teacher', 'admin'] }, isActive: true });
+};
+
+// Collect a folder and all of its descendants
+async function collectFolderTree(rootId) {
+    const ids = [rootId];
+    for (let i = 0; i < ids.length; i++) {
+        const children = await folders.find({ parentFolder: ids[i] }, { select: '_id' });
+        ids.push(...children.map(child => child._id));
+    }
+    return ids;
+}
+
+// @route   GET /api/admin/teachers
+// @desc    List teachers and admins with how much content each owns
+// @access  Private (Admin only)
+router.get('/teachers', requirePermission('teachers:manage'), async (req, res) => {
+    try {
+        const { search, isActive, role } = req.query;
+
+        const query = { role: role === 'admin' || role === 'teacher' ? role : { $in: ['teacher', 'admin'] } };
+        if (isActive !== undefined) query.isActive = isActive === 'true';
+        if (search) {
+            const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            query.$or = [{ name: pattern }, { email: pattern }];
+        }
+
+        const teachers = await users.find(query, { select: '-password', sort: { name: 1 } });
+        const ids = teachers.map(teacher => teacher._id);
+
+        const countBy = (repository, field) => repository.group({ [field]: { $in: ids } }, { by: field, count: 'count' });
+
+        const [folderCounts, materialCounts, sessionCounts] = await Promise.all([
+            countBy(folders, 'owner'),
+            countBy(materials, 'owner'),
+            countBy(sessions, 'teacher')
+        ]);
+        const lookup = (counts, id) => (counts.find(row => sameId(row._id, id)) || { count: 0 }).count;
+
+        res.json({
+            teachers: teachers.map(teacher => ({
+                ...teacher.toJSON(),
+                content: {
+                    folders: lookup(folderCounts, teacher._id),
+                    materials: lookup(materialCounts, teacher._id),
+                    sessions: lookup(sessionCounts, teacher._id)
+                }
+            }))
+        });
+    } catch (error) {
+        console.error('Get teachers error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/admin/teachers
+// @desc    Create a teacher (or admin) account
+// @access  Private (Admin only)
+router.post('/teachers', requirePermission('teachers:manage'), [
+    body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('role').optional().isIn(['teacher', 'admin']).withMessage('Role must be teacher or admin'),
+    body('phone').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, email, password, role, phone } = req.body;
+
+        const existingUser = await users.findOne({ email });
+        if (existingUser) {
+            return res.status(400).json({ message: 'User already exists with this email' });
+        }
+
+        const teacher = await users.create({
+            name,
+            email,
+            password,
+            phone,
+            role: role || 'teacher'
+        });
+
+        res.status(201).json({
+            message: 'Teacher created successfully',
+            teacher: teacher.toJSON()
+        });
+    } catch (error) {
+        console.error('Create teacher error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/admin/teachers/:id
+// @desc    Update a teacher's details, role or active status
+// @access  Private (Admin only)
+router.put('/teachers/:id', requirePermission('teachers:manage'), [
+    body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+    body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+    body('role').optional().isIn(['teacher', 'admin']).withMessage('Role must be teacher or admin'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+    body('phone').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const teacher = await users.findOne({ _id: req.params.id, role: { $in: ['teacher', 'admin'] } });
+        if (!teacher) {
+            return res.status(404).json({ message: 'Teacher not found' });
+        }
+
+        const { name, email, role, isActive, phone } = req.body;
+        const isSelf = sameId(teacher._id, req.user._id);
+
+        // Keep admins from locking themselves out
+        if (isSelf && ((role && role !== 'admin') || isActive === false)) {
+            return res.status(400).json({ message: 'You cannot demote or deactivate your own account' });
+        }
+
+        if (email && email !== teacher.email) {
+            const existingUser = await users.findOne({ email, _id: { $ne: teacher._id } });
+            if (existingUser) {
+                return res.status(400).json({ message: 'Email already in use' });
+            }
+            teacher.email = email;
+        }
+        if (name) teacher.name = name;
+        if (phone !== undefined) teacher.phone = phone;
+        if (role) teacher.role = role;
+        if (isActive !== undefined) teacher.isActive = isActive;
+
+        await users.save(teacher);
+
+        // Deactivating bumps tokenVersion; revoke refresh tokens so they stay logged out
+        if (!teacher.isActive) {
+            await refreshTokens.revokeAllForUser(teacher._id);
+        }
+
+        res.json({
+            message: 'Teacher updated successfully',
+            teacher: teacher.toJSON()
+        });
+    } catch (error) {
+        console.error('Update teacher error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/admin/users/:id/unlock
+// @desc    Lift a login lockout and clear the user's failed attempts
+// @access  Private (Admin only)
+router.put('/users/:id/unlock', requirePermission('teachers:manage'), async (req, res) => {
+    try {
+        const user = isValidId(req.params.id) && await users.findOneAndUpdate(
+            { _id: req.params.id },
+            { failedLoginAttempts: 0, $unset: { lastFailedLogin: 1, lockedUntil: 1 } }
+        );
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        res.json({
+            message: 'Account unlocked',
+            user: user.toJSON()
+        });
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/admin/users/:id/reset-2fa
+// @desc    Reset a user's 2FA when they have lost their authenticator and recovery codes
+// @access  Private (Admin only)
+router.put('/users/:id/reset-2fa', requirePermission('teachers:manage'), async (req, res) => {
+    try {
+        const user = await users.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled for this user' });
+        }
+
+        user.twoFactor = { enabled: false, recoveryCodes: [] };
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+        await users.save(user);
+        await refreshTokens.revokeAllForUser(user._id);
+
+        res.json({
+            message: 'Two-factor authentication reset; the user will set it up again at next login if required',
+            user: user.toJSON()
+        });
+    } catch (error) {
+        console.error('Reset two-factor error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/admin/teachers/:id/reassign
+// @desc    Move all of a teacher's folders, materials and sessions to another teacher
+// @access  Private (Admin only)
+router.post('/teachers/:id/reassign', requirePermission('content:reassign'), [
+    body('toTeacher').custom(value => isValidId(value)).withMessage('Invalid target teacher')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const from = await users.findOne({ _id: req.params.id, role: { $in: ['teacher', 'admin'] } });
+        if (!from) {
+            return res.status(404).json({ message: 'Teacher not found' });
+        }
+
+        const to = await findContentOwner(req.body.toTeacher);
+        if (!to) {
+            return res.status(400).json({ message: 'Target must be an active teacher or admin' });
+        }
+
+        if (sameId(from._id, to._id)) {
+            return res.status(400).json({ message: 'Source and target teacher are the same' });
+        }
+
+        // Top-level folder names must stay unique per owner
+        const [fromRoots, toRoots] = await Promise.all([
+            folders.find({ owner: from._id, parentFolder: null }, { select: 'name' }),
+            folders.find({ owner: to._id, parentFolder: null }, { select: 'name' })
+        ]);
+        const taken = new Set(toRoots.map(folder => folder.name));
+        const conflicts = fromRoots.filter(folder => taken.has(folder.name)).map(folder => folder.name);
+        if (conflicts.length > 0) {
+            return res.status(400).json({
+                message: 'The target teacher already has top-level folders with these names',
+                conflicts
+            });
+        }
+
+        const [folderCount, materialCount, sessionCount] = await Promise.all([
+            folders.updateMany({ owner: from._id }, { owner: to._id }),
+            materials.updateMany({ owner: from._id }, { owner: to._id }),
+            sessions.updateMany({ teacher: from._id }, { teacher: to._id })
+        ]);
+
+        res.json({
+            message: `Content reassigned from ${from.name} to ${to.name}`,
+            reassigned: {
+                folders: folderCount,
+                materials: materialCount,
+                sessions: sessionCount
+            }
+        });
+    } catch (error) {
+        console.error('Reassign teacher content error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/admin/folders
+// @desc    View every teacher's folders (?owner=, course, grade, program, page, limit)
+// @access  Private (Admin only)
+router.get('/folders', requirePermission('content:view-all'), async (req, res) => {
+    try {
+        const { page, limit, skip } = listOptions(req);
+        const query = contentFilters(req);
+        if (req.query.owner) query.owner = req.query.owner;
+        if (req.query.parentFolder) {
+            query.parentFolder = req.query.parentFolder === 'null' ? null : req.query.parentFolder;
+        }
+
+        const [results, total] = await Promise.all([
+            folders.find(query, {
+                sort: { path: 1 },
+                skip,
+                limit,
+                populate: { owner: 'name email' }
+            }),
+            folders.count(query)
+        ]);
+
+        res.json({
+            folders: results,
+            pagination: { current: page, pages: Math.ceil(total / limit), total }
+        });
+    } catch (error) {
+        console.error('Admin get folders error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/admin/folders/:id/owner
+// @desc    Give a folder, its subfolders and their materials to another teacher
+// @access  Private (Admin only)
+router.put('/folders/:id/owner', requirePermission('content:reassign'), [
+    body('owner').custom(value => isValidId(value)).withMessage('Invalid owner')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const folder = await folders.findById(req.params.id);
+        if (!folder) {
+            return res.status(404).json({ message: 'Folder not found' });
+        }
+
+        const owner = await findContentOwner(req.body.owner);
+        if (!owner) {
+            return res.status(400).json({ message: 'Owner must be an active teacher or admin' });
+        }
+
+        // A subfolder can only move along with its parent unless the parent already belongs to the new owner
+        if (folder.parentFolder) {
+            const parent = await folders.findById(folder.parentFolder, { select: 'owner' });
+            if (parent && !sameId(parent.owner, owner._id)) {
+                return res.status(400).json({ message: 'Reassign the parent folder instead' });
+            }
+        }
+
+        const existingFolder = await folders.findOne({
+            name: folder.name,
+            parentFolder: folder.parentFolder,
+            owner: owner._id,
+            _id: { $ne: folder._id }
+        });
+        if (existingFolder) {
+            return res.status(400).json({ message: 'The new owner already has a folder with this name in this location' });
+        }
+
+        const folderIds = await collectFolderTree(folder._id);
+        const [folderCount, materialCount] = await Promise.all([
+            folders.updateMany({ _id: { $in: folderIds } }, { owner: owner._id }),
+            materials.updateMany({ folder: { $in: folderIds } }, { owner: owner._id })
+        ]);
+
+        res.json({
+            message: `Folder reassigned to ${owner.name}`,
+            reassigned: {
+                folders: folderCount,
+                materials: materialCount
+            }
+        });
+    } catch (error) {
+        console.error('Reassign folder error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/admin/materials
+// @desc    View every teacher's materials (?owner=, folder, type, course, grade, program, page, limit)
+// @access  Private (Admin only)
+router.get('/materials', requirePermission('content:view-all'), async (req, res) => {
+    try {
+        const { page, limit, skip } = listOptions(req);
+        const query = contentFilters(req);
+        if (req.query.owner) query.owner = req.query.owner;
+        if (req.query.folder) query.folder = req.query.folder;
+        if (req.query.type) query.type = req.query.type;
+
+        const [results, total] = await Promise.all([
+            materials.find(query, {
+                sort: { createdAt: -1 },
+                skip,
+                limit,
+                populate: { owner: 'name email', folder: 'name path color' }
+            }),
+            materials.count(query)
+        ]);
+
+        res.json({
+            materials: results,
+            pagination: { current: page, pages: Math.ceil(total / limit), total }
+        });
+    } catch (error) {
+        console.error('Admin get materials error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/admin/materials/:id/owner
+// @desc    Give a single material to another teacher
+// @access  Private (Admin only)
+router.put('/materials/:id/owner', requirePermission('content:reassign'), [
+    body('owner').custom(value => isValidId(value)).withMessage('Invalid owner')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const material = await materials.findById(req.params.id);
+        if (!material) {
+            return res.status(404).json({ message: 'Material not found' });
+        }
+
+        const owner = await findContentOwner(req.body.owner);
+        if (!owner) {
+            return res.status(400).json({ message: 'Owner must be an active teacher or admin' });
+        }
+
+        // Materials follow their folder's owner
+        if (material.folder) {
+            const folder = await folders.findById(material.folder, { select: 'owner' });
+            if (folder && !sameId(folder.owner, owner._id)) {
+                return res.status(400).json({ message: 'Reassign the material\'s folder instead' });
+            }
+        }
+
+        material.owner = owner._id;
+        await materials.save(material);
+        await materials.populate(material, { owner: 'name email' });
+
+        res.json({
+            message: `Material reassigned to ${owner.name}`,
+            material
+        });
+    } catch (error) {
+        console.error('Reassign material error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/admin/storage
+// @desc    Upload storage used per teacher, course and type, with orphaned files
+// @access  Private (Admin only)
+router.get('/storage', requirePermission('content:view-all'), async (req, res) => {
+    try {
+        res.json({ storage: await storageReport() });
+    } catch (error) {
+        console.error('Storage report error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/admin/sessions
+// @desc    View every teacher's Zoom sessions (?teacher=, status, upcoming, course, grade, program, page, limit)
+// @access  Private (Admin only)
+router.get('/sessions', requirePermission('content:view-all'), async (req, res) => {
+    try {
+        const { page, limit, skip } = listOptions(req);
+        const query = contentFilters(req);
+        if (req.query.teacher) query.teacher = req.query.teacher;
+        if (req.query.status) query.status = req.query.status;
+        if (req.query.upcoming === 'true') query.scheduledTime = { $gte: new Date() };
+
+        const [results, total] = await Promise.all([
+            sessions.find(query, {
+                sort: { scheduledTime: -1 },
+                skip,
+                limit,
+                populate: { teacher: 'name email' }
+            }),
+            sessions.count(query)
+        ]);
+
+        res.json({
+            sessions: results,
+            pagination: { current: page, pages: Math.ceil(total / limit), total }
+        });
+    } catch (error) {
+        console.error('Admin get sessions error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/admin/sessions/:id/teacher
+// @desc    Hand a Zoom session over to another teacher
+// @access  Private (Admin only)
+router.put('/sessions/:id/teacher', requirePermission('content:reassign'), [
+    body('teacher').custom(value => isValidId(value)).withMessage('Invalid teacher')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const session = await sessions.findById(req.params.id);
+        if (!session) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        const teacher = await findContentOwner(req.body.teacher);
+        if (!teacher) {
+            return res.status(400).json({ message: 'Teacher must be an active teacher or admin' });
+        }
+
+        session.teacher = teacher._id;
+        await sessions.save(session);
+        await sessions.populate(session, { teacher: 'name email' });
+
+        res.json({
+            message: `Session reassigned to ${teacher.name}`,
+            session
+        });
+    } catch (error) {
+        console.error('Reassign session error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -1,14 +1,285 @@
 const express = require('express');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
-const User = require('../models/User');
+const { users, invitations, refreshTokens, loginAttempts, activityLogs } = require('../repositories');
 const { auth } = require('../middleware/auth');
+const { sendMail, appUrl } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const {
+    PASSWORD_RESET_TTL_MINUTES,
+    EMAIL_VERIFICATION_TTL_HOURS,
+    ACCESS_TOKEN_TTL,
+    REFRESH_TOKEN_TTL_DAYS,
+    hashToken,
+    createToken
+} = require('../utils/tokens');
+const {
+    STAFF_ROLES,
+    generateSecret,
+    verifyTotp,
+    provisioningUri,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    signChallenge,
+    verifyChallenge
+} = require('../utils/twoFactor');
+const {
+    LOGIN_MAX_ATTEMPTS,
+    LOGIN_LOCKOUT_MINUTES,
+    LOGIN_IP_MAX_FAILURES,
+    LOGIN_IP_WINDOW_MINUTES,
+    getAccountBlock,
+    getIpBlock,
+    ipWindowStart,
+    lockoutUntil,
+    blockedResponse
+} = require('../utils/loginThrottle');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-    return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+// Generate a short-lived access token tied to the user's current token version
+const generateToken = (user) => {
+    return jwt.sign(
+        { userId: user._id, tv: user.tokenVersion || 0 },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+// Store a new refresh token, continuing an existing rotation family when one is given
+const issueRefreshToken = async (user, req, family = crypto.randomBytes(16).toString('hex')) => {
+    const { token, tokenHash, expiresAt } = createToken(REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const record = await refreshTokens.create({
+        user: user._id,
+        tokenHash,
+        family,
+        tokenVersion: user.tokenVersion || 0,
+        expiresAt,
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip
+    });
+    return { token, record };
+};
+
+// Access and refresh token pair for a new login
+const issueTokens = async (user, req) => {
+    const { token: refreshToken } = await issueRefreshToken(user, req);
+    return { token: generateToken(user), refreshToken };
+};
+
+// Store a new verification token on the user and email the link
+const sendVerificationEmail = async (user) => {
+    const { token, tokenHash, expiresAt } = createToken(EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+    user.emailVerificationToken = tokenHash;
+    user.emailVerificationExpires = expiresAt;
+    await users.save(user);
+
+    await sendMail({
+        to: user.email,
+        ...emailTemplates.emailVerification({
+            name: user.name,
+            url: appUrl(`/login?verify=${token}`),
+            expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+        })
+    });
+};
+
+// Store a new password reset token on the user and email the link
+const sendPasswordResetEmail = async (user) => {
+    const { token, tokenHash, expiresAt } = createToken(PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    user.passwordResetToken = tokenHash;
+    user.passwordResetExpires = expiresAt;
+    await users.save(user);
+
+    await sendMail({
+        to: user.email,
+        ...emailTemplates.passwordReset({
+            name: user.name,
+            url: appUrl(`/reset-password?token=${token}`),
+            expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+        })
+    });
+};
+
+// Final step of a login: record it and issue the token pair
+const completeLogin = async (req, user) => {
+    user.lastLogin = new Date();
+    user.failedLoginAttempts = 0;
+    user.lastFailedLogin = undefined;
+    user.lockedUntil = undefined;
+    await users.save(user);
+    await loginAttempts.create({
+        identifier: user.email,
+        user: user._id,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        succeeded: true
+    });
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    return {
+        token,
+        refreshToken,
+        user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            studentInfo: user.studentInfo,
+            lastLogin: user.lastLogin
+        }
+    };
+};
+
+// Failed logins from an IP address within the throttling window
+const getIpLoginFailures = async (ip) => {
+    const filter = { ipAddress: ip, succeeded: false, createdAt: { $gt: ipWindowStart() } };
+    const [failures, oldest] = await Promise.all([
+        loginAttempts.count(filter),
+        loginAttempts.findOne(filter, { sort: { createdAt: 1 }, select: 'createdAt' })
+    ]);
+    return { failures, oldestFailureAt: oldest && oldest.createdAt };
+};
+
+// Lockout or retry delay currently applying to an account, or null
+const getAccountLoginBlock = (user) => getAccountBlock({
+    failures: user.failedLoginAttempts || 0,
+    lastFailedAt: user.lastFailedLogin,
+    lockedUntil: user.lockedUntil
+});
+
+// Record a security event (lockouts, blocked addresses) in the activity log; a logging failure
+// must not fail the login request itself
+const logSecurityEvent = async (req, userId, action, details) => {
+    try {
+        await activityLogs.create({
+            user: userId,
+            action,
+            entityType: 'security',
+            entityId: userId,
+            details,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+    } catch (error) {
+        console.error('Security event logging error:', error);
+    }
+};
+
+// Record a wrong password or 2FA code against the IP address and, when known, the account.
+// Returns the block now applying to the account, or null.
+const recordLoginFailure = async (req, identifier, user) => {
+    await loginAttempts.create({
+        identifier,
+        user: user && user._id,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        succeeded: false
+    });
+
+    const ipFailures = await getIpLoginFailures(req.ip);
+    if (ipFailures.failures === LOGIN_IP_MAX_FAILURES) {
+        await logSecurityEvent(req, null, 'login_ip_blocked', {
+            identifier,
+            failures: ipFailures.failures,
+            windowMinutes: LOGIN_IP_WINDOW_MINUTES
+        });
+    }
+
+    if (!user) return null;
+
+    const counters = await users.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { failedLoginAttempts: 1 }, lastFailedLogin: new Date() },
+        { select: 'failedLoginAttempts lastFailedLogin lockedUntil' }
+    );
+
+    if (counters.failedLoginAttempts >= LOGIN_MAX_ATTEMPTS) {
+        const until = lockoutUntil();
+        await users.updateById(user._id, { failedLoginAttempts: 0, lockedUntil: until });
+        await logSecurityEvent(req, user._id, 'account_locked', {
+            identifier,
+            failures: counters.failedLoginAttempts,
+            lockedUntil: until.toISOString()
+        });
+        return { locked: true, retryAfter: LOGIN_LOCKOUT_MINUTES * 60 };
+    }
+
+    return getAccountLoginBlock(counters);
+};
+
+// 429 for a login attempt made while the account or address is blocked
+const sendLoginBlocked = (res, block) => {
+    res.set('Retry-After', String(block.retryAfter));
+    return res.status(429).json(blockedResponse(block, 'message'));
+};
+
+// Teachers and admins must use 2FA when REQUIRE_STAFF_2FA=true
+const isTwoFactorRequired = (role) => STAFF_ROLES.includes(role) && process.env.REQUIRE_STAFF_2FA === 'true';
+
+// Check an authenticator code or an unused recovery code; returns 'totp', 'recovery' or null
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    if (code && user.twoFactor.secret) {
+        const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, user.twoFactor.lastUsedStep ?? -1);
+        if (step === null) return null;
+
+        // Recording the step conditionally means each code logs in only once
+        const claimed = await users.updateOne(
+            { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }] },
+            { 'twoFactor.lastUsedStep': step }
+        );
+        if (!claimed) return null;
+
+        user.twoFactor.lastUsedStep = step;
+        return 'totp';
+    }
+
+    if (recoveryCode) {
+        return await users.useRecoveryCode(user._id, hashRecoveryCode(recoveryCode)) ? 'recovery' : null;
+    }
+
+    return null;
+};
+
+// Store new recovery codes on the user and return the plain-text codes (shown once)
+const replaceRecoveryCodes = (user) => {
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes.map(codeHash => ({ codeHash }));
+    return codes;
+};
+
+// 2FA enrolment accepts a normal login, or the setup challenge from /login when the
+// role must enrol before it can log in
+const authTwoFactorSetup = async (req, res, next) => {
+    if (!req.body.challengeToken) {
+        return auth(req, res, next);
+    }
+
+    try {
+        const userId = verifyChallenge(req.body.challengeToken, 'setup');
+        const user = userId && await users.findById(userId, { select: '-password' });
+
+        if (!user || !user.isActive) {
+            return res.status(401).json({ message: 'Login challenge is invalid or has expired, please log in again' });
+        }
+
+        req.user = user;
+        req.loginChallenge = true;
+        next();
+    } catch (error) {
+        console.error('Two-factor setup auth error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+const sendPasswordChangedEmail = (user) => {
+    sendMail({ to: user.email, ...emailTemplates.passwordChanged({ name: user.name }) }).catch(error => {
+        console.error('Password changed email error:', error);
+    });
 };
 
 // @route   POST /api/auth/register
@@ -29,13 +300,13 @@ router.post('/register', [
         const { name, email, password, role, studentInfo } = req.body;
 
         // Check if user already exists
-        const existingUser = await User.findOne({ email });
+        const existingUser = await users.findOne({ email });
         if (existingUser) {
             return res.status(400).json({ message: 'User already exists with this email' });
         }
 
         // Create new user
-        const user = new User({
+        const user = await users.create({
             name,
             email,
             password,
@@ -43,21 +314,25 @@ router.post('/register', [
             studentInfo: role === 'student' ? studentInfo : undefined
         });
 
-        await user.save();
+        // A mail failure should not undo the registration; the user can ask for a new link
+        sendVerificationEmail(user).catch(error => {
+            console.error('Verification email error:', error);
+        });
 
-        // Generate token
-        const token = generateToken(user._id);
+        const userInfo = {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            studentInfo: user.studentInfo,
+            emailVerified: user.emailVerified
+        };
 
+        // No tokens until the email address is verified; the first login (and 2FA enrolment,
+        // where required) comes after that
         res.status(201).json({
-            message: 'User registered successfully',
-            token,
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email,
-                role: user.role,
-                studentInfo: user.studentInfo
-            }
+            message: 'User registered successfully. Please verify your email address before logging in; check your inbox for the link.',
+            user: userInfo
         });
     } catch (error) {
         console.error('Registration error:', error);
@@ -80,36 +355,67 @@ router.post('/login', [
 
         const { email, password } = req.body;
 
+        const ipBlock = getIpBlock(await getIpLoginFailures(req.ip));
+        if (ipBlock) {
+            return sendLoginBlocked(res, ipBlock);
+        }
+
         // Find user
-        const user = await User.findOne({ email });
+        const user = await users.findOne({ email });
         if (!user) {
+            await recordLoginFailure(req, email, null);
             return res.status(400).json({ message: 'Invalid credentials' });
         }
 
+        // Locked or waiting accounts are refused before the password is checked
+        const accountBlock = getAccountLoginBlock(user);
+        if (accountBlock) {
+            return sendLoginBlocked(res, accountBlock);
+        }
+
         // Check password
-        const isMatch = await user.comparePassword(password);
+        const isMatch = await users.comparePassword(user, password);
         if (!isMatch) {
-            return res.status(400).json({ message: 'Invalid credentials' });
+            const block = await recordLoginFailure(req, email, user);
+            if (block && block.locked) {
+                return sendLoginBlocked(res, block);
+            }
+            return res.status(400).json({ message: 'Invalid credentials', ...(block && { retryAfter: block.retryAfter }) });
+        }
+
+        if (!user.isActive) {
+            return res.status(403).json({ message: 'Your account has been deactivated' });
+        }
+
+        // POST /api/auth/resend-verification sends a new link. Accounts created before email
+        // verification have no emailVerified and count as verified.
+        if (user.emailVerified === false) {
+            return res.status(403).json({
+                message: 'Please verify your email address before logging in; check your inbox for the link',
+                emailVerified: false
+            });
         }
 
-        // Update last login
-        user.lastLogin = new Date();
-        await user.save();
+        // Second step: an authenticator code, or enrolment first when the role requires 2FA
+        if (user.twoFactor?.enabled) {
+            return res.json({
+                message: 'Enter the code from your authenticator app',
+                twoFactorRequired: true,
+                challengeToken: signChallenge(user._id, 'login')
+            });
+        }
 
-        // Generate token
-        const token = generateToken(user._id);
+        if (isTwoFactorRequired(user.role)) {
+            return res.json({
+                message: 'Two-factor authentication is required for your account. Set it up to continue.',
+                twoFactorSetupRequired: true,
+                challengeToken: signChallenge(user._id, 'setup')
+            });
+        }
 
         res.json({
             message: 'Login successful',
-            token,
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email,
-                role: user.role,
-                studentInfo: user.studentInfo,
-                lastLogin: user.lastLogin
-            }
+            ...await completeLogin(req, user)
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -117,6 +423,321 @@ router.post('/login', [
     }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: the challengeToken from /login plus a code or recoveryCode
+// @access  Public
+router.post('/login/2fa', [
+    body('challengeToken').isString().notEmpty().withMessage('Login challenge is required'),
+    body('code').if(body('recoveryCode').not().exists()).isString().notEmpty().withMessage('Authentication code is required'),
+    body('recoveryCode').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const ipBlock = getIpBlock(await getIpLoginFailures(req.ip));
+        if (ipBlock) {
+            return sendLoginBlocked(res, ipBlock);
+        }
+
+        const userId = verifyChallenge(req.body.challengeToken, 'login');
+        const user = userId && await users.findById(userId);
+
+        if (!user || !user.isActive || !user.twoFactor?.enabled) {
+            return res.status(401).json({ message: 'Login challenge is invalid or has expired, please log in again' });
+        }
+
+        // Wrong codes count towards the same lockout as wrong passwords
+        const accountBlock = getAccountLoginBlock(user);
+        if (accountBlock) {
+            return sendLoginBlocked(res, accountBlock);
+        }
+
+        const method = await verifySecondFactor(user, req.body);
+        if (!method) {
+            const block = await recordLoginFailure(req, user.email, user);
+            if (block && block.locked) {
+                return sendLoginBlocked(res, block);
+            }
+            return res.status(400).json({ message: 'Invalid authentication code', ...(block && { retryAfter: block.retryAfter }) });
+        }
+
+        const login = await completeLogin(req, user);
+        if (method === 'recovery') {
+            const fresh = await users.findById(user._id, { select: 'twoFactor.recoveryCodes' });
+            login.recoveryCodesRemaining = fresh.twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length;
+        }
+
+        res.json({
+            message: 'Login successful',
+            ...login
+        });
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ message: 'Server error during login' });
+    }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const current = await refreshTokens.findOne({ tokenHash: hashToken(req.body.refreshToken) });
+        if (!current || current.expiresAt <= new Date()) {
+            return res.status(401).json({ message: 'Invalid or expired refresh token' });
+        }
+
+        if (current.revokedAt) {
+            // A rotated token was presented again, so it may have been stolen: end that login everywhere
+            await refreshTokens.updateMany({ family: current.family, revokedAt: null }, { revokedAt: new Date() });
+            return res.status(401).json({ message: 'Invalid or expired refresh token' });
+        }
+
+        const user = await users.findById(current.user);
+        if (!user || !user.isActive || current.tokenVersion !== (user.tokenVersion || 0)) {
+            await refreshTokens.updateById(current._id, { revokedAt: new Date() });
+            return res.status(401).json({ message: 'Invalid or expired refresh token' });
+        }
+
+        // Claim the token in one query so it can only be rotated once
+        const claimed = await refreshTokens.updateOne(
+            { _id: current._id, revokedAt: null },
+            { revokedAt: new Date() }
+        );
+        if (!claimed) {
+            return res.status(401).json({ message: 'Invalid or expired refresh token' });
+        }
+
+        const { token: refreshToken, record } = await issueRefreshToken(user, req, current.family);
+        await refreshTokens.updateById(current._id, { replacedBy: record._id });
+
+        res.json({
+            token: generateToken(user),
+            refreshToken
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out this device by revoking its refresh token
+// @access  Public
+router.post('/logout', [
+    body('refreshToken').optional().isString().withMessage('Invalid refresh token')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (req.body.refreshToken) {
+            const current = await refreshTokens.findOne({ tokenHash: hashToken(req.body.refreshToken) });
+            if (current) {
+                await refreshTokens.updateMany({ family: current.family, revokedAt: null }, { revokedAt: new Date() });
+            }
+        }
+
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'Server error during logout' });
+    }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out of every device (revokes all refresh tokens and outstanding access tokens)
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        await users.updateById(req.user._id, { $inc: { tokenVersion: 1 } });
+        await refreshTokens.revokeAllForUser(req.user._id);
+
+        res.json({ message: 'Logged out of all devices' });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ message: 'Server error during logout' });
+    }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Two-factor status for the current user
+// @access  Private
+router.get('/2fa', auth, async (req, res) => {
+    try {
+        const twoFactor = req.user.twoFactor || {};
+
+        res.json({
+            enabled: Boolean(twoFactor.enabled),
+            enabledAt: twoFactor.enabledAt,
+            required: isTwoFactorRequired(req.user.role),
+            recoveryCodesRemaining: twoFactor.enabled
+                ? twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length
+                : 0
+        });
+    } catch (error) {
+        console.error('Get two-factor status error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrolment: returns the secret and the otpauth:// URI to show as a QR code
+// @access  Private (or the setup challengeToken from /login)
+router.post('/2fa/setup', authTwoFactorSetup, async (req, res) => {
+    try {
+        const user = await users.findById(req.user._id);
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = generateSecret();
+        user.twoFactor.secret = encryptSecret(secret);
+        user.twoFactor.lastUsedStep = undefined;
+        await users.save(user);
+
+        res.json({
+            secret,
+            otpauthUrl: provisioningUri(secret, user.email)
+        });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Finish enrolment with a code from the authenticator app; returns the recovery codes
+//          (and completes the login when enrolment was required to log in)
+// @access  Private (or the setup challengeToken from /login)
+router.post('/2fa/enable', authTwoFactorSetup, [
+    body('code').isString().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const user = await users.findById(req.user._id);
+
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+        }
+
+        if (!user.twoFactor.secret) {
+            return res.status(400).json({ message: 'Start two-factor setup first' });
+        }
+
+        if (!await verifySecondFactor(user, { code: req.body.code })) {
+            return res.status(400).json({ message: 'Invalid authentication code' });
+        }
+
+        user.twoFactor.enabled = true;
+        user.twoFactor.enabledAt = new Date();
+        const recoveryCodes = replaceRecoveryCodes(user);
+        await users.save(user);
+
+        res.json({
+            message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+            recoveryCodes,
+            ...(req.loginChallenge && await completeLogin(req, user))
+        });
+    } catch (error) {
+        console.error('Enable two-factor error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn 2FA off (needs the password and a code; not allowed when the role requires 2FA)
+// @access  Private
+router.post('/2fa/disable', auth, [
+    body('password').exists().withMessage('Password is required'),
+    body('code').if(body('recoveryCode').not().exists()).isString().notEmpty().withMessage('Authentication code is required'),
+    body('recoveryCode').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (isTwoFactorRequired(req.user.role)) {
+            return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+        }
+
+        const user = await users.findById(req.user._id);
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!await users.comparePassword(user, req.body.password)) {
+            return res.status(400).json({ message: 'Password is incorrect' });
+        }
+
+        if (!await verifySecondFactor(user, req.body)) {
+            return res.status(400).json({ message: 'Invalid authentication code' });
+        }
+
+        user.twoFactor = { enabled: false, recoveryCodes: [] };
+        await users.save(user);
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('Disable two-factor error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (needs a current authenticator code)
+// @access  Private
+router.post('/2fa/recovery-codes', auth, [
+    body('code').isString().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const user = await users.findById(req.user._id);
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!await verifySecondFactor(user, { code: req.body.code })) {
+            return res.status(400).json({ message: 'Invalid authentication code' });
+        }
+
+        const recoveryCodes = replaceRecoveryCodes(user);
+        await users.save(user);
+
+        res.json({
+            message: 'New recovery codes generated; the old ones no longer work',
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -130,7 +751,8 @@ router.get('/me', auth, async (req, res) => {
                 role: req.user.role,
                 studentInfo: req.user.studentInfo,
                 avatar: req.user.avatar,
-                lastLogin: req.user.lastLogin
+                lastLogin: req.user.lastLogin,
+                emailVerified: req.user.emailVerified
             }
         });
     } catch (error) {
@@ -158,7 +780,7 @@ router.put('/profile', auth, [
         if (name) user.name = name;
         if (email && email !== user.email) {
             // Check if email is already taken
-            const existingUser = await User.findOne({ email });
+            const existingUser = await users.findOne({ email });
             if (existingUser) {
                 return res.status(400).json({ message: 'Email already in use' });
             }
@@ -168,7 +790,7 @@ router.put('/profile', auth, [
             user.studentInfo = { ...user.studentInfo, ...studentInfo };
         }
 
-        await user.save();
+        await users.save(user);
 
         res.json({
             message: 'Profile updated successfully',
@@ -186,4 +808,294 @@ router.put('/profile', auth, [
     }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link (never reveals whether the email exists)
+// @access  Public
+router.post('/forgot-password', [
+    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const user = await users.findOne({ email: req.body.email, isActive: true });
+
+        // Sent in the background, so neither the time taken nor a mail failure tells whether
+        // the account exists
+        if (user) {
+            sendPasswordResetEmail(user).catch(error => {
+                console.error('Password reset email error:', error);
+            });
+        }
+
+        res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post('/reset-password', [
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        // Clearing the token in the same query makes it single-use
+        const user = await users.findOneAndUpdate(
+            {
+                passwordResetToken: hashToken(req.body.token),
+                passwordResetExpires: { $gt: new Date() }
+            },
+            { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+        );
+
+        if (!user) {
+            return res.status(400).json({ message: 'Invalid or expired reset token' });
+        }
+
+        // Receiving the reset link also proves the user owns the address
+        user.password = req.body.password;
+        user.emailVerified = true;
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await users.save(user);
+
+        // Saving a new password bumps tokenVersion; also drop the stored refresh tokens
+        await refreshTokens.revokeAllForUser(user._id);
+
+        sendPasswordChangedEmail(user);
+
+        res.json({ message: 'Password has been reset. You can now log in.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/auth/change-password
+// @desc    Change password while logged in
+// @access  Private
+router.put('/change-password', auth, [
+    body('currentPassword').exists().withMessage('Current password is required'),
+    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        // req.user is loaded without the password hash
+        const user = await users.findById(req.user._id);
+
+        const isMatch = await users.comparePassword(user, req.body.currentPassword);
+        if (!isMatch) {
+            return res.status(400).json({ message: 'Current password is incorrect' });
+        }
+
+        user.password = req.body.newPassword;
+        await users.save(user);
+
+        // Other devices are signed out; this one gets a fresh token pair
+        await refreshTokens.revokeAllForUser(user._id);
+        const { token, refreshToken } = await issueTokens(user, req);
+
+        sendPasswordChangedEmail(user);
+
+        res.json({
+            message: 'Password changed successfully',
+            token,
+            refreshToken
+        });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification email
+// @access  Public
+router.post('/verify-email', [
+    body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const user = await users.findOneAndUpdate(
+            {
+                emailVerificationToken: hashToken(req.body.token),
+                emailVerificationExpires: { $gt: new Date() }
+            },
+            {
+                $set: { emailVerified: true },
+                $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+            }
+        );
+
+        if (!user) {
+            return res.status(400).json({ message: 'Invalid or expired verification token' });
+        }
+
+        res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email (unverified accounts can't log in, so this takes the email address)
+// @access  Public
+router.post('/resend-verification', [
+    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        // The same answer whether or not the address needs verifying, and the mail is sent in
+        // the background so a mail failure doesn't tell either
+        const user = await users.findOne({ email: req.body.email, emailVerified: false, isActive: true });
+        if (user) {
+            sendVerificationEmail(user).catch(error => {
+                console.error('Verification email error:', error);
+            });
+        }
+
+        res.json({ message: 'If the address still needs verifying, a new verification email has been sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/auth/accept-invite
+// @desc    Look up an invitation by token so the accept page can show who invited the student
+// @access  Public
+router.get('/accept-invite', async (req, res) => {
+    try {
+        const invitation = req.query.token && await invitations.findOne({
+            tokenHash: hashToken(req.query.token),
+            status: 'pending',
+            expiresAt: { $gt: new Date() }
+        }, { populate: { invitedBy: 'name' } });
+
+        if (!invitation) {
+            return res.status(400).json({ message: 'Invalid or expired invitation' });
+        }
+
+        res.json({
+            invitation: {
+                email: invitation.email,
+                name: invitation.name,
+                grade: invitation.grade,
+                program: invitation.program,
+                message: invitation.message,
+                invitedBy: invitation.invitedBy ? invitation.invitedBy.name : undefined,
+                expiresAt: invitation.expiresAt
+            }
+        });
+    } catch (error) {
+        console.error('Get invitation error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/accept-invite
+// @desc    Accept an invitation, choosing a password, and create the student account
+// @access  Public
+router.post('/accept-invite', [
+    body('token').isString().notEmpty().withMessage('Invitation token is required'),
+    body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { token, name, password } = req.body;
+        const pendingQuery = { tokenHash: hashToken(token), status: 'pending', expiresAt: { $gt: new Date() } };
+
+        const pending = await invitations.findOne(pendingQuery);
+        if (!pending) {
+            return res.status(400).json({ message: 'Invalid or expired invitation' });
+        }
+
+        const existingUser = await users.findOne({ email: pending.email });
+        if (existingUser) {
+            return res.status(400).json({ message: 'User already exists with this email' });
+        }
+
+        // Claim the invitation in one query so it can only be accepted once
+        const invitation = await invitations.findOneAndUpdate(
+            pendingQuery,
+            { status: 'accepted', acceptedAt: new Date() }
+        );
+
+        if (!invitation) {
+            return res.status(400).json({ message: 'Invalid or expired invitation' });
+        }
+
+        // The student received the invitation at this address, so it counts as verified
+        let user;
+        try {
+            user = await users.create({
+                name,
+                email: invitation.email,
+                password,
+                role: 'student',
+                phone: invitation.phone,
+                emailVerified: true,
+                studentInfo: {
+                    grade: invitation.grade,
+                    program: invitation.program,
+                    enrollmentDate: new Date()
+                }
+            });
+        } catch (error) {
+            // Give the invitation back so the student can try again
+            await invitations.updateById(invitation._id, { status: 'pending', $unset: { acceptedAt: 1 } });
+            throw error;
+        }
+
+        invitation.user = user._id;
+        await invitations.save(invitation);
+
+        const tokens = await issueTokens(user, req);
+
+        res.status(201).json({
+            message: 'Invitation accepted, account created',
+            ...tokens,
+            user: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                studentInfo: user.studentInfo
+            }
+        });
+    } catch (error) {
+        console.error('Accept invitation error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 module.exports = router;
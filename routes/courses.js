@@ -1,25 +1,11 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const Folder = require('../models/Folder');
-const Material = require('../models/Material');
-const ZoomSession = require('../models/ZoomSession');
-const User = require('../models/User');
-const { auth, isTeacher } = require('../middleware/auth');
+const { folders, materials, sessions, users } = require('../repositories');
+const { auth, isTeacher, hasPermission } = require('../middleware/auth');
+const { AVAILABLE_COURSES } = require('../utils/courses');
 
 const router = express.Router();
 
-// Available courses based on Dr. Salma's expertise
-const AVAILABLE_COURSES = [
-    'Biochemistry',
-    'Cell Biology', 
-    'Animal Behavior',
-    'Evolution',
-    'Photosynthesis',
-    'Cell Division',
-    'Cell Respiration',
-    'General Biology'
-];
-
 // @route   GET /api/courses
 // @desc    Get all available courses
 // @access  Private
@@ -34,12 +20,12 @@ router.get('/', auth, async (req, res) => {
                 if (grade) query.grade = grade;
                 if (program) query.program = program;
 
-                const [folders, materials, sessions, students] = await Promise.all([
-                    Folder.countDocuments(query),
-                    Material.countDocuments(query),
-                    ZoomSession.countDocuments(query),
-                    req.user.role === 'teacher' ? 
-                        User.countDocuments({ 
+                const [folderCount, materialCount, sessionCount, students] = await Promise.all([
+                    folders.count(query),
+                    materials.count(query),
+                    sessions.count(query),
+                    hasPermission(req.user, 'students:manage') ? 
+                        users.count({ 
                             role: 'student',
                             ...(grade && { 'studentInfo.grade': grade }),
                             ...(program && { 'studentInfo.program': program })
@@ -48,10 +34,10 @@ router.get('/', auth, async (req, res) => {
 
                 return {
                     name: course,
-                    folders,
-                    materials,
-                    sessions,
-                    students: req.user.role === 'teacher' ? students : undefined
+                    folders: folderCount,
+                    materials: materialCount,
+                    sessions: sessionCount,
+                    students: hasPermission(req.user, 'students:manage') ? students : undefined
                 };
             })
         );
@@ -90,25 +76,27 @@ router.get('/:course', auth, async (req, res) => {
             query.owner = req.user._id;
         }
 
-        const [folders, materials, upcomingSessions] = await Promise.all([
-            Folder.find(query)
-                .populate('owner', 'name')
-                .sort({ createdAt: -1 })
-                .limit(10),
-            Material.find(query)
-                .populate('owner', 'name')
-                .populate('folder', 'name')
-                .sort({ createdAt: -1 })
-                .limit(20),
-            ZoomSession.find({
+        const [courseFolders, courseMaterials, upcomingSessions] = await Promise.all([
+            folders.find(query, {
+                sort: { createdAt: -1 },
+                limit: 10,
+                populate: { owner: 'name' }
+            }),
+            materials.find(query, {
+                sort: { createdAt: -1 },
+                limit: 20,
+                populate: { owner: 'name', folder: 'name' }
+            }),
+            sessions.find({
                 course,
                 scheduledTime: { $gte: new Date() },
                 ...(grade && { grade }),
                 ...(program && { program })
+            }, {
+                sort: { scheduledTime: 1 },
+                limit: 5,
+                populate: { teacher: 'name' }
             })
-                .populate('teacher', 'name')
-                .sort({ scheduledTime: 1 })
-                .limit(5)
         ]);
 
         // Get course description based on Dr. Salma's expertise
@@ -126,12 +114,12 @@ router.get('/:course', auth, async (req, res) => {
         const courseData = {
             name: course,
             description: courseDescriptions[course],
-            folders,
-            materials,
+            folders: courseFolders,
+            materials: courseMaterials,
             upcomingSessions,
             stats: {
-                totalFolders: folders.length,
-                totalMaterials: materials.length,
+                totalFolders: courseFolders.length,
+                totalMaterials: courseMaterials.length,
                 upcomingSessionsCount: upcomingSessions.length
             }
         };
@@ -172,18 +160,18 @@ router.get('/:course/materials', auth, async (req, res) => {
 
         const skip = (parseInt(page) - 1) * parseInt(limit);
 
-        const [materials, total] = await Promise.all([
-            Material.find(query)
-                .populate('owner', 'name')
-                .populate('folder', 'name path')
-                .sort({ createdAt: -1 })
-                .skip(skip)
-                .limit(parseInt(limit)),
-            Material.countDocuments(query)
+        const [results, total] = await Promise.all([
+            materials.find(query, {
+                sort: { createdAt: -1 },
+                skip,
+                limit: parseInt(limit),
+                populate: { owner: 'name', folder: 'name path' }
+            }),
+            materials.count(query)
         ]);
 
         res.json({
-            materials,
+            materials: results,
             pagination: {
                 current: parseInt(page),
                 pages: Math.ceil(total / parseInt(limit)),
@@ -229,12 +217,12 @@ router.get('/:course/sessions', auth, async (req, res) => {
             query.teacher = req.user._id;
         }
 
-        const sessions = await ZoomSession.find(query)
-            .populate('teacher', 'name email')
-            .populate('materials', 'title type')
-            .sort({ scheduledTime: upcoming === 'true' ? 1 : -1 });
+        const results = await sessions.find(query, {
+            sort: { scheduledTime: upcoming === 'true' ? 1 : -1 },
+            populate: { teacher: 'name email', materials: 'title type' }
+        });
 
-        res.json({ sessions });
+        res.json({ sessions: results });
     } catch (error) {
         console.error('Get course sessions error:', error);
         res.status(500).json({ message: 'Server error' });
@@ -258,17 +246,11 @@ router.get('/:course/analytics', auth, isTeacher, async (req, res) => {
         if (program) query.program = program;
 
         // Material analytics
-        const materialStats = await Material.aggregate([
-            { $match: query },
-            {
-                $group: {
-                    _id: '$type',
-                    count: { $sum: 1 },
-                    totalViews: { $sum: '$viewCount' },
-                    totalDownloads: { $sum: '$downloadCount' }
-                }
-            }
-        ]);
+        const materialStats = await materials.group(query, {
+            by: 'type',
+            count: 'count',
+            sum: { totalViews: 'viewCount', totalDownloads: 'downloadCount' }
+        });
 
         // Session analytics
         const sessionQuery = { course, teacher: req.user._id };
@@ -276,9 +258,9 @@ router.get('/:course/analytics', auth, isTeacher, async (req, res) => {
         if (program) sessionQuery.program = program;
 
         const [totalSessions, completedSessions, upcomingSessions] = await Promise.all([
-            ZoomSession.countDocuments(sessionQuery),
-            ZoomSession.countDocuments({ ...sessionQuery, status: 'ended' }),
-            ZoomSession.countDocuments({ 
+            sessions.count(sessionQuery),
+            sessions.count({ ...sessionQuery, status: 'ended' }),
+            sessions.count({ 
                 ...sessionQuery, 
                 scheduledTime: { $gte: new Date() },
                 status: 'scheduled'
@@ -286,17 +268,17 @@ router.get('/:course/analytics', auth, isTeacher, async (req, res) => {
         ]);
 
         // Student engagement
-        const sessionAttendance = await ZoomSession.aggregate([
-            { $match: sessionQuery },
-            { $project: { attendeeCount: { $size: '$attendees' } } },
-            { $group: { _id: null, totalAttendees: { $sum: '$attendeeCount' }, avgAttendance: { $avg: '$attendeeCount' } } }
-        ]);
+        const sessionAttendance = await sessions.group(sessionQuery, {
+            sum: { totalAttendees: { size: 'attendees' } },
+            avg: { avgAttendance: { size: 'attendees' } }
+        });
 
         // Most popular materials
-        const popularMaterials = await Material.find(query)
-            .sort({ viewCount: -1, downloadCount: -1 })
-            .limit(5)
-            .select('title type viewCount downloadCount');
+        const popularMaterials = await materials.find(query, {
+            sort: { viewCount: -1, downloadCount: -1 },
+            limit: 5,
+            select: 'title type viewCount downloadCount'
+        });
 
         const analytics = {
             course,
@@ -308,8 +290,8 @@ router.get('/:course/analytics', auth, isTeacher, async (req, res) => {
                 attendance: sessionAttendance[0] || { totalAttendees: 0, avgAttendance: 0 }
             },
             popularMaterials,
-            totalFolders: await Folder.countDocuments(query),
-            totalMaterials: await Material.countDocuments(query)
+            totalFolders: await folders.count(query),
+            totalMaterials: await materials.count(query)
         };
 
         res.json({ analytics });
@@ -332,7 +314,7 @@ router.post('/:course/bulk-organize', auth, isTeacher, async (req, res) => {
         }
 
         // Get unorganized materials (not in any folder)
-        const unorganizedMaterials = await Material.find({
+        const unorganizedMaterials = await materials.find({
             course,
             owner: req.user._id,
             folder: { $exists: false }
@@ -358,19 +340,19 @@ router.post('/:course/bulk-organize', auth, isTeacher, async (req, res) => {
         }, {});
 
         // Create folders for each type and move materials
-        for (const [type, materials] of Object.entries(materialsByType)) {
+        for (const [type, typeMaterials] of Object.entries(materialsByType)) {
             try {
                 // Create folder for this type
                 const folderName = `${course} - ${type.toUpperCase()} Materials`;
                 
-                let folder = await Folder.findOne({
+                let folder = await folders.findOne({
                     name: folderName,
                     course,
                     owner: req.user._id
                 });
 
                 if (!folder) {
-                    folder = new Folder({
+                    folder = await folders.create({
                         name: folderName,
                         description: `Auto-generated folder for ${type} materials in ${course}`,
                         course,
@@ -380,17 +362,16 @@ router.post('/:course/bulk-organize', auth, isTeacher, async (req, res) => {
                         color: getColorByType(type),
                         icon: getIconByType(type)
                     });
-                    await folder.save();
                     results.foldersCreated++;
                 }
 
                 // Move materials to folder
-                await Material.updateMany(
-                    { _id: { $in: materials.map(m => m._id) } },
+                await materials.updateMany(
+                    { _id: { $in: typeMaterials.map(m => m._id) } },
                     { folder: folder._id }
                 );
 
-                results.materialsOrganized += materials.length;
+                results.materialsOrganized += typeMaterials.length;
 
             } catch (error) {
                 results.errors.push({
@@ -3,16 +3,22 @@ const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const Folder = require('../models/Folder');
-const Material = require('../models/Material');
+const { folders, materials, users, isValidId, sameId } = require('../repositories');
 const { auth, isTeacher } = require('../middleware/auth');
+const {
+    getFolderChain,
+    hasFolderPermission,
+    loadFolderWithPermission,
+    getInheritedShares
+} = require('../utils/folderAccess');
+const { storeMaterialFile, releaseMaterialFiles } = require('../utils/materialStorage');
 
 const router = express.Router();
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
     destination: async (req, file, cb) => {
-        const uploadPath = path.join(__dirname, '../uploads', req.user.id.toString());
+        const uploadPath = path.join(__dirname, '../uploads', req.user._id.toString());
         try {
             await fs.mkdir(uploadPath, { recursive: true });
             cb(null, uploadPath);
@@ -44,28 +50,61 @@ const upload = multer({
     }
 });
 
+// Remove a file multer stored for a request that was then refused
+const discardUpload = (req) => (req.file ? fs.unlink(req.file.path).catch(() => {}) : Promise.resolve());
+
+// Send the 404/403 for a failed loadFolderWithPermission lookup
+const folderAccessError = (res, result) => {
+    if (!result.folder) {
+        return res.status(404).json({ message: 'Folder not found' });
+    }
+    return res.status(403).json({ message: 'Access denied' });
+};
+
+// Rebuild the stored path of every folder below a renamed or moved folder
+async function refreshSubfolderPaths(folder) {
+    const subfolders = await folders.find({ parentFolder: folder._id });
+    for (const subfolder of subfolders) {
+        subfolder.path = `${folder.path}/${subfolder.name}`;
+        await folders.updateById(subfolder._id, { path: subfolder.path });
+        await refreshSubfolderPaths(subfolder);
+    }
+}
+
 // @route   GET /api/folders
-// @desc    Get all folders for user
+// @desc    Get the user's own folders and folders shared with them
+//          (?parentFolder=<id> lists everything in a folder the user can read)
 // @access  Private
 router.get('/', auth, async (req, res) => {
     try {
         const { course, grade, program, parentFolder } = req.query;
         
-        let query = { owner: req.user._id };
+        let query = {};
+
+        if (parentFolder && parentFolder !== 'null') {
+            const access = await loadFolderWithPermission(parentFolder, req.user, 'read');
+            if (access.forbidden || !access.folder) return folderAccessError(res, access);
+            query.parentFolder = access.folder._id;
+        } else if (parentFolder === 'null') {
+            // Top level: own root folders plus folders shared directly with the user
+            query.$or = [
+                { owner: req.user._id, parentFolder: null },
+                { 'sharedWith.user': req.user._id }
+            ];
+        } else {
+            query.$or = [{ owner: req.user._id }, { 'sharedWith.user': req.user._id }];
+        }
         
         if (course) query.course = course;
         if (grade) query.grade = grade;
         if (program) query.program = program;
-        if (parentFolder) {
-            query.parentFolder = parentFolder === 'null' ? null : parentFolder;
-        }
 
-        const folders = await Folder.find(query)
-            .populate('subfolders')
-            .populate('materials')
-            .sort({ createdAt: -1 });
+        const results = await folders.find(query, {
+            populate: { subfolders: true, materials: true },
+            sort: { createdAt: -1 }
+        });
 
-        res.json({ folders });
+        res.json({ folders: results });
     } catch (error) {
         console.error('Get folders error:', error);
         res.status(500).json({ message: 'Server error' });
@@ -89,22 +128,30 @@ router.post('/', auth, isTeacher, [
 
         const { name, description, parentFolder, course, grade, program, color, icon, isPublic, tags } = req.body;
 
+        // Subfolders need write access to the parent and belong to the parent's owner
+        let owner = req.user._id;
+        if (parentFolder) {
+            const access = await loadFolderWithPermission(parentFolder, req.user, 'write');
+            if (access.forbidden || !access.folder) return folderAccessError(res, access);
+            owner = access.folder.owner;
+        }
+
         // Check if folder with same name exists in same parent
-        const existingFolder = await Folder.findOne({
+        const existingFolder = await folders.findOne({
             name,
             parentFolder: parentFolder || null,
-            owner: req.user._id
+            owner
         });
 
         if (existingFolder) {
             return res.status(400).json({ message: 'Folder with this name already exists in this location' });
         }
 
-        const folder = new Folder({
+        const folder = await folders.create({
             name,
             description,
             parentFolder: parentFolder || null,
-            owner: req.user._id,
+            owner,
             course,
             grade,
             program,
@@ -113,9 +160,7 @@ router.post('/', auth, isTeacher, [
             isPublic,
             tags
         });
-
-        await folder.save();
-        await folder.populate('subfolders materials');
+        await folders.populate(folder, { subfolders: true, materials: true });
 
         res.status(201).json({
             message: 'Folder created successfully',
@@ -127,11 +172,32 @@ router.post('/', auth, isTeacher, [
     }
 });
 
+// @route   GET /api/folders/:id
+// @desc    Get a folder with its contents and the user's permission on it
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const access = await loadFolderWithPermission(req.params.id, req.user, 'read');
+        if (access.forbidden || !access.folder) return folderAccessError(res, access);
+
+        await folders.populate(access.folder, { subfolders: true, materials: true });
+
+        res.json({
+            folder: access.folder,
+            permission: access.permission
+        });
+    } catch (error) {
+        console.error('Get folder error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   PUT /api/folders/:id
-// @desc    Update folder
+// @desc    Update or move a folder (write access; publishing needs admin access)
 // @access  Private (Teacher only)
 router.put('/:id', auth, isTeacher, [
-    body('name').optional().trim().isLength({ min: 1 }).withMessage('Folder name cannot be empty')
+    body('name').optional().trim().isLength({ min: 1 }).withMessage('Folder name cannot be empty'),
+    body('parentFolder').optional({ nullable: true }).custom(value => isValidId(value)).withMessage('Invalid parent folder')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -139,27 +205,55 @@ router.put('/:id', auth, isTeacher, [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const folder = await Folder.findOne({ _id: req.params.id, owner: req.user._id });
-        
-        if (!folder) {
-            return res.status(404).json({ message: 'Folder not found' });
+        const access = await loadFolderWithPermission(req.params.id, req.user, 'write');
+        if (access.forbidden || !access.folder) return folderAccessError(res, access);
+        const { folder, permission } = access;
+
+        const { name, description, color, icon, isPublic, tags, parentFolder } = req.body;
+
+        if (isPublic !== undefined && !hasFolderPermission(permission, 'admin')) {
+            return res.status(403).json({ message: 'Admin access is required to change who can see this folder' });
         }
 
-        const { name, description, color, icon, isPublic, tags } = req.body;
+        const previousPath = folder.path;
+        let targetParent = folder.parentFolder;
+
+        if (parentFolder !== undefined) {
+            targetParent = parentFolder || null;
+
+            if (targetParent) {
+                const target = await loadFolderWithPermission(targetParent, req.user, 'write');
+                if (target.forbidden || !target.folder) return folderAccessError(res, target);
+
+                // Folder trees have a single owner
+                if (!sameId(target.folder.owner, folder.owner)) {
+                    return res.status(400).json({ message: 'Folders can only be moved within the same owner\'s folders' });
+                }
 
-        if (name && name !== folder.name) {
-            // Check if folder with new name exists in same parent
-            const existingFolder = await Folder.findOne({
-                name,
-                parentFolder: folder.parentFolder,
-                owner: req.user._id,
+                const targetChain = await getFolderChain(target.folder);
+                if (targetChain.some(item => sameId(item._id, folder._id))) {
+                    return res.status(400).json({ message: 'A folder cannot be moved into itself or one of its subfolders' });
+                }
+            } else if (!hasFolderPermission(permission, 'admin')) {
+                return res.status(403).json({ message: 'Admin access is required to move a folder to the top level' });
+            }
+        }
+
+        const newName = name || folder.name;
+        if (newName !== folder.name || String(targetParent) !== String(folder.parentFolder)) {
+            // Check if folder with the same name exists in the destination
+            const existingFolder = await folders.findOne({
+                name: newName,
+                parentFolder: targetParent,
+                owner: folder.owner,
                 _id: { $ne: folder._id }
             });
 
             if (existingFolder) {
                 return res.status(400).json({ message: 'Folder with this name already exists in this location' });
             }
-            folder.name = name;
+            folder.name = newName;
+            folder.parentFolder = targetParent;
         }
 
         if (description !== undefined) folder.description = description;
@@ -168,8 +262,11 @@ router.put('/:id', auth, isTeacher, [
         if (isPublic !== undefined) folder.isPublic = isPublic;
         if (tags) folder.tags = tags;
 
-        await folder.save();
-        await folder.populate('subfolders materials');
+        await folders.save(folder);
+        if (folder.path !== previousPath) {
+            await refreshSubfolderPaths(folder);
+        }
+        await folders.populate(folder, { subfolders: true, materials: true });
 
         res.json({
             message: 'Folder updated successfully',
@@ -182,18 +279,15 @@ router.put('/:id', auth, isTeacher, [
 });
 
 // @route   DELETE /api/folders/:id
-// @desc    Delete folder and all contents
+// @desc    Delete folder and all contents (admin access)
 // @access  Private (Teacher only)
 router.delete('/:id', auth, isTeacher, async (req, res) => {
     try {
-        const folder = await Folder.findOne({ _id: req.params.id, owner: req.user._id });
-        
-        if (!folder) {
-            return res.status(404).json({ message: 'Folder not found' });
-        }
+        const access = await loadFolderWithPermission(req.params.id, req.user, 'admin');
+        if (access.forbidden || !access.folder) return folderAccessError(res, access);
 
         // Recursively delete all subfolders and materials
-        await deleteFolder(folder._id);
+        await deleteFolder(access.folder._id);
 
         res.json({ message: 'Folder deleted successfully' });
     } catch (error) {
@@ -205,32 +299,26 @@ router.delete('/:id', auth, isTeacher, async (req, res) => {
 // Helper function to recursively delete folders
 async function deleteFolder(folderId) {
     // Find all subfolders
-    const subfolders = await Folder.find({ parentFolder: folderId });
+    const subfolders = await folders.find({ parentFolder: folderId });
     
     // Recursively delete subfolders
     for (const subfolder of subfolders) {
         await deleteFolder(subfolder._id);
     }
     
-    // Delete all materials in this folder
-    const materials = await Material.find({ folder: folderId });
-    for (const material of materials) {
-        if (material.filePath) {
-            try {
-                await fs.unlink(material.filePath);
-            } catch (error) {
-                console.error('Error deleting file:', error);
-            }
-        }
+    // Delete all materials in this folder, and their files unless other materials share them
+    const contents = await materials.find({ folder: folderId });
+    await materials.deleteMany({ folder: folderId });
+    for (const material of contents) {
+        await releaseMaterialFiles(material);
     }
-    await Material.deleteMany({ folder: folderId });
     
     // Delete the folder itself
-    await Folder.findByIdAndDelete(folderId);
+    await folders.deleteById(folderId);
 }
 
 // @route   POST /api/folders/:id/materials
-// @desc    Upload material to folder
+// @desc    Upload material to folder (write access)
 // @access  Private (Teacher only)
 router.post('/:id/materials', auth, isTeacher, upload.single('file'), [
     body('title').trim().isLength({ min: 1 }).withMessage('Material title is required'),
@@ -239,23 +327,27 @@ router.post('/:id/materials', auth, isTeacher, upload.single('file'), [
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
+            await discardUpload(req);
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const folder = await Folder.findOne({ _id: req.params.id, owner: req.user._id });
-        
-        if (!folder) {
-            return res.status(404).json({ message: 'Folder not found' });
+        const access = await loadFolderWithPermission(req.params.id, req.user, 'write');
+        if (access.forbidden || !access.folder) {
+            await discardUpload(req);
+            return folderAccessError(res, access);
         }
+        const { folder } = access;
 
         const { title, description, type, url, tags, dueDate, priority } = req.body;
 
+        // Materials belong to the folder's owner, whoever uploads them
         const materialData = {
             title,
             description,
             type,
             folder: folder._id,
-            owner: req.user._id,
+            owner: folder.owner,
+            uploadedBy: req.user._id,
             course: folder.course,
             grade: folder.grade,
             program: folder.program,
@@ -265,56 +357,161 @@ router.post('/:id/materials', auth, isTeacher, upload.single('file'), [
         };
 
         if (type === 'link') {
+            await discardUpload(req);
             materialData.url = url;
         } else if (req.file) {
-            materialData.fileName = req.file.originalname;
-            materialData.filePath = req.file.path;
-            materialData.fileSize = req.file.size;
+            // Counted against the quota of the folder's owner
+            const stored = await storeMaterialFile(req.file, folder.owner);
+            if (stored.refused) {
+                return res.status(stored.refused.status).json({ message: stored.refused.message });
+            }
+            Object.assign(materialData, stored.file);
         } else {
             return res.status(400).json({ message: 'File is required for this material type' });
         }
 
-        const material = new Material(materialData);
-        await material.save();
+        const material = await materials.create(materialData);
 
         res.status(201).json({
             message: 'Material uploaded successfully',
             material
         });
     } catch (error) {
+        await discardUpload(req);
         console.error('Upload material error:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
 // @route   GET /api/folders/:id/materials
-// @desc    Get all materials in folder
+// @desc    Get all materials in folder (read access, including access inherited from a parent folder)
 // @access  Private
 router.get('/:id/materials', auth, async (req, res) => {
     try {
-        const folder = await Folder.findById(req.params.id);
-        
-        if (!folder) {
-            return res.status(404).json({ message: 'Folder not found' });
+        const access = await loadFolderWithPermission(req.params.id, req.user, 'read');
+        if (access.forbidden || !access.folder) return folderAccessError(res, access);
+
+        const contents = await materials.find({ folder: access.folder._id }, {
+            populate: { owner: 'name email' },
+            sort: { createdAt: -1 }
+        });
+
+        res.json({ materials: contents });
+    } catch (error) {
+        console.error('Get materials error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/folders/:id/share
+// @desc    Who the folder is shared with, directly and through its parent folders
+// @access  Private
+router.get('/:id/share', auth, async (req, res) => {
+    try {
+        const access = await loadFolderWithPermission(req.params.id, req.user, 'read');
+        if (access.forbidden || !access.folder) return folderAccessError(res, access);
+        const { folder } = access;
+
+        await folders.populate(folder, { owner: 'name email', 'sharedWith.user': 'name email role' });
+        const inherited = await getInheritedShares(folder);
+        const sharers = await users.find({ _id: { $in: inherited.map(share => share.user) } }, { select: 'name email role' });
+        for (const share of inherited) {
+            share.user = sharers.find(user => sameId(user._id, share.user)) || null;
+        }
+
+        res.json({
+            owner: folder.owner,
+            isPublic: folder.isPublic,
+            sharedWith: folder.sharedWith,
+            inherited,
+            permission: access.permission
+        });
+    } catch (error) {
+        console.error('Get folder shares error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/folders/:id/share
+// @desc    Share a folder (and everything in it) with users (admin access)
+// @access  Private (Teacher only)
+router.post('/:id/share', auth, isTeacher, [
+    body('userIds').isArray({ min: 1 }).withMessage('At least one user ID is required'),
+    body('userIds.*').custom(value => isValidId(value)).withMessage('Invalid user ID'),
+    body('permission').isIn(['read', 'write', 'admin']).withMessage('Invalid permission level')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
         }
 
-        // Check access permissions
-        if (folder.owner.toString() !== req.user._id.toString() && !folder.isPublic) {
-            const hasAccess = folder.sharedWith.some(share => 
-                share.user.toString() === req.user._id.toString()
-            );
-            if (!hasAccess) {
-                return res.status(403).json({ message: 'Access denied' });
+        const access = await loadFolderWithPermission(req.params.id, req.user, 'admin');
+        if (access.forbidden || !access.folder) return folderAccessError(res, access);
+        const { folder } = access;
+
+        const { userIds, permission } = req.body;
+        const recipients = await users.find({ _id: { $in: userIds }, isActive: true }, { select: 'name email role' });
+
+        const skipped = [];
+        for (const userId of [...new Set(userIds)]) {
+            const user = recipients.find(candidate => sameId(candidate._id, userId));
+
+            if (!user) {
+                skipped.push({ user: userId, reason: 'User not found' });
+            } else if (sameId(user._id, folder.owner)) {
+                skipped.push({ user: userId, reason: 'User owns this folder' });
+            } else if (user.role === 'student' && permission !== 'read') {
+                // Students can't use the teacher endpoints that write access unlocks
+                skipped.push({ user: userId, reason: 'Students can only be given read access' });
+            } else {
+                const existingShare = folder.sharedWith.find(share => sameId(share.user, user._id));
+                if (existingShare) {
+                    existingShare.permission = permission;
+                } else {
+                    folder.sharedWith.push({ user: user._id, permission });
+                }
             }
         }
 
-        const materials = await Material.find({ folder: req.params.id })
-            .populate('owner', 'name email')
-            .sort({ createdAt: -1 });
+        await folders.save(folder);
+        await folders.populate(folder, { 'sharedWith.user': 'name email role' });
 
-        res.json({ materials });
+        res.json({
+            message: 'Folder shared successfully',
+            sharedWith: folder.sharedWith,
+            skipped
+        });
     } catch (error) {
-        console.error('Get materials error:', error);
+        console.error('Share folder error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/folders/:id/share/:userId
+// @desc    Stop sharing a folder with a user (admin access, or users removing themselves)
+// @access  Private
+router.delete('/:id/share/:userId', auth, async (req, res) => {
+    try {
+        const isSelf = sameId(req.params.userId, req.user._id);
+        const access = await loadFolderWithPermission(req.params.id, req.user, isSelf ? 'read' : 'admin');
+        if (access.forbidden || !access.folder) return folderAccessError(res, access);
+        const { folder } = access;
+
+        const share = folder.sharedWith.find(entry => sameId(entry.user, req.params.userId));
+        if (!share) {
+            return res.status(404).json({ message: 'Folder is not shared with this user' });
+        }
+
+        folder.sharedWith = folder.sharedWith.filter(entry => entry !== share);
+        await folders.save(folder);
+
+        res.json({
+            message: 'Folder unshared successfully',
+            sharedWith: folder.sharedWith
+        });
+    } catch (error) {
+        console.error('Unshare folder error:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
@@ -3,16 +3,100 @@ const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const Material = require('../models/Material');
-const Folder = require('../models/Folder');
+const { materials, folders, users, isValidId, sameId } = require('../repositories');
 const { auth, isTeacher } = require('../middleware/auth');
+const { getFolderPermission, hasFolderPermission, loadFolderWithPermission } = require('../utils/folderAccess');
+const { sendMail, appUrl } = require('../utils/mailer');
+const { blobStore, materialUploads, storeMaterialFile, releaseMaterialFiles } = require('../utils/materialStorage');
+const { UploadError, uploadRouter } = require('../utils/chunkedUpload');
+const emailTemplates = require('../utils/emailTemplates');
 
 const router = express.Router();
 
+// Owners always have access; otherwise access comes from the material's own sharing
+// (students) or from the folder it sits in, e.g. a co-teacher's shared folder
+async function canAccessMaterial(material, user, required) {
+    if (sameId(material.owner, user._id)) return true;
+
+    if (required === 'read' && user.role === 'student') {
+        const sharedWithStudent = material.isPublic ||
+            material.sharedWith.some(share => sameId(share.user, user._id));
+        if (sharedWithStudent) return true;
+    }
+
+    const folder = material.folder && await folders.findById(material.folder._id || material.folder);
+    return Boolean(folder) && hasFolderPermission(await getFolderPermission(folder, user), required);
+}
+
+// Materials created before versioning are at version 1, with no earlier versions
+const currentVersion = (material) => material.version || 1;
+const previousVersions = (material) => material.versions || [];
+
+// Whether the user downloaded the material before its current file was uploaded
+function isUpdatedFor(material, user) {
+    const download = (material.downloadedBy || []).find(entry => sameId(entry.user, user._id));
+    return Boolean(download) && download.version < currentVersion(material);
+}
+
+// The current file as an entry of the version history
+const currentFileVersion = (material) => ({
+    version: currentVersion(material),
+    fileName: material.fileName,
+    filePath: material.filePath,
+    fileSize: material.fileSize,
+    contentHash: material.contentHash,
+    uploadedBy: material.uploadedBy || material.owner,
+    note: material.versionNote || null,
+    uploadedAt: material.fileUpdatedAt || material.createdAt
+});
+
+// Every version, newest (the current file) first, without the paths on disk
+function listVersions(material) {
+    return [currentFileVersion(material), ...previousVersions(material)]
+        .sort((a, b) => b.version - a.version)
+        .map(({ filePath, _id, ...version }) => ({ ...version, current: version.version === currentVersion(material) }));
+}
+
+// Keep the current file as a previous version and make `file` the next one
+function replaceFile(material, file, user, note) {
+    material.versions = [...previousVersions(material), currentFileVersion(material)];
+    material.version = currentVersion(material) + 1;
+    material.fileName = file.fileName;
+    material.filePath = file.filePath;
+    material.fileSize = file.fileSize;
+    material.contentHash = file.contentHash;
+    material.uploadedBy = user._id;
+    material.versionNote = note || null;
+    material.fileUpdatedAt = new Date();
+}
+
+// Email the students who downloaded an earlier version; their materials also show isUpdated
+async function notifyMaterialUpdated(material) {
+    const userIds = (material.downloadedBy || [])
+        .filter(entry => entry.version < currentVersion(material))
+        .map(entry => entry.user);
+    if (!userIds.length) return;
+
+    const students = await users.find({ _id: { $in: userIds }, role: 'student', isActive: true }, { select: 'name email' });
+    await Promise.all(students.map(student => sendMail({
+        to: student.email,
+        ...emailTemplates.materialUpdated({
+            name: student.name,
+            title: material.title,
+            version: currentVersion(material),
+            note: material.versionNote,
+            url: appUrl('/lectures.html')
+        })
+    }).catch(error => console.error(`Material update email to ${student.email} failed:`, error))));
+}
+
+// Remove a file multer stored for a request that was then refused
+const discardUpload = (req) => (req.file ? fs.unlink(req.file.path).catch(() => {}) : Promise.resolve());
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
     destination: async (req, file, cb) => {
-        const uploadPath = path.join(__dirname, '../uploads', req.user.id.toString());
+        const uploadPath = path.join(__dirname, '../uploads', req.user._id.toString());
         try {
             await fs.mkdir(uploadPath, { recursive: true });
             cb(null, uploadPath);
@@ -87,18 +171,22 @@ router.get('/', auth, async (req, res) => {
         
         const skip = (parseInt(page) - 1) * parseInt(limit);
         
-        const [materials, total] = await Promise.all([
-            Material.find(query)
-                .populate('owner', 'name email')
-                .populate('folder', 'name path color')
-                .sort(search ? { score: { $meta: 'textScore' } } : { createdAt: -1 })
-                .skip(skip)
-                .limit(parseInt(limit)),
-            Material.countDocuments(query)
+        const [results, total] = await Promise.all([
+            materials.find(query, {
+                populate: { owner: 'name email', folder: 'name path color' },
+                sort: search ? { score: { $meta: 'textScore' } } : { createdAt: -1 },
+                skip,
+                limit: parseInt(limit)
+            }),
+            materials.count(query)
         ]);
 
+        if (req.user.role === 'student') {
+            results.forEach(material => { material.isUpdated = isUpdatedFor(material, req.user); });
+        }
+
         res.json({
-            materials,
+            materials: results,
             pagination: {
                 current: parseInt(page),
                 pages: Math.ceil(total / parseInt(limit)),
@@ -111,36 +199,52 @@ router.get('/', auth, async (req, res) => {
     }
 });
 
+// @route   /api/materials/uploads
+// @desc    Resumable uploads of files too large for one request (recorded lectures); the
+//          material's fields are sent when the upload starts and it is created on completion
+// @access  Private (Teacher only)
+router.use('/uploads', auth, isTeacher, uploadRouter(materialUploads, {
+    ownerOf: (req) => req.user._id,
+    async details(req) {
+        await Promise.all(materialValidators.map(validator => validator.run(req)));
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new UploadError(400, 'Invalid material details', { errors: errors.array() });
+        }
+        if (req.body.type === 'link') {
+            throw new UploadError(400, 'Links are added without uploading a file');
+        }
+        const { title, description, type, folder, course, grade, program, tags, dueDate, priority, isPublic } = req.body;
+        return { title, description, type, folder, course, grade, program, tags, dueDate, priority, isPublic };
+    },
+    finalize: (req, file, upload) => createMaterial(req.user, upload.details, file)
+}));
+
 // @route   GET /api/materials/:id
 // @desc    Get specific material
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
     try {
-        const material = await Material.findById(req.params.id)
-            .populate('owner', 'name email')
-            .populate('folder', 'name path color');
+        const material = await materials.findById(req.params.id, {
+            populate: { owner: 'name email', folder: 'name path color' }
+        });
         
         if (!material) {
             return res.status(404).json({ message: 'Material not found' });
         }
 
         // Check access permissions
-        if (req.user.role === 'student') {
-            const hasAccess = material.isPublic || 
-                            material.sharedWith.some(share => 
-                                share.user.toString() === req.user._id.toString()
-                            );
-            
-            if (!hasAccess) {
-                return res.status(403).json({ message: 'Access denied' });
-            }
-        } else if (material.owner._id.toString() !== req.user._id.toString()) {
+        if (!await canAccessMaterial(material, req.user, 'read')) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
         // Increment view count
         material.viewCount += 1;
-        await material.save();
+        await materials.save(material);
+
+        if (req.user.role === 'student') {
+            material.isUpdated = isUpdatedFor(material, req.user);
+        }
 
         res.json({ material });
     } catch (error) {
@@ -149,69 +253,84 @@ router.get('/:id', auth, async (req, res) => {
     }
 });
 
-// @route   POST /api/materials
-// @desc    Create new material
-// @access  Private (Teacher only)
-router.post('/', auth, isTeacher, upload.single('file'), [
+const materialValidators = [
     body('title').trim().isLength({ min: 1 }).withMessage('Material title is required'),
     body('type').isIn(['pdf', 'doc', 'docx', 'ppt', 'pptx', 'video', 'image', 'link', 'quiz', 'assignment']).withMessage('Invalid material type'),
     body('course').isIn(['Biochemistry', 'Cell Biology', 'Animal Behavior', 'Evolution', 'Photosynthesis', 'Cell Division', 'Cell Respiration', 'General Biology']).withMessage('Invalid course'),
     body('grade').isIn(['9', '10', '11', '12']).withMessage('Invalid grade'),
     body('program').isIn(['EST', 'ACT', 'Both']).withMessage('Invalid program')
-], async (req, res) => {
-    try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
+];
+
+// Create a material of `user` from the submitted fields and `file` (a multer upload, or a
+// completed resumable upload); resolves to the { status, body } to answer with
+async function createMaterial(user, fields, file) {
+    const { title, description, type, url, folder, course, grade, program, tags, dueDate, priority, isPublic } = fields;
+
+    // Validate folder if provided; uploading needs write access and the folder's owner owns the material
+    let owner = user._id;
+    if (folder) {
+        const access = await loadFolderWithPermission(folder, user, 'write');
+        if (!access.folder || access.forbidden) {
+            return { status: 400, body: { message: 'Invalid folder' } };
         }
+        owner = access.folder.owner;
+    }
 
-        const { title, description, type, url, folder, course, grade, program, tags, dueDate, priority, isPublic } = req.body;
-
-        // Validate folder if provided
-        if (folder) {
-            const folderDoc = await Folder.findOne({ _id: folder, owner: req.user._id });
-            if (!folderDoc) {
-                return res.status(400).json({ message: 'Invalid folder' });
-            }
+    const materialData = {
+        title,
+        description,
+        type,
+        folder: folder || null,
+        owner,
+        uploadedBy: user._id,
+        course,
+        grade,
+        program,
+        tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
+        dueDate: dueDate ? new Date(dueDate) : null,
+        priority: priority || 'medium',
+        isPublic: String(isPublic) === 'true'
+    };
+
+    if (type === 'link') {
+        if (!url) {
+            return { status: 400, body: { message: 'URL is required for link type' } };
         }
-
-        const materialData = {
-            title,
-            description,
-            type,
-            folder: folder || null,
-            owner: req.user._id,
-            course,
-            grade,
-            program,
-            tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
-            dueDate: dueDate ? new Date(dueDate) : null,
-            priority: priority || 'medium',
-            isPublic: isPublic === 'true'
-        };
-
-        if (type === 'link') {
-            if (!url) {
-                return res.status(400).json({ message: 'URL is required for link type' });
-            }
-            materialData.url = url;
-        } else if (req.file) {
-            materialData.fileName = req.file.originalname;
-            materialData.filePath = req.file.path;
-            materialData.fileSize = req.file.size;
-        } else {
-            return res.status(400).json({ message: 'File is required for this material type' });
+        materialData.url = url;
+    } else if (file) {
+        const stored = await storeMaterialFile(file, owner);
+        if (stored.refused) {
+            return { status: stored.refused.status, body: { message: stored.refused.message } };
         }
+        Object.assign(materialData, stored.file);
+    } else {
+        return { status: 400, body: { message: 'File is required for this material type' } };
+    }
 
-        const material = new Material(materialData);
-        await material.save();
-        await material.populate('owner', 'name email');
-        await material.populate('folder', 'name path color');
+    const material = await materials.create(materialData);
+    await materials.populate(material, { owner: 'name email', folder: 'name path color' });
 
-        res.status(201).json({
+    return {
+        status: 201,
+        body: {
             message: 'Material created successfully',
             material
-        });
+        }
+    };
+}
+
+// @route   POST /api/materials
+// @desc    Create new material
+// @access  Private (Teacher only)
+router.post('/', auth, isTeacher, upload.single('file'), materialValidators, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const answer = await createMaterial(req.user, req.body, req.file);
+        res.status(answer.status).json(answer.body);
     } catch (error) {
         console.error('Create material error:', error);
         res.status(500).json({ message: 'Server error' });
@@ -219,10 +338,11 @@ router.post('/', auth, isTeacher, upload.single('file'), [
 });
 
 // @route   PUT /api/materials/:id
-// @desc    Update material
+// @desc    Update material or move it to another folder (owner or write access to its folder)
 // @access  Private (Teacher only)
 router.put('/:id', auth, isTeacher, [
-    body('title').optional().trim().isLength({ min: 1 }).withMessage('Material title cannot be empty')
+    body('title').optional().trim().isLength({ min: 1 }).withMessage('Material title cannot be empty'),
+    body('folder').optional().custom(value => isValidId(value)).withMessage('Invalid folder')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -230,13 +350,23 @@ router.put('/:id', auth, isTeacher, [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const material = await Material.findOne({ _id: req.params.id, owner: req.user._id });
+        const material = await materials.findById(req.params.id);
         
-        if (!material) {
+        if (!material || !await canAccessMaterial(material, req.user, 'write')) {
             return res.status(404).json({ message: 'Material not found' });
         }
 
-        const { title, description, url, tags, dueDate, priority, isPublic } = req.body;
+        const { title, description, url, tags, dueDate, priority, isPublic, folder } = req.body;
+
+        if (folder && !sameId(folder, material.folder)) {
+            const target = await loadFolderWithPermission(folder, req.user, 'write');
+            if (!target.folder || target.forbidden) {
+                return res.status(400).json({ message: 'Invalid folder' });
+            }
+            // Moving into another owner's tree hands the material to that owner
+            material.folder = target.folder._id;
+            material.owner = target.folder.owner;
+        }
 
         if (title) material.title = title;
         if (description !== undefined) material.description = description;
@@ -246,9 +376,8 @@ router.put('/:id', auth, isTeacher, [
         if (priority) material.priority = priority;
         if (isPublic !== undefined) material.isPublic = isPublic;
 
-        await material.save();
-        await material.populate('owner', 'name email');
-        await material.populate('folder', 'name path color');
+        await materials.save(material);
+        await materials.populate(material, { owner: 'name email', folder: 'name path color' });
 
         res.json({
             message: 'Material updated successfully',
@@ -261,26 +390,20 @@ router.put('/:id', auth, isTeacher, [
 });
 
 // @route   DELETE /api/materials/:id
-// @desc    Delete material
+// @desc    Delete material (owner or admin access to its folder)
 // @access  Private (Teacher only)
 router.delete('/:id', auth, isTeacher, async (req, res) => {
     try {
-        const material = await Material.findOne({ _id: req.params.id, owner: req.user._id });
+        const material = await materials.findById(req.params.id);
         
-        if (!material) {
+        if (!material || !await canAccessMaterial(material, req.user, 'admin')) {
             return res.status(404).json({ message: 'Material not found' });
         }
 
-        // Delete file if it exists
-        if (material.filePath) {
-            try {
-                await fs.unlink(material.filePath);
-            } catch (error) {
-                console.error('Error deleting file:', error);
-            }
-        }
+        await materials.deleteById(material._id);
 
-        await Material.findByIdAndDelete(material._id);
+        // Its files, current and earlier versions, are deleted unless another material shares them
+        await releaseMaterialFiles(material);
 
         res.json({ message: 'Material deleted successfully' });
     } catch (error) {
@@ -294,23 +417,14 @@ router.delete('/:id', auth, isTeacher, async (req, res) => {
 // @access  Private
 router.get('/:id/download', auth, async (req, res) => {
     try {
-        const material = await Material.findById(req.params.id);
+        const material = await materials.findById(req.params.id);
         
         if (!material) {
             return res.status(404).json({ message: 'Material not found' });
         }
 
         // Check access permissions
-        if (req.user.role === 'student') {
-            const hasAccess = material.isPublic || 
-                            material.sharedWith.some(share => 
-                                share.user.toString() === req.user._id.toString()
-                            );
-            
-            if (!hasAccess) {
-                return res.status(403).json({ message: 'Access denied' });
-            }
-        } else if (material.owner.toString() !== req.user._id.toString()) {
+        if (!await canAccessMaterial(material, req.user, 'read')) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
@@ -325,9 +439,19 @@ router.get('/:id/download', auth, async (req, res) => {
             return res.status(404).json({ message: 'File not found on server' });
         }
 
-        // Increment download count
+        // Increment download count; students' downloads are remembered for the updated flag
         material.downloadCount += 1;
-        await material.save();
+        if (req.user.role === 'student') {
+            const downloads = material.downloadedBy || [];
+            const download = downloads.find(entry => sameId(entry.user, req.user._id));
+            if (download) {
+                download.version = currentVersion(material);
+                download.downloadedAt = new Date();
+            } else {
+                material.downloadedBy = [...downloads, { user: req.user._id, version: currentVersion(material), downloadedAt: new Date() }];
+            }
+        }
+        await materials.save(material);
 
         // Send file
         res.download(material.filePath, material.fileName);
@@ -337,6 +461,157 @@ router.get('/:id/download', auth, async (req, res) => {
     }
 });
 
+// @route   POST /api/materials/:id/versions
+// @desc    Replace the material's file, keeping the previous one as an older version
+// @access  Private (Teacher only)
+router.post('/:id/versions', auth, isTeacher, upload.single('file'), [
+    body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            await discardUpload(req);
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const material = await materials.findById(req.params.id);
+
+        if (!material || !await canAccessMaterial(material, req.user, 'write')) {
+            await discardUpload(req);
+            return res.status(404).json({ message: 'Material not found' });
+        }
+        if (material.type === 'link') {
+            await discardUpload(req);
+            return res.status(400).json({ message: 'Links have no file to replace' });
+        }
+        if (!req.file) {
+            return res.status(400).json({ message: 'File is required' });
+        }
+
+        const stored = await storeMaterialFile(req.file, material.owner);
+        if (stored.refused) {
+            return res.status(stored.refused.status).json({ message: stored.refused.message });
+        }
+
+        replaceFile(material, stored.file, req.user, req.body.note);
+        await materials.save(material);
+
+        notifyMaterialUpdated(material).catch(error => console.error('Material update notification error:', error));
+
+        res.status(201).json({
+            message: `Material updated to version ${material.version}`,
+            material,
+            versions: listVersions(material)
+        });
+    } catch (error) {
+        await discardUpload(req);
+        console.error('Upload material version error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/materials/:id/versions
+// @desc    Version history of the material's file, newest first
+// @access  Private (Teacher only)
+router.get('/:id/versions', auth, isTeacher, async (req, res) => {
+    try {
+        const material = await materials.findById(req.params.id);
+
+        if (!material || !await canAccessMaterial(material, req.user, 'write')) {
+            return res.status(404).json({ message: 'Material not found' });
+        }
+
+        await materials.populate(material, { owner: 'name email', uploadedBy: 'name email', 'versions.uploadedBy': 'name email' });
+
+        res.json({ version: currentVersion(material), versions: listVersions(material) });
+    } catch (error) {
+        console.error('Get material versions error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/materials/:id/versions/:version/download
+// @desc    Download the file of one version
+// @access  Private (Teacher only)
+router.get('/:id/versions/:version/download', auth, isTeacher, async (req, res) => {
+    try {
+        const material = await materials.findById(req.params.id);
+
+        if (!material || !await canAccessMaterial(material, req.user, 'write')) {
+            return res.status(404).json({ message: 'Material not found' });
+        }
+
+        const version = [currentFileVersion(material), ...previousVersions(material)]
+            .find(entry => entry.version === parseInt(req.params.version, 10));
+        if (!version || !version.filePath) {
+            return res.status(404).json({ message: 'Version not found' });
+        }
+
+        try {
+            await fs.access(version.filePath);
+        } catch (error) {
+            return res.status(404).json({ message: 'File not found on server' });
+        }
+
+        res.download(version.filePath, version.fileName);
+    } catch (error) {
+        console.error('Download material version error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/materials/:id/versions/:version/rollback
+// @desc    Make an earlier version's file current again, as a new version
+// @access  Private (Teacher only)
+router.post('/:id/versions/:version/rollback', auth, isTeacher, [
+    body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const material = await materials.findById(req.params.id);
+
+        if (!material || !await canAccessMaterial(material, req.user, 'write')) {
+            return res.status(404).json({ message: 'Material not found' });
+        }
+
+        const versionNumber = parseInt(req.params.version, 10);
+        if (versionNumber === currentVersion(material)) {
+            return res.status(400).json({ message: 'This is already the current version' });
+        }
+
+        const target = previousVersions(material).find(entry => entry.version === versionNumber);
+        if (!target || !target.filePath) {
+            return res.status(404).json({ message: 'Version not found' });
+        }
+
+        try {
+            await fs.access(target.filePath);
+        } catch (error) {
+            return res.status(404).json({ message: 'File not found on server' });
+        }
+
+        // The history is kept as it was; the restored file becomes the newest version
+        replaceFile(material, target, req.user, req.body.note || `Restored version ${versionNumber}`);
+        await materials.save(material);
+        await blobStore.retain(target.filePath);
+
+        notifyMaterialUpdated(material).catch(error => console.error('Material update notification error:', error));
+
+        res.json({
+            message: `Version ${versionNumber} restored as version ${material.version}`,
+            material,
+            versions: listVersions(material)
+        });
+    } catch (error) {
+        console.error('Rollback material version error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   POST /api/materials/:id/share
 // @desc    Share material with students
 // @access  Private (Teacher only)
@@ -350,7 +625,7 @@ router.post('/:id/share', auth, isTeacher, [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const material = await Material.findOne({ _id: req.params.id, owner: req.user._id });
+        const material = await materials.findOne({ _id: req.params.id, owner: req.user._id });
         
         if (!material) {
             return res.status(404).json({ message: 'Material not found' });
@@ -361,7 +636,7 @@ router.post('/:id/share', auth, isTeacher, [
         // Add students to shared list
         for (const studentId of studentIds) {
             const existingShare = material.sharedWith.find(
-                share => share.user.toString() === studentId
+                share => sameId(share.user, studentId)
             );
 
             if (!existingShare) {
@@ -374,7 +649,7 @@ router.post('/:id/share', auth, isTeacher, [
             }
         }
 
-        await material.save();
+        await materials.save(material);
 
         res.json({
             message: 'Material shared successfully',
@@ -399,44 +674,33 @@ router.get('/analytics/overview', auth, isTeacher, async (req, res) => {
         if (program) query.program = program;
 
         // Materials by type
-        const materialsByType = await Material.aggregate([
-            { $match: query },
-            { $group: { _id: '$type', count: { $sum: 1 } } }
-        ]);
+        const materialsByType = await materials.group(query, { by: 'type', count: 'count' });
 
         // Materials by course
-        const materialsByCourse = await Material.aggregate([
-            { $match: query },
-            { $group: { _id: '$course', count: { $sum: 1 } } }
-        ]);
+        const materialsByCourse = await materials.group(query, { by: 'course', count: 'count' });
 
         // Most viewed materials
-        const mostViewed = await Material.find(query)
-            .sort({ viewCount: -1 })
-            .limit(10)
-            .select('title type viewCount downloadCount course');
+        const mostViewed = await materials.find(query, {
+            sort: { viewCount: -1 },
+            limit: 10,
+            select: 'title type viewCount downloadCount course'
+        });
 
         // Most downloaded materials
-        const mostDownloaded = await Material.find(query)
-            .sort({ downloadCount: -1 })
-            .limit(10)
-            .select('title type viewCount downloadCount course');
+        const mostDownloaded = await materials.find(query, {
+            sort: { downloadCount: -1 },
+            limit: 10,
+            select: 'title type viewCount downloadCount course'
+        });
 
         // Total statistics
-        const totalMaterials = await Material.countDocuments(query);
-        const totalViews = await Material.aggregate([
-            { $match: query },
-            { $group: { _id: null, total: { $sum: '$viewCount' } } }
-        ]);
-        const totalDownloads = await Material.aggregate([
-            { $match: query },
-            { $group: { _id: null, total: { $sum: '$downloadCount' } } }
-        ]);
+        const totalMaterials = await materials.count(query);
+        const [totals] = await materials.group(query, { sum: { views: 'viewCount', downloads: 'downloadCount' } });
 
         const analytics = {
             totalMaterials,
-            totalViews: totalViews[0]?.total || 0,
-            totalDownloads: totalDownloads[0]?.total || 0,
+            totalViews: totals?.views || 0,
+            totalDownloads: totals?.downloads || 0,
             materialsByType,
             materialsByCourse,
             mostViewed,
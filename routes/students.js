@@ -1,37 +1,126 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const User = require('../models/User');
-const ZoomSession = require('../models/ZoomSession');
-const Material = require('../models/Material');
+const multer = require('multer');
+const path = require('path');
+const { users, sessions, materials, invitations, refreshTokens, sameId } = require('../repositories');
 const { auth, isTeacher } = require('../middleware/auth');
+const { sendMail, appUrl } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const { INVITATION_TTL_DAYS, createToken } = require('../utils/tokens');
+const { readSpreadsheet, toCsv, writeXlsx } = require('../utils/spreadsheet');
+const { MAX_ROSTER_ROWS, ROSTER_HEADERS, mapColumns, parseRosterRow } = require('../utils/roster');
 
 const router = express.Router();
 
+// Roster spreadsheets are parsed in memory, never written to disk
+const rosterUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB
+    },
+    fileFilter: (req, file, cb) => {
+        if (['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
+            return cb(null, true);
+        }
+        cb(new Error('Only CSV and XLSX files are supported'));
+    }
+});
+
+// Give an invitation a fresh token and expiry and email it to the student. A new invitation
+// (one without an _id) is stored first and removed again if the email can't be sent; a resent
+// one gets its previous token back, so the link the student already has keeps working.
+const sendInvitation = async (invitation, teacher, expiresInDays = INVITATION_TTL_DAYS) => {
+    const { token, tokenHash, expiresAt } = createToken(expiresInDays * 24 * 60 * 60 * 1000);
+    const isNew = invitation._id === undefined;
+    const previous = {
+        tokenHash: invitation.tokenHash,
+        expiresAt: invitation.expiresAt,
+        lastSentAt: invitation.lastSentAt,
+        sendCount: invitation.sendCount
+    };
+    Object.assign(invitation, { tokenHash, expiresAt, lastSentAt: new Date() });
+
+    if (isNew) {
+        invitation = await invitations.create(invitation);
+    } else {
+        invitation.sendCount += 1;
+        await invitations.save(invitation);
+    }
+
+    try {
+        await sendMail({
+            to: invitation.email,
+            ...emailTemplates.invitation({
+                teacherName: teacher.name,
+                grade: invitation.grade,
+                program: invitation.program,
+                message: invitation.message,
+                url: appUrl(`/accept-invite?token=${token}`),
+                expiresInDays
+            })
+        });
+    } catch (error) {
+        // Don't leave an invitation behind that the student never received
+        if (isNew) {
+            await invitations.deleteById(invitation._id);
+        } else {
+            Object.assign(invitation, previous);
+            await invitations.save(invitation);
+        }
+        throw error;
+    }
+
+    return invitation;
+};
+
 // @route   GET /api/students
-// @desc    Get all students (Teacher only)
+// @desc    Get all students (Teacher only); ?format=csv|xlsx downloads the roster
 // @access  Private (Teacher only)
 router.get('/', auth, isTeacher, async (req, res) => {
     try {
-        const { grade, program, course } = req.query;
+        const { grade, program, course, format } = req.query;
         
         let query = { role: 'student' };
         
         if (grade) query['studentInfo.grade'] = grade;
         if (program) query['studentInfo.program'] = program;
 
-        const students = await User.find(query)
-            .select('-password')
-            .sort({ 'studentInfo.grade': 1, name: 1 });
+        const students = await users.find(query, {
+            select: '-password',
+            sort: { 'studentInfo.grade': 1, name: 1 }
+        });
 
         // If course filter is applied, get students who have materials in that course
         let filteredStudents = students;
         if (course) {
-            const studentsWithCourse = await Material.distinct('owner', { course });
+            const studentsWithCourse = await materials.distinct('owner', { course });
             filteredStudents = students.filter(student => 
-                studentsWithCourse.includes(student._id)
+                studentsWithCourse.some(owner => sameId(owner, student._id))
             );
         }
 
+        if (format === 'csv' || format === 'xlsx') {
+            // Same columns as the roster import, so an export can be edited and re-imported
+            const rows = [ROSTER_HEADERS, ...filteredStudents.map(student => [
+                student.name,
+                student.email,
+                student.phone || '',
+                student.studentInfo?.grade || '',
+                student.studentInfo?.program || '',
+                student.isActive ? 'Active' : 'Inactive',
+                student.studentInfo?.enrollmentDate ? student.studentInfo.enrollmentDate.toISOString().split('T')[0] : ''
+            ])];
+            const fileName = `students-roster-${new Date().toISOString().split('T')[0]}.${format}`;
+
+            res.attachment(fileName);
+            if (format === 'csv') {
+                res.type('text/csv').send(toCsv(rows));
+            } else {
+                res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet').send(writeXlsx(rows, 'Students'));
+            }
+            return;
+        }
+
         res.json({ 
             students: filteredStudents,
             total: filteredStudents.length 
@@ -42,36 +131,137 @@ router.get('/', auth, isTeacher, async (req, res) => {
     }
 });
 
+// Invitation routes are registered before /:id so "invitations" is not read as a student id
+
+// @route   GET /api/students/invitations
+// @desc    Report of sent invitations (?status=outstanding|expired|accepted|revoked)
+// @access  Private (Teacher only)
+router.get('/invitations', auth, isTeacher, async (req, res) => {
+    try {
+        const { status, grade, program } = req.query;
+        const now = new Date();
+
+        let query = { invitedBy: req.user._id };
+        if (grade) query.grade = grade;
+        if (program) query.program = program;
+
+        if (status === 'outstanding') {
+            query.status = 'pending';
+            query.expiresAt = { $gt: now };
+        } else if (status === 'expired') {
+            query.status = 'pending';
+            query.expiresAt = { $lte: now };
+        } else if (status) {
+            query.status = status;
+        }
+
+        const results = await invitations.find(query, {
+            sort: { createdAt: -1 },
+            populate: { user: 'name email' }
+        });
+
+        const [outstanding, expired, accepted] = await Promise.all([
+            invitations.count({ invitedBy: req.user._id, status: 'pending', expiresAt: { $gt: now } }),
+            invitations.count({ invitedBy: req.user._id, status: 'pending', expiresAt: { $lte: now } }),
+            invitations.count({ invitedBy: req.user._id, status: 'accepted' })
+        ]);
+
+        res.json({
+            invitations: results,
+            summary: { outstanding, expired, accepted }
+        });
+    } catch (error) {
+        console.error('Get invitations error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/students/invitations/:id/resend
+// @desc    Resend an invitation with a new link and expiry (the old link stops working)
+// @access  Private (Teacher only)
+router.post('/invitations/:id/resend', auth, isTeacher, [
+    body('expiresInDays').optional().isInt({ min: 1, max: 30 }).withMessage('expiresInDays must be between 1 and 30')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const invitation = await invitations.findOne({ _id: req.params.id, invitedBy: req.user._id });
+        if (!invitation) {
+            return res.status(404).json({ message: 'Invitation not found' });
+        }
+
+        if (invitation.status !== 'pending') {
+            return res.status(400).json({ message: `Invitation has already been ${invitation.status}` });
+        }
+
+        await sendInvitation(invitation, req.user, parseInt(req.body.expiresInDays) || INVITATION_TTL_DAYS);
+
+        res.json({
+            message: 'Invitation resent',
+            invitation: invitation.toJSON()
+        });
+    } catch (error) {
+        console.error('Resend invitation error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/students/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private (Teacher only)
+router.delete('/invitations/:id', auth, isTeacher, async (req, res) => {
+    try {
+        const invitation = await invitations.findOne({ _id: req.params.id, invitedBy: req.user._id });
+        if (!invitation) {
+            return res.status(404).json({ message: 'Invitation not found' });
+        }
+
+        if (invitation.status !== 'pending') {
+            return res.status(400).json({ message: `Invitation has already been ${invitation.status}` });
+        }
+
+        invitation.status = 'revoked';
+        await invitations.save(invitation);
+
+        res.json({ message: 'Invitation revoked' });
+    } catch (error) {
+        console.error('Revoke invitation error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   GET /api/students/:id
 // @desc    Get student details
 // @access  Private (Teacher only)
 router.get('/:id', auth, isTeacher, async (req, res) => {
     try {
-        const student = await User.findOne({ _id: req.params.id, role: 'student' })
-            .select('-password');
+        const student = await users.findOne({ _id: req.params.id, role: 'student' }, { select: '-password' });
         
         if (!student) {
             return res.status(404).json({ message: 'Student not found' });
         }
 
         // Get student's session attendance
-        const sessions = await ZoomSession.find({
+        const attended = await sessions.find({
             'attendees.student': student._id
-        }).populate('teacher', 'name');
+        }, { populate: { teacher: 'name' } });
 
         // Get student's progress (materials accessed)
-        const materialsAccessed = await Material.find({
+        const materialsAccessed = await materials.count({
             $or: [
                 { viewCount: { $gt: 0 } },
                 { downloadCount: { $gt: 0 } }
             ]
-        }).countDocuments();
+        });
 
         const studentData = {
             ...student.toJSON(),
-            sessionsAttended: sessions.length,
+            sessionsAttended: attended.length,
             materialsAccessed,
-            recentSessions: sessions.slice(-5)
+            recentSessions: attended.slice(-5)
         };
 
         res.json({ student: studentData });
@@ -96,7 +286,7 @@ router.put('/:id', auth, isTeacher, [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const student = await User.findOne({ _id: req.params.id, role: 'student' });
+        const student = await users.findOne({ _id: req.params.id, role: 'student' });
         
         if (!student) {
             return res.status(404).json({ message: 'Student not found' });
@@ -107,7 +297,7 @@ router.put('/:id', auth, isTeacher, [
         if (name) student.name = name;
         if (email && email !== student.email) {
             // Check if email is already taken
-            const existingUser = await User.findOne({ email, _id: { $ne: student._id } });
+            const existingUser = await users.findOne({ email, _id: { $ne: student._id } });
             if (existingUser) {
                 return res.status(400).json({ message: 'Email already in use' });
             }
@@ -118,7 +308,12 @@ router.put('/:id', auth, isTeacher, [
         }
         if (isActive !== undefined) student.isActive = isActive;
 
-        await student.save();
+        await users.save(student);
+
+        // Deactivating bumps the student's tokenVersion; revoke refresh tokens so they stay logged out
+        if (!student.isActive) {
+            await refreshTokens.revokeAllForUser(student._id);
+        }
 
         res.json({
             message: 'Student updated successfully',
@@ -135,40 +330,32 @@ router.put('/:id', auth, isTeacher, [
 // @access  Private (Teacher only)
 router.get('/:id/progress', auth, isTeacher, async (req, res) => {
     try {
-        const student = await User.findOne({ _id: req.params.id, role: 'student' });
+        const student = await users.findOne({ _id: req.params.id, role: 'student' });
         
         if (!student) {
             return res.status(404).json({ message: 'Student not found' });
         }
 
         // Get sessions attended
-        const sessionsAttended = await ZoomSession.find({
+        const sessionsAttended = await sessions.find({
             'attendees.student': student._id
-        }).populate('teacher', 'name');
+        }, { populate: { teacher: 'name' } });
 
         // Get materials by course
-        const materialsByCourse = await Material.aggregate([
-            {
-                $match: {
-                    $or: [
-                        { grade: student.studentInfo.grade },
-                        { program: student.studentInfo.program },
-                        { program: 'Both' }
-                    ]
-                }
-            },
-            {
-                $group: {
-                    _id: '$course',
-                    totalMaterials: { $sum: 1 },
-                    totalViews: { $sum: '$viewCount' },
-                    totalDownloads: { $sum: '$downloadCount' }
-                }
-            }
-        ]);
+        const materialsByCourse = await materials.group({
+            $or: [
+                { grade: student.studentInfo.grade },
+                { program: student.studentInfo.program },
+                { program: 'Both' }
+            ]
+        }, {
+            by: 'course',
+            count: 'totalMaterials',
+            sum: { totalViews: 'viewCount', totalDownloads: 'downloadCount' }
+        });
 
         // Calculate attendance rate
-        const totalSessions = await ZoomSession.countDocuments({
+        const totalSessions = await sessions.count({
             $or: [
                 { grade: student.studentInfo.grade },
                 { program: student.studentInfo.program },
@@ -202,41 +389,36 @@ router.get('/:id/progress', auth, isTeacher, async (req, res) => {
 router.get('/analytics/overview', auth, isTeacher, async (req, res) => {
     try {
         // Total students by grade
-        const studentsByGrade = await User.aggregate([
-            { $match: { role: 'student' } },
-            { $group: { _id: '$studentInfo.grade', count: { $sum: 1 } } },
-            { $sort: { _id: 1 } }
-        ]);
+        const studentsByGrade = await users.group({ role: 'student' }, {
+            by: 'studentInfo.grade',
+            count: 'count',
+            sort: { _id: 1 }
+        });
 
         // Total students by program
-        const studentsByProgram = await User.aggregate([
-            { $match: { role: 'student' } },
-            { $group: { _id: '$studentInfo.program', count: { $sum: 1 } } }
-        ]);
+        const studentsByProgram = await users.group({ role: 'student' }, { by: 'studentInfo.program', count: 'count' });
 
         // Active vs inactive students
-        const activeStudents = await User.countDocuments({ role: 'student', isActive: true });
-        const inactiveStudents = await User.countDocuments({ role: 'student', isActive: false });
+        const activeStudents = await users.count({ role: 'student', isActive: true });
+        const inactiveStudents = await users.count({ role: 'student', isActive: false });
 
         // Recent enrollments (last 30 days)
         const thirtyDaysAgo = new Date();
         thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
         
-        const recentEnrollments = await User.countDocuments({
+        const recentEnrollments = await users.count({
             role: 'student',
             'studentInfo.enrollmentDate': { $gte: thirtyDaysAgo }
         });
 
         // Session attendance analytics
-        const totalSessions = await ZoomSession.countDocuments({
+        const totalSessions = await sessions.count({
             scheduledTime: { $lte: new Date() }
         });
 
-        const sessionsWithAttendees = await ZoomSession.aggregate([
-            { $match: { scheduledTime: { $lte: new Date() } } },
-            { $project: { attendeeCount: { $size: '$attendees' } } },
-            { $group: { _id: null, totalAttendees: { $sum: '$attendeeCount' } } }
-        ]);
+        const sessionsWithAttendees = await sessions.group({ scheduledTime: { $lte: new Date() } }, {
+            sum: { totalAttendees: { size: 'attendees' } }
+        });
 
         const averageAttendance = totalSessions > 0 && sessionsWithAttendees.length > 0 
             ? Math.round(sessionsWithAttendees[0].totalAttendees / totalSessions) 
@@ -267,9 +449,11 @@ router.get('/analytics/overview', auth, isTeacher, async (req, res) => {
 // @access  Private (Teacher only)
 router.post('/bulk-invite', auth, isTeacher, [
     body('emails').isArray({ min: 1 }).withMessage('At least one email is required'),
-    body('emails.*').isEmail().withMessage('All emails must be valid'),
+    body('emails.*').isEmail().normalizeEmail().withMessage('All emails must be valid'),
     body('grade').isIn(['9', '10', '11', '12']).withMessage('Invalid grade'),
-    body('program').isIn(['EST', 'ACT', 'Both']).withMessage('Invalid program')
+    body('program').isIn(['EST', 'ACT', 'Both']).withMessage('Invalid program'),
+    body('message').optional().trim().isLength({ max: 2000 }).withMessage('Message must be at most 2000 characters'),
+    body('expiresInDays').optional().isInt({ min: 1, max: 30 }).withMessage('expiresInDays must be between 1 and 30')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -278,46 +462,46 @@ router.post('/bulk-invite', auth, isTeacher, [
         }
 
         const { emails, grade, program, message } = req.body;
+        const expiresInDays = parseInt(req.body.expiresInDays) || INVITATION_TTL_DAYS;
         const results = {
             successful: [],
             failed: [],
-            existing: []
+            existing: [],
+            alreadyInvited: []
         };
 
-        for (const email of emails) {
+        for (const email of [...new Set(emails)]) {
             try {
                 // Check if user already exists
-                const existingUser = await User.findOne({ email });
+                const existingUser = await users.findOne({ email });
                 if (existingUser) {
                     results.existing.push(email);
                     continue;
                 }
 
-                // Create temporary password
-                const tempPassword = Math.random().toString(36).substring(2, 10);
-
-                // Create user account
-                const user = new User({
-                    name: email.split('@')[0], // Use email prefix as temporary name
+                // Outstanding invitations are resent from the invitations report instead
+                const pendingInvitation = await invitations.findOne({
                     email,
-                    password: tempPassword,
-                    role: 'student',
-                    studentInfo: {
-                        grade,
-                        program,
-                        enrollmentDate: new Date()
-                    }
+                    status: 'pending',
+                    expiresAt: { $gt: new Date() }
                 });
+                if (pendingInvitation) {
+                    results.alreadyInvited.push({ email, invitationId: pendingInvitation._id });
+                    continue;
+                }
 
-                await user.save();
-
-                // TODO: Send invitation email with temporary password
-                // This would require implementing email service
+                const invitation = await sendInvitation({
+                    email,
+                    grade,
+                    program,
+                    message,
+                    invitedBy: req.user._id
+                }, req.user, expiresInDays);
 
                 results.successful.push({
                     email,
-                    tempPassword,
-                    userId: user._id
+                    invitationId: invitation._id,
+                    expiresAt: invitation.expiresAt
                 });
 
             } catch (error) {
@@ -338,4 +522,172 @@ router.post('/bulk-invite', auth, isTeacher, [
     }
 });
 
+// @route   POST /api/students/roster/import
+// @desc    Import a CSV/XLSX roster (name, email, phone, grade, program). Returns a preview of
+//          new/updated/unchanged/duplicate/invalid rows; send commit=true to apply it
+// @access  Private (Teacher only)
+router.post('/roster/import', auth, isTeacher, (req, res, next) => {
+    rosterUpload.single('file')(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({ message: error.message });
+        }
+        next();
+    });
+}, [
+    body('commit').optional().isBoolean().withMessage('commit must be true or false'),
+    body('invite').optional().isBoolean().withMessage('invite must be true or false'),
+    body('message').optional().trim().isLength({ max: 2000 }).withMessage('Message must be at most 2000 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ message: 'A CSV or XLSX file is required' });
+        }
+
+        const commit = String(req.body.commit) === 'true';
+        const invite = String(req.body.invite) !== 'false';
+
+        let sheet;
+        try {
+            sheet = readSpreadsheet(req.file.buffer, req.file.originalname);
+        } catch (error) {
+            return res.status(400).json({ message: `Could not read the file: ${error.message}` });
+        }
+
+        if (sheet.length < 2) {
+            return res.status(400).json({ message: 'The roster has no data rows' });
+        }
+
+        if (sheet.length - 1 > MAX_ROSTER_ROWS) {
+            return res.status(400).json({ message: `A roster can have at most ${MAX_ROSTER_ROWS} rows` });
+        }
+
+        const { columns, missing } = mapColumns(sheet[0]);
+        if (missing.length > 0) {
+            return res.status(400).json({ message: `Missing required column(s): ${missing.join(', ')}` });
+        }
+
+        // Validate every row and spot emails repeated within the file
+        const seen = new Map();
+        const rows = sheet.slice(1).map((cells, index) => {
+            const line = index + 2;
+            const { entry, errors: rowErrors } = parseRosterRow(cells, columns);
+
+            if (rowErrors.length > 0) {
+                return { line, status: 'invalid', ...entry, errors: rowErrors };
+            }
+            if (seen.has(entry.email)) {
+                return { line, status: 'duplicate', ...entry, duplicateOf: seen.get(entry.email) };
+            }
+
+            seen.set(entry.email, line);
+            return { line, status: 'new', ...entry };
+        });
+
+        const emails = [...seen.keys()];
+        const [existingUsers, pendingInvitations] = await Promise.all([
+            users.find({ email: { $in: emails } }),
+            invitations.find({ email: { $in: emails }, status: 'pending', expiresAt: { $gt: new Date() } })
+        ]);
+        const usersByEmail = new Map(existingUsers.map(user => [user.email, user]));
+        const invitedEmails = new Set(pendingInvitations.map(invitation => invitation.email));
+
+        // Compare rows against existing accounts
+        rows.filter(row => row.status === 'new').forEach(row => {
+            const user = usersByEmail.get(row.email);
+
+            if (!user) {
+                if (invitedEmails.has(row.email)) row.alreadyInvited = true;
+                return;
+            }
+
+            if (user.role !== 'student') {
+                row.status = 'invalid';
+                row.errors = [`Email belongs to a ${user.role} account`];
+                return;
+            }
+
+            const current = {
+                name: user.name,
+                phone: user.phone || '',
+                grade: user.studentInfo?.grade || '',
+                program: user.studentInfo?.program || ''
+            };
+            const changes = {};
+            Object.keys(current).forEach(field => {
+                // An empty phone cell leaves the stored number alone
+                if (field === 'phone' && !row.phone) return;
+                if (row[field] !== current[field]) {
+                    changes[field] = { from: current[field], to: row[field] };
+                }
+            });
+
+            row.studentId = user._id;
+            row.status = Object.keys(changes).length > 0 ? 'updated' : 'unchanged';
+            if (row.status === 'updated') row.changes = changes;
+        });
+
+        const summary = { total: rows.length, new: 0, updated: 0, unchanged: 0, duplicate: 0, invalid: 0 };
+        rows.forEach(row => { summary[row.status]++; });
+
+        if (!commit) {
+            return res.json({
+                message: 'Roster preview (nothing has been changed yet)',
+                committed: false,
+                summary,
+                rows
+            });
+        }
+
+        // Apply valid rows; invalid and duplicate rows are skipped
+        const applied = { updated: 0, invited: 0, skipped: 0, failed: [] };
+
+        for (const row of rows) {
+            try {
+                if (row.status === 'updated') {
+                    const student = usersByEmail.get(row.email);
+                    student.name = row.name;
+                    if (row.phone) student.phone = row.phone;
+                    student.studentInfo = { ...student.studentInfo, grade: row.grade, program: row.program };
+                    await users.save(student);
+                    applied.updated++;
+                } else if (row.status === 'new') {
+                    if (!invite || row.alreadyInvited) {
+                        applied.skipped++;
+                        continue;
+                    }
+
+                    await sendInvitation({
+                        email: row.email,
+                        name: row.name,
+                        phone: row.phone || undefined,
+                        grade: row.grade,
+                        program: row.program,
+                        message: req.body.message,
+                        invitedBy: req.user._id
+                    }, req.user);
+                    applied.invited++;
+                }
+            } catch (error) {
+                applied.failed.push({ line: row.line, email: row.email, error: error.message });
+            }
+        }
+
+        res.json({
+            message: 'Roster imported',
+            committed: true,
+            summary,
+            applied,
+            rows
+        });
+    } catch (error) {
+        console.error('Roster import error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 module.exports = router;
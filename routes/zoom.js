@@ -1,8 +1,7 @@
 const express = require('express');
 const axios = require('axios');
 const { body, validationResult } = require('express-validator');
-const ZoomSession = require('../models/ZoomSession');
-const User = require('../models/User');
+const { sessions: zoomSessions, sameId } = require('../repositories');
 const { auth, isTeacher } = require('../middleware/auth');
 
 const router = express.Router();
@@ -46,11 +45,14 @@ router.get('/sessions', auth, async (req, res) => {
             query.scheduledTime = { $gte: new Date() };
         }
 
-        const sessions = await ZoomSession.find(query)
-            .populate('teacher', 'name email')
-            .populate('materials', 'title type fileName')
-            .populate('attendees.student', 'name email')
-            .sort({ scheduledTime: 1 });
+        const sessions = await zoomSessions.find(query, {
+            sort: { scheduledTime: 1 },
+            populate: {
+                teacher: 'name email',
+                materials: 'title type fileName',
+                'attendees.student': 'name email'
+            }
+        });
 
         res.json({ sessions });
     } catch (error) {
@@ -142,7 +144,7 @@ router.post('/sessions', auth, isTeacher, [
         }
 
         // Create session in database
-        const session = new ZoomSession({
+        const session = await zoomSessions.create({
             title,
             description,
             course,
@@ -162,9 +164,7 @@ router.post('/sessions', auth, isTeacher, [
             allowJoinBeforeHost,
             muteOnEntry
         });
-
-        await session.save();
-        await session.populate('teacher', 'name email');
+        await zoomSessions.populate(session, { teacher: 'name email' });
 
         res.status(201).json({
             message: 'Zoom session created successfully',
@@ -181,7 +181,7 @@ router.post('/sessions', auth, isTeacher, [
 // @access  Private (Teacher only)
 router.put('/sessions/:id', auth, isTeacher, async (req, res) => {
     try {
-        const session = await ZoomSession.findOne({ _id: req.params.id, teacher: req.user._id });
+        const session = await zoomSessions.findOne({ _id: req.params.id, teacher: req.user._id });
         
         if (!session) {
             return res.status(404).json({ message: 'Session not found' });
@@ -217,8 +217,8 @@ router.put('/sessions/:id', auth, isTeacher, async (req, res) => {
             }
         }
 
-        await session.save();
-        await session.populate('teacher', 'name email');
+        await zoomSessions.save(session);
+        await zoomSessions.populate(session, { teacher: 'name email' });
 
         res.json({
             message: 'Session updated successfully',
@@ -235,7 +235,7 @@ router.put('/sessions/:id', auth, isTeacher, async (req, res) => {
 // @access  Private (Teacher only)
 router.delete('/sessions/:id', auth, isTeacher, async (req, res) => {
     try {
-        const session = await ZoomSession.findOne({ _id: req.params.id, teacher: req.user._id });
+        const session = await zoomSessions.findOne({ _id: req.params.id, teacher: req.user._id });
         
         if (!session) {
             return res.status(404).json({ message: 'Session not found' });
@@ -254,7 +254,7 @@ router.delete('/sessions/:id', auth, isTeacher, async (req, res) => {
             // Continue with database deletion even if Zoom deletion fails
         }
 
-        await ZoomSession.findByIdAndDelete(session._id);
+        await zoomSessions.deleteById(session._id);
 
         res.json({ message: 'Session deleted successfully' });
     } catch (error) {
@@ -268,7 +268,7 @@ router.delete('/sessions/:id', auth, isTeacher, async (req, res) => {
 // @access  Private
 router.post('/sessions/:id/join', auth, async (req, res) => {
     try {
-        const session = await ZoomSession.findById(req.params.id);
+        const session = await zoomSessions.findById(req.params.id);
         
         if (!session) {
             return res.status(404).json({ message: 'Session not found' });
@@ -287,7 +287,7 @@ router.post('/sessions/:id/join', auth, async (req, res) => {
 
         // Record attendance
         const existingAttendee = session.attendees.find(
-            attendee => attendee.student.toString() === req.user._id.toString()
+            attendee => sameId(attendee.student, req.user._id)
         );
 
         if (!existingAttendee) {
@@ -295,7 +295,7 @@ router.post('/sessions/:id/join', auth, async (req, res) => {
                 student: req.user._id,
                 joinedAt: new Date()
             });
-            await session.save();
+            await zoomSessions.save(session);
         }
 
         res.json({
@@ -320,8 +320,9 @@ router.post('/sessions/:id/join', auth, async (req, res) => {
 // @access  Private (Teacher only)
 router.get('/sessions/:id/attendees', auth, isTeacher, async (req, res) => {
     try {
-        const session = await ZoomSession.findOne({ _id: req.params.id, teacher: req.user._id })
-            .populate('attendees.student', 'name email studentInfo');
+        const session = await zoomSessions.findOne({ _id: req.params.id, teacher: req.user._id }, {
+            populate: { 'attendees.student': 'name email studentInfo' }
+        });
         
         if (!session) {
             return res.status(404).json({ message: 'Session not found' });
@@ -339,7 +340,7 @@ router.get('/sessions/:id/attendees', auth, isTeacher, async (req, res) => {
 // @access  Private (Teacher only)
 router.post('/sessions/:id/materials', auth, isTeacher, async (req, res) => {
     try {
-        const session = await ZoomSession.findOne({ _id: req.params.id, teacher: req.user._id });
+        const session = await zoomSessions.findOne({ _id: req.params.id, teacher: req.user._id });
         
         if (!session) {
             return res.status(404).json({ message: 'Session not found' });
@@ -351,9 +352,9 @@ router.post('/sessions/:id/materials', auth, isTeacher, async (req, res) => {
             return res.status(400).json({ message: 'Material IDs must be an array' });
         }
 
-        session.materials = [...new Set([...session.materials, ...materialIds])];
-        await session.save();
-        await session.populate('materials', 'title type fileName');
+        session.materials = [...new Set([...session.materials, ...materialIds].map(String))];
+        await zoomSessions.save(session);
+        await zoomSessions.populate(session, { materials: 'title type fileName' });
 
         res.json({
             message: 'Materials added to session',
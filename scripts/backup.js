@@ -0,0 +1,77 @@
+// Back up and restore the SQLite database and uploads (see database/backup.js)
+//
+//   npm run backup-db                        create a backup now
+//   npm run backup-db -- list                list backups, newest first
+//   npm run backup-db -- verify <name>       check a backup's checksums and database integrity
+//   npm run backup-db -- restore <name>      verify a backup, then replace the database and uploads with it
+//   npm run backup-db -- prune               delete backups beyond the retention limits
+//
+// Stop the server before restoring; the replaced files are kept with a .pre-restore-<time> suffix.
+require('dotenv').config();
+const DatabaseManager = require('../database/init');
+const { BackupManager, restoreBackup } = require('../database/backup');
+
+const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+async function withDatabase(work) {
+    const dbManager = new DatabaseManager(process.env.SQLITE_DB_PATH);
+    await dbManager.connect();
+    try {
+        return await work(new BackupManager(dbManager));
+    } finally {
+        await dbManager.close();
+    }
+}
+
+async function main() {
+    const [command = 'create', name] = process.argv.slice(2);
+
+    if (['verify', 'restore'].includes(command) && !name) {
+        throw new Error(`Usage: npm run backup-db -- ${command} <backup name>`);
+    }
+
+    switch (command) {
+        case 'create': {
+            const backup = await withDatabase(backups => backups.create('manual'));
+            console.log(`${backup.name} (${formatSize(backup.size)})`);
+            break;
+        }
+        case 'list': {
+            const list = await new BackupManager(null).list();
+            for (const backup of list) {
+                console.log(`${backup.name.padEnd(48)} ${backup.type.padEnd(7)} ${formatSize(backup.size)}`);
+            }
+            console.log(`${list.length} backup(s)`);
+            break;
+        }
+        case 'verify': {
+            const result = await new BackupManager(null).verify(name);
+            if (!result.ok) {
+                throw new Error(`${name} is damaged:\n  ${result.errors.join('\n  ')}`);
+            }
+            console.log(`${name} is intact (schema version ${result.manifest.schemaVersion}, ${result.manifest.files.length} upload(s))`);
+            break;
+        }
+        case 'restore': {
+            const dbPath = new DatabaseManager(process.env.SQLITE_DB_PATH).dbPath;
+            const { manifest, previous } = await restoreBackup(name, { dbPath });
+            console.log(`Restored ${name} from ${manifest.createdAt}`);
+            if (previous.database) console.log(`Previous database kept at ${previous.database}`);
+            if (previous.uploads) console.log(`Previous uploads kept at ${previous.uploads}`);
+            console.log('Pending migrations are applied when the server next starts.');
+            break;
+        }
+        case 'prune': {
+            const removed = await new BackupManager(null).prune();
+            console.log(removed.length ? `Removed: ${removed.join(', ')}` : 'Nothing to remove');
+            break;
+        }
+        default:
+            throw new Error(`Unknown command: ${command}`);
+    }
+}
+
+main().catch(error => {
+    console.error('Backup failed:', error.message);
+    process.exit(1);
+});
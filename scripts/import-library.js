@@ -0,0 +1,79 @@
+// Import lecture files as materials (see database/libraryImport.js)
+//
+//   npm run import-library                                  import WORD/ and PDF/
+//   npm run import-library -- <directory>...                import other directories
+//   npm run import-library -- --dry-run                     report what would be imported
+//   npm run import-library -- --owner <username or email>   owner of the materials (default: the first admin)
+//   npm run import-library -- --public                      make the materials visible to students
+//
+// Text is extracted from the imported documents when the server next starts.
+require('dotenv').config();
+const path = require('path');
+const DatabaseManager = require('../database/init');
+const { PROJECT_ROOT, LIBRARY_DIRS, importLibrary, formatImportReport } = require('../database/libraryImport');
+
+function parseArgs(args) {
+    const options = { directories: [], owner: null, dryRun: false, isPublic: false };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--dry-run') options.dryRun = true;
+        else if (args[i] === '--public') options.isPublic = true;
+        else if (args[i] === '--owner') {
+            options.owner = args[++i];
+            if (!options.owner) throw new Error('Usage: npm run import-library -- --owner <username or email>');
+        } else if (args[i].startsWith('--')) {
+            throw new Error(`Unknown option: ${args[i]}`);
+        } else {
+            options.directories.push(path.resolve(args[i]));
+        }
+    }
+
+    if (options.directories.length === 0) {
+        options.directories = LIBRARY_DIRS.map(directory => path.join(PROJECT_ROOT, directory));
+    }
+    return options;
+}
+
+async function findOwner(dbManager, login) {
+    const owner = login
+        ? await dbManager.get(
+            `SELECT id, name, role FROM users WHERE (username = ? OR email = ?) AND is_active = 1`,
+            [login, login.toLowerCase()]
+        )
+        : await dbManager.get(`SELECT id, name, role FROM users WHERE role = 'admin' AND is_active = 1 ORDER BY id LIMIT 1`);
+
+    if (!owner) {
+        throw new Error(login ? `No active user ${login}` : 'No active admin to own the materials; use --owner');
+    }
+    if (!['teacher', 'admin'].includes(owner.role)) {
+        throw new Error(`${login} is a ${owner.role}; materials must belong to a teacher or admin`);
+    }
+    return owner;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const dbManager = new DatabaseManager(process.env.SQLITE_DB_PATH);
+    // Applies pending migrations, as the server does on start
+    await dbManager.initialize();
+
+    try {
+        const owner = await findOwner(dbManager, options.owner);
+        const report = await importLibrary(dbManager, options.directories, {
+            ownerId: owner.id,
+            isPublic: options.isPublic,
+            dryRun: options.dryRun
+        });
+
+        console.log(`Owner: ${owner.name}`);
+        console.log(formatImportReport(report));
+        if (report.failed.length) process.exitCode = 1;
+    } finally {
+        await dbManager.close();
+    }
+}
+
+main().catch(error => {
+    console.error('Import failed:', error.message);
+    process.exit(1);
+});
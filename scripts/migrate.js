@@ -0,0 +1,80 @@
+// Apply or revert SQLite schema migrations (database/migrations)
+//
+//   npm run migrate                          apply all pending migrations
+//   npm run migrate -- up --to 3             apply pending migrations up to version 3
+//   npm run migrate -- down                  revert the last migration (--steps N or --to VERSION)
+//   npm run migrate -- status                list migrations and whether each is applied
+//
+// --dry-run runs the SQL in a transaction that is rolled back, to check it without changing anything.
+require('dotenv').config();
+const DatabaseManager = require('../database/init');
+const Migrator = require('../database/migrator');
+
+function parseArgs(argv) {
+    const options = { command: 'up', dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--to' || arg === '--steps') {
+            const value = parseInt(argv[++i], 10);
+            if (Number.isNaN(value) || value < 0) {
+                throw new Error(`${arg} needs a number`);
+            }
+            options[arg.slice(2)] = value;
+        } else if (['up', 'down', 'status'].includes(arg)) {
+            options.command = arg;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const dbManager = new DatabaseManager(process.env.SQLITE_DB_PATH);
+    await dbManager.connect();
+    await dbManager.run('PRAGMA foreign_keys = ON');
+    const migrator = new Migrator(dbManager);
+
+    try {
+        if (options.command === 'status') {
+            for (const migration of await migrator.status()) {
+                const state = migration.applied ? `applied ${migration.appliedAt || '(before migrations)'}` : 'pending';
+                const notes = [
+                    migration.modified && 'file changed since it was applied',
+                    !migration.reversible && 'no down migration'
+                ].filter(Boolean);
+                console.log(`${migration.name.padEnd(40)} ${state}${notes.length ? ` (${notes.join(', ')})` : ''}`);
+            }
+            console.log(`Schema version: ${await migrator.currentVersion()}`);
+            return;
+        }
+
+        const reverting = options.command === 'down';
+        const names = reverting
+            ? await migrator.rollback({ steps: options.steps, to: options.to, dryRun: options.dryRun })
+            : await migrator.migrate({ to: options.to, dryRun: options.dryRun });
+
+        if (names.length === 0) {
+            console.log(reverting ? 'Nothing to revert' : 'Database schema is up to date');
+        } else if (options.dryRun) {
+            console.log(`[dry run] Would ${reverting ? 'revert' : 'apply'}: ${names.join(', ')} (no changes made)`);
+        } else {
+            console.log(`${reverting ? 'Reverted' : 'Applied'}: ${names.join(', ')}`);
+        }
+        if (!options.dryRun) {
+            console.log(`Schema version: ${await migrator.currentVersion()}`);
+        }
+    } finally {
+        await dbManager.close();
+    }
+}
+
+main().catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+});
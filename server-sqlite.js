@@ -8,6 +8,7 @@ const rateLimit = require('express-rate-limit');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const session = require('express-session');
 const SQLiteStore = require('connect-sqlite3')(session);
@@ -15,12 +16,60 @@ const exphbs = require('express-handlebars');
 require('dotenv').config();
 
 const DatabaseManager = require('./database/init');
+const { BackupManager } = require('./database/backup');
+const { MATERIAL_SEARCH_COLUMNS, toFtsQuery, toHighlightHtml } = require('./database/search');
+const { JobScheduler } = require('./database/jobs');
+const { TextExtractionQueue } = require('./database/extraction');
+const { PROJECT_ROOT, LIBRARY_DIRS, importLibrary, formatImportReport } = require('./database/libraryImport');
+const { UploadStorage } = require('./database/storage');
+const { registerMaintenanceJobs } = require('./database/maintenance');
+const { parseJson, gradeAnswers, toStudentQuestion, validateQuestion } = require('./utils/examGrading');
+const { isExtractable } = require('./utils/documentText');
+const { ChunkedUploads, UploadError, uploadRouter } = require('./utils/chunkedUpload');
+const { AVAILABLE_COURSES } = require('./utils/courses');
+const { sendMail, appUrl } = require('./utils/mailer');
+const emailTemplates = require('./utils/emailTemplates');
+const {
+    PASSWORD_RESET_TTL_MINUTES,
+    EMAIL_VERIFICATION_TTL_HOURS,
+    ACCESS_TOKEN_TTL,
+    REFRESH_TOKEN_TTL_DAYS,
+    hashToken,
+    createToken
+} = require('./utils/tokens');
+const {
+    STAFF_ROLES,
+    generateSecret,
+    verifyTotp,
+    provisioningUri,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    signChallenge,
+    verifyChallenge
+} = require('./utils/twoFactor');
+const {
+    LOGIN_MAX_ATTEMPTS,
+    LOGIN_LOCKOUT_MINUTES,
+    LOGIN_IP_MAX_FAILURES,
+    LOGIN_IP_WINDOW_MINUTES,
+    getAccountBlock,
+    getIpBlock,
+    ipWindowStart,
+    lockoutUntil,
+    blockedResponse
+} = require('./utils/loginThrottle');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Initialize database
-const dbManager = new DatabaseManager();
+const dbManager = new DatabaseManager(process.env.SQLITE_DB_PATH);
+const backupManager = new BackupManager(dbManager);
+const jobScheduler = new JobScheduler(dbManager);
+const extractionQueue = new TextExtractionQueue(dbManager);
+const uploadStorage = new UploadStorage(dbManager);
 
 // Security middleware
 app.use(helmet({
@@ -44,7 +93,9 @@ app.use(cors({
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100,
-    message: { error: 'Too many requests, please try again later.' }
+    message: { error: 'Too many requests, please try again later.' },
+    // A large file is hundreds of chunks, each checked against its upload
+    skip: (req) => req.method === 'PUT' && req.path.startsWith('/materials/uploads/')
 });
 app.use('/api/', limiter);
 
@@ -54,14 +105,17 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Session configuration
 app.use(session({
+    // Kept next to the database, where the data-retention job looks for it
     store: new SQLiteStore({
         db: 'sessions.db',
-        dir: './database'
+        dir: path.dirname(dbManager.dbPath)
     }),
     secret: process.env.SESSION_SECRET || 'your-secret-key',
     resave: false,
     saveUninitialized: false,
     cookie: {
+        httpOnly: true,
+        sameSite: 'lax',
         secure: process.env.NODE_ENV === 'production',
         maxAge: 24 * 60 * 60 * 1000 // 24 hours
     }
@@ -90,6 +144,23 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 app.use('/assets', express.static(path.join(__dirname, 'public')));
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Front-end pages (served from the same origin so the session cookie reaches the API)
+const PAGES = {
+    '/': 'index.html',
+    '/login': 'login.html',
+    '/register': 'register.html',
+    '/reset-password': 'reset-password.html',
+    '/viewer': 'viewer.html',
+    '/lectures': 'lectures.html',
+    '/upload': 'upload.html',
+    '/exams': 'exams.html',
+    '/admin-dashboard': 'admin-dashboard.html'
+};
+
+Object.entries(PAGES).forEach(([route, file]) => {
+    app.get(route, (req, res) => res.sendFile(path.join(__dirname, file)));
+});
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
     destination: async (req, file, cb) => {
@@ -125,73 +196,3952 @@ const upload = multer({
     }
 });
 
+// Resumable uploads of large material files (/api/materials/uploads), kept in uploads/partial
+// until they are complete
+const materialUploads = new ChunkedUploads({
+    dir: path.join(__dirname, 'uploads', 'partial'),
+    chunkSize: (parseInt(process.env.UPLOAD_CHUNK_SIZE_MB) || 8) * 1024 * 1024,
+    maxSize: (parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 4096) * 1024 * 1024,
+    maxPending: parseInt(process.env.MAX_PENDING_UPLOADS) || 5,
+    maxPendingSize: (parseInt(process.env.MAX_PENDING_UPLOAD_MB) || 8192) * 1024 * 1024,
+    allowedTypes: ['.jpeg', '.jpg', '.png', '.gif', '.pdf', '.doc', '.docx', '.ppt', '.pptx', '.mp4', '.avi', '.mov', '.xlsx', '.xls', '.txt']
+});
+
+// Guardians are read-only: besides their own account they can only use the /api/guardian endpoints
+const GUARDIAN_API_PATHS = /^\/api\/(auth|guardian)\//;
+
 // Authentication middleware
+// Accepts a Bearer token (API clients) or the httpOnly session cookie set at login (browser pages)
 const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
-    if (!token) {
+    if (!token && !req.session.userId) {
         return res.status(401).json({ error: 'Access token required' });
     }
 
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+        const decoded = token ? jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret') : null;
+        const userId = decoded ? decoded.userId : req.session.userId;
+        const tokenVersion = decoded ? decoded.tv : req.session.tokenVersion;
         const user = await dbManager.get(
-            'SELECT id, name, email, role, grade, program, is_active FROM users WHERE id = ?',
-            [decoded.userId]
+            'SELECT id, name, email, role, grade, program, is_active, status, email_verified, token_version FROM users WHERE id = ?',
+            [userId]
         );
 
-        if (!user || !user.is_active) {
+        if (!user || !user.is_active || user.status !== 'approved') {
             return res.status(401).json({ error: 'Invalid or inactive user' });
         }
 
+        // Tokens and sessions from before a logout-all, password change or deactivation are rejected
+        if ((tokenVersion || 0) !== user.token_version) {
+            return res.status(401).json({ error: 'Session has been revoked, please log in again' });
+        }
+
+        if (user.role === 'guardian' && !GUARDIAN_API_PATHS.test(req.originalUrl)) {
+            return res.status(403).json({ error: 'Guardian accounts can only view their linked students' });
+        }
+
+        delete user.token_version;
         req.user = user;
         next();
     } catch (error) {
         return res.status(403).json({ error: 'Invalid token' });
     }
-};
+};
+
+// Role-based middleware
+const requireRole = (roles) => {
+    return (req, res, next) => {
+        if (!roles.includes(req.user.role)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        next();
+    };
+};
+
+// Activity logging middleware
+const logActivity = async (req, res, next) => {
+    if (req.user) {
+        try {
+            await dbManager.run(
+                'INSERT INTO activity_logs (user_id, action, entity_type, details, ip_address, user_agent) VALUES (?, ?, ?, ?, ?, ?)',
+                [
+                    req.user.id,
+                    req.method + ' ' + req.path,
+                    req.params.id ? 'entity' : 'general',
+                    JSON.stringify({ params: req.params, query: req.query }),
+                    req.ip,
+                    req.get('User-Agent')
+                ]
+            );
+        } catch (error) {
+            console.error('Activity logging error:', error);
+        }
+    }
+    next();
+};
+
+// Grade/program targeting: content with no grade or program is shown to everyone,
+// and 'Both' on either side matches EST and ACT
+const audienceFilter = (alias) => `(${alias}.grade IS NULL OR ${alias}.grade = ?)
+    AND (${alias}.program IS NULL OR ${alias}.program = 'Both' OR ${alias}.program = ? OR ? = 'Both')`;
+
+const audienceParams = (user) => [user.grade, user.program, user.program];
+
+const isInAudience = (user, item) =>
+    (!item.grade || item.grade === user.grade) &&
+    (!item.program || item.program === 'Both' || item.program === user.program || user.program === 'Both');
+
+// Format a date as SQLite's UTC 'YYYY-MM-DD HH:MM:SS'
+const toSqlDateTime = (value) => new Date(value).toISOString().slice(0, 19).replace('T', ' ');
+
+// Parse SQLite's UTC 'YYYY-MM-DD HH:MM:SS' (new Date() alone would read it as local time)
+const fromSqlDateTime = (value) => (value ? new Date(value.replace(' ', 'T') + 'Z') : null);
+
+// Store a new single-use email token for a user, replacing any unused one of the same type
+async function issueUserToken(userId, type, ttlMs) {
+    const { token, tokenHash, expiresAt } = createToken(ttlMs);
+
+    await dbManager.run('DELETE FROM user_tokens WHERE user_id = ? AND type = ? AND used_at IS NULL', [userId, type]);
+    await dbManager.run(
+        'INSERT INTO user_tokens (user_id, type, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+        [userId, type, tokenHash, toSqlDateTime(expiresAt)]
+    );
+
+    return token;
+}
+
+// Mark a token as used and return its row, or null if it is unknown, expired or already used
+async function consumeUserToken(token, type) {
+    const row = await dbManager.get(
+        `SELECT * FROM user_tokens
+         WHERE token_hash = ? AND type = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+        [hashToken(token), type]
+    );
+    if (!row) {
+        return null;
+    }
+
+    // Guard against the same token being redeemed twice concurrently
+    const result = await dbManager.run(
+        'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+        [row.id]
+    );
+    return result.changes === 1 ? row : null;
+}
+
+async function sendVerificationEmail(user) {
+    const token = await issueUserToken(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+    await sendMail({
+        to: user.email,
+        ...emailTemplates.emailVerification({
+            name: user.name,
+            url: appUrl(`/login?verify=${token}`),
+            expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+        })
+    });
+}
+
+async function sendPasswordResetEmail(user) {
+    const token = await issueUserToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    await sendMail({
+        to: user.email,
+        ...emailTemplates.passwordReset({
+            name: user.name,
+            url: appUrl(`/reset-password?token=${token}`),
+            expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+        })
+    });
+}
+
+// Short-lived access token tied to the user's current token_version
+const signAccessToken = (user) => jwt.sign(
+    { userId: user.id, tv: user.token_version || 0 },
+    process.env.JWT_SECRET || 'fallback-secret',
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Store a new refresh token, continuing an existing rotation family when one is given
+async function issueRefreshToken(user, req, family = crypto.randomBytes(16).toString('hex')) {
+    const { token, tokenHash, expiresAt } = createToken(REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const result = await dbManager.run(
+        `INSERT INTO refresh_tokens (user_id, token_hash, family, token_version, expires_at, user_agent, ip_address)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [user.id, tokenHash, family, user.token_version || 0, toSqlDateTime(expiresAt), req.get('User-Agent'), req.ip]
+    );
+    return { token, id: result.id };
+}
+
+// Access and refresh token pair for a new login
+async function issueAuthTokens(user, req) {
+    const { token: refreshToken } = await issueRefreshToken(user, req);
+    return { token: signAccessToken(user), refreshToken };
+}
+
+// Sign a user out everywhere: outstanding access tokens and sessions fail the token_version check
+async function revokeUserTokens(userId) {
+    await dbManager.run('UPDATE users SET token_version = token_version + 1 WHERE id = ?', [userId]);
+    await dbManager.run(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+        [userId]
+    );
+}
+
+// Start a fresh browser session (a new session id prevents fixation)
+async function startSession(req, user) {
+    await new Promise((resolve, reject) => req.session.regenerate(err => (err ? reject(err) : resolve())));
+    req.session.userId = user.id;
+    req.session.tokenVersion = user.token_version || 0;
+}
+
+// Columns needed to finish a login
+const LOGIN_USER_COLUMNS = `id, name, email, username, role, grade, program, is_active, status, email_verified, token_version,
+    failed_login_attempts, last_failed_login, locked_until`;
+
+// Final step of a login: record it, issue the token pair and start the browser session
+async function completeLogin(req, user) {
+    await dbManager.run(
+        `UPDATE users SET last_login = CURRENT_TIMESTAMP, failed_login_attempts = 0, last_failed_login = NULL, locked_until = NULL
+         WHERE id = ?`,
+        [user.id]
+    );
+    await dbManager.run(
+        'INSERT INTO login_attempts (identifier, user_id, ip_address, user_agent, succeeded) VALUES (?, ?, ?, ?, 1)',
+        [user.email, user.id, req.ip, req.get('User-Agent')]
+    );
+
+    // API clients use the token pair; browser pages authenticate with the httpOnly session cookie
+    const { token, refreshToken } = await issueAuthTokens(user, req);
+    await startSession(req, user);
+
+    return {
+        token,
+        refreshToken,
+        user: {
+            id: user.id,
+            name: user.name,
+            email: user.email,
+            username: user.username,
+            role: user.role,
+            grade: user.grade,
+            program: user.program
+        }
+    };
+}
+
+// Record a security event (lockouts, blocked addresses) so it shows in the dashboard's recent activity
+async function logSecurityEvent(req, userId, action, details) {
+    try {
+        await dbManager.run(
+            'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details, ip_address, user_agent) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [userId, action, 'security', userId, JSON.stringify(details), req.ip, req.get('User-Agent')]
+        );
+    } catch (error) {
+        console.error('Security event logging error:', error);
+    }
+}
+
+// Failed logins from an IP address within the throttling window
+async function getIpLoginFailures(ip) {
+    const row = await dbManager.get(
+        `SELECT COUNT(*) as failures, MIN(created_at) as oldest FROM login_attempts
+         WHERE ip_address = ? AND succeeded = 0 AND created_at > ?`,
+        [ip, toSqlDateTime(ipWindowStart())]
+    );
+    return { failures: row.failures, oldestFailureAt: fromSqlDateTime(row.oldest) };
+}
+
+// Lockout or retry delay currently applying to an account, or null
+const getAccountLoginBlock = (user) => getAccountBlock({
+    failures: user.failed_login_attempts || 0,
+    lastFailedAt: fromSqlDateTime(user.last_failed_login),
+    lockedUntil: fromSqlDateTime(user.locked_until)
+});
+
+// Record a wrong password or 2FA code against the IP address and, when known, the account.
+// Returns the block now applying to the account, or null.
+async function recordLoginFailure(req, identifier, user) {
+    await dbManager.run(
+        'INSERT INTO login_attempts (identifier, user_id, ip_address, user_agent, succeeded) VALUES (?, ?, ?, ?, 0)',
+        [identifier, user ? user.id : null, req.ip, req.get('User-Agent')]
+    );
+
+    const ipFailures = await getIpLoginFailures(req.ip);
+    if (ipFailures.failures === LOGIN_IP_MAX_FAILURES) {
+        await logSecurityEvent(req, null, 'login_ip_blocked', {
+            identifier,
+            failures: ipFailures.failures,
+            windowMinutes: LOGIN_IP_WINDOW_MINUTES
+        });
+    }
+
+    if (!user) {
+        return null;
+    }
+
+    await dbManager.run(
+        `UPDATE users SET failed_login_attempts = COALESCE(failed_login_attempts, 0) + 1, last_failed_login = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [user.id]
+    );
+    const counters = await dbManager.get(
+        'SELECT failed_login_attempts, last_failed_login, locked_until FROM users WHERE id = ?',
+        [user.id]
+    );
+
+    if (counters.failed_login_attempts >= LOGIN_MAX_ATTEMPTS) {
+        const until = lockoutUntil();
+        await dbManager.run(
+            'UPDATE users SET failed_login_attempts = 0, locked_until = ? WHERE id = ?',
+            [toSqlDateTime(until), user.id]
+        );
+        await logSecurityEvent(req, user.id, 'account_locked', {
+            identifier,
+            failures: counters.failed_login_attempts,
+            lockedUntil: until.toISOString()
+        });
+        return { locked: true, retryAfter: LOGIN_LOCKOUT_MINUTES * 60 };
+    }
+
+    return getAccountLoginBlock(counters);
+}
+
+// 429 for a login attempt made while the account or address is blocked
+function sendLoginBlocked(res, block) {
+    res.set('Retry-After', String(block.retryAfter));
+    return res.status(429).json(blockedResponse(block));
+}
+
+// Whether a role must use 2FA (settings.require_staff_2fa, falling back to REQUIRE_STAFF_2FA)
+async function isTwoFactorRequired(role) {
+    if (!STAFF_ROLES.includes(role)) {
+        return false;
+    }
+    const setting = await dbManager.get("SELECT value FROM settings WHERE key = 'require_staff_2fa'");
+    return (setting ? setting.value : process.env.REQUIRE_STAFF_2FA) === 'true';
+}
+
+// Check an authenticator code or an unused recovery code; returns 'totp', 'recovery' or null
+async function verifySecondFactor(user, { code, recoveryCode }) {
+    if (code && user.two_factor_secret) {
+        const step = verifyTotp(decryptSecret(user.two_factor_secret), code, user.two_factor_last_step ?? -1);
+        if (step === null) {
+            return null;
+        }
+        // Recording the step in the WHERE clause means each code logs in only once
+        const result = await dbManager.run(
+            `UPDATE users SET two_factor_last_step = ?
+             WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)`,
+            [step, user.id, step]
+        );
+        return result.changes === 1 ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+        const result = await dbManager.run(
+            `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+             WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+            [user.id, hashRecoveryCode(recoveryCode)]
+        );
+        return result.changes === 1 ? 'recovery' : null;
+    }
+
+    return null;
+}
+
+// Replace a user's recovery codes and return the new plain-text codes (shown once)
+async function replaceRecoveryCodes(userId) {
+    const { codes, hashes } = generateRecoveryCodes();
+    await dbManager.run('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+    for (const hash of hashes) {
+        await dbManager.run('INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, hash]);
+    }
+    return codes;
+}
+
+// 2FA enrolment accepts a normal login, or the setup challenge from /api/auth/login when
+// the role must enrol before it can log in
+const authenticateTwoFactorSetup = async (req, res, next) => {
+    if (!req.body.challengeToken) {
+        return authenticateToken(req, res, next);
+    }
+
+    try {
+        const userId = verifyChallenge(req.body.challengeToken, 'setup');
+        const user = userId && await dbManager.get(`SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE id = ?`, [userId]);
+
+        if (!user || !user.is_active || user.status !== 'approved') {
+            return res.status(401).json({ error: 'Login challenge is invalid or has expired, please log in again' });
+        }
+
+        req.user = user;
+        req.loginChallenge = true;
+        next();
+    } catch (error) {
+        console.error('Two-factor setup auth error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+// ==================== API ROUTES ====================
+
+// Authentication Routes
+app.post('/api/auth/register', [
+    body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+    body('username').optional({ checkFalsy: true }).trim().isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('role').isIn(['teacher', 'student', 'guardian']).withMessage('Invalid role'),
+    body('grade').if(body('role').equals('student')).isIn(['9', '10', '11', '12']).withMessage('Invalid grade'),
+    body('program').if(body('role').equals('student')).isIn(['EST', 'ACT', 'Both']).withMessage('Invalid program')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, email, username, password, role, phone } = req.body;
+        const grade = role === 'student' ? req.body.grade : null;
+        const program = role === 'student' ? req.body.program : null;
+
+        // Check if user exists
+        const existingUser = await dbManager.get('SELECT id FROM users WHERE email = ?', [email]);
+        if (existingUser) {
+            return res.status(400).json({ error: 'User already exists with this email' });
+        }
+
+        if (username) {
+            const existingUsername = await dbManager.get('SELECT id FROM users WHERE username = ?', [username]);
+            if (existingUsername) {
+                return res.status(400).json({ error: 'Username already exists' });
+            }
+        }
+
+        // Hash password
+        const passwordHash = await bcrypt.hash(password, 10);
+
+        // New accounts wait for an admin to approve them before they can log in
+        const result = await dbManager.run(
+            `INSERT INTO users (name, email, username, password_hash, role, grade, program, phone, status)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+            [name, email, username || null, passwordHash, role, grade, program, phone]
+        );
+
+        // A mail failure should not undo the registration; the user can ask for a new link
+        sendVerificationEmail({ id: result.id, name, email }).catch(error => {
+            console.error('Verification email error:', error);
+        });
+
+        res.status(201).json({
+            message: 'Registration submitted. Please verify your email; your account is pending admin approval.',
+            user: { id: result.id, name, email, username, role, grade, program, status: 'pending' }
+        });
+    } catch (error) {
+        console.error('Registration error:', error);
+        res.status(500).json({ error: 'Server error during registration' });
+    }
+});
+
+// Log in with email or username
+app.post('/api/auth/login', [
+    body('email').if(body('username').not().exists()).isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+    body('username').optional().trim().notEmpty().withMessage('Username is required'),
+    body('password').exists().withMessage('Password is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { email, username, password } = req.body;
+        const identifier = username || email;
+
+        const ipBlock = getIpBlock(await getIpLoginFailures(req.ip));
+        if (ipBlock) {
+            return sendLoginBlocked(res, ipBlock);
+        }
+
+        // Find user
+        const user = await dbManager.get(
+            `SELECT ${LOGIN_USER_COLUMNS}, password_hash, rejection_reason, two_factor_enabled
+             FROM users WHERE ${username ? 'username' : 'email'} = ?`,
+            [identifier]
+        );
+
+        if (!user || !user.is_active) {
+            await recordLoginFailure(req, identifier, null);
+            return res.status(400).json({ error: 'Invalid credentials' });
+        }
+
+        // Locked or waiting accounts are refused before the password is checked
+        const accountBlock = getAccountLoginBlock(user);
+        if (accountBlock) {
+            return sendLoginBlocked(res, accountBlock);
+        }
+
+        // Check password
+        const isMatch = await bcrypt.compare(password, user.password_hash);
+        if (!isMatch) {
+            const block = await recordLoginFailure(req, identifier, user);
+            if (block && block.locked) {
+                return sendLoginBlocked(res, block);
+            }
+            return res.status(400).json({ error: 'Invalid credentials', ...(block && { retryAfter: block.retryAfter }) });
+        }
+
+        // POST /api/auth/resend-verification sends a new link
+        if (!user.email_verified) {
+            return res.status(403).json({
+                error: 'Please verify your email address before logging in; check your inbox for the link',
+                emailVerified: false
+            });
+        }
+
+        if (user.status === 'pending') {
+            return res.status(403).json({ error: 'Your account is pending admin approval', status: 'pending' });
+        }
+
+        if (user.status === 'rejected') {
+            return res.status(403).json({
+                error: user.rejection_reason
+                    ? `Your registration was rejected: ${user.rejection_reason}`
+                    : 'Your registration was rejected',
+                status: 'rejected'
+            });
+        }
+
+        // Second step: an authenticator code, or enrolment first when the role requires 2FA
+        if (user.two_factor_enabled) {
+            return res.json({
+                message: 'Enter the code from your authenticator app',
+                twoFactorRequired: true,
+                challengeToken: signChallenge(user.id, 'login')
+            });
+        }
+
+        if (await isTwoFactorRequired(user.role)) {
+            return res.json({
+                message: 'Two-factor authentication is required for your account. Set it up to continue.',
+                twoFactorSetupRequired: true,
+                challengeToken: signChallenge(user.id, 'setup')
+            });
+        }
+
+        res.json({
+            message: 'Login successful',
+            ...await completeLogin(req, user)
+        });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Server error during login' });
+    }
+});
+
+// Second login step: the challengeToken from /api/auth/login plus a `code` or `recoveryCode`
+app.post('/api/auth/login/2fa', [
+    body('challengeToken').isString().notEmpty().withMessage('Login challenge is required'),
+    body('code').if(body('recoveryCode').not().exists()).isString().notEmpty().withMessage('Authentication code is required'),
+    body('recoveryCode').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const ipBlock = getIpBlock(await getIpLoginFailures(req.ip));
+        if (ipBlock) {
+            return sendLoginBlocked(res, ipBlock);
+        }
+
+        const userId = verifyChallenge(req.body.challengeToken, 'login');
+        const user = userId && await dbManager.get(
+            `SELECT ${LOGIN_USER_COLUMNS}, two_factor_enabled, two_factor_secret, two_factor_last_step FROM users WHERE id = ?`,
+            [userId]
+        );
+
+        if (!user || !user.is_active || user.status !== 'approved' || !user.email_verified || !user.two_factor_enabled) {
+            return res.status(401).json({ error: 'Login challenge is invalid or has expired, please log in again' });
+        }
+
+        // Wrong codes count towards the same lockout as wrong passwords
+        const accountBlock = getAccountLoginBlock(user);
+        if (accountBlock) {
+            return sendLoginBlocked(res, accountBlock);
+        }
+
+        const method = await verifySecondFactor(user, req.body);
+        if (!method) {
+            const block = await recordLoginFailure(req, user.email, user);
+            if (block && block.locked) {
+                return sendLoginBlocked(res, block);
+            }
+            return res.status(400).json({ error: 'Invalid authentication code', ...(block && { retryAfter: block.retryAfter }) });
+        }
+
+        const remaining = await dbManager.get(
+            'SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+            [user.id]
+        );
+
+        res.json({
+            message: 'Login successful',
+            ...await completeLogin(req, user),
+            ...(method === 'recovery' && { recoveryCodesRemaining: remaining.count })
+        });
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ error: 'Server error during login' });
+    }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+app.post('/api/auth/refresh', [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const current = await dbManager.get(
+            'SELECT * FROM refresh_tokens WHERE token_hash = ? AND expires_at > CURRENT_TIMESTAMP',
+            [hashToken(req.body.refreshToken)]
+        );
+        if (!current) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        if (current.revoked_at) {
+            // A rotated token was presented again, so it may have been stolen: end that login everywhere
+            await dbManager.run(
+                'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family = ? AND revoked_at IS NULL',
+                [current.family]
+            );
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        const user = await dbManager.get(
+            'SELECT id, is_active, status, token_version FROM users WHERE id = ?',
+            [current.user_id]
+        );
+        if (!user || !user.is_active || user.status !== 'approved' || current.token_version !== user.token_version) {
+            await dbManager.run('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [current.id]);
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        // Guard against the same token being rotated twice concurrently
+        const claimed = await dbManager.run(
+            'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+            [current.id]
+        );
+        if (claimed.changes !== 1) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        const { token: refreshToken, id } = await issueRefreshToken(user, req, current.family);
+        await dbManager.run('UPDATE refresh_tokens SET replaced_by = ? WHERE id = ?', [id, current.id]);
+
+        res.json({
+            token: signAccessToken(user),
+            refreshToken
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Log out this device (ends the browser session and revokes the refresh token, if one is sent)
+app.post('/api/auth/logout', [
+    body('refreshToken').optional().isString().withMessage('Invalid refresh token')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (req.body.refreshToken) {
+            await dbManager.run(
+                `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+                 WHERE revoked_at IS NULL AND family = (SELECT family FROM refresh_tokens WHERE token_hash = ?)`,
+                [hashToken(req.body.refreshToken)]
+            );
+        }
+
+        await new Promise((resolve, reject) => req.session.destroy(err => (err ? reject(err) : resolve())));
+        res.clearCookie('connect.sid');
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Server error during logout' });
+    }
+});
+
+// Log out of every device
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
+    try {
+        await revokeUserTokens(req.user.id);
+
+        await new Promise((resolve, reject) => req.session.destroy(err => (err ? reject(err) : resolve())));
+        res.clearCookie('connect.sid');
+        res.json({ message: 'Logged out of all devices' });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ error: 'Server error during logout' });
+    }
+});
+
+// Get current user
+app.get('/api/auth/me', authenticateToken, (req, res) => {
+    res.json({ user: req.user });
+});
+
+// Two-factor status for the current user
+app.get('/api/auth/2fa', authenticateToken, async (req, res) => {
+    try {
+        const user = await dbManager.get(
+            'SELECT two_factor_enabled, two_factor_enabled_at FROM users WHERE id = ?',
+            [req.user.id]
+        );
+        const remaining = await dbManager.get(
+            'SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+            [req.user.id]
+        );
+
+        res.json({
+            enabled: Boolean(user.two_factor_enabled),
+            enabledAt: user.two_factor_enabled_at,
+            required: await isTwoFactorRequired(req.user.role),
+            recoveryCodesRemaining: user.two_factor_enabled ? remaining.count : 0
+        });
+    } catch (error) {
+        console.error('Get two-factor status error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Start 2FA enrolment: returns the secret and the otpauth:// URI to show as a QR code
+app.post('/api/auth/2fa/setup', authenticateTwoFactorSetup, async (req, res) => {
+    try {
+        const user = await dbManager.get('SELECT two_factor_enabled FROM users WHERE id = ?', [req.user.id]);
+        if (user.two_factor_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = generateSecret();
+        await dbManager.run(
+            'UPDATE users SET two_factor_secret = ?, two_factor_last_step = NULL WHERE id = ?',
+            [encryptSecret(secret), req.user.id]
+        );
+
+        res.json({
+            secret,
+            otpauthUrl: provisioningUri(secret, req.user.email)
+        });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Finish enrolment with a code from the authenticator app; returns the recovery codes
+// (and completes the login when enrolment was required to log in)
+app.post('/api/auth/2fa/enable', authenticateTwoFactorSetup, [
+    body('code').isString().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const user = await dbManager.get(
+            'SELECT id, two_factor_enabled, two_factor_secret, two_factor_last_step FROM users WHERE id = ?',
+            [req.user.id]
+        );
+
+        if (user.two_factor_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        if (!user.two_factor_secret) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+
+        if (!await verifySecondFactor(user, { code: req.body.code })) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        await dbManager.run(
+            'UPDATE users SET two_factor_enabled = 1, two_factor_enabled_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [user.id]
+        );
+        const recoveryCodes = await replaceRecoveryCodes(user.id);
+
+        res.json({
+            message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+            recoveryCodes,
+            ...(req.loginChallenge && await completeLogin(req, req.user))
+        });
+    } catch (error) {
+        console.error('Enable two-factor error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Turn 2FA off (needs the password and a code; not allowed when the role requires 2FA)
+app.post('/api/auth/2fa/disable', authenticateToken, [
+    body('password').exists().withMessage('Password is required'),
+    body('code').if(body('recoveryCode').not().exists()).isString().notEmpty().withMessage('Authentication code is required'),
+    body('recoveryCode').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (await isTwoFactorRequired(req.user.role)) {
+            return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+        }
+
+        const user = await dbManager.get(
+            'SELECT id, password_hash, two_factor_enabled, two_factor_secret, two_factor_last_step FROM users WHERE id = ?',
+            [req.user.id]
+        );
+
+        if (!user.two_factor_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!await bcrypt.compare(req.body.password, user.password_hash)) {
+            return res.status(400).json({ error: 'Password is incorrect' });
+        }
+
+        if (!await verifySecondFactor(user, req.body)) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        await dbManager.run(
+            `UPDATE users SET two_factor_enabled = 0, two_factor_secret = NULL, two_factor_last_step = NULL,
+                    two_factor_enabled_at = NULL
+             WHERE id = ?`,
+            [user.id]
+        );
+        await dbManager.run('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [user.id]);
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('Disable two-factor error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Replace the recovery codes (needs a current authenticator code)
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, [
+    body('code').isString().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const user = await dbManager.get(
+            'SELECT id, two_factor_enabled, two_factor_secret, two_factor_last_step FROM users WHERE id = ?',
+            [req.user.id]
+        );
+
+        if (!user.two_factor_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!await verifySecondFactor(user, { code: req.body.code })) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        res.json({
+            message: 'New recovery codes generated; the old ones no longer work',
+            recoveryCodes: await replaceRecoveryCodes(user.id)
+        });
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Request a password reset link (the response never reveals whether the email exists)
+app.post('/api/auth/forgot-password', [
+    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const user = await dbManager.get(
+            'SELECT id, name, email FROM users WHERE email = ? AND is_active = 1',
+            [req.body.email]
+        );
+
+        // Sent in the background, so neither the time taken nor a mail failure tells whether
+        // the account exists
+        if (user) {
+            sendPasswordResetEmail(user).catch(error => {
+                console.error('Password reset email error:', error);
+            });
+        }
+
+        res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Set a new password with a reset token
+app.post('/api/auth/reset-password', [
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const tokenRow = await consumeUserToken(req.body.token, 'password_reset');
+        if (!tokenRow) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        const user = await dbManager.get('SELECT id, name, email FROM users WHERE id = ?', [tokenRow.user_id]);
+        const passwordHash = await bcrypt.hash(req.body.password, 10);
+
+        // Receiving the reset link also proves the user owns the address
+        await dbManager.run(
+            'UPDATE users SET password_hash = ?, password_changed_at = CURRENT_TIMESTAMP, email_verified = 1 WHERE id = ?',
+            [passwordHash, user.id]
+        );
+        await revokeUserTokens(user.id);
+
+        sendMail({ to: user.email, ...emailTemplates.passwordChanged({ name: user.name }) }).catch(error => {
+            console.error('Password changed email error:', error);
+        });
+
+        res.json({ message: 'Password has been reset. You can now log in.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Change password while logged in
+app.put('/api/auth/change-password', authenticateToken, [
+    body('currentPassword').exists().withMessage('Current password is required'),
+    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { currentPassword, newPassword } = req.body;
+        const user = await dbManager.get('SELECT id, name, email, password_hash FROM users WHERE id = ?', [req.user.id]);
+
+        const isMatch = await bcrypt.compare(currentPassword, user.password_hash);
+        if (!isMatch) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+
+        const passwordHash = await bcrypt.hash(newPassword, 10);
+        await dbManager.run(
+            'UPDATE users SET password_hash = ?, password_changed_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [passwordHash, user.id]
+        );
+
+        // Other devices are signed out; this one gets a fresh session and token pair
+        await revokeUserTokens(user.id);
+        const { token_version } = await dbManager.get('SELECT token_version FROM users WHERE id = ?', [user.id]);
+        const { token, refreshToken } = await issueAuthTokens({ id: user.id, token_version }, req);
+        await startSession(req, { id: user.id, token_version });
+
+        sendMail({ to: user.email, ...emailTemplates.passwordChanged({ name: user.name }) }).catch(error => {
+            console.error('Password changed email error:', error);
+        });
+
+        res.json({
+            message: 'Password changed successfully',
+            token,
+            refreshToken
+        });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Confirm an email address with the token from the verification email
+app.post('/api/auth/verify-email', [
+    body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const tokenRow = await consumeUserToken(req.body.token, 'email_verification');
+        if (!tokenRow) {
+            return res.status(400).json({ error: 'Invalid or expired verification token' });
+        }
+
+        await dbManager.run('UPDATE users SET email_verified = 1 WHERE id = ?', [tokenRow.user_id]);
+
+        res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Send a new verification email (pending accounts can't log in yet, so this takes the email address)
+app.post('/api/auth/resend-verification', [
+    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const user = await dbManager.get(
+            'SELECT id, name, email FROM users WHERE email = ? AND email_verified = 0 AND is_active = 1',
+            [req.body.email]
+        );
+
+        // In the background, like the password reset email
+        if (user) {
+            sendVerificationEmail(user).catch(error => {
+                console.error('Verification email error:', error);
+            });
+        }
+
+        res.json({ message: 'If the address still needs verifying, a new verification email has been sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Courses Routes
+app.get('/api/courses', authenticateToken, async (req, res) => {
+    try {
+        const courses = await dbManager.query(
+            'SELECT * FROM courses WHERE is_active = 1 ORDER BY name'
+        );
+
+        // Get statistics for each course
+        for (let course of courses) {
+            const [materialCount, sessionCount] = await Promise.all([
+                dbManager.get('SELECT COUNT(*) as count FROM materials WHERE course_id = ?', [course.id]),
+                dbManager.get('SELECT COUNT(*) as count FROM zoom_sessions WHERE course_id = ?', [course.id])
+            ]);
+            
+            course.material_count = materialCount.count;
+            course.session_count = sessionCount.count;
+        }
+
+        res.json({ courses });
+    } catch (error) {
+        console.error('Get courses error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Materials Routes
+app.get('/api/materials', authenticateToken, logActivity, async (req, res) => {
+    try {
+        const { course_id, grade, program, type, search, page = 1, limit = 20 } = req.query;
+        const offset = (page - 1) * limit;
+        const ftsQuery = toFtsQuery(search);
+
+        // Searches go through the FTS5 index and are ranked by relevance; otherwise newest first
+        const joins = `
+            LEFT JOIN courses c ON m.course_id = c.id
+            LEFT JOIN users u ON m.owner_id = u.id
+            LEFT JOIN folders f ON m.folder_id = f.id
+        `;
+        const from = ftsQuery
+            ? `FROM materials_fts JOIN materials m ON m.id = materials_fts.rowid ${joins}`
+            : `FROM materials m ${joins}`;
+        let where = 'WHERE 1=1';
+        const params = [];
+
+        if (ftsQuery) {
+            where += ` AND materials_fts MATCH ?`;
+            params.push(ftsQuery);
+        }
+
+        // Access control
+        if (req.user.role === 'student') {
+            where += ` AND (m.is_public = 1 OR m.owner_id = ?)`;
+            params.push(req.user.id);
+        } else if (req.user.role === 'teacher') {
+            where += ` AND m.owner_id = ?`;
+            params.push(req.user.id);
+        }
+
+        if (course_id) {
+            where += ` AND m.course_id = ?`;
+            params.push(course_id);
+        }
+
+        if (grade) {
+            where += ` AND m.grade = ?`;
+            params.push(grade);
+        }
+
+        // Materials for both programs are included when filtering by EST or ACT
+        if (program) {
+            where += program === 'Both' ? ` AND m.program = ?` : ` AND m.program IN (?, 'Both')`;
+            params.push(program);
+        }
+
+        if (type) {
+            where += ` AND m.type = ?`;
+            params.push(type);
+        }
+
+        const materials = await dbManager.query(
+            `SELECT m.*, c.name as course_name, u.name as owner_name,
+                    f.name as folder_name, f.path as folder_path
+                    ${ftsQuery ? `, ${MATERIAL_SEARCH_COLUMNS}` : ''}
+             ${from} ${where}
+             ORDER BY ${ftsQuery ? 'search_rank, m.created_at DESC' : 'm.created_at DESC'} LIMIT ? OFFSET ?`,
+            [...params, parseInt(limit), parseInt(offset)]
+        );
+
+        // Extracted document text is only searched, not sent (see /api/materials/:id/preview)
+        for (const material of materials) {
+            delete material.content_text;
+            material.headings = parseJson(material.headings, null);
+            if (ftsQuery) {
+                material.title_highlight = toHighlightHtml(material.title_highlight);
+                material.snippet = toHighlightHtml(material.snippet);
+            }
+        }
+
+        const totalResult = await dbManager.get(`SELECT COUNT(*) as total ${from} ${where}`, params);
+
+        res.json({
+            materials,
+            pagination: {
+                current: parseInt(page),
+                pages: Math.ceil(totalResult.total / limit),
+                total: totalResult.total
+            }
+        });
+    } catch (error) {
+        console.error('Get materials error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+const materialValidators = [
+    body('title').trim().isLength({ min: 1 }).withMessage('Title is required'),
+    body('course_id').isInt().withMessage('Valid course ID is required'),
+    body('type').isIn(['pdf', 'doc', 'docx', 'ppt', 'pptx', 'video', 'image', 'link', 'quiz', 'assignment']).withMessage('Invalid type')
+];
+
+// Create a material of `user` from the submitted fields and `file` (a multer upload, or a
+// completed resumable upload); resolves to the { status, body } to answer with
+async function createMaterial(user, fields, file) {
+    const { title, description, course_id, folder_id, type, url, grade, program, tags, is_public, priority } = fields;
+
+    const materialData = {
+        title,
+        description,
+        course_id: parseInt(course_id),
+        folder_id: folder_id ? parseInt(folder_id) : null,
+        owner_id: user.id,
+        type,
+        grade,
+        program,
+        tags,
+        is_public: String(is_public) === 'true' ? 1 : 0,
+        priority: priority || 'medium'
+    };
+
+    if (type === 'link') {
+        materialData.url = url;
+    } else if (file) {
+        // Identical files are stored once; the quota check counts the uploader's materials
+        const stored = await uploadStorage.store(file.path, file.originalname, user.id);
+        if (stored.refused) {
+            return { status: stored.refused.status, body: { error: stored.refused.message } };
+        }
+        materialData.file_name = file.originalname;
+        Object.assign(materialData, stored.file);
+        // Text, page count and headings are extracted in the background
+        materialData.extraction_status = isExtractable(file.originalname) ? 'pending' : null;
+    } else {
+        return { status: 400, body: { error: 'File is required for this material type' } };
+    }
+
+    const result = await dbManager.run(
+        `INSERT INTO materials (title, description, type, file_name, file_path, file_size, url, 
+         folder_id, course_id, owner_id, grade, program, tags, is_public, priority, content_hash, extraction_status) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            materialData.title, materialData.description, materialData.type,
+            materialData.file_name, materialData.file_path, materialData.file_size,
+            materialData.url, materialData.folder_id, materialData.course_id,
+            materialData.owner_id, materialData.grade, materialData.program,
+            materialData.tags, materialData.is_public, materialData.priority,
+            materialData.content_hash || null, materialData.extraction_status || null
+        ]
+    );
+
+    if (materialData.extraction_status === 'pending') {
+        extractionQueue.enqueue(result.id);
+    }
+
+    return {
+        status: 201,
+        body: {
+            message: 'Material uploaded successfully',
+            material: { id: result.id, ...materialData }
+        }
+    };
+}
+
+// Resumable uploads of material files too large for one request (recorded lectures); the
+// material's fields are sent when the upload starts and it is created when the upload completes
+app.use('/api/materials/uploads', authenticateToken, requireRole(['teacher', 'admin']), uploadRouter(materialUploads, {
+    ownerOf: (req) => req.user.id,
+    async details(req) {
+        await Promise.all(materialValidators.map(validator => validator.run(req)));
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new UploadError(400, 'Invalid material details', { errors: errors.array() });
+        }
+        if (req.body.type === 'link') {
+            throw new UploadError(400, 'Links are added without uploading a file');
+        }
+        const { title, description, course_id, folder_id, type, grade, program, tags, is_public, priority } = req.body;
+        return { title, description, course_id, folder_id, type, grade, program, tags, is_public, priority };
+    },
+    finalize: (req, file, upload) => createMaterial(req.user, upload.details, file),
+    errorKey: 'error'
+}));
+
+// Upload material
+app.post('/api/materials', authenticateToken, requireRole(['teacher', 'admin']), upload.single('file'), materialValidators, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const answer = await createMaterial(req.user, req.body, req.file);
+        res.status(answer.status).json(answer.body);
+    } catch (error) {
+        console.error('Upload material error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+const PREVIEW_EXCERPT_LENGTH = 1000;
+
+// Same visibility as the materials list: students see public materials and their own,
+// teachers their own, admins everything
+const canViewMaterial = (user, material) => user.role === 'admin'
+    || material.owner_id === user.id
+    || (user.role === 'student' && Boolean(material.is_public));
+
+// Preview of a material's extracted text: page count, headings and the opening text
+app.get('/api/materials/:id/preview', authenticateToken, async (req, res) => {
+    try {
+        const material = await dbManager.get(
+            `SELECT id, title, type, file_name, owner_id, is_public, content_text, page_count, headings,
+                    extraction_status, extraction_error, extracted_at
+             FROM materials WHERE id = ?`,
+            [req.params.id]
+        );
+        if (!material || !canViewMaterial(req.user, material)) {
+            return res.status(404).json({ error: 'Material not found' });
+        }
+
+        const text = material.content_text || '';
+        res.json({
+            preview: {
+                id: material.id,
+                title: material.title,
+                type: material.type,
+                file_name: material.file_name,
+                extraction_status: material.extraction_status,
+                extraction_error: material.extraction_error,
+                extracted_at: fromSqlDateTime(material.extracted_at),
+                page_count: material.page_count,
+                headings: parseJson(material.headings, []),
+                excerpt: text.length > PREVIEW_EXCERPT_LENGTH ? `${text.slice(0, PREVIEW_EXCERPT_LENGTH).trimEnd()}…` : text,
+                text_length: text.length
+            }
+        });
+    } catch (error) {
+        console.error('Material preview error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Extract a material's text again, e.g. after a failure
+app.post('/api/materials/:id/extract', authenticateToken, requireRole(['teacher', 'admin']), logActivity, async (req, res) => {
+    try {
+        const material = await dbManager.get(
+            'SELECT id, owner_id, file_name, file_path FROM materials WHERE id = ?',
+            [req.params.id]
+        );
+        if (!material || (req.user.role !== 'admin' && material.owner_id !== req.user.id)) {
+            return res.status(404).json({ error: 'Material not found' });
+        }
+        if (!material.file_path || !isExtractable(material.file_name)) {
+            return res.status(400).json({ error: 'Text can only be extracted from PDF, DOCX and PPTX files' });
+        }
+
+        await dbManager.run(
+            `UPDATE materials SET extraction_status = 'pending', extraction_error = NULL WHERE id = ?`,
+            [material.id]
+        );
+        extractionQueue.enqueue(material.id);
+
+        res.status(202).json({ message: 'Text extraction queued', extraction_status: 'pending' });
+    } catch (error) {
+        console.error('Queue extraction error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Exams Routes
+
+const EXAM_GRACE_SECONDS = 30; // tolerate network latency on last-second submissions
+
+// Number of questions a student is served (blueprint exams count their rules)
+const EXAM_QUESTION_COUNT_SQL = `CASE WHEN e.assembly = 'blueprint'
+    THEN (SELECT COALESCE(SUM(r.count), 0) FROM exam_blueprint_rules r WHERE r.exam_id = e.id)
+    ELSE (SELECT COUNT(*) FROM exam_questions q WHERE q.exam_id = e.id) END`;
+
+const canManageExam = (user, exam) => user.role === 'admin' || exam.teacher_id === user.id;
+
+const isEligibleForExam = (user, exam) => Boolean(exam.is_published) && isInAudience(user, exam);
+
+async function countExamQuestions(examId) {
+    const result = await dbManager.get(`SELECT ${EXAM_QUESTION_COUNT_SQL} as count FROM exams e WHERE e.id = ?`, [examId]);
+    return result ? result.count : 0;
+}
+
+// Load the questions an attempt was served, in the order they were served
+async function getAttemptQuestions(attempt) {
+    const questionIds = parseJson(attempt.question_ids, []);
+    if (questionIds.length === 0) {
+        return [];
+    }
+
+    const table = attempt.question_source === 'bank' ? 'question_bank' : 'exam_questions';
+    const rows = await dbManager.query(
+        `SELECT * FROM ${table} WHERE id IN (${questionIds.map(() => '?').join(', ')})`,
+        questionIds
+    );
+    const byId = new Map(rows.map(row => [row.id, row]));
+    return questionIds.map(id => byId.get(id)).filter(Boolean);
+}
+
+// Grade an attempt with its saved answers and close it
+async function finalizeAttempt(attempt, status) {
+    const questions = await getAttemptQuestions(attempt);
+    const { score, maxScore, percentage } = gradeAnswers(questions, parseJson(attempt.answers, {}));
+
+    await dbManager.run(
+        `UPDATE exam_attempts
+         SET status = ?, score = ?, max_score = ?, percentage = ?,
+             submitted_at = CASE WHEN ? = 'expired' THEN expires_at ELSE CURRENT_TIMESTAMP END
+         WHERE id = ? AND status = 'in_progress'`,
+        [status, score, maxScore, percentage, status, attempt.id]
+    );
+
+    return dbManager.get('SELECT * FROM exam_attempts WHERE id = ?', [attempt.id]);
+}
+
+// Auto-grade attempts whose countdown ran out without a submission
+async function closeExpiredAttempts({ studentId, examId } = {}) {
+    let query = `SELECT * FROM exam_attempts
+                 WHERE status = 'in_progress' AND expires_at <= datetime('now', '-${EXAM_GRACE_SECONDS} seconds')`;
+    const params = [];
+
+    if (studentId) {
+        query += ' AND student_id = ?';
+        params.push(studentId);
+    }
+    if (examId) {
+        query += ' AND exam_id = ?';
+        params.push(examId);
+    }
+
+    const expired = await dbManager.query(query, params);
+    for (const attempt of expired) {
+        await finalizeAttempt(attempt, 'expired');
+    }
+}
+
+// Shape an attempt for the client; answer keys are only revealed once it is closed
+async function buildAttemptResponse(attempt) {
+    const questions = await getAttemptQuestions(attempt);
+    const answers = parseJson(attempt.answers, {});
+    const timing = await dbManager.get(
+        `SELECT MAX(0, CAST((julianday(expires_at) - julianday('now')) * 86400 AS INTEGER)) as seconds_remaining
+         FROM exam_attempts WHERE id = ?`,
+        [attempt.id]
+    );
+
+    const response = {
+        id: attempt.id,
+        exam_id: attempt.exam_id,
+        student_id: attempt.student_id,
+        status: attempt.status,
+        started_at: attempt.started_at,
+        expires_at: attempt.expires_at,
+        submitted_at: attempt.submitted_at,
+        answers
+    };
+
+    if (attempt.status === 'in_progress') {
+        response.seconds_remaining = timing ? timing.seconds_remaining : 0;
+        response.questions = questions.map(toStudentQuestion);
+        return response;
+    }
+
+    const { results } = gradeAnswers(questions, answers);
+    const resultsById = new Map(results.map(result => [result.question_id, result]));
+
+    response.score = attempt.score;
+    response.max_score = attempt.max_score;
+    response.percentage = attempt.percentage;
+    response.questions = questions.map(question => ({
+        ...toStudentQuestion(question),
+        correct_answer: question.correct_answer,
+        explanation: question.explanation,
+        answer: resultsById.get(question.id).answer,
+        correct: resultsById.get(question.id).correct,
+        points_awarded: resultsById.get(question.id).points_awarded
+    }));
+    return response;
+}
+
+// Insert a validated question into an exam
+async function insertExamQuestion(examId, question, position) {
+    const options = question.type === 'multiple_choice'
+        ? JSON.stringify(Array.isArray(question.options) ? question.options : parseJson(question.options, []))
+        : null;
+
+    return dbManager.run(
+        `INSERT INTO exam_questions (exam_id, question_text, type, options, correct_answer, tolerance, points, explanation, position)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            examId, question.question_text.trim(), question.type, options,
+            String(question.correct_answer).trim(), parseFloat(question.tolerance) || 0,
+            parseInt(question.points) || 1, question.explanation, position
+        ]
+    );
+}
+
+// List exams (students see published exams for their grade/program with their own scores)
+app.get('/api/exams', authenticateToken, async (req, res) => {
+    try {
+        const { course_id } = req.query;
+
+        let query;
+        const params = [];
+
+        if (req.user.role === 'student') {
+            await closeExpiredAttempts({ studentId: req.user.id });
+
+            query = `
+                SELECT e.*, c.name as course_name, c.color as course_color,
+                       ${EXAM_QUESTION_COUNT_SQL} as question_count,
+                       (SELECT COUNT(*) FROM exam_attempts a WHERE a.exam_id = e.id AND a.student_id = ?) as attempt_count,
+                       (SELECT a.percentage FROM exam_attempts a
+                        WHERE a.exam_id = e.id AND a.student_id = ? AND a.status != 'in_progress'
+                        ORDER BY a.submitted_at DESC, a.id DESC LIMIT 1) as last_score,
+                       (SELECT MAX(a.percentage) FROM exam_attempts a
+                        WHERE a.exam_id = e.id AND a.student_id = ? AND a.status != 'in_progress') as best_score,
+                       (SELECT a.id FROM exam_attempts a
+                        WHERE a.exam_id = e.id AND a.student_id = ? AND a.status = 'in_progress') as active_attempt_id
+                FROM exams e
+                LEFT JOIN courses c ON e.course_id = c.id
+                WHERE e.is_published = 1 AND ${audienceFilter('e')}
+            `;
+            params.push(req.user.id, req.user.id, req.user.id, req.user.id, ...audienceParams(req.user));
+        } else {
+            query = `
+                SELECT e.*, c.name as course_name, c.color as course_color,
+                       ${EXAM_QUESTION_COUNT_SQL} as question_count,
+                       (SELECT COUNT(*) FROM exam_attempts a WHERE a.exam_id = e.id AND a.status != 'in_progress') as attempt_count,
+                       (SELECT AVG(a.percentage) FROM exam_attempts a WHERE a.exam_id = e.id AND a.status != 'in_progress') as average_score
+                FROM exams e
+                LEFT JOIN courses c ON e.course_id = c.id
+                WHERE 1=1
+            `;
+            if (req.user.role === 'teacher') {
+                query += ' AND e.teacher_id = ?';
+                params.push(req.user.id);
+            }
+        }
+
+        if (course_id) {
+            query += ' AND e.course_id = ?';
+            params.push(course_id);
+        }
+
+        query += ' ORDER BY c.name, e.created_at DESC';
+
+        const exams = await dbManager.query(query, params);
+
+        if (req.user.role !== 'student') {
+            return res.json({ exams });
+        }
+
+        // Performance summary for the student's dashboard
+        const stats = await dbManager.get(
+            `SELECT COUNT(*) as exams_completed,
+                    ROUND(AVG(a.percentage), 2) as average_score,
+                    COALESCE(SUM((julianday(a.submitted_at) - julianday(a.started_at)) * 1440), 0) as minutes_spent
+             FROM exam_attempts a
+             WHERE a.student_id = ? AND a.status != 'in_progress'`,
+            [req.user.id]
+        );
+        const passed = await dbManager.get(
+            `SELECT COUNT(DISTINCT e.course_id) as courses_passed
+             FROM exam_attempts a
+             JOIN exams e ON a.exam_id = e.id
+             WHERE a.student_id = ? AND a.status != 'in_progress' AND a.percentage >= e.pass_score`,
+            [req.user.id]
+        );
+
+        res.json({
+            exams,
+            stats: {
+                exams_completed: stats.exams_completed,
+                average_score: stats.average_score,
+                minutes_spent: Math.round(stats.minutes_spent),
+                courses_passed: passed.courses_passed
+            }
+        });
+    } catch (error) {
+        console.error('Get exams error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Get exam details (answer keys only for the owning teacher or admin)
+app.get('/api/exams/:id', authenticateToken, async (req, res) => {
+    try {
+        const exam = await dbManager.get(
+            `SELECT e.*, c.name as course_name
+             FROM exams e LEFT JOIN courses c ON e.course_id = c.id
+             WHERE e.id = ?`,
+            [req.params.id]
+        );
+
+        if (!exam) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+
+        if (req.user.role === 'student') {
+            if (!isEligibleForExam(req.user, exam)) {
+                return res.status(404).json({ error: 'Exam not found' });
+            }
+
+            return res.json({ exam: { ...exam, question_count: await countExamQuestions(exam.id) } });
+        }
+
+        if (!canManageExam(req.user, exam)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const questions = await dbManager.query(
+            'SELECT * FROM exam_questions WHERE exam_id = ? ORDER BY position, id',
+            [exam.id]
+        );
+        exam.questions = questions.map(question => ({ ...question, options: parseJson(question.options, []) }));
+        exam.blueprint = await getBlueprintRules(exam.id);
+
+        res.json({ exam });
+    } catch (error) {
+        console.error('Get exam error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Create exam
+app.post('/api/exams', authenticateToken, requireRole(['teacher', 'admin']), [
+    body('title').trim().isLength({ min: 1 }).withMessage('Title is required'),
+    body('course_id').isInt().withMessage('Valid course ID is required'),
+    body('duration').isInt({ min: 1, max: 300 }).withMessage('Duration must be between 1 and 300 minutes'),
+    body('difficulty').optional().isIn(['beginner', 'intermediate', 'advanced']).withMessage('Invalid difficulty'),
+    body('pass_score').optional().isInt({ min: 0, max: 100 }).withMessage('Pass score must be between 0 and 100'),
+    body('max_attempts').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Max attempts must be at least 1'),
+    body('grade').optional({ nullable: true }).isIn(['9', '10', '11', '12']).withMessage('Invalid grade'),
+    body('program').optional({ nullable: true }).isIn(['EST', 'ACT', 'Both']).withMessage('Invalid program'),
+    body('questions').optional().isArray().withMessage('Questions must be an array')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { title, description, course_id, duration, difficulty, pass_score, max_attempts, grade, program, questions = [] } = req.body;
+
+        const course = await dbManager.get('SELECT id FROM courses WHERE id = ? AND is_active = 1', [course_id]);
+        if (!course) {
+            return res.status(400).json({ error: 'Course not found' });
+        }
+
+        for (const [index, question] of questions.entries()) {
+            const questionError = validateQuestion(question);
+            if (questionError) {
+                return res.status(400).json({ error: `Question ${index + 1}: ${questionError}` });
+            }
+        }
+
+        const result = await dbManager.run(
+            `INSERT INTO exams (title, description, course_id, teacher_id, duration, difficulty, pass_score, max_attempts, grade, program)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                title, description, parseInt(course_id), req.user.id, parseInt(duration),
+                difficulty || 'intermediate', pass_score !== undefined ? parseInt(pass_score) : 60,
+                max_attempts ? parseInt(max_attempts) : null, grade || null, program || null
+            ]
+        );
+
+        for (const [index, question] of questions.entries()) {
+            await insertExamQuestion(result.id, question, index + 1);
+        }
+
+        const exam = await dbManager.get('SELECT * FROM exams WHERE id = ?', [result.id]);
+
+        res.status(201).json({
+            message: 'Exam created successfully',
+            exam: { ...exam, question_count: questions.length }
+        });
+    } catch (error) {
+        console.error('Create exam error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update exam settings or publish/unpublish it
+app.put('/api/exams/:id', authenticateToken, requireRole(['teacher', 'admin']), [
+    body('title').optional().trim().isLength({ min: 1 }).withMessage('Title cannot be empty'),
+    body('duration').optional().isInt({ min: 1, max: 300 }).withMessage('Duration must be between 1 and 300 minutes'),
+    body('difficulty').optional().isIn(['beginner', 'intermediate', 'advanced']).withMessage('Invalid difficulty'),
+    body('pass_score').optional().isInt({ min: 0, max: 100 }).withMessage('Pass score must be between 0 and 100'),
+    body('max_attempts').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Max attempts must be at least 1'),
+    body('grade').optional({ nullable: true }).isIn(['9', '10', '11', '12']).withMessage('Invalid grade'),
+    body('program').optional({ nullable: true }).isIn(['EST', 'ACT', 'Both']).withMessage('Invalid program'),
+    body('is_published').optional().isBoolean().withMessage('is_published must be a boolean')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const exam = await dbManager.get('SELECT * FROM exams WHERE id = ?', [req.params.id]);
+        if (!exam || !canManageExam(req.user, exam)) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+
+        const fields = ['title', 'description', 'duration', 'difficulty', 'pass_score', 'max_attempts', 'grade', 'program'];
+        const updates = [];
+        const params = [];
+
+        for (const field of fields) {
+            if (req.body[field] !== undefined) {
+                updates.push(`${field} = ?`);
+                params.push(req.body[field] === '' ? null : req.body[field]);
+            }
+        }
+
+        if (req.body.is_published !== undefined) {
+            const publish = req.body.is_published === true || req.body.is_published === 'true';
+            if (publish) {
+                if (await countExamQuestions(exam.id) === 0) {
+                    return res.status(400).json({ error: 'Add at least one question before publishing' });
+                }
+            }
+            updates.push('is_published = ?');
+            params.push(publish ? 1 : 0);
+        }
+
+        if (updates.length > 0) {
+            params.push(exam.id);
+            await dbManager.run(`UPDATE exams SET ${updates.join(', ')} WHERE id = ?`, params);
+        }
+
+        const updated = await dbManager.get('SELECT * FROM exams WHERE id = ?', [exam.id]);
+
+        res.json({
+            message: 'Exam updated successfully',
+            exam: updated
+        });
+    } catch (error) {
+        console.error('Update exam error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete exam (questions and attempts cascade)
+app.delete('/api/exams/:id', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+    try {
+        const exam = await dbManager.get('SELECT * FROM exams WHERE id = ?', [req.params.id]);
+        if (!exam || !canManageExam(req.user, exam)) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+
+        await dbManager.run('DELETE FROM exams WHERE id = ?', [exam.id]);
+
+        res.json({ message: 'Exam deleted successfully' });
+    } catch (error) {
+        console.error('Delete exam error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Add a question to an exam
+app.post('/api/exams/:id/questions', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+    try {
+        const exam = await dbManager.get('SELECT * FROM exams WHERE id = ?', [req.params.id]);
+        if (!exam || !canManageExam(req.user, exam)) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+
+        const questionError = validateQuestion(req.body);
+        if (questionError) {
+            return res.status(400).json({ error: questionError });
+        }
+
+        const last = await dbManager.get(
+            'SELECT COALESCE(MAX(position), 0) as position FROM exam_questions WHERE exam_id = ?',
+            [exam.id]
+        );
+        const position = req.body.position !== undefined ? parseInt(req.body.position) : last.position + 1;
+
+        const result = await insertExamQuestion(exam.id, req.body, position);
+        const question = await dbManager.get('SELECT * FROM exam_questions WHERE id = ?', [result.id]);
+
+        res.status(201).json({
+            message: 'Question added successfully',
+            question: { ...question, options: parseJson(question.options, []) }
+        });
+    } catch (error) {
+        console.error('Add exam question error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update a question
+app.put('/api/exams/:id/questions/:questionId', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+    try {
+        const exam = await dbManager.get('SELECT * FROM exams WHERE id = ?', [req.params.id]);
+        if (!exam || !canManageExam(req.user, exam)) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+
+        const question = await dbManager.get(
+            'SELECT * FROM exam_questions WHERE id = ? AND exam_id = ?',
+            [req.params.questionId, exam.id]
+        );
+        if (!question) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        const merged = {
+            ...question,
+            options: parseJson(question.options, []),
+            ...req.body
+        };
+
+        const questionError = validateQuestion(merged);
+        if (questionError) {
+            return res.status(400).json({ error: questionError });
+        }
+
+        await dbManager.run(
+            `UPDATE exam_questions
+             SET question_text = ?, type = ?, options = ?, correct_answer = ?, tolerance = ?, points = ?, explanation = ?, position = ?
+             WHERE id = ?`,
+            [
+                String(merged.question_text).trim(), merged.type,
+                merged.type === 'multiple_choice' ? JSON.stringify(merged.options) : null,
+                String(merged.correct_answer).trim(), parseFloat(merged.tolerance) || 0,
+                parseInt(merged.points) || 1, merged.explanation, parseInt(merged.position) || 0,
+                question.id
+            ]
+        );
+
+        const updated = await dbManager.get('SELECT * FROM exam_questions WHERE id = ?', [question.id]);
+
+        res.json({
+            message: 'Question updated successfully',
+            question: { ...updated, options: parseJson(updated.options, []) }
+        });
+    } catch (error) {
+        console.error('Update exam question error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Remove a question
+app.delete('/api/exams/:id/questions/:questionId', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+    try {
+        const exam = await dbManager.get('SELECT * FROM exams WHERE id = ?', [req.params.id]);
+        if (!exam || !canManageExam(req.user, exam)) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+
+        const result = await dbManager.run(
+            'DELETE FROM exam_questions WHERE id = ? AND exam_id = ?',
+            [req.params.questionId, exam.id]
+        );
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        res.json({ message: 'Question deleted successfully' });
+    } catch (error) {
+        console.error('Delete exam question error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Start (or resume) a timed attempt
+app.post('/api/exams/:id/attempts', authenticateToken, requireRole(['student']), logActivity, async (req, res) => {
+    try {
+        const exam = await dbManager.get('SELECT * FROM exams WHERE id = ?', [req.params.id]);
+        if (!exam || !isEligibleForExam(req.user, exam)) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+
+        await closeExpiredAttempts({ studentId: req.user.id, examId: exam.id });
+
+        // Resume the running attempt instead of restarting the countdown
+        const active = await dbManager.get(
+            `SELECT * FROM exam_attempts WHERE exam_id = ? AND student_id = ? AND status = 'in_progress'`,
+            [exam.id, req.user.id]
+        );
+        if (active) {
+            return res.json({
+                message: 'Resuming attempt in progress',
+                attempt: await buildAttemptResponse(active)
+            });
+        }
+
+        if (exam.max_attempts) {
+            const used = await dbManager.get(
+                'SELECT COUNT(*) as count FROM exam_attempts WHERE exam_id = ? AND student_id = ?',
+                [exam.id, req.user.id]
+            );
+            if (used.count >= exam.max_attempts) {
+                return res.status(403).json({ error: 'Maximum number of attempts reached' });
+            }
+        }
+
+        let questionSource = 'exam';
+        let questionIds;
+
+        if (exam.assembly === 'blueprint') {
+            // Every student gets their own randomized paper drawn from the question bank
+            questionSource = 'bank';
+            try {
+                questionIds = await assembleUniquePaper(exam, req.user);
+            } catch (assemblyError) {
+                return res.status(400).json({ error: assemblyError.message });
+            }
+        } else {
+            const questions = await dbManager.query(
+                'SELECT id FROM exam_questions WHERE exam_id = ? ORDER BY position, id',
+                [exam.id]
+            );
+            questionIds = questions.map(question => question.id);
+        }
+
+        if (questionIds.length === 0) {
+            return res.status(400).json({ error: 'This exam has no questions yet' });
+        }
+
+        // Only one attempt can be in progress (idx_exam_attempts_active): when a concurrent
+        // request started one first, nothing is inserted and that attempt is resumed instead
+        const result = await dbManager.run(
+            `INSERT INTO exam_attempts (exam_id, student_id, question_source, question_ids, answers, expires_at)
+             VALUES (?, ?, ?, ?, '{}', datetime('now', ?))
+             ON CONFLICT DO NOTHING`,
+            [exam.id, req.user.id, questionSource, JSON.stringify(questionIds), `+${exam.duration} minutes`]
+        );
+        if (result.changes === 0) {
+            const started = await dbManager.get(
+                `SELECT * FROM exam_attempts WHERE exam_id = ? AND student_id = ? AND status = 'in_progress'`,
+                [exam.id, req.user.id]
+            );
+            return res.json({
+                message: 'Resuming attempt in progress',
+                attempt: await buildAttemptResponse(started)
+            });
+        }
+
+        const attempt = await dbManager.get('SELECT * FROM exam_attempts WHERE id = ?', [result.id]);
+
+        res.status(201).json({
+            message: 'Exam started',
+            attempt: await buildAttemptResponse(attempt)
+        });
+    } catch (error) {
+        console.error('Start exam attempt error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Attempt history for an exam (own attempts for students, all attempts for the teacher)
+app.get('/api/exams/:id/attempts', authenticateToken, async (req, res) => {
+    try {
+        const exam = await dbManager.get('SELECT * FROM exams WHERE id = ?', [req.params.id]);
+        if (!exam) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+
+        let query = `
+            SELECT a.id, a.exam_id, a.student_id, a.status, a.score, a.max_score, a.percentage,
+                   a.started_at, a.expires_at, a.submitted_at, u.name as student_name
+            FROM exam_attempts a
+            LEFT JOIN users u ON a.student_id = u.id
+            WHERE a.exam_id = ?
+        `;
+        const params = [exam.id];
+
+        if (req.user.role === 'student') {
+            await closeExpiredAttempts({ studentId: req.user.id, examId: exam.id });
+            query += ' AND a.student_id = ?';
+            params.push(req.user.id);
+        } else if (!canManageExam(req.user, exam)) {
+            return res.status(403).json({ error: 'Access denied' });
+        } else {
+            await closeExpiredAttempts({ examId: exam.id });
+        }
+
+        query += ' ORDER BY a.started_at DESC';
+
+        const attempts = await dbManager.query(query, params);
+
+        res.json({ attempts });
+    } catch (error) {
+        console.error('Get exam attempts error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Load an attempt owned by the student, or visible to the exam's teacher
+async function loadAttemptForUser(attemptId, user) {
+    const attempt = await dbManager.get(
+        `SELECT a.*, e.teacher_id FROM exam_attempts a JOIN exams e ON a.exam_id = e.id WHERE a.id = ?`,
+        [attemptId]
+    );
+    if (!attempt) {
+        return null;
+    }
+    if (user.role === 'student' ? attempt.student_id !== user.id : !canManageExam(user, attempt)) {
+        return null;
+    }
+    return attempt;
+}
+
+// Get an attempt: questions and countdown while running, graded results once closed
+app.get('/api/exams/attempts/:attemptId', authenticateToken, async (req, res) => {
+    try {
+        let attempt = await loadAttemptForUser(req.params.attemptId, req.user);
+        if (!attempt) {
+            return res.status(404).json({ error: 'Attempt not found' });
+        }
+
+        await closeExpiredAttempts({ studentId: attempt.student_id, examId: attempt.exam_id });
+        attempt = await dbManager.get('SELECT * FROM exam_attempts WHERE id = ?', [attempt.id]);
+
+        res.json({ attempt: await buildAttemptResponse(attempt) });
+    } catch (error) {
+        console.error('Get exam attempt error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Save answers while the attempt is running
+app.put('/api/exams/attempts/:attemptId/answers', authenticateToken, requireRole(['student']), [
+    body('answers').isObject().withMessage('Answers must be an object keyed by question ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const attempt = await dbManager.get(
+            `SELECT *, expires_at > datetime('now', '-${EXAM_GRACE_SECONDS} seconds') as within_time
+             FROM exam_attempts WHERE id = ? AND student_id = ?`,
+            [req.params.attemptId, req.user.id]
+        );
+        if (!attempt) {
+            return res.status(404).json({ error: 'Attempt not found' });
+        }
+        if (attempt.status !== 'in_progress') {
+            return res.status(409).json({ error: 'This attempt has already been submitted' });
+        }
+        if (!attempt.within_time) {
+            await finalizeAttempt(attempt, 'expired');
+            return res.status(409).json({ error: 'Time is up, the attempt has been submitted automatically' });
+        }
+
+        const answers = { ...parseJson(attempt.answers, {}), ...req.body.answers };
+        await dbManager.run('UPDATE exam_attempts SET answers = ? WHERE id = ?', [JSON.stringify(answers), attempt.id]);
+
+        res.json({ message: 'Answers saved', answers });
+    } catch (error) {
+        console.error('Save exam answers error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Submit an attempt for grading
+app.post('/api/exams/attempts/:attemptId/submit', authenticateToken, requireRole(['student']), logActivity, async (req, res) => {
+    try {
+        const attempt = await dbManager.get(
+            `SELECT *, expires_at > datetime('now', '-${EXAM_GRACE_SECONDS} seconds') as within_time
+             FROM exam_attempts WHERE id = ? AND student_id = ?`,
+            [req.params.attemptId, req.user.id]
+        );
+        if (!attempt) {
+            return res.status(404).json({ error: 'Attempt not found' });
+        }
+        if (attempt.status !== 'in_progress') {
+            return res.status(409).json({ error: 'This attempt has already been submitted' });
+        }
+
+        let finalized;
+        if (attempt.within_time) {
+            if (req.body.answers && typeof req.body.answers === 'object') {
+                attempt.answers = JSON.stringify({ ...parseJson(attempt.answers, {}), ...req.body.answers });
+                await dbManager.run('UPDATE exam_attempts SET answers = ? WHERE id = ?', [attempt.answers, attempt.id]);
+            }
+            finalized = await finalizeAttempt(attempt, 'submitted');
+        } else {
+            // Late submissions are graded on the answers saved before time ran out
+            finalized = await finalizeAttempt(attempt, 'expired');
+        }
+
+        res.json({
+            message: finalized.status === 'expired' ? 'Time was up, graded with saved answers' : 'Exam submitted successfully',
+            attempt: await buildAttemptResponse(finalized)
+        });
+    } catch (error) {
+        console.error('Submit exam attempt error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Question Bank Routes
+
+const MAX_ASSEMBLY_TRIES = 20;
+
+// Fisher-Yates shuffle using a cryptographically strong RNG
+function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// Accept tags as an array or a comma separated string
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+}
+
+// Resolve a course from its name (as listed in AVAILABLE_COURSES) or its ID
+async function resolveCourseId({ course, course_id }) {
+    let row;
+    if (course_id) {
+        row = await dbManager.get('SELECT id FROM courses WHERE id = ?', [course_id]);
+    } else if (course && AVAILABLE_COURSES.includes(course)) {
+        row = await dbManager.get('SELECT id FROM courses WHERE name = ?', [course]);
+    }
+    return row ? row.id : null;
+}
+
+const formatBankQuestion = question => ({
+    ...question,
+    options: parseJson(question.options, []),
+    tags: parseJson(question.tags, [])
+});
+
+const describeRule = rule =>
+    `${rule.count} × ${rule.topic || 'any topic'} (${rule.difficulty || 'any difficulty'})`;
+
+async function getBlueprintRules(examId) {
+    return dbManager.query(
+        `SELECT r.*, c.name as course_name
+         FROM exam_blueprint_rules r
+         LEFT JOIN courses c ON r.course_id = c.id
+         WHERE r.exam_id = ?
+         ORDER BY r.position, r.id`,
+        [examId]
+    );
+}
+
+// Bank question IDs matching each rule, optionally limited to a student's program
+async function loadRuleCandidates(exam, rules, program) {
+    const candidateLists = [];
+
+    for (const rule of rules) {
+        let query = 'SELECT id FROM question_bank WHERE course_id = ?';
+        const params = [rule.course_id || exam.course_id];
+
+        if (rule.topic) {
+            query += ' AND topic = ? COLLATE NOCASE';
+            params.push(rule.topic);
+        }
+        if (rule.difficulty) {
+            query += ' AND difficulty = ?';
+            params.push(rule.difficulty);
+        }
+        if (program && program !== 'Both') {
+            query += ` AND program IN ('Both', ?)`;
+            params.push(program);
+        }
+
+        const rows = await dbManager.query(query, params);
+        candidateLists.push(rows.map(row => row.id));
+    }
+
+    return candidateLists;
+}
+
+// Draw each rule's questions at random, then shuffle the whole paper
+function drawPaper(rules, candidateLists) {
+    const picked = new Set();
+
+    rules.forEach((rule, index) => {
+        const available = candidateLists[index].filter(id => !picked.has(id));
+        if (available.length < rule.count) {
+            throw new Error(`Not enough questions in the bank for ${describeRule(rule)}: found ${available.length}`);
+        }
+        shuffle(available).slice(0, rule.count).forEach(id => picked.add(id));
+    });
+
+    return shuffle([...picked]);
+}
+
+// Assemble a paper whose ordering differs from every paper already served to the student's grade
+async function assembleUniquePaper(exam, student) {
+    const rules = await getBlueprintRules(exam.id);
+    if (rules.length === 0) {
+        throw new Error('This exam has no blueprint yet');
+    }
+
+    const candidateLists = await loadRuleCandidates(exam, rules, student.program);
+    const served = await dbManager.query(
+        `SELECT a.question_ids
+         FROM exam_attempts a
+         JOIN users u ON a.student_id = u.id
+         WHERE a.exam_id = ? AND a.question_source = 'bank' AND u.grade IS ?`,
+        [exam.id, student.grade]
+    );
+    const seen = new Set(served.map(row => row.question_ids));
+
+    let paper;
+    for (let tries = 0; tries < MAX_ASSEMBLY_TRIES; tries++) {
+        paper = drawPaper(rules, candidateLists);
+        if (!seen.has(JSON.stringify(paper))) {
+            return paper;
+        }
+    }
+
+    // The bank is too small to give every student in the grade a distinct paper
+    return paper;
+}
+
+// List bank questions with tag filters
+app.get('/api/question-bank', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+    try {
+        const { course, course_id, topic, difficulty, program, type, tag, search, page = 1, limit = 50 } = req.query;
+        const offset = (page - 1) * limit;
+
+        let where = ' WHERE 1=1';
+        const params = [];
+
+        if (course_id) {
+            where += ' AND q.course_id = ?';
+            params.push(course_id);
+        } else if (course) {
+            where += ' AND c.name = ?';
+            params.push(course);
+        }
+
+        if (topic) {
+            where += ' AND q.topic = ? COLLATE NOCASE';
+            params.push(topic);
+        }
+
+        if (difficulty) {
+            where += ' AND q.difficulty = ?';
+            params.push(difficulty);
+        }
+
+        if (program) {
+            where += ` AND (q.program = ? OR q.program = 'Both')`;
+            params.push(program);
+        }
+
+        if (type) {
+            where += ' AND q.type = ?';
+            params.push(type);
+        }
+
+        if (tag) {
+            where += ' AND EXISTS (SELECT 1 FROM json_each(q.tags) t WHERE t.value = ? COLLATE NOCASE)';
+            params.push(tag);
+        }
+
+        if (search) {
+            where += ' AND q.question_text LIKE ?';
+            params.push(`%${search}%`);
+        }
+
+        const questions = await dbManager.query(
+            `SELECT q.*, c.name as course_name, u.name as owner_name
+             FROM question_bank q
+             LEFT JOIN courses c ON q.course_id = c.id
+             LEFT JOIN users u ON q.owner_id = u.id
+             ${where}
+             ORDER BY c.name, q.topic, q.difficulty, q.id
+             LIMIT ? OFFSET ?`,
+            [...params, parseInt(limit), parseInt(offset)]
+        );
+
+        const totalResult = await dbManager.get(
+            `SELECT COUNT(*) as total FROM question_bank q LEFT JOIN courses c ON q.course_id = c.id ${where}`,
+            params
+        );
+
+        res.json({
+            questions: questions.map(formatBankQuestion),
+            pagination: {
+                current: parseInt(page),
+                pages: Math.ceil(totalResult.total / limit),
+                total: totalResult.total
+            }
+        });
+    } catch (error) {
+        console.error('Get question bank error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Topics available per course with question counts by difficulty, for building blueprints
+app.get('/api/question-bank/topics', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+    try {
+        const { course, program } = req.query;
+
+        let query = `
+            SELECT c.name as course_name, q.course_id, q.topic,
+                   SUM(CASE WHEN q.difficulty = 'easy' THEN 1 ELSE 0 END) as easy,
+                   SUM(CASE WHEN q.difficulty = 'medium' THEN 1 ELSE 0 END) as medium,
+                   SUM(CASE WHEN q.difficulty = 'hard' THEN 1 ELSE 0 END) as hard,
+                   COUNT(*) as total
+            FROM question_bank q
+            JOIN courses c ON q.course_id = c.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (course) {
+            query += ' AND c.name = ?';
+            params.push(course);
+        }
+
+        if (program) {
+            query += ` AND (q.program = ? OR q.program = 'Both')`;
+            params.push(program);
+        }
+
+        query += ' GROUP BY q.course_id, q.topic ORDER BY c.name, q.topic';
+
+        const topics = await dbManager.query(query, params);
+
+        res.json({ topics });
+    } catch (error) {
+        console.error('Get question bank topics error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Get a bank question
+app.get('/api/question-bank/:id', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+    try {
+        const question = await dbManager.get(
+            `SELECT q.*, c.name as course_name
+             FROM question_bank q
+             LEFT JOIN courses c ON q.course_id = c.id
+             WHERE q.id = ?`,
+            [req.params.id]
+        );
+
+        if (!question) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        res.json({ question: formatBankQuestion(question) });
+    } catch (error) {
+        console.error('Get bank question error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Add a question to the bank
+app.post('/api/question-bank', authenticateToken, requireRole(['teacher', 'admin']), [
+    body('course').optional().isIn(AVAILABLE_COURSES).withMessage('Invalid course'),
+    body('course_id').optional().isInt().withMessage('Invalid course ID'),
+    body('topic').trim().isLength({ min: 1, max: 100 }).withMessage('Topic is required'),
+    body('difficulty').optional().isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty'),
+    body('program').optional().isIn(['EST', 'ACT', 'Both']).withMessage('Invalid program')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const courseId = await resolveCourseId(req.body);
+        if (!courseId) {
+            return res.status(400).json({ error: 'A valid course is required' });
+        }
+
+        const questionError = validateQuestion(req.body);
+        if (questionError) {
+            return res.status(400).json({ error: questionError });
+        }
+
+        const { topic, difficulty, program, tags, question_text, type, options, correct_answer, tolerance, points, explanation } = req.body;
+
+        const result = await dbManager.run(
+            `INSERT INTO question_bank (course_id, owner_id, topic, difficulty, program, tags, question_text, type,
+             options, correct_answer, tolerance, points, explanation)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                courseId, req.user.id, topic, difficulty || 'medium', program || 'Both',
+                JSON.stringify(normalizeTags(tags)), question_text.trim(), type,
+                type === 'multiple_choice' ? JSON.stringify(options) : null,
+                String(correct_answer).trim(), parseFloat(tolerance) || 0, parseInt(points) || 1, explanation
+            ]
+        );
+
+        const question = await dbManager.get('SELECT * FROM question_bank WHERE id = ?', [result.id]);
+
+        res.status(201).json({
+            message: 'Question added to bank',
+            question: formatBankQuestion(question)
+        });
+    } catch (error) {
+        console.error('Create bank question error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update a bank question (owner or admin)
+app.put('/api/question-bank/:id', authenticateToken, requireRole(['teacher', 'admin']), [
+    body('course').optional().isIn(AVAILABLE_COURSES).withMessage('Invalid course'),
+    body('course_id').optional().isInt().withMessage('Invalid course ID'),
+    body('topic').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Topic cannot be empty'),
+    body('difficulty').optional().isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty'),
+    body('program').optional().isIn(['EST', 'ACT', 'Both']).withMessage('Invalid program')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const question = await dbManager.get('SELECT * FROM question_bank WHERE id = ?', [req.params.id]);
+        if (!question || (req.user.role !== 'admin' && question.owner_id !== req.user.id)) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        let courseId = question.course_id;
+        if (req.body.course || req.body.course_id) {
+            courseId = await resolveCourseId(req.body);
+            if (!courseId) {
+                return res.status(400).json({ error: 'A valid course is required' });
+            }
+        }
+
+        const merged = {
+            ...formatBankQuestion(question),
+            ...req.body
+        };
+
+        const questionError = validateQuestion(merged);
+        if (questionError) {
+            return res.status(400).json({ error: questionError });
+        }
+
+        await dbManager.run(
+            `UPDATE question_bank
+             SET course_id = ?, topic = ?, difficulty = ?, program = ?, tags = ?, question_text = ?, type = ?,
+                 options = ?, correct_answer = ?, tolerance = ?, points = ?, explanation = ?
+             WHERE id = ?`,
+            [
+                courseId, merged.topic, merged.difficulty, merged.program, JSON.stringify(normalizeTags(merged.tags)),
+                String(merged.question_text).trim(), merged.type,
+                merged.type === 'multiple_choice' ? JSON.stringify(merged.options) : null,
+                String(merged.correct_answer).trim(), parseFloat(merged.tolerance) || 0,
+                parseInt(merged.points) || 1, merged.explanation, question.id
+            ]
+        );
+
+        const updated = await dbManager.get('SELECT * FROM question_bank WHERE id = ?', [question.id]);
+
+        res.json({
+            message: 'Question updated successfully',
+            question: formatBankQuestion(updated)
+        });
+    } catch (error) {
+        console.error('Update bank question error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete a bank question that has never been served to a student
+app.delete('/api/question-bank/:id', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+    try {
+        const question = await dbManager.get('SELECT * FROM question_bank WHERE id = ?', [req.params.id]);
+        if (!question || (req.user.role !== 'admin' && question.owner_id !== req.user.id)) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        const usage = await dbManager.get(
+            `SELECT COUNT(*) as count
+             FROM exam_attempts a, json_each(a.question_ids) j
+             WHERE a.question_source = 'bank' AND j.value = ?`,
+            [question.id]
+        );
+        if (usage.count > 0) {
+            return res.status(409).json({ error: 'This question has been used in exam attempts and cannot be deleted' });
+        }
+
+        await dbManager.run('DELETE FROM question_bank WHERE id = ?', [question.id]);
+
+        res.json({ message: 'Question deleted successfully' });
+    } catch (error) {
+        console.error('Delete bank question error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Get an exam's blueprint with how many bank questions each rule can draw from
+app.get('/api/exams/:id/blueprint', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+    try {
+        const exam = await dbManager.get('SELECT * FROM exams WHERE id = ?', [req.params.id]);
+        if (!exam || !canManageExam(req.user, exam)) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+
+        const rules = await getBlueprintRules(exam.id);
+        const candidateLists = await loadRuleCandidates(exam, rules, req.query.program);
+
+        res.json({
+            assembly: exam.assembly,
+            rules: rules.map((rule, index) => ({ ...rule, available: candidateLists[index].length }))
+        });
+    } catch (error) {
+        console.error('Get exam blueprint error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Replace an exam's blueprint; an empty rule list switches the exam back to its fixed questions
+app.put('/api/exams/:id/blueprint', authenticateToken, requireRole(['teacher', 'admin']), [
+    body('rules').isArray().withMessage('Rules must be an array'),
+    body('rules.*.count').isInt({ min: 1 }).withMessage('Each rule needs a question count of at least 1'),
+    body('rules.*.topic').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('Topic is too long'),
+    body('rules.*.difficulty').optional({ nullable: true }).isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty'),
+    body('rules.*.course').optional({ nullable: true }).isIn(AVAILABLE_COURSES).withMessage('Invalid course')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const exam = await dbManager.get('SELECT * FROM exams WHERE id = ?', [req.params.id]);
+        if (!exam || !canManageExam(req.user, exam)) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+
+        const rules = [];
+        for (const rule of req.body.rules) {
+            const courseId = rule.course || rule.course_id ? await resolveCourseId(rule) : exam.course_id;
+            if (!courseId) {
+                return res.status(400).json({ error: 'Invalid course in blueprint rule' });
+            }
+            rules.push({
+                course_id: courseId,
+                topic: rule.topic || null,
+                difficulty: rule.difficulty || null,
+                count: parseInt(rule.count)
+            });
+        }
+
+        // Make sure the bank can fill the blueprint before saving it
+        try {
+            drawPaper(rules, await loadRuleCandidates(exam, rules, exam.program));
+        } catch (assemblyError) {
+            return res.status(400).json({ error: assemblyError.message });
+        }
+
+        await dbManager.run('DELETE FROM exam_blueprint_rules WHERE exam_id = ?', [exam.id]);
+        for (const [index, rule] of rules.entries()) {
+            await dbManager.run(
+                `INSERT INTO exam_blueprint_rules (exam_id, course_id, topic, difficulty, count, position)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [exam.id, rule.course_id, rule.topic, rule.difficulty, rule.count, index + 1]
+            );
+        }
+        await dbManager.run(
+            'UPDATE exams SET assembly = ? WHERE id = ?',
+            [rules.length > 0 ? 'blueprint' : 'fixed', exam.id]
+        );
+
+        res.json({
+            message: 'Blueprint saved successfully',
+            assembly: rules.length > 0 ? 'blueprint' : 'fixed',
+            rules: await getBlueprintRules(exam.id),
+            question_count: rules.reduce((sum, rule) => sum + rule.count, 0)
+        });
+    } catch (error) {
+        console.error('Save exam blueprint error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Assemble a sample paper so the teacher can check what students will get
+app.post('/api/exams/:id/blueprint/preview', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+    try {
+        const exam = await dbManager.get('SELECT * FROM exams WHERE id = ?', [req.params.id]);
+        if (!exam || !canManageExam(req.user, exam)) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+
+        const rules = await getBlueprintRules(exam.id);
+        if (rules.length === 0) {
+            return res.status(400).json({ error: 'This exam has no blueprint yet' });
+        }
+
+        let paper;
+        try {
+            paper = drawPaper(rules, await loadRuleCandidates(exam, rules, req.body.program));
+        } catch (assemblyError) {
+            return res.status(400).json({ error: assemblyError.message });
+        }
+
+        const questions = await getAttemptQuestions({ question_source: 'bank', question_ids: JSON.stringify(paper) });
+
+        res.json({ questions: questions.map(formatBankQuestion) });
+    } catch (error) {
+        console.error('Preview exam blueprint error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Assignments Routes
+
+const ASSIGNMENT_STATUS_INTERVAL = 5 * 60 * 1000; // re-check due dates every 5 minutes
+
+const canManageAssignment = (user, assignment) => user.role === 'admin' || assignment.teacher_id === user.id;
+
+// Mark students who let a published assignment pass its due date without submitting as missing
+async function markMissingSubmissions(assignmentId) {
+    let query = `
+        INSERT INTO assignment_submissions (assignment_id, student_id, status, submitted_at)
+        SELECT a.id, u.id, 'missing', NULL
+        FROM assignments a
+        JOIN users u ON u.role = 'student' AND u.is_active = 1
+            AND (a.grade IS NULL OR a.grade = u.grade)
+            AND (a.program IS NULL OR a.program = 'Both' OR a.program = u.program OR u.program = 'Both')
+        WHERE a.is_published = 1 AND a.due_date <= CURRENT_TIMESTAMP
+            AND NOT EXISTS (
+                SELECT 1 FROM assignment_submissions s
+                WHERE s.assignment_id = a.id AND s.student_id = u.id
+            )
+    `;
+    const params = [];
+
+    if (assignmentId) {
+        query += ' AND a.id = ?';
+        params.push(assignmentId);
+    }
+
+    const result = await dbManager.run(query, params);
+    return result.changes;
+}
+
+// Remove a stored submission file, ignoring files that are already gone
+async function removeSubmissionFile(filePath) {
+    if (!filePath) return;
+    try {
+        await fs.unlink(filePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error deleting submission file:', error);
+        }
+    }
+}
+
+// List assignments (students see published assignments for their grade/program with their own status)
+app.get('/api/assignments', authenticateToken, async (req, res) => {
+    try {
+        const { course_id, status } = req.query;
+
+        await markMissingSubmissions();
+
+        let query;
+        const params = [];
+
+        if (req.user.role === 'student') {
+            query = `
+                SELECT a.*, c.name as course_name, u.name as teacher_name,
+                       s.id as submission_id, s.status as submission_status, s.submitted_at,
+                       CASE WHEN s.status = 'graded' THEN s.score END as score,
+                       CASE WHEN s.status = 'graded' THEN s.feedback END as feedback
+                FROM assignments a
+                LEFT JOIN courses c ON a.course_id = c.id
+                LEFT JOIN users u ON a.teacher_id = u.id
+                LEFT JOIN assignment_submissions s ON s.assignment_id = a.id AND s.student_id = ?
+                WHERE a.is_published = 1 AND ${audienceFilter('a')}
+            `;
+            params.push(req.user.id, ...audienceParams(req.user));
+
+            if (status === 'pending') {
+                query += ' AND s.id IS NULL';
+            } else if (status) {
+                query += ' AND s.status = ?';
+                params.push(status);
+            }
+        } else {
+            query = `
+                SELECT a.*, c.name as course_name, u.name as teacher_name,
+                       (SELECT COUNT(*) FROM assignment_submissions s
+                        WHERE s.assignment_id = a.id AND s.status IN ('submitted', 'late')) as awaiting_grading,
+                       (SELECT COUNT(*) FROM assignment_submissions s
+                        WHERE s.assignment_id = a.id AND s.status = 'graded') as graded_count,
+                       (SELECT COUNT(*) FROM assignment_submissions s
+                        WHERE s.assignment_id = a.id AND s.status = 'missing') as missing_count
+                FROM assignments a
+                LEFT JOIN courses c ON a.course_id = c.id
+                LEFT JOIN users u ON a.teacher_id = u.id
+                WHERE 1=1
+            `;
+
+            if (req.user.role === 'teacher') {
+                query += ' AND a.teacher_id = ?';
+                params.push(req.user.id);
+            }
+        }
+
+        if (course_id) {
+            query += ' AND a.course_id = ?';
+            params.push(course_id);
+        }
+
+        query += ' ORDER BY a.due_date ASC';
+
+        const assignments = await dbManager.query(query, params);
+
+        res.json({ assignments });
+    } catch (error) {
+        console.error('Get assignments error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Get assignment details
+app.get('/api/assignments/:id', authenticateToken, async (req, res) => {
+    try {
+        const assignment = await dbManager.get(
+            `SELECT a.*, c.name as course_name, u.name as teacher_name,
+                    m.title as material_title, a.due_date <= CURRENT_TIMESTAMP as is_past_due
+             FROM assignments a
+             LEFT JOIN courses c ON a.course_id = c.id
+             LEFT JOIN users u ON a.teacher_id = u.id
+             LEFT JOIN materials m ON a.material_id = m.id
+             WHERE a.id = ?`,
+            [req.params.id]
+        );
+
+        if (!assignment) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        if (req.user.role === 'student') {
+            if (!assignment.is_published || !isInAudience(req.user, assignment)) {
+                return res.status(404).json({ error: 'Assignment not found' });
+            }
+
+            await markMissingSubmissions(assignment.id);
+
+            const submission = await dbManager.get(
+                `SELECT id, file_name, file_size, submission_text, status, submitted_at,
+                        CASE WHEN status = 'graded' THEN score END as score,
+                        CASE WHEN status = 'graded' THEN feedback END as feedback,
+                        graded_at
+                 FROM assignment_submissions
+                 WHERE assignment_id = ? AND student_id = ?`,
+                [assignment.id, req.user.id]
+            );
+
+            return res.json({ assignment, submission: submission || null });
+        }
+
+        if (!canManageAssignment(req.user, assignment)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const stats = await dbManager.query(
+            'SELECT status, COUNT(*) as count FROM assignment_submissions WHERE assignment_id = ? GROUP BY status',
+            [assignment.id]
+        );
+
+        assignment.submission_stats = stats.reduce((acc, row) => {
+            acc[row.status] = row.count;
+            return acc;
+        }, { submitted: 0, late: 0, graded: 0, missing: 0 });
+
+        res.json({ assignment });
+    } catch (error) {
+        console.error('Get assignment error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Create assignment
+app.post('/api/assignments', authenticateToken, requireRole(['teacher', 'admin']), [
+    body('title').trim().isLength({ min: 1 }).withMessage('Title is required'),
+    body('course_id').isInt().withMessage('Valid course ID is required'),
+    body('due_date').isISO8601().withMessage('Valid due date is required'),
+    body('max_score').optional().isInt({ min: 1 }).withMessage('Max score must be a positive number'),
+    body('material_id').optional({ nullable: true }).isInt().withMessage('Invalid material ID'),
+    body('grade').optional({ nullable: true }).isIn(['9', '10', '11', '12']).withMessage('Invalid grade'),
+    body('program').optional({ nullable: true }).isIn(['EST', 'ACT', 'Both']).withMessage('Invalid program'),
+    body('is_published').optional().isBoolean().withMessage('is_published must be a boolean')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { title, description, course_id, material_id, due_date, max_score, grade, program, is_published } = req.body;
+
+        const course = await dbManager.get('SELECT id FROM courses WHERE id = ? AND is_active = 1', [course_id]);
+        if (!course) {
+            return res.status(400).json({ error: 'Course not found' });
+        }
+
+        if (material_id) {
+            const material = await dbManager.get('SELECT id, owner_id FROM materials WHERE id = ?', [material_id]);
+            if (!material || (req.user.role !== 'admin' && material.owner_id !== req.user.id)) {
+                return res.status(400).json({ error: 'Invalid material' });
+            }
+        }
+
+        const result = await dbManager.run(
+            `INSERT INTO assignments (title, description, course_id, teacher_id, material_id, due_date, max_score, grade, program, is_published)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                title, description, parseInt(course_id), req.user.id, material_id || null,
+                toSqlDateTime(due_date), max_score ? parseInt(max_score) : 100,
+                grade || null, program || null, is_published === true || is_published === 'true' ? 1 : 0
+            ]
+        );
+
+        const assignment = await dbManager.get('SELECT * FROM assignments WHERE id = ?', [result.id]);
+
+        res.status(201).json({
+            message: 'Assignment created successfully',
+            assignment
+        });
+    } catch (error) {
+        console.error('Create assignment error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update or publish assignment
+app.put('/api/assignments/:id', authenticateToken, requireRole(['teacher', 'admin']), [
+    body('title').optional().trim().isLength({ min: 1 }).withMessage('Title cannot be empty'),
+    body('due_date').optional().isISO8601().withMessage('Invalid due date'),
+    body('max_score').optional().isInt({ min: 1 }).withMessage('Max score must be a positive number'),
+    body('grade').optional({ nullable: true }).isIn(['9', '10', '11', '12']).withMessage('Invalid grade'),
+    body('program').optional({ nullable: true }).isIn(['EST', 'ACT', 'Both']).withMessage('Invalid program'),
+    body('is_published').optional().isBoolean().withMessage('is_published must be a boolean')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const assignment = await dbManager.get('SELECT * FROM assignments WHERE id = ?', [req.params.id]);
+        if (!assignment || !canManageAssignment(req.user, assignment)) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        const { title, description, due_date, max_score, grade, program, is_published } = req.body;
+        const updates = [];
+        const params = [];
+
+        if (title !== undefined) {
+            updates.push('title = ?');
+            params.push(title);
+        }
+        if (description !== undefined) {
+            updates.push('description = ?');
+            params.push(description);
+        }
+        if (due_date !== undefined) {
+            updates.push('due_date = ?');
+            params.push(toSqlDateTime(due_date));
+        }
+        if (max_score !== undefined) {
+            updates.push('max_score = ?');
+            params.push(parseInt(max_score));
+        }
+        if (grade !== undefined) {
+            updates.push('grade = ?');
+            params.push(grade || null);
+        }
+        if (program !== undefined) {
+            updates.push('program = ?');
+            params.push(program || null);
+        }
+        if (is_published !== undefined) {
+            updates.push('is_published = ?');
+            params.push(is_published === true || is_published === 'true' ? 1 : 0);
+        }
+
+        if (updates.length > 0) {
+            params.push(assignment.id);
+            await dbManager.run(`UPDATE assignments SET ${updates.join(', ')} WHERE id = ?`, params);
+        }
+
+        // An extended due date gives students marked missing another chance
+        if (due_date !== undefined) {
+            await dbManager.run(
+                `DELETE FROM assignment_submissions
+                 WHERE assignment_id = ? AND status = 'missing'
+                   AND (SELECT due_date FROM assignments WHERE id = ?) > CURRENT_TIMESTAMP`,
+                [assignment.id, assignment.id]
+            );
+        }
+
+        const updated = await dbManager.get('SELECT * FROM assignments WHERE id = ?', [assignment.id]);
+
+        res.json({
+            message: 'Assignment updated successfully',
+            assignment: updated
+        });
+    } catch (error) {
+        console.error('Update assignment error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete assignment and its submitted files
+app.delete('/api/assignments/:id', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+    try {
+        const assignment = await dbManager.get('SELECT * FROM assignments WHERE id = ?', [req.params.id]);
+        if (!assignment || !canManageAssignment(req.user, assignment)) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        const files = await dbManager.query(
+            'SELECT file_path FROM assignment_submissions WHERE assignment_id = ? AND file_path IS NOT NULL',
+            [assignment.id]
+        );
+
+        await dbManager.run('DELETE FROM assignments WHERE id = ?', [assignment.id]);
+
+        for (const file of files) {
+            await removeSubmissionFile(file.file_path);
+        }
+
+        res.json({ message: 'Assignment deleted successfully' });
+    } catch (error) {
+        console.error('Delete assignment error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Submit (or resubmit until graded) an assignment
+app.post('/api/assignments/:id/submissions', authenticateToken, requireRole(['student']), upload.single('file'), logActivity, async (req, res) => {
+    try {
+        const assignment = await dbManager.get(
+            'SELECT *, due_date <= CURRENT_TIMESTAMP as is_past_due FROM assignments WHERE id = ?',
+            [req.params.id]
+        );
+
+        if (!assignment || !assignment.is_published || !isInAudience(req.user, assignment)) {
+            if (req.file) await removeSubmissionFile(req.file.path);
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        const submissionText = req.body.submission_text ? req.body.submission_text.trim() : '';
+        if (!req.file && !submissionText) {
+            return res.status(400).json({ error: 'A file or submission text is required' });
+        }
+
+        const existing = await dbManager.get(
+            'SELECT * FROM assignment_submissions WHERE assignment_id = ? AND student_id = ?',
+            [assignment.id, req.user.id]
+        );
+
+        if (existing && existing.status === 'graded') {
+            if (req.file) await removeSubmissionFile(req.file.path);
+            return res.status(409).json({ error: 'This assignment has already been graded' });
+        }
+
+        const status = assignment.is_past_due ? 'late' : 'submitted';
+        const file = req.file
+            ? { name: req.file.originalname, path: req.file.path, size: req.file.size }
+            : { name: null, path: null, size: null };
+
+        if (existing) {
+            // Keep the previous file when only the text is being updated
+            if (req.file) {
+                await removeSubmissionFile(existing.file_path);
+            } else {
+                file.name = existing.file_name;
+                file.path = existing.file_path;
+                file.size = existing.file_size;
+            }
+
+            await dbManager.run(
+                `UPDATE assignment_submissions
+                 SET file_name = ?, file_path = ?, file_size = ?, submission_text = ?, status = ?, submitted_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [file.name, file.path, file.size, submissionText || existing.submission_text, status, existing.id]
+            );
+        } else {
+            await dbManager.run(
+                `INSERT INTO assignment_submissions (assignment_id, student_id, file_name, file_path, file_size, submission_text, status)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [assignment.id, req.user.id, file.name, file.path, file.size, submissionText || null, status]
+            );
+        }
+
+        const submission = await dbManager.get(
+            `SELECT id, assignment_id, file_name, file_size, submission_text, status, submitted_at
+             FROM assignment_submissions WHERE assignment_id = ? AND student_id = ?`,
+            [assignment.id, req.user.id]
+        );
+
+        res.status(existing ? 200 : 201).json({
+            message: status === 'late' ? 'Assignment submitted after the due date' : 'Assignment submitted successfully',
+            submission
+        });
+    } catch (error) {
+        console.error('Submit assignment error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// List submissions for grading, including students who have not submitted yet
+app.get('/api/assignments/:id/submissions', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+    try {
+        const assignment = await dbManager.get('SELECT * FROM assignments WHERE id = ?', [req.params.id]);
+        if (!assignment || !canManageAssignment(req.user, assignment)) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        await markMissingSubmissions(assignment.id);
+
+        let query = `
+            SELECT u.id as student_id, u.name as student_name, u.email as student_email, u.grade, u.program,
+                   s.id, s.file_name, s.file_size, s.submission_text, s.score, s.feedback,
+                   COALESCE(s.status, 'pending') as status, s.submitted_at, s.graded_at,
+                   g.name as graded_by_name,
+                   s.submitted_at > ? as was_late
+            FROM users u
+            LEFT JOIN assignment_submissions s ON s.student_id = u.id AND s.assignment_id = ?
+            LEFT JOIN users g ON s.graded_by = g.id
+            WHERE u.role = 'student' AND (
+                s.id IS NOT NULL OR (
+                    u.is_active = 1
+                    AND (? IS NULL OR ? = u.grade)
+                    AND (? IS NULL OR ? = 'Both' OR ? = u.program OR u.program = 'Both')
+                )
+            )
+        `;
+        const params = [
+            assignment.due_date, assignment.id,
+            assignment.grade, assignment.grade,
+            assignment.program, assignment.program, assignment.program
+        ];
+
+        if (req.query.status) {
+            query += ` AND COALESCE(s.status, 'pending') = ?`;
+            params.push(req.query.status);
+        }
+
+        query += ' ORDER BY u.name';
+
+        const submissions = await dbManager.query(query, params);
+
+        res.json({ assignment, submissions });
+    } catch (error) {
+        console.error('Get submissions error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Grade a submission
+app.put('/api/assignments/:id/submissions/:submissionId/grade', authenticateToken, requireRole(['teacher', 'admin']), [
+    body('score').isInt({ min: 0 }).withMessage('Score must be a non-negative number'),
+    body('feedback').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const assignment = await dbManager.get('SELECT * FROM assignments WHERE id = ?', [req.params.id]);
+        if (!assignment || !canManageAssignment(req.user, assignment)) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        const submission = await dbManager.get(
+            'SELECT * FROM assignment_submissions WHERE id = ? AND assignment_id = ?',
+            [req.params.submissionId, assignment.id]
+        );
+        if (!submission) {
+            return res.status(404).json({ error: 'Submission not found' });
+        }
+
+        const score = parseInt(req.body.score);
+        if (score > assignment.max_score) {
+            return res.status(400).json({ error: `Score cannot exceed ${assignment.max_score}` });
+        }
+
+        await dbManager.run(
+            `UPDATE assignment_submissions
+             SET score = ?, feedback = ?, status = 'graded', graded_at = CURRENT_TIMESTAMP, graded_by = ?
+             WHERE id = ?`,
+            [score, req.body.feedback || null, req.user.id, submission.id]
+        );
+
+        const graded = await dbManager.get('SELECT * FROM assignment_submissions WHERE id = ?', [submission.id]);
+
+        res.json({
+            message: 'Submission graded successfully',
+            submission: graded
+        });
+    } catch (error) {
+        console.error('Grade submission error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Download a submitted file (the submitting student or the assignment's teacher)
+app.get('/api/assignments/:id/submissions/:submissionId/download', authenticateToken, async (req, res) => {
+    try {
+        const submission = await dbManager.get(
+            `SELECT s.*, a.teacher_id
+             FROM assignment_submissions s
+             JOIN assignments a ON s.assignment_id = a.id
+             WHERE s.id = ? AND s.assignment_id = ?`,
+            [req.params.submissionId, req.params.id]
+        );
+
+        const allowed = submission && (
+            req.user.role === 'student' ? submission.student_id === req.user.id : canManageAssignment(req.user, submission)
+        );
+        if (!allowed) {
+            return res.status(404).json({ error: 'Submission not found' });
+        }
+
+        if (!submission.file_path) {
+            return res.status(400).json({ error: 'No file available for download' });
+        }
+
+        try {
+            await fs.access(submission.file_path);
+        } catch (error) {
+            return res.status(404).json({ error: 'File not found on server' });
+        }
+
+        res.download(submission.file_path, submission.file_name);
+    } catch (error) {
+        console.error('Download submission error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Announcements Routes
+
+const ANNOUNCEMENT_PRIORITY_ORDER = `CASE an.priority
+    WHEN 'urgent' THEN 0 WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END`;
+
+// Published, inside its publish window, and targeted at the student's grade/program
+const ACTIVE_ANNOUNCEMENT_FILTER = `an.is_published = 1
+    AND an.publish_date <= CURRENT_TIMESTAMP
+    AND (an.expire_date IS NULL OR an.expire_date > CURRENT_TIMESTAMP)`;
+
+const ANNOUNCEMENT_STATUS_SQL = `CASE
+    WHEN an.is_published = 0 THEN 'draft'
+    WHEN an.publish_date > CURRENT_TIMESTAMP THEN 'scheduled'
+    WHEN an.expire_date IS NOT NULL AND an.expire_date <= CURRENT_TIMESTAMP THEN 'expired'
+    ELSE 'active' END`;
+
+const canManageAnnouncement = (user, announcement) => user.role === 'admin' || announcement.author_id === user.id;
+
+async function getVisibleAnnouncement(announcementId, user) {
+    return dbManager.get(
+        `SELECT an.* FROM announcements an
+         WHERE an.id = ? AND ${ACTIVE_ANNOUNCEMENT_FILTER} AND ${audienceFilter('an')}`,
+        [announcementId, ...audienceParams(user)]
+    );
+}
+
+// Check that an expiry date, if given, falls after the publish date
+function validateAnnouncementWindow(publishDate, expireDate) {
+    if (expireDate && new Date(expireDate) <= new Date(publishDate || Date.now())) {
+        return 'Expire date must be after the publish date';
+    }
+    return null;
+}
+
+// Student feed: active announcements for the student's grade/program with read state
+app.get('/api/announcements/feed', authenticateToken, requireRole(['student']), async (req, res) => {
+    try {
+        const { course_id, unread, page = 1, limit = 20 } = req.query;
+        const offset = (page - 1) * limit;
+
+        let where = `WHERE ${ACTIVE_ANNOUNCEMENT_FILTER} AND ${audienceFilter('an')}`;
+        const params = [...audienceParams(req.user)];
+
+        if (course_id) {
+            where += ' AND an.course_id = ?';
+            params.push(course_id);
+        }
+
+        if (unread === 'true') {
+            where += ' AND r.id IS NULL';
+        }
+
+        const announcements = await dbManager.query(
+            `SELECT an.id, an.title, an.content, an.course_id, an.grade, an.program, an.priority,
+                    an.publish_date, an.expire_date, c.name as course_name, u.name as author_name,
+                    r.read_at, r.id IS NOT NULL as is_read
+             FROM announcements an
+             LEFT JOIN courses c ON an.course_id = c.id
+             LEFT JOIN users u ON an.author_id = u.id
+             LEFT JOIN announcement_reads r ON r.announcement_id = an.id AND r.user_id = ?
+             ${where}
+             ORDER BY is_read ASC, ${ANNOUNCEMENT_PRIORITY_ORDER}, an.publish_date DESC
+             LIMIT ? OFFSET ?`,
+            [req.user.id, ...params, parseInt(limit), parseInt(offset)]
+        );
+
+        const counts = await dbManager.get(
+            `SELECT COUNT(*) as total,
+                    SUM(CASE WHEN r.id IS NULL THEN 1 ELSE 0 END) as unread,
+                    SUM(CASE WHEN r.id IS NULL AND an.priority = 'urgent' THEN 1 ELSE 0 END) as unread_urgent
+             FROM announcements an
+             LEFT JOIN announcement_reads r ON r.announcement_id = an.id AND r.user_id = ?
+             ${where}`,
+            [req.user.id, ...params]
+        );
+
+        res.json({
+            announcements,
+            unread: counts.unread || 0,
+            unread_urgent: counts.unread_urgent || 0,
+            pagination: {
+                current: parseInt(page),
+                pages: Math.ceil(counts.total / limit),
+                total: counts.total
+            }
+        });
+    } catch (error) {
+        console.error('Get announcement feed error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Unread badge counts for the student dashboard
+app.get('/api/announcements/unread-count', authenticateToken, requireRole(['student']), async (req, res) => {
+    try {
+        const counts = await dbManager.get(
+            `SELECT COUNT(*) as unread,
+                    SUM(CASE WHEN an.priority = 'urgent' THEN 1 ELSE 0 END) as unread_urgent
+             FROM announcements an
+             LEFT JOIN announcement_reads r ON r.announcement_id = an.id AND r.user_id = ?
+             WHERE ${ACTIVE_ANNOUNCEMENT_FILTER} AND ${audienceFilter('an')} AND r.id IS NULL`,
+            [req.user.id, ...audienceParams(req.user)]
+        );
+
+        res.json({ unread: counts.unread, unread_urgent: counts.unread_urgent || 0 });
+    } catch (error) {
+        console.error('Get unread announcements error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Mark every active announcement in the student's feed as read
+app.post('/api/announcements/read-all', authenticateToken, requireRole(['student']), async (req, res) => {
+    try {
+        const result = await dbManager.run(
+            `INSERT OR IGNORE INTO announcement_reads (announcement_id, user_id)
+             SELECT an.id, ? FROM announcements an
+             WHERE ${ACTIVE_ANNOUNCEMENT_FILTER} AND ${audienceFilter('an')}`,
+            [req.user.id, ...audienceParams(req.user)]
+        );
+
+        res.json({ message: 'All announcements marked as read', marked: result.changes });
+    } catch (error) {
+        console.error('Mark all announcements read error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Mark an announcement as read
+app.post('/api/announcements/:id/read', authenticateToken, requireRole(['student']), async (req, res) => {
+    try {
+        const announcement = await getVisibleAnnouncement(req.params.id, req.user);
+        if (!announcement) {
+            return res.status(404).json({ error: 'Announcement not found' });
+        }
+
+        await dbManager.run(
+            'INSERT OR IGNORE INTO announcement_reads (announcement_id, user_id) VALUES (?, ?)',
+            [announcement.id, req.user.id]
+        );
+
+        res.json({ message: 'Announcement marked as read' });
+    } catch (error) {
+        console.error('Mark announcement read error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Mark an announcement as unread again
+app.delete('/api/announcements/:id/read', authenticateToken, requireRole(['student']), async (req, res) => {
+    try {
+        await dbManager.run(
+            'DELETE FROM announcement_reads WHERE announcement_id = ? AND user_id = ?',
+            [req.params.id, req.user.id]
+        );
+
+        res.json({ message: 'Announcement marked as unread' });
+    } catch (error) {
+        console.error('Mark announcement unread error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// List announcements for management (teachers see their own, admins see all)
+app.get('/api/announcements', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+    try {
+        const { course_id, status } = req.query;
+
+        let query = `
+            SELECT an.*, c.name as course_name, u.name as author_name,
+                   ${ANNOUNCEMENT_STATUS_SQL} as status,
+                   (SELECT COUNT(*) FROM announcement_reads r WHERE r.announcement_id = an.id) as read_count
+            FROM announcements an
+            LEFT JOIN courses c ON an.course_id = c.id
+            LEFT JOIN users u ON an.author_id = u.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (req.user.role === 'teacher') {
+            query += ' AND an.author_id = ?';
+            params.push(req.user.id);
+        }
+
+        if (course_id) {
+            query += ' AND an.course_id = ?';
+            params.push(course_id);
+        }
+
+        if (status) {
+            query += ` AND ${ANNOUNCEMENT_STATUS_SQL} = ?`;
+            params.push(status);
+        }
+
+        query += ` ORDER BY an.publish_date DESC`;
+
+        const announcements = await dbManager.query(query, params);
+
+        res.json({ announcements });
+    } catch (error) {
+        console.error('Get announcements error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Create announcement (optionally scheduled and with an expiry)
+app.post('/api/announcements', authenticateToken, requireRole(['teacher', 'admin']), [
+    body('title').trim().isLength({ min: 1 }).withMessage('Title is required'),
+    body('content').trim().isLength({ min: 1 }).withMessage('Content is required'),
+    body('course_id').optional({ nullable: true }).isInt().withMessage('Invalid course ID'),
+    body('grade').optional({ nullable: true }).isIn(['9', '10', '11', '12']).withMessage('Invalid grade'),
+    body('program').optional({ nullable: true }).isIn(['EST', 'ACT', 'Both']).withMessage('Invalid program'),
+    body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
+    body('is_published').optional().isBoolean().withMessage('is_published must be a boolean'),
+    body('publish_date').optional({ nullable: true }).isISO8601().withMessage('Invalid publish date'),
+    body('expire_date').optional({ nullable: true }).isISO8601().withMessage('Invalid expire date')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { title, content, course_id, grade, program, priority, is_published, publish_date, expire_date } = req.body;
+
+        const windowError = validateAnnouncementWindow(publish_date, expire_date);
+        if (windowError) {
+            return res.status(400).json({ error: windowError });
+        }
+
+        if (course_id) {
+            const course = await dbManager.get('SELECT id FROM courses WHERE id = ?', [course_id]);
+            if (!course) {
+                return res.status(400).json({ error: 'Course not found' });
+            }
+        }
+
+        const result = await dbManager.run(
+            `INSERT INTO announcements (title, content, course_id, author_id, grade, program, priority, is_published, publish_date, expire_date)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)`,
+            [
+                title, content, course_id || null, req.user.id, grade || null, program || null,
+                priority || 'medium', is_published === false || is_published === 'false' ? 0 : 1,
+                publish_date ? toSqlDateTime(publish_date) : null,
+                expire_date ? toSqlDateTime(expire_date) : null
+            ]
+        );
+
+        const announcement = await dbManager.get(
+            `SELECT an.*, ${ANNOUNCEMENT_STATUS_SQL} as status FROM announcements an WHERE an.id = ?`,
+            [result.id]
+        );
+
+        res.status(201).json({
+            message: 'Announcement created successfully',
+            announcement
+        });
+    } catch (error) {
+        console.error('Create announcement error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update announcement
+app.put('/api/announcements/:id', authenticateToken, requireRole(['teacher', 'admin']), [
+    body('title').optional().trim().isLength({ min: 1 }).withMessage('Title cannot be empty'),
+    body('content').optional().trim().isLength({ min: 1 }).withMessage('Content cannot be empty'),
+    body('course_id').optional({ nullable: true }).isInt().withMessage('Invalid course ID'),
+    body('grade').optional({ nullable: true }).isIn(['9', '10', '11', '12']).withMessage('Invalid grade'),
+    body('program').optional({ nullable: true }).isIn(['EST', 'ACT', 'Both']).withMessage('Invalid program'),
+    body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
+    body('is_published').optional().isBoolean().withMessage('is_published must be a boolean'),
+    body('publish_date').optional().isISO8601().withMessage('Invalid publish date'),
+    body('expire_date').optional({ nullable: true }).isISO8601().withMessage('Invalid expire date')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const announcement = await dbManager.get('SELECT * FROM announcements WHERE id = ?', [req.params.id]);
+        if (!announcement || !canManageAnnouncement(req.user, announcement)) {
+            return res.status(404).json({ error: 'Announcement not found' });
+        }
+
+        const { title, content, course_id, grade, program, priority, is_published, publish_date, expire_date } = req.body;
+
+        // Stored dates are UTC without a zone marker
+        const windowError = validateAnnouncementWindow(
+            publish_date || `${announcement.publish_date.replace(' ', 'T')}Z`,
+            expire_date === undefined ? announcement.expire_date && `${announcement.expire_date.replace(' ', 'T')}Z` : expire_date
+        );
+        if (windowError) {
+            return res.status(400).json({ error: windowError });
+        }
+
+        const updates = [];
+        const params = [];
+        const set = (column, value) => {
+            updates.push(`${column} = ?`);
+            params.push(value);
+        };
+
+        if (title !== undefined) set('title', title);
+        if (content !== undefined) set('content', content);
+        if (course_id !== undefined) set('course_id', course_id || null);
+        if (grade !== undefined) set('grade', grade || null);
+        if (program !== undefined) set('program', program || null);
+        if (priority !== undefined) set('priority', priority);
+        if (is_published !== undefined) set('is_published', is_published === true || is_published === 'true' ? 1 : 0);
+        if (publish_date !== undefined) set('publish_date', toSqlDateTime(publish_date));
+        if (expire_date !== undefined) set('expire_date', expire_date ? toSqlDateTime(expire_date) : null);
+
+        if (updates.length > 0) {
+            params.push(announcement.id);
+            await dbManager.run(`UPDATE announcements SET ${updates.join(', ')} WHERE id = ?`, params);
+        }
+
+        const updated = await dbManager.get(
+            `SELECT an.*, ${ANNOUNCEMENT_STATUS_SQL} as status FROM announcements an WHERE an.id = ?`,
+            [announcement.id]
+        );
+
+        res.json({
+            message: 'Announcement updated successfully',
+            announcement: updated
+        });
+    } catch (error) {
+        console.error('Update announcement error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete announcement
+app.delete('/api/announcements/:id', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+    try {
+        const announcement = await dbManager.get('SELECT * FROM announcements WHERE id = ?', [req.params.id]);
+        if (!announcement || !canManageAnnouncement(req.user, announcement)) {
+            return res.status(404).json({ error: 'Announcement not found' });
+        }
+
+        await dbManager.run('DELETE FROM announcements WHERE id = ?', [announcement.id]);
+
+        res.json({ message: 'Announcement deleted successfully' });
+    } catch (error) {
+        console.error('Delete announcement error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Guardian Routes
+
+const GUARDIAN_DIGEST_DAYS = 7;
+const GUARDIAN_DIGEST_INTERVAL = 60 * 60 * 1000; // check hourly for guardians due a digest
+
+// Students linked to a guardian, or the one with studentId
+async function getLinkedStudents(guardianId, studentId) {
+    let query = `SELECT u.id, u.name, u.email, u.grade, u.program, gs.relationship
+                 FROM guardian_students gs
+                 JOIN users u ON gs.student_id = u.id
+                 WHERE gs.guardian_id = ? AND u.role = 'student'`;
+    const params = [guardianId];
+
+    if (studentId) {
+        query += ' AND u.id = ?';
+        params.push(studentId);
+    }
+
+    return dbManager.query(query + ' ORDER BY u.name', params);
+}
+
+// Load :studentId as req.student when it is linked to the signed-in guardian
+const requireLinkedStudent = async (req, res, next) => {
+    try {
+        const [student] = await getLinkedStudents(req.user.id, req.params.studentId);
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+        req.student = student;
+        next();
+    } catch (error) {
+        console.error('Linked student error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+// Past sessions for the student's grade/program (or that they joined) with their attendance
+async function getStudentAttendance(student, since) {
+    let query = `
+        SELECT zs.id, zs.title, zs.scheduled_time, zs.duration, zs.status, c.name as course_name,
+               sa.joined_at, sa.left_at, sa.duration as minutes_attended, sa.id IS NOT NULL as attended
+        FROM zoom_sessions zs
+        LEFT JOIN courses c ON zs.course_id = c.id
+        LEFT JOIN session_attendees sa ON sa.session_id = zs.id AND sa.student_id = ?
+        WHERE zs.status != 'cancelled' AND zs.scheduled_time <= CURRENT_TIMESTAMP
+            AND (${audienceFilter('zs')} OR sa.id IS NOT NULL)
+    `;
+    const params = [student.id, ...audienceParams(student)];
+
+    if (since) {
+        query += ' AND zs.scheduled_time >= ?';
+        params.push(toSqlDateTime(since));
+    }
+
+    return dbManager.query(query + ' ORDER BY zs.scheduled_time DESC', params);
+}
+
+// Published assignments for the student; scores and feedback only once graded
+async function getStudentAssignments(student) {
+    await markMissingSubmissions();
+
+    return dbManager.query(
+        `SELECT a.id, a.title, a.due_date, a.max_score, c.name as course_name,
+                COALESCE(s.status, 'pending') as status, s.submitted_at, s.graded_at,
+                CASE WHEN s.status = 'graded' THEN s.score END as score,
+                CASE WHEN s.status = 'graded' THEN s.feedback END as feedback
+         FROM assignments a
+         LEFT JOIN courses c ON a.course_id = c.id
+         LEFT JOIN assignment_submissions s ON s.assignment_id = a.id AND s.student_id = ?
+         WHERE a.is_published = 1 AND ${audienceFilter('a')}
+         ORDER BY a.due_date DESC`,
+        [student.id, ...audienceParams(student)]
+    );
+}
+
+// Finished exam attempts (submitted or timed out), newest first
+async function getStudentExamResults(student, since) {
+    await closeExpiredAttempts({ studentId: student.id });
+
+    let query = `
+        SELECT a.id, a.exam_id, e.title, c.name as course_name, a.status, a.score, a.max_score,
+               a.percentage, e.pass_score, a.percentage >= e.pass_score as passed, a.submitted_at
+        FROM exam_attempts a
+        JOIN exams e ON a.exam_id = e.id
+        LEFT JOIN courses c ON e.course_id = c.id
+        WHERE a.student_id = ? AND a.status IN ('submitted', 'expired')
+    `;
+    const params = [student.id];
+
+    if (since) {
+        query += ' AND a.submitted_at >= ?';
+        params.push(toSqlDateTime(since));
+    }
+
+    return dbManager.query(query + ' ORDER BY a.submitted_at DESC', params);
+}
+
+// Announcements currently shown to the student
+async function getStudentAnnouncements(student, since) {
+    let query = `
+        SELECT an.id, an.title, an.content, an.priority, an.publish_date, an.expire_date,
+               c.name as course_name, u.name as author_name
+        FROM announcements an
+        LEFT JOIN courses c ON an.course_id = c.id
+        LEFT JOIN users u ON an.author_id = u.id
+        WHERE ${ACTIVE_ANNOUNCEMENT_FILTER} AND ${audienceFilter('an')}
+    `;
+    const params = [...audienceParams(student)];
+
+    if (since) {
+        query += ' AND an.publish_date >= ?';
+        params.push(toSqlDateTime(since));
+    }
+
+    return dbManager.query(query + ` ORDER BY ${ANNOUNCEMENT_PRIORITY_ORDER}, an.publish_date DESC`, params);
+}
+
+// A student's week for the guardian digest
+async function buildStudentDigest(student, since) {
+    const now = Date.now();
+    const nextWeek = now + GUARDIAN_DIGEST_DAYS * 24 * 60 * 60 * 1000;
+    const [sessions, assignments, exams, announcements] = await Promise.all([
+        getStudentAttendance(student, since),
+        getStudentAssignments(student),
+        getStudentExamResults(student, since),
+        getStudentAnnouncements(student, since)
+    ]);
+    const dueAt = (assignment) => fromSqlDateTime(assignment.due_date).getTime();
+
+    return {
+        name: student.name,
+        attendance: {
+            attended: sessions.filter(session => session.attended).length,
+            total: sessions.length
+        },
+        graded: assignments.filter(a => a.status === 'graded' && fromSqlDateTime(a.graded_at) >= since),
+        missing: assignments.filter(a => a.status === 'missing' && dueAt(a) >= since.getTime()),
+        upcoming: assignments
+            .filter(a => a.status === 'pending' && dueAt(a) > now && dueAt(a) <= nextWeek)
+            .map(a => ({ ...a, due_date: fromSqlDateTime(a.due_date) })),
+        exams: exams.map(exam => ({ ...exam, passed: Boolean(exam.passed) })),
+        announcements
+    };
+}
+
+// Email a guardian the past week for each linked student; false when nothing is linked
+async function sendGuardianDigest(guardian) {
+    const students = await getLinkedStudents(guardian.id);
+    if (students.length === 0) {
+        return false;
+    }
+
+    const since = new Date(Date.now() - GUARDIAN_DIGEST_DAYS * 24 * 60 * 60 * 1000);
+    const summaries = [];
+    for (const student of students) {
+        summaries.push(await buildStudentDigest(student, since));
+    }
+
+    await sendMail({
+        to: guardian.email,
+        ...emailTemplates.guardianDigest({ name: guardian.name, students: summaries, url: appUrl('/login') })
+    });
+    await dbManager.run('UPDATE users SET digest_sent_at = CURRENT_TIMESTAMP WHERE id = ?', [guardian.id]);
+    return true;
+}
+
+// Send the weekly digest to every subscribed guardian who hasn't had one for a week (or to all with force)
+async function sendGuardianDigests({ force = false } = {}) {
+    const guardians = await dbManager.query(
+        `SELECT id, name, email FROM users
+         WHERE role = 'guardian' AND is_active = 1 AND status = 'approved' AND weekly_digest = 1
+         ${force ? '' : `AND (digest_sent_at IS NULL OR digest_sent_at <= datetime('now', '-${GUARDIAN_DIGEST_DAYS} days'))`}`
+    );
+
+    const result = { sent: 0, failed: 0 };
+    for (const guardian of guardians) {
+        try {
+            if (await sendGuardianDigest(guardian)) {
+                result.sent++;
+            }
+        } catch (error) {
+            result.failed++;
+            console.error(`Guardian digest error for ${guardian.email}:`, error);
+        }
+    }
+    return result;
+}
+
+// Students linked to the signed-in guardian
+app.get('/api/guardian/students', authenticateToken, requireRole(['guardian']), async (req, res) => {
+    try {
+        const students = await getLinkedStudents(req.user.id);
+        res.json({ students });
+    } catch (error) {
+        console.error('Get guardian students error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Session attendance for a linked student
+app.get('/api/guardian/students/:studentId/attendance', authenticateToken, requireRole(['guardian']), requireLinkedStudent, async (req, res) => {
+    try {
+        const sessions = await getStudentAttendance(req.student);
+        const attended = sessions.filter(session => session.attended).length;
+
+        res.json({
+            student: req.student,
+            sessions,
+            summary: {
+                total: sessions.length,
+                attended,
+                attendance_rate: sessions.length ? Math.round((attended / sessions.length) * 100) : null
+            }
+        });
+    } catch (error) {
+        console.error('Get guardian attendance error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Assignment status and scores for a linked student
+app.get('/api/guardian/students/:studentId/assignments', authenticateToken, requireRole(['guardian']), requireLinkedStudent, async (req, res) => {
+    try {
+        const assignments = await getStudentAssignments(req.student);
+        const graded = assignments.filter(assignment => assignment.status === 'graded');
+        const percentages = graded.map(assignment => (assignment.score / assignment.max_score) * 100);
+
+        res.json({
+            student: req.student,
+            assignments,
+            summary: {
+                graded: graded.length,
+                missing: assignments.filter(assignment => assignment.status === 'missing').length,
+                average_percentage: percentages.length
+                    ? Math.round(percentages.reduce((sum, value) => sum + value, 0) / percentages.length)
+                    : null
+            }
+        });
+    } catch (error) {
+        console.error('Get guardian assignments error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Exam results for a linked student (scores only; questions and answers stay private)
+app.get('/api/guardian/students/:studentId/exams', authenticateToken, requireRole(['guardian']), requireLinkedStudent, async (req, res) => {
+    try {
+        const results = await getStudentExamResults(req.student);
+        res.json({
+            student: req.student,
+            results: results.map(result => ({ ...result, passed: Boolean(result.passed) }))
+        });
+    } catch (error) {
+        console.error('Get guardian exam results error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Announcements a linked student can currently see
+app.get('/api/guardian/students/:studentId/announcements', authenticateToken, requireRole(['guardian']), requireLinkedStudent, async (req, res) => {
+    try {
+        const announcements = await getStudentAnnouncements(req.student);
+        res.json({ student: req.student, announcements });
+    } catch (error) {
+        console.error('Get guardian announcements error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Turn the weekly digest email on or off
+app.put('/api/guardian/digest', authenticateToken, requireRole(['guardian']), [
+    body('enabled').isBoolean().withMessage('enabled must be true or false')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const enabled = req.body.enabled === true || req.body.enabled === 'true';
+        await dbManager.run('UPDATE users SET weekly_digest = ? WHERE id = ?', [enabled ? 1 : 0, req.user.id]);
+
+        res.json({ message: enabled ? 'Weekly digest turned on' : 'Weekly digest turned off', weekly_digest: enabled });
+    } catch (error) {
+        console.error('Update digest preference error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Guardian accounts with their linked students
+app.get('/api/admin/guardians', authenticateToken, requireRole(['admin']), async (req, res) => {
+    try {
+        const guardians = await dbManager.query(
+            `SELECT id, name, email, phone, is_active, status, weekly_digest, digest_sent_at, created_at
+             FROM users WHERE role = 'guardian' ORDER BY name`
+        );
+        const links = await dbManager.query(
+            `SELECT gs.guardian_id, gs.relationship, u.id, u.name, u.email, u.grade, u.program
+             FROM guardian_students gs JOIN users u ON gs.student_id = u.id
+             ORDER BY u.name`
+        );
+
+        res.json({
+            guardians: guardians.map(guardian => ({
+                ...guardian,
+                students: links
+                    .filter(link => link.guardian_id === guardian.id)
+                    .map(({ guardian_id, ...student }) => student)
+            }))
+        });
+    } catch (error) {
+        console.error('Get guardians error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Link students to a guardian
+app.post('/api/admin/guardians/:id/students', authenticateToken, requireRole(['admin']), logActivity, [
+    body('student_ids').isArray({ min: 1 }).withMessage('student_ids must be a non-empty array'),
+    body('student_ids.*').isInt().withMessage('Invalid student id'),
+    body('relationship').optional().trim().isLength({ max: 30 }).withMessage('Relationship must be at most 30 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const guardian = await dbManager.get("SELECT id, name FROM users WHERE id = ? AND role = 'guardian'", [req.params.id]);
+        if (!guardian) {
+            return res.status(404).json({ error: 'Guardian not found' });
+        }
+
+        const ids = [...new Set(req.body.student_ids.map(Number))];
+        const students = await dbManager.query(
+            `SELECT id FROM users WHERE role = 'student' AND id IN (${ids.map(() => '?').join(', ')})`,
+            ids
+        );
+        if (students.length !== ids.length) {
+            return res.status(400).json({ error: 'One or more student ids are not students' });
+        }
+
+        let linked = 0;
+        for (const id of ids) {
+            const result = await dbManager.run(
+                `INSERT OR IGNORE INTO guardian_students (guardian_id, student_id, relationship, created_by)
+                 VALUES (?, ?, ?, ?)`,
+                [guardian.id, id, req.body.relationship || null, req.user.id]
+            );
+            linked += result.changes;
+        }
+
+        res.status(201).json({
+            message: `${linked} student(s) linked to ${guardian.name}`,
+            students: await getLinkedStudents(guardian.id)
+        });
+    } catch (error) {
+        console.error('Link guardian students error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Unlink a student from a guardian
+app.delete('/api/admin/guardians/:id/students/:studentId', authenticateToken, requireRole(['admin']), logActivity, async (req, res) => {
+    try {
+        const result = await dbManager.run(
+            'DELETE FROM guardian_students WHERE guardian_id = ? AND student_id = ?',
+            [req.params.id, req.params.studentId]
+        );
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Link not found' });
+        }
+
+        res.json({ message: 'Student unlinked' });
+    } catch (error) {
+        console.error('Unlink guardian student error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Send the weekly digest to every subscribed guardian now
+app.post('/api/admin/guardians/digest', authenticateToken, requireRole(['admin']), logActivity, async (req, res) => {
+    try {
+        const result = await sendGuardianDigests({ force: true });
+        res.json({ message: `Sent ${result.sent} digest(s)`, ...result });
+    } catch (error) {
+        console.error('Send guardian digests error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// User Approval Routes
+
+const USER_LIST_COLUMNS = `u.id, u.name, u.email, u.username, u.role, u.phone, u.grade, u.program,
+    u.is_active, u.status, u.email_verified, u.rejection_reason, u.reviewed_at, u.last_login, u.created_at,
+    u.failed_login_attempts, u.locked_until, reviewer.name as reviewed_by_name`;
+
+// List users, e.g. ?status=pending for the approval queue (oldest registrations first)
+app.get('/api/admin/users', authenticateToken, requireRole(['admin']), async (req, res) => {
+    try {
+        const { status, role, search, locked } = req.query;
+
+        let query = `SELECT ${USER_LIST_COLUMNS}
+                     FROM users u
+                     LEFT JOIN users reviewer ON u.reviewed_by = reviewer.id
+                     WHERE 1=1`;
+        const params = [];
+
+        if (status) {
+            query += ' AND u.status = ?';
+            params.push(status);
+        }
+
+        if (role) {
+            query += ' AND u.role = ?';
+            params.push(role);
+        }
+
+        if (search) {
+            query += ' AND (u.name LIKE ? OR u.email LIKE ? OR u.username LIKE ?)';
+            params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+        }
+
+        if (locked === 'true') {
+            query += ' AND u.locked_until > CURRENT_TIMESTAMP';
+        }
+
+        query += status === 'pending' ? ' ORDER BY u.created_at ASC' : ' ORDER BY u.created_at DESC';
+
+        const [users, counts] = await Promise.all([
+            dbManager.query(query, params),
+            dbManager.query('SELECT status, COUNT(*) as count FROM users GROUP BY status')
+        ]);
+
+        res.json({
+            users,
+            counts: counts.reduce((acc, row) => ({ ...acc, [row.status]: row.count }), { pending: 0, approved: 0, rejected: 0 })
+        });
+    } catch (error) {
+        console.error('Get users error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-// Role-based middleware
-const requireRole = (roles) => {
-    return (req, res, next) => {
-        if (!roles.includes(req.user.role)) {
-            return res.status(403).json({ error: 'Insufficient permissions' });
+// Approve a pending (or previously rejected) registration
+app.put('/api/admin/users/:id/approve', authenticateToken, requireRole(['admin']), logActivity, async (req, res) => {
+    try {
+        const user = await dbManager.get('SELECT id, name, email, role, status, email_verified FROM users WHERE id = ?', [req.params.id]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
         }
-        next();
-    };
-};
 
-// Activity logging middleware
-const logActivity = async (req, res, next) => {
-    if (req.user) {
-        try {
-            await dbManager.run(
-                'INSERT INTO activity_logs (user_id, action, entity_type, details, ip_address, user_agent) VALUES (?, ?, ?, ?, ?, ?)',
-                [
-                    req.user.id,
-                    req.method + ' ' + req.path,
-                    req.params.id ? 'entity' : 'general',
-                    JSON.stringify({ params: req.params, query: req.query }),
-                    req.ip,
-                    req.get('User-Agent')
-                ]
-            );
-        } catch (error) {
-            console.error('Activity logging error:', error);
+        if (user.status === 'approved') {
+            return res.status(400).json({ error: 'User is already approved' });
         }
-    }
-    next();
-};
 
-// ==================== API ROUTES ====================
+        if (!user.email_verified) {
+            return res.status(409).json({ error: 'User has not verified their email address yet' });
+        }
 
-// Authentication Routes
-app.post('/api/auth/register', [
-    body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
-    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-    body('role').isIn(['teacher', 'student', 'admin']).withMessage('Invalid role')
+        await dbManager.run(
+            `UPDATE users SET status = 'approved', rejection_reason = NULL, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [req.user.id, user.id]
+        );
+
+        res.json({
+            message: 'User approved successfully',
+            user: { ...user, status: 'approved' }
+        });
+    } catch (error) {
+        console.error('Approve user error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Reject a pending registration with a reason shown to the user at login
+app.put('/api/admin/users/:id/reject', authenticateToken, requireRole(['admin']), logActivity, [
+    body('reason').trim().isLength({ min: 1 }).withMessage('A rejection reason is required')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -199,44 +4149,35 @@ app.post('/api/auth/register', [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { name, email, password, role, grade, program, phone } = req.body;
-
-        // Check if user exists
-        const existingUser = await dbManager.get('SELECT id FROM users WHERE email = ?', [email]);
-        if (existingUser) {
-            return res.status(400).json({ error: 'User already exists with this email' });
+        const user = await dbManager.get('SELECT id, name, email, role, status FROM users WHERE id = ?', [req.params.id]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
-        // Hash password
-        const passwordHash = await bcrypt.hash(password, 10);
-
-        // Create user
-        const result = await dbManager.run(
-            'INSERT INTO users (name, email, password_hash, role, grade, program, phone) VALUES (?, ?, ?, ?, ?, ?, ?)',
-            [name, email, passwordHash, role, grade, program, phone]
-        );
+        if (user.status !== 'pending') {
+            return res.status(400).json({ error: 'User is not pending approval' });
+        }
 
-        // Generate token
-        const token = jwt.sign(
-            { userId: result.id },
-            process.env.JWT_SECRET || 'fallback-secret',
-            { expiresIn: '7d' }
+        await dbManager.run(
+            `UPDATE users SET status = 'rejected', rejection_reason = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [req.body.reason, req.user.id, user.id]
         );
 
-        res.status(201).json({
-            message: 'User registered successfully',
-            token,
-            user: { id: result.id, name, email, role, grade, program }
+        res.json({
+            message: 'User rejected',
+            user: { ...user, status: 'rejected', rejection_reason: req.body.reason }
         });
     } catch (error) {
-        console.error('Registration error:', error);
-        res.status(500).json({ error: 'Server error during registration' });
+        console.error('Reject user error:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
-app.post('/api/auth/login', [
-    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-    body('password').exists().withMessage('Password is required')
+// Approve several pending registrations at once; unverified ones are skipped
+app.post('/api/admin/users/bulk-approve', authenticateToken, requireRole(['admin']), logActivity, [
+    body('user_ids').isArray({ min: 1 }).withMessage('user_ids must be a non-empty array'),
+    body('user_ids.*').isInt().withMessage('Invalid user ID')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -244,177 +4185,299 @@ app.post('/api/auth/login', [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { email, password } = req.body;
+        const ids = [...new Set(req.body.user_ids.map(id => parseInt(id)))];
+        const placeholders = ids.map(() => '?').join(', ');
 
-        // Find user
-        const user = await dbManager.get(
-            'SELECT id, name, email, password_hash, role, grade, program, is_active FROM users WHERE email = ?',
-            [email]
+        const pending = await dbManager.query(
+            `SELECT id FROM users WHERE status = 'pending' AND email_verified = 1 AND id IN (${placeholders})`,
+            ids
         );
+        const pendingIds = pending.map(user => user.id);
 
-        if (!user || !user.is_active) {
-            return res.status(400).json({ error: 'Invalid credentials' });
+        if (pendingIds.length > 0) {
+            await dbManager.run(
+                `UPDATE users SET status = 'approved', rejection_reason = NULL, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+                 WHERE id IN (${pendingIds.map(() => '?').join(', ')})`,
+                [req.user.id, ...pendingIds]
+            );
         }
 
-        // Check password
-        const isMatch = await bcrypt.compare(password, user.password_hash);
-        if (!isMatch) {
-            return res.status(400).json({ error: 'Invalid credentials' });
+        res.json({
+            message: `${pendingIds.length} user(s) approved`,
+            approved: pendingIds,
+            skipped: ids.filter(id => !pendingIds.includes(id))
+        });
+    } catch (error) {
+        console.error('Bulk approve users error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Deactivate an account and sign it out of every device
+app.put('/api/admin/users/:id/deactivate', authenticateToken, requireRole(['admin']), logActivity, async (req, res) => {
+    try {
+        const user = await dbManager.get('SELECT id, name, email, role, is_active FROM users WHERE id = ?', [req.params.id]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
-        // Update last login
-        await dbManager.run('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+        if (user.id === req.user.id) {
+            return res.status(400).json({ error: 'You cannot deactivate your own account' });
+        }
 
-        // Generate token
-        const token = jwt.sign(
-            { userId: user.id },
-            process.env.JWT_SECRET || 'fallback-secret',
-            { expiresIn: '7d' }
-        );
+        if (!user.is_active) {
+            return res.status(400).json({ error: 'User is already inactive' });
+        }
+
+        await dbManager.run('UPDATE users SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+        await revokeUserTokens(user.id);
 
         res.json({
-            message: 'Login successful',
-            token,
-            user: {
-                id: user.id,
-                name: user.name,
-                email: user.email,
-                role: user.role,
-                grade: user.grade,
-                program: user.program
-            }
+            message: 'User deactivated',
+            user: { ...user, is_active: 0 }
         });
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ error: 'Server error during login' });
+        console.error('Deactivate user error:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Get current user
-app.get('/api/auth/me', authenticateToken, (req, res) => {
-    res.json({ user: req.user });
-});
-
-// Courses Routes
-app.get('/api/courses', authenticateToken, async (req, res) => {
+// Reactivate a deactivated account (the user logs in again)
+app.put('/api/admin/users/:id/reactivate', authenticateToken, requireRole(['admin']), logActivity, async (req, res) => {
     try {
-        const courses = await dbManager.query(
-            'SELECT * FROM courses WHERE is_active = 1 ORDER BY name'
-        );
+        const user = await dbManager.get('SELECT id, name, email, role, is_active FROM users WHERE id = ?', [req.params.id]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
 
-        // Get statistics for each course
-        for (let course of courses) {
-            const [materialCount, sessionCount] = await Promise.all([
-                dbManager.get('SELECT COUNT(*) as count FROM materials WHERE course_id = ?', [course.id]),
-                dbManager.get('SELECT COUNT(*) as count FROM zoom_sessions WHERE course_id = ?', [course.id])
-            ]);
-            
-            course.material_count = materialCount.count;
-            course.session_count = sessionCount.count;
+        if (user.is_active) {
+            return res.status(400).json({ error: 'User is already active' });
         }
 
-        res.json({ courses });
+        await dbManager.run('UPDATE users SET is_active = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+
+        res.json({
+            message: 'User reactivated',
+            user: { ...user, is_active: 1 }
+        });
     } catch (error) {
-        console.error('Get courses error:', error);
+        console.error('Reactivate user error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Materials Routes
-app.get('/api/materials', authenticateToken, logActivity, async (req, res) => {
+// Lift a login lockout and clear the user's failed attempts
+app.put('/api/admin/users/:id/unlock', authenticateToken, requireRole(['admin']), logActivity, async (req, res) => {
     try {
-        const { course_id, type, search, page = 1, limit = 20 } = req.query;
-        const offset = (page - 1) * limit;
+        const user = await dbManager.get(
+            'SELECT id, name, email, role, failed_login_attempts, locked_until FROM users WHERE id = ?',
+            [req.params.id]
+        );
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
 
-        let query = `
-            SELECT m.*, c.name as course_name, u.name as owner_name,
-                   f.name as folder_name, f.path as folder_path
-            FROM materials m
-            LEFT JOIN courses c ON m.course_id = c.id
-            LEFT JOIN users u ON m.owner_id = u.id
-            LEFT JOIN folders f ON m.folder_id = f.id
-            WHERE 1=1
-        `;
-        
-        const params = [];
+        await dbManager.run(
+            'UPDATE users SET failed_login_attempts = 0, last_failed_login = NULL, locked_until = NULL WHERE id = ?',
+            [user.id]
+        );
 
-        // Access control
-        if (req.user.role === 'student') {
-            query += ` AND (m.is_public = 1 OR m.owner_id = ?)`;
-            params.push(req.user.id);
-        } else if (req.user.role === 'teacher') {
-            query += ` AND m.owner_id = ?`;
-            params.push(req.user.id);
-        }
+        res.json({
+            message: 'Account unlocked',
+            user: { ...user, failed_login_attempts: 0, locked_until: null }
+        });
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        if (course_id) {
-            query += ` AND m.course_id = ?`;
-            params.push(course_id);
+// Reset a user's 2FA when they have lost their authenticator and recovery codes
+app.put('/api/admin/users/:id/reset-2fa', authenticateToken, requireRole(['admin']), logActivity, async (req, res) => {
+    try {
+        const user = await dbManager.get('SELECT id, name, email, role, two_factor_enabled FROM users WHERE id = ?', [req.params.id]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
-        if (type) {
-            query += ` AND m.type = ?`;
-            params.push(type);
+        if (!user.two_factor_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled for this user' });
         }
 
-        if (search) {
-            query += ` AND (m.title LIKE ? OR m.description LIKE ?)`;
-            params.push(`%${search}%`, `%${search}%`);
-        }
+        await dbManager.run(
+            `UPDATE users SET two_factor_enabled = 0, two_factor_secret = NULL, two_factor_last_step = NULL,
+                    two_factor_enabled_at = NULL
+             WHERE id = ?`,
+            [user.id]
+        );
+        await dbManager.run('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [user.id]);
+        await revokeUserTokens(user.id);
+
+        res.json({
+            message: 'Two-factor authentication reset; the user will set it up again at next login if required',
+            user: { ...user, two_factor_enabled: 0 }
+        });
+    } catch (error) {
+        console.error('Reset two-factor error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        query += ` ORDER BY m.created_at DESC LIMIT ? OFFSET ?`;
-        params.push(parseInt(limit), parseInt(offset));
+// Backup Routes
 
-        const materials = await dbManager.query(query, params);
+const BACKUP_CHECK_INTERVAL = 60 * 60 * 1000; // check hourly whether a daily or weekly backup is due
+const BACKUP_SCHEDULE_ENABLED = process.env.BACKUP_SCHEDULE !== 'off';
 
-        // Get total count
-        let countQuery = `SELECT COUNT(*) as total FROM materials m WHERE 1=1`;
-        const countParams = [];
+// Backups, newest first, with the retention limits
+app.get('/api/admin/backups', authenticateToken, requireRole(['admin']), async (req, res) => {
+    try {
+        res.json({
+            backups: await backupManager.list(),
+            retention: backupManager.retention,
+            scheduled: BACKUP_SCHEDULE_ENABLED,
+            in_progress: backupManager.inProgress
+        });
+    } catch (error) {
+        console.error('List backups error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        if (req.user.role === 'student') {
-            countQuery += ` AND (m.is_public = 1 OR m.owner_id = ?)`;
-            countParams.push(req.user.id);
-        } else if (req.user.role === 'teacher') {
-            countQuery += ` AND m.owner_id = ?`;
-            countParams.push(req.user.id);
+// Take a backup of the database and uploads now
+app.post('/api/admin/backups', authenticateToken, requireRole(['admin']), logActivity, async (req, res) => {
+    try {
+        if (backupManager.inProgress) {
+            return res.status(409).json({ error: 'A backup is already in progress' });
         }
 
-        if (course_id) {
-            countQuery += ` AND m.course_id = ?`;
-            countParams.push(course_id);
-        }
+        const backup = await backupManager.create('manual');
+        const removed = await backupManager.prune();
 
-        if (type) {
-            countQuery += ` AND m.type = ?`;
-            countParams.push(type);
+        res.status(201).json({ message: 'Backup created', backup, removed });
+    } catch (error) {
+        console.error('Create backup error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Check a backup's checksums and database integrity without restoring it
+app.post('/api/admin/backups/:name/verify', authenticateToken, requireRole(['admin']), async (req, res) => {
+    try {
+        if (!await backupManager.find(req.params.name)) {
+            return res.status(404).json({ error: 'Backup not found' });
         }
 
-        if (search) {
-            countQuery += ` AND (m.title LIKE ? OR m.description LIKE ?)`;
-            countParams.push(`%${search}%`, `%${search}%`);
+        const { ok, errors, manifest } = await backupManager.verify(req.params.name);
+        res.json({
+            name: req.params.name,
+            ok,
+            errors,
+            created_at: manifest ? manifest.createdAt : null,
+            schema_version: manifest ? manifest.schemaVersion : null,
+            files: manifest && manifest.files ? manifest.files.length : null
+        });
+    } catch (error) {
+        console.error('Verify backup error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Download a backup file
+app.get('/api/admin/backups/:name/download', authenticateToken, requireRole(['admin']), logActivity, async (req, res) => {
+    try {
+        if (!await backupManager.find(req.params.name)) {
+            return res.status(404).json({ error: 'Backup not found' });
         }
 
-        const totalResult = await dbManager.get(countQuery, countParams);
+        res.download(backupManager.resolve(req.params.name), req.params.name);
+    } catch (error) {
+        console.error('Download backup error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Maintenance Job Routes
+
+// Scheduled backups, data retention and VACUUM/ANALYZE (database/maintenance.js), run by jobScheduler
+registerMaintenanceJobs(jobScheduler, dbManager);
+jobScheduler.register('backup', {
+    description: 'Daily and weekly backups of the database and uploads',
+    interval: BACKUP_CHECK_INTERVAL,
+    enabled: BACKUP_SCHEDULE_ENABLED,
+    run: async () => {
+        const backup = await backupManager.runScheduled();
+        return backup && { summary: `Created ${backup.name}`, backup: backup.name };
+    }
+});
+jobScheduler.register('upload-cleanup', {
+    description: 'Remove resumable uploads untouched for a day',
+    interval: 60 * 60 * 1000,
+    run: async () => {
+        const removed = await materialUploads.sweep();
+        return { summary: `Removed ${removed} uploads`, removed };
+    }
+});
+
+// Registered jobs with their schedule and last run, and the recent run history
+app.get('/api/admin/jobs', authenticateToken, requireRole(['admin']), async (req, res) => {
+    try {
+        const job = req.query.job || undefined;
+        if (job && !jobScheduler.has(job)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
 
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
         res.json({
-            materials,
-            pagination: {
-                current: parseInt(page),
-                pages: Math.ceil(totalResult.total / limit),
-                total: totalResult.total
-            }
+            jobs: await jobScheduler.status(),
+            runs: await jobScheduler.history({ job, limit })
         });
     } catch (error) {
-        console.error('Get materials error:', error);
+        console.error('List jobs error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Upload material
-app.post('/api/materials', authenticateToken, requireRole(['teacher', 'admin']), upload.single('file'), [
-    body('title').trim().isLength({ min: 1 }).withMessage('Title is required'),
-    body('course_id').isInt().withMessage('Valid course ID is required'),
-    body('type').isIn(['pdf', 'doc', 'docx', 'ppt', 'pptx', 'video', 'image', 'link', 'quiz', 'assignment']).withMessage('Invalid type')
+// Run a job now, outside its schedule
+app.post('/api/admin/jobs/:name/run', authenticateToken, requireRole(['admin']), logActivity, async (req, res) => {
+    try {
+        if (!jobScheduler.has(req.params.name)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (jobScheduler.isRunning(req.params.name)) {
+            return res.status(409).json({ error: 'Job is already running' });
+        }
+
+        const run = await jobScheduler.runJob(req.params.name, { source: 'manual', requestedBy: req.user.id });
+        if (run.status === 'failed') {
+            return res.status(500).json({ error: run.error, run });
+        }
+        res.json({ message: 'Job completed', run });
+    } catch (error) {
+        console.error('Run job error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Upload storage per teacher, course and type, deduplication savings and orphaned files
+app.get('/api/admin/storage', authenticateToken, requireRole(['admin']), async (req, res) => {
+    try {
+        res.json({ storage: await uploadStorage.report({ skip: [materialUploads.dir] }) });
+    } catch (error) {
+        console.error('Storage report error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Lecture Library Import Routes
+
+// Import lecture files from directories of the project (default WORD/ and PDF/) as materials;
+// dry_run reports what would be imported without changing anything
+app.post('/api/admin/library-import', authenticateToken, requireRole(['admin']), logActivity, [
+    body('directories').optional().isArray({ min: 1 }).withMessage('directories must be a non-empty array'),
+    body('directories.*').isString().trim().notEmpty().withMessage('Invalid directory'),
+    body('owner_id').optional().isInt().withMessage('Invalid owner'),
+    body('dry_run').optional().isBoolean().withMessage('dry_run must be true or false'),
+    body('is_public').optional().isBoolean().withMessage('is_public must be true or false')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -422,59 +4485,45 @@ app.post('/api/materials', authenticateToken, requireRole(['teacher', 'admin']),
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { title, description, course_id, folder_id, type, url, grade, program, tags, is_public, priority } = req.body;
-
-        const materialData = {
-            title,
-            description,
-            course_id: parseInt(course_id),
-            folder_id: folder_id ? parseInt(folder_id) : null,
-            owner_id: req.user.id,
-            type,
-            grade,
-            program,
-            tags,
-            is_public: is_public === 'true' ? 1 : 0,
-            priority: priority || 'medium'
-        };
-
-        if (type === 'link') {
-            materialData.url = url;
-        } else if (req.file) {
-            materialData.file_name = req.file.originalname;
-            materialData.file_path = req.file.path;
-            materialData.file_size = req.file.size;
-        } else {
-            return res.status(400).json({ error: 'File is required for this material type' });
+        // Only directories inside the project can be imported from
+        const directories = (req.body.directories || LIBRARY_DIRS).map(directory => path.resolve(PROJECT_ROOT, directory));
+        const outside = directories.find(directory => {
+            const relative = path.relative(PROJECT_ROOT, directory);
+            return !relative || relative.startsWith('..') || path.isAbsolute(relative);
+        });
+        if (outside) {
+            return res.status(400).json({ error: 'Directories must be inside the project directory' });
         }
 
-        const result = await dbManager.run(
-            `INSERT INTO materials (title, description, type, file_name, file_path, file_size, url, 
-             folder_id, course_id, owner_id, grade, program, tags, is_public, priority) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                materialData.title, materialData.description, materialData.type,
-                materialData.file_name, materialData.file_path, materialData.file_size,
-                materialData.url, materialData.folder_id, materialData.course_id,
-                materialData.owner_id, materialData.grade, materialData.program,
-                materialData.tags, materialData.is_public, materialData.priority
-            ]
-        );
+        const ownerId = req.body.owner_id ? parseInt(req.body.owner_id, 10) : req.user.id;
+        const owner = await dbManager.get('SELECT id, role FROM users WHERE id = ? AND is_active = 1', [ownerId]);
+        if (!owner || !['teacher', 'admin'].includes(owner.role)) {
+            return res.status(400).json({ error: 'Owner must be an active teacher or admin' });
+        }
 
-        res.status(201).json({
-            message: 'Material uploaded successfully',
-            material: { id: result.id, ...materialData }
+        const report = await importLibrary(dbManager, directories, {
+            ownerId,
+            isPublic: String(req.body.is_public) === 'true',
+            dryRun: String(req.body.dry_run) === 'true'
         });
+
+        for (const item of report.imported) {
+            if (item.material_id) extractionQueue.enqueue(item.material_id);
+        }
+
+        res.json({ ...report, summary: formatImportReport(report) });
     } catch (error) {
-        console.error('Upload material error:', error);
+        console.error('Library import error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
 // ==================== ADMIN DASHBOARD ROUTES ====================
 
+// Server-rendered pages for admins, who reach them with the session cookie set at login
+
 // Dashboard home
-app.get('/admin', async (req, res) => {
+app.get('/admin', authenticateToken, requireRole(['admin']), async (req, res) => {
     try {
         const stats = await dbManager.getStats();
         
@@ -498,11 +4547,17 @@ app.get('/admin', async (req, res) => {
              GROUP BY c.id, c.name, c.color`
         );
 
+        // Maintenance jobs and their latest runs
+        const jobs = await jobScheduler.status();
+        const jobRuns = await jobScheduler.history({ limit: 10 });
+
         res.render('admin/dashboard', {
             title: 'Admin Dashboard - Dr. Salma Biology Platform',
             stats,
             recentActivities,
             courseStats,
+            jobs,
+            jobRuns,
             layout: 'admin'
         });
     } catch (error) {
@@ -512,7 +4567,7 @@ app.get('/admin', async (req, res) => {
 });
 
 // Users management
-app.get('/admin/users', async (req, res) => {
+app.get('/admin/users', authenticateToken, requireRole(['admin']), async (req, res) => {
     try {
         const { role, grade, program, search } = req.query;
         
@@ -556,7 +4611,7 @@ app.get('/admin/users', async (req, res) => {
 });
 
 // Materials management
-app.get('/admin/materials', async (req, res) => {
+app.get('/admin/materials', authenticateToken, requireRole(['admin']), async (req, res) => {
     try {
         const materials = await dbManager.query(
             `SELECT m.*, c.name as course_name, u.name as owner_name
@@ -584,6 +4639,22 @@ app.get('/admin/materials', async (req, res) => {
 async function startServer() {
     try {
         await dbManager.initialize();
+
+        // Move overdue assignments to 'missing' for students who never submitted
+        setInterval(() => {
+            markMissingSubmissions().catch(error => console.error('Assignment status update error:', error));
+        }, ASSIGNMENT_STATUS_INTERVAL);
+
+        // Weekly guardian digest emails
+        setInterval(() => {
+            sendGuardianDigests().catch(error => console.error('Guardian digest error:', error));
+        }, GUARDIAN_DIGEST_INTERVAL);
+
+        // Backups, data retention and database optimization (see Maintenance Job Routes)
+        await jobScheduler.start();
+
+        // Extract text from uploads still waiting when the server last stopped
+        await extractionQueue.resume();
         
         app.listen(PORT, () => {
             console.log(`🚀 Server running on port ${PORT}`);
@@ -610,4 +4681,9 @@ process.on('SIGTERM', async () => {
     process.exit(0);
 });
 
-startServer();
+// The tests load the app without starting the server
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = { app, dbManager };
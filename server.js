@@ -1,5 +1,4 @@
 const express = require('express');
-const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
@@ -18,7 +17,9 @@ app.use(cors({
 // Rate limiting
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // limit each IP to 100 requests per windowMs
+    max: 100, // limit each IP to 100 requests per windowMs
+    // A large file is hundreds of chunks, each checked against its upload
+    skip: (req) => req.method === 'PUT' && req.path.startsWith('/materials/uploads/')
 });
 app.use('/api/', limiter);
 
@@ -30,13 +31,11 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// MongoDB connection
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/bio-teaching-platform', {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
-})
-.then(() => console.log('MongoDB connected successfully'))
-.catch(err => console.error('MongoDB connection error:', err));
+// Database connection (MongoDB, or SQLite with DB_DRIVER=sqlite)
+const repositories = require('./repositories');
+repositories.connect()
+.then(() => console.log(`Database connected successfully (${repositories.driver})`))
+.catch(err => console.error(`Database connection error (${repositories.driver}):`, err));
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
@@ -45,6 +44,16 @@ app.use('/api/zoom', require('./routes/zoom'));
 app.use('/api/students', require('./routes/students'));
 app.use('/api/courses', require('./routes/courses'));
 app.use('/api/materials', require('./routes/materials'));
+app.use('/api/admin', require('./routes/admin'));
+
+// Pages opened from email links
+app.get('/reset-password', (req, res) => {
+    res.sendFile(path.join(__dirname, 'reset-password.html'));
+});
+
+app.get('/accept-invite', (req, res) => {
+    res.sendFile(path.join(__dirname, 'accept-invite.html'));
+});
 
 // Serve frontend
 app.get('*', (req, res) => {
@@ -65,6 +74,12 @@ app.use((req, res) => {
     res.status(404).json({ message: 'Route not found' });
 });
 
+// Drop resumable material uploads abandoned for a day, now and every hour
+const { materialUploads } = require('./utils/materialStorage');
+const sweepUploads = () => materialUploads.sweep().catch(error => console.error('Upload cleanup error:', error));
+sweepUploads();
+setInterval(sweepUploads, 60 * 60 * 1000).unref();
+
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,94 @@
+// Announcements on server-sqlite.js: targeting, scheduling, expiry and read tracking
+const request = require('supertest');
+const { loadSqliteServer } = require('./helpers/sqliteServer');
+
+const server = loadSqliteServer('announcements-test');
+const { app, createUser, authHeader } = server;
+
+const HOUR = 60 * 60 * 1000;
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR).toISOString();
+
+describe('announcements', () => {
+    let teacher;
+    let mona;
+    let omar;
+    const created = {};
+
+    const as = (user) => ({ Authorization: authHeader(user) });
+    // Feed entries from this file's teacher (the migrations seed a few announcements too)
+    const feed = async (student, query = {}) => {
+        const res = await request(app).get('/api/announcements/feed').query(query).set(as(student));
+        expect(res.status).toBe(200);
+        return res.body.announcements.filter(item => item.author_name === teacher.name).map(item => item.title);
+    };
+
+    beforeAll(async () => {
+        await server.start();
+        teacher = await createUser({ name: 'Salma Teacher', role: 'teacher' });
+        mona = await createUser({ name: 'Mona Student', grade: '11', program: 'EST' });
+        omar = await createUser({ name: 'Omar Student', grade: '12', program: 'ACT' });
+
+        const announcements = {
+            everyone: { priority: 'low' },
+            urgent: { priority: 'urgent' },
+            grade11: { grade: '11' },
+            act: { program: 'ACT' },
+            draft: { is_published: false },
+            scheduled: { publish_date: hoursFromNow(2) },
+            expired: { publish_date: hoursFromNow(-3), expire_date: hoursFromNow(-1) }
+        };
+        for (const [title, fields] of Object.entries(announcements)) {
+            const res = await request(app).post('/api/announcements').set(as(teacher))
+                .send({ title, content: `About ${title}`, ...fields });
+            expect(res.status).toBe(201);
+            created[title] = res.body.announcement;
+        }
+    });
+
+    afterAll(() => server.stop());
+
+    test('students see active announcements for their grade and program, urgent first', async () => {
+        expect(await feed(mona)).toEqual(['urgent', 'grade11', 'everyone']);
+        expect(await feed(omar)).toEqual(['urgent', 'act', 'everyone']);
+    });
+
+    test('teachers see the status of each announcement', async () => {
+        const res = await request(app).get('/api/announcements').set(as(teacher));
+        const statuses = Object.fromEntries(res.body.announcements.map(item => [item.title, item.status]));
+
+        expect(statuses).toMatchObject({ everyone: 'active', draft: 'draft', scheduled: 'scheduled', expired: 'expired' });
+    });
+
+    test('an expiry before the publish date is refused', async () => {
+        const res = await request(app).post('/api/announcements').set(as(teacher))
+            .send({ title: 'Backwards', content: 'Never shown', publish_date: hoursFromNow(2), expire_date: hoursFromNow(1) });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Expire date must be after the publish date');
+    });
+
+    test('read state is tracked per student', async () => {
+        expect((await request(app).post(`/api/announcements/${created.urgent.id}/read`).set(as(mona))).status).toBe(200);
+
+        expect(await feed(mona, { unread: 'true' })).toEqual(['grade11', 'everyone']);
+        // Read announcements move to the end of the feed
+        expect(await feed(mona)).toEqual(['grade11', 'everyone', 'urgent']);
+        expect(await feed(omar, { unread: 'true' })).toEqual(['urgent', 'act', 'everyone']);
+
+        await request(app).delete(`/api/announcements/${created.urgent.id}/read`).set(as(mona));
+        expect(await feed(mona, { unread: 'true' })).toEqual(['urgent', 'grade11', 'everyone']);
+    });
+
+    test('announcements outside the student\'s feed cannot be marked read', async () => {
+        for (const title of ['act', 'draft', 'scheduled', 'expired']) {
+            expect((await request(app).post(`/api/announcements/${created[title].id}/read`).set(as(mona))).status).toBe(404);
+        }
+    });
+
+    test('marking everything read clears the unread count', async () => {
+        await request(app).post('/api/announcements/read-all').set(as(omar));
+
+        const res = await request(app).get('/api/announcements/unread-count').set(as(omar));
+        expect(res.body).toEqual({ unread: 0, unread_urgent: 0 });
+    });
+});
@@ -0,0 +1,121 @@
+// Assignment submissions on server-sqlite.js: pending, submitted, late, missing and graded
+const request = require('supertest');
+const { loadSqliteServer } = require('./helpers/sqliteServer');
+
+const server = loadSqliteServer('assignments-test');
+const { app, createUser, authHeader } = server;
+
+const HOUR = 60 * 60 * 1000;
+
+describe('assignment status', () => {
+    let teacher;
+    let mona;
+    let omar;
+    let senior;
+
+    const as = (user) => ({ Authorization: authHeader(user) });
+    const createAssignment = async (dueIn, fields = {}) => {
+        const res = await request(app).post('/api/assignments').set(as(teacher)).send({
+            title: 'Osmosis lab report',
+            course_id: 2,
+            grade: '11',
+            due_date: new Date(Date.now() + dueIn).toISOString(),
+            max_score: 20,
+            is_published: true,
+            ...fields
+        });
+        expect(res.status).toBe(201);
+        return res.body.assignment;
+    };
+    const submit = (assignment, student, text = 'Water moved into the potato cells') => request(app)
+        .post(`/api/assignments/${assignment.id}/submissions`)
+        .set(as(student))
+        .field('submission_text', text);
+    // Statuses of this file's students (the migrations seed a few sample students too)
+    const statuses = async (assignment) => {
+        const res = await request(app).get(`/api/assignments/${assignment.id}/submissions`).set(as(teacher));
+        const names = [mona.name, omar.name, senior.name];
+        return Object.fromEntries(res.body.submissions
+            .filter(row => names.includes(row.student_name))
+            .map(row => [row.student_name, row.status]));
+    };
+
+    beforeAll(async () => {
+        await server.start();
+        teacher = await createUser({ name: 'Salma Teacher', role: 'teacher' });
+        mona = await createUser({ name: 'Mona Student', grade: '11', program: 'EST' });
+        omar = await createUser({ name: 'Omar Student', grade: '11', program: 'ACT' });
+        // Outside the audience, so never listed or marked missing
+        senior = await createUser({ name: 'Hana Senior', grade: '12', program: 'EST' });
+    });
+
+    afterAll(() => server.stop());
+
+    test('submissions before the due date are submitted, after it late', async () => {
+        const open = await createAssignment(24 * HOUR);
+        expect(await statuses(open)).toEqual({ 'Mona Student': 'pending', 'Omar Student': 'pending' });
+
+        const first = await submit(open, mona);
+        expect(first.status).toBe(201);
+        expect(first.body.submission.status).toBe('submitted');
+
+        // Resubmitting before grading replaces the answer
+        const second = await submit(open, mona, 'Revised: water moved by osmosis');
+        expect(second.status).toBe(200);
+        expect(second.body.submission.submission_text).toBe('Revised: water moved by osmosis');
+
+        const closed = await createAssignment(-HOUR, { title: 'Diffusion worksheet' });
+        const late = await submit(closed, omar);
+        expect(late.body.submission.status).toBe('late');
+        expect(late.body.message).toBe('Assignment submitted after the due date');
+    });
+
+    test('students who let the due date pass are marked missing until it is extended', async () => {
+        const assignment = await createAssignment(-HOUR, { title: 'Enzyme questions' });
+        await submit(assignment, mona);
+
+        expect(await statuses(assignment)).toEqual({ 'Mona Student': 'late', 'Omar Student': 'missing' });
+
+        const mine = await request(app).get(`/api/assignments/${assignment.id}`).set(as(omar));
+        expect(mine.body.submission.status).toBe('missing');
+
+        await request(app).put(`/api/assignments/${assignment.id}`).set(as(teacher))
+            .send({ due_date: new Date(Date.now() + 24 * HOUR).toISOString() });
+        expect(await statuses(assignment)).toEqual({ 'Mona Student': 'late', 'Omar Student': 'pending' });
+
+        // A missing student can still hand the work in late
+        await request(app).put(`/api/assignments/${assignment.id}`).set(as(teacher))
+            .send({ due_date: new Date(Date.now() - HOUR).toISOString() });
+        expect((await submit(assignment, omar)).body.submission.status).toBe('late');
+    });
+
+    test('grading closes the submission and reveals the score to the student', async () => {
+        const assignment = await createAssignment(24 * HOUR, { title: 'Photosynthesis essay' });
+        const { submission } = (await submit(assignment, mona)).body;
+
+        const before = await request(app).get(`/api/assignments/${assignment.id}`).set(as(mona));
+        expect(before.body.submission.score).toBeNull();
+
+        const tooHigh = await request(app).put(`/api/assignments/${assignment.id}/submissions/${submission.id}/grade`)
+            .set(as(teacher)).send({ score: 21 });
+        expect(tooHigh.status).toBe(400);
+
+        const graded = await request(app).put(`/api/assignments/${assignment.id}/submissions/${submission.id}/grade`)
+            .set(as(teacher)).send({ score: 18, feedback: 'Clear method' });
+        expect(graded.body.submission.status).toBe('graded');
+
+        const after = await request(app).get(`/api/assignments/${assignment.id}`).set(as(mona));
+        expect(after.body.submission).toMatchObject({ status: 'graded', score: 18, feedback: 'Clear method' });
+
+        expect((await submit(assignment, mona)).status).toBe(409);
+    });
+
+    test('unpublished assignments and other grades are out of reach', async () => {
+        const draft = await createAssignment(24 * HOUR, { title: 'Draft', is_published: false });
+        expect((await submit(draft, mona)).status).toBe(404);
+
+        const seniorOnly = await createAssignment(24 * HOUR, { title: 'Grade 12 only', grade: '12' });
+        expect((await request(app).get(`/api/assignments/${seniorOnly.id}`).set(as(mona))).status).toBe(404);
+        expect((await submit(seniorOnly, mona)).status).toBe(404);
+    });
+});
@@ -0,0 +1,129 @@
+// routes/auth.js (the Mongo server's auth routes), run on the SQLite repository adapter
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const sqlitePath = path.join(os.tmpdir(), `auth-test-${process.pid}.db`);
+Object.assign(process.env, { DB_DRIVER: 'sqlite', SQLITE_DB_PATH: sqlitePath, JWT_SECRET: 'auth-test-secret' });
+
+const repos = require('../repositories');
+const { setTransport } = require('../utils/mailer');
+const authRoutes = require('../routes/auth');
+
+describe('email verification', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+
+    let sent = [];
+    const register = (email) => request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Nour Hassan', email, password: 'secret1', role: 'student' });
+    const login = (email) => request(app).post('/api/auth/login').send({ email, password: 'secret1' });
+    // Verification emails are sent in the background
+    const waitFor = async (check) => {
+        for (let i = 0; i < 100; i++) {
+            if (check()) return;
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        throw new Error('Timed out');
+    };
+    const mailTo = async (email, count = 1) => {
+        const messages = () => sent.filter(message => message.to === email);
+        await waitFor(() => messages().length >= count);
+        return messages();
+    };
+    const verificationToken = async (email) => (await mailTo(email)).pop().text.match(/verify=([0-9a-f]+)/)[1];
+
+    beforeAll(async () => {
+        fs.rmSync(sqlitePath, { force: true });
+        await repos.connect();
+        setTransport({ sendMail: async (message) => { sent.push(message); return {}; } });
+    });
+
+    beforeEach(() => {
+        sent = [];
+    });
+
+    afterAll(async () => {
+        setTransport(null);
+        await repos.disconnect();
+        fs.rmSync(sqlitePath, { force: true });
+    });
+
+    test('registering returns no tokens and emails a verification link', async () => {
+        const res = await register('nour@example.com');
+
+        expect(res.status).toBe(201);
+        expect(res.body.token).toBeUndefined();
+        expect(res.body.refreshToken).toBeUndefined();
+        expect(res.body.challengeToken).toBeUndefined();
+        expect(res.body.user.emailVerified).toBe(false);
+        expect(await mailTo('nour@example.com')).toHaveLength(1);
+    });
+
+    test('login is refused until the address is verified', async () => {
+        await register('omar@example.com');
+
+        const refused = await login('omar@example.com');
+        expect(refused.status).toBe(403);
+        expect(refused.body).toMatchObject({ emailVerified: false });
+        expect(refused.body.token).toBeUndefined();
+
+        const verified = await request(app).post('/api/auth/verify-email').send({ token: await verificationToken('omar@example.com') });
+        expect(verified.status).toBe(200);
+
+        const res = await login('omar@example.com');
+        expect(res.status).toBe(200);
+        expect(res.body.token).toEqual(expect.any(String));
+        expect(res.body.refreshToken).toEqual(expect.any(String));
+    });
+
+    test('a wrong password is refused before the verification state is revealed', async () => {
+        await register('laila@example.com');
+
+        const res = await request(app).post('/api/auth/login').send({ email: 'laila@example.com', password: 'wrong-password' });
+        expect(res.status).toBe(400);
+        expect(res.body.emailVerified).toBeUndefined();
+    });
+
+    test('resending answers the same whether or not the address needs verifying', async () => {
+        await register('sara@example.com');
+        await mailTo('sara@example.com');
+
+        const pending = await request(app).post('/api/auth/resend-verification').send({ email: 'sara@example.com' });
+        const unknown = await request(app).post('/api/auth/resend-verification').send({ email: 'nobody@example.com' });
+
+        expect(pending.status).toBe(200);
+        expect(unknown.status).toBe(200);
+        expect(unknown.body).toEqual(pending.body);
+        expect(await mailTo('sara@example.com', 2)).toHaveLength(2);
+        expect(sent.every(message => message.to === 'sara@example.com')).toBe(true);
+    });
+
+    test('a failing mail transport does not change the answer', async () => {
+        setTransport({ sendMail: async () => { throw new Error('SMTP down'); } });
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            const registered = await register('amr@example.com');
+            const resent = await request(app).post('/api/auth/resend-verification').send({ email: 'amr@example.com' });
+
+            expect(registered.status).toBe(201);
+            expect(resent.status).toBe(200);
+            expect(resent.body.message).toMatch(/If the address still needs verifying/);
+            await waitFor(() => error.mock.calls.length === 2);
+
+            // A password reset for an existing account answers like one for an unknown address
+            const existing = await request(app).post('/api/auth/forgot-password').send({ email: 'amr@example.com' });
+            const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+            expect(existing.status).toBe(200);
+            expect(existing.body).toEqual(unknown.body);
+            await waitFor(() => error.mock.calls.length === 3);
+        } finally {
+            error.mockRestore();
+            setTransport({ sendMail: async (message) => { sent.push(message); return {}; } });
+        }
+    });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../database/init');
+const { BackupManager, restoreBackup } = require('../database/backup');
+const { openZip } = require('../utils/zip');
+
+describe('backups', () => {
+    let root;
+    let db;
+    let backups;
+    let options;
+    let open;
+
+    const write = (relative, data) => {
+        const target = path.join(root, relative);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, data);
+    };
+
+    beforeEach(async () => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-test-'));
+        write('uploads/materials/notes.pdf', fs.readFileSync(path.join(__dirname, '..', 'PDF', 'Animal Behavior.pdf')));
+        write('uploads/empty.txt', '');
+        write('uploads/partial/0b5e0c56-2a8e-4f57-9a4e-6f1d1b0f1a11.part', 'still uploading');
+
+        db = new DatabaseManager(path.join(root, 'db.sqlite'));
+        await db.initialize();
+        open = true;
+        options = { directory: path.join(root, 'backups'), uploadsDir: path.join(root, 'uploads') };
+        backups = new BackupManager(db, options);
+    });
+
+    afterEach(async () => {
+        if (open) await db.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('backs up the database and uploads, leaving out uploads in progress', async () => {
+        const backup = await backups.create('manual');
+
+        const entries = await openZip(path.join(options.directory, backup.name));
+        expect([...entries.keys()].sort()).toEqual([
+            'database.sqlite',
+            'manifest.json',
+            'uploads/empty.txt',
+            'uploads/materials/notes.pdf'
+        ]);
+        expect(backup.files).toBe(2);
+        expect(fs.readdirSync(options.directory)).toEqual([backup.name]);
+
+        const result = await backups.verify(backup.name);
+        expect(result.ok).toBe(true);
+        expect(result.manifest.files.map(file => file.path).sort()).toEqual(['uploads/empty.txt', 'uploads/materials/notes.pdf']);
+    });
+
+    test('verification fails for a damaged backup', async () => {
+        const backup = await backups.create('manual');
+        const backupPath = path.join(options.directory, backup.name);
+        const data = fs.readFileSync(backupPath);
+        data[Math.floor(data.length / 2)] ^= 0xff;
+        fs.writeFileSync(backupPath, data);
+
+        const result = await backups.verify(backup.name);
+        expect(result.ok).toBe(false);
+        expect(result.errors).toHaveLength(1);
+    });
+
+    test('restore replaces the database and uploads and keeps the old ones', async () => {
+        const backup = await backups.create('manual');
+        await db.close();
+        open = false;
+        write('uploads/empty.txt', 'changed');
+        fs.rmSync(path.join(root, 'uploads', 'materials'), { recursive: true });
+
+        const { previous } = await restoreBackup(backup.name, { dbPath: path.join(root, 'db.sqlite'), ...options });
+
+        expect(fs.readFileSync(path.join(root, 'uploads', 'empty.txt'), 'utf8')).toBe('');
+        expect(fs.existsSync(path.join(root, 'uploads', 'materials', 'notes.pdf'))).toBe(true);
+        expect(fs.readFileSync(path.join(previous.uploads, 'empty.txt'), 'utf8')).toBe('changed');
+        expect(fs.existsSync(previous.database)).toBe(true);
+    });
+
+    test('restore leaves everything in place when the backup is damaged', async () => {
+        const backup = await backups.create('manual');
+        await db.close();
+        open = false;
+        const backupPath = path.join(options.directory, backup.name);
+        const data = fs.readFileSync(backupPath);
+        data[Math.floor(data.length / 2)] ^= 0xff;
+        fs.writeFileSync(backupPath, data);
+        const before = fs.readdirSync(root).sort();
+
+        await expect(restoreBackup(backup.name, { dbPath: path.join(root, 'db.sqlite'), ...options }))
+            .rejects.toThrow('failed verification');
+        expect(fs.readdirSync(root).sort()).toEqual(before);
+    });
+});
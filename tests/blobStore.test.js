@@ -0,0 +1,247 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Quotas are read when the module loads
+Object.assign(process.env, { TEACHER_STORAGE_QUOTA_MB: '1', STORAGE_QUOTA_MB: '2' });
+
+const { STORAGE_QUOTAS, hashFile, checkQuota, BlobStore, buildStorageReport } = require('../utils/blobStore');
+
+const MB = 1024 * 1024;
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// The blob index of utils/blobStore.js, in memory
+function memoryIndex() {
+    const blobs = new Map();
+    return {
+        blobs,
+        get: async (hash) => (blobs.has(hash) ? { ...blobs.get(hash) } : null),
+        findByPath: async (filePath) => {
+            const blob = [...blobs.values()].find(entry => entry.path === filePath);
+            return blob ? { ...blob } : null;
+        },
+        insert: async (blob) => {
+            if (blobs.has(blob.hash)) throw new Error('Duplicate hash');
+            blobs.set(blob.hash, { ...blob });
+        },
+        setPath: async (hash, filePath) => { blobs.get(hash).path = filePath; },
+        addReferences: async (hash, delta) => {
+            const blob = blobs.get(hash);
+            if (!blob) return null;
+            blob.refCount += delta;
+            return blob.refCount;
+        },
+        remove: async (hash) => { blobs.delete(hash); }
+    };
+}
+
+describe('checkQuota', () => {
+    test('the quotas come from the environment in MB', () => {
+        expect(STORAGE_QUOTAS).toEqual({ teacher: MB, global: 2 * MB });
+    });
+
+    test('a teacher cannot go over their quota', () => {
+        expect(checkQuota({ role: 'teacher', ownerUsage: MB - 10, totalUsage: 0, size: 10, newBytes: 10 })).toBeNull();
+        expect(checkQuota({ role: 'teacher', ownerUsage: MB - 10, totalUsage: 0, size: 11, newBytes: 11 })).toEqual({
+            status: 413,
+            message: 'Storage quota exceeded: 1.0 MB of 1.0 MB used'
+        });
+        // Content already stored still counts against the teacher
+        expect(checkQuota({ role: 'teacher', ownerUsage: MB, totalUsage: 0, size: 1, newBytes: 0 }).status).toBe(413);
+    });
+
+    test('admins have no quota of their own', () => {
+        expect(checkQuota({ role: 'admin', ownerUsage: 5 * MB, totalUsage: 0, size: MB, newBytes: MB })).toBeNull();
+    });
+
+    test('the server refuses new bytes beyond the global quota', () => {
+        const full = { role: 'admin', ownerUsage: 0, totalUsage: 2 * MB - 10, size: 20 };
+
+        expect(checkQuota({ ...full, newBytes: 20 })).toEqual({ status: 507, message: 'The server is out of storage space for uploads' });
+        // Content that is already stored adds nothing
+        expect(checkQuota({ ...full, newBytes: 0 })).toBeNull();
+    });
+});
+
+describe('BlobStore', () => {
+    let root;
+    let index;
+    let store;
+    let count = 0;
+
+    // A file as multer leaves it
+    const upload = (data) => {
+        count += 1;
+        const file = path.join(root, 'incoming', `file-${count}.pdf`);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, data);
+        return file;
+    };
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'blob-store-test-'));
+        index = memoryIndex();
+        store = new BlobStore(index, { root: path.join(root, 'blobs') });
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('stores content by its hash', async () => {
+        const file = upload('mitosis');
+        const hash = sha256('mitosis');
+        expect(await hashFile(file)).toBe(hash);
+
+        const stored = await store.add(file, 'Mitosis.PDF');
+
+        expect(stored).toBe(path.join(root, 'blobs', hash.slice(0, 2), `${hash}.pdf`));
+        expect(fs.readFileSync(stored, 'utf8')).toBe('mitosis');
+        expect(fs.existsSync(file)).toBe(false);
+        expect(index.blobs.get(hash)).toEqual({ hash, path: stored, size: 7, refCount: 1 });
+    });
+
+    test('the same content is stored once and counted', async () => {
+        const first = await store.add(upload('meiosis'), 'a.pdf');
+        expect(await store.inspect(upload('meiosis'))).toEqual({ hash: sha256('meiosis'), size: 7, stored: true });
+
+        const duplicate = upload('meiosis');
+        expect(await store.add(duplicate, 'b.pdf')).toBe(first);
+        expect(fs.existsSync(duplicate)).toBe(false);
+        expect(index.blobs.get(sha256('meiosis')).refCount).toBe(2);
+    });
+
+    test('the file is deleted with its last reference', async () => {
+        const stored = await store.add(upload('osmosis'), 'a.pdf');
+        await store.add(upload('osmosis'), 'b.pdf');
+        await store.retain(stored);
+
+        await store.release(stored);
+        await store.release(stored);
+        expect(fs.existsSync(stored)).toBe(true);
+        expect(index.blobs.get(sha256('osmosis')).refCount).toBe(1);
+
+        await store.release(stored);
+        expect(fs.existsSync(stored)).toBe(false);
+        expect(index.blobs.size).toBe(0);
+    });
+
+    test('files from before the blob store are deleted straight away', async () => {
+        const legacy = upload('old upload');
+
+        await store.retain(legacy);
+        await store.release(legacy);
+
+        expect(fs.existsSync(legacy)).toBe(false);
+        await expect(store.release(legacy)).resolves.toBeUndefined();
+        await expect(store.release(null)).resolves.toBeUndefined();
+    });
+
+    test('a blob whose file went missing gets the next upload of its content', async () => {
+        const stored = await store.add(upload('photosynthesis'), 'a.pdf');
+        fs.unlinkSync(stored);
+        expect((await store.inspect(upload('photosynthesis'))).stored).toBe(false);
+
+        const again = await store.add(upload('photosynthesis'), 'b.pdf');
+
+        expect(again).toBe(stored);
+        expect(fs.readFileSync(again, 'utf8')).toBe('photosynthesis');
+        expect(index.blobs.get(sha256('photosynthesis')).refCount).toBe(2);
+    });
+
+    test('an upload racing another with the same content shares its blob', async () => {
+        const hash = sha256('respiration');
+        const elsewhere = path.join(root, 'blobs', 'elsewhere.pdf');
+        fs.mkdirSync(path.dirname(elsewhere), { recursive: true });
+        fs.writeFileSync(elsewhere, 'respiration');
+        // The other upload's blob appears between the lookup and the insert
+        const get = index.get;
+        index.get = async () => {
+            index.get = get;
+            return null;
+        };
+        index.insert = async () => {
+            index.blobs.set(hash, { hash, path: elsewhere, size: 11, refCount: 1 });
+            throw new Error('Duplicate hash');
+        };
+
+        expect(await store.add(upload('respiration'), 'a.pdf', { hash, size: 11 })).toBe(elsewhere);
+        expect(index.blobs.get(hash).refCount).toBe(2);
+        expect(fs.readdirSync(path.join(root, 'blobs')).sort()).toEqual(['elsewhere.pdf', hash.slice(0, 2)].sort());
+        expect(fs.readdirSync(path.join(root, 'blobs', hash.slice(0, 2)))).toEqual([]);
+    });
+});
+
+describe('buildStorageReport', () => {
+    let root;
+
+    const write = (relative, data) => {
+        const file = path.join(root, relative);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, data);
+        return file;
+    };
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-report-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('totals usage by teacher, course and type and finds orphans', async () => {
+        const shared = write('blobs/aa/shared.pdf', 'x'.repeat(100));
+        const video = write('blobs/bb/video.mp4', 'x'.repeat(300));
+        const submission = write('7/essay.docx', 'essay');
+        write('blobs/cc/orphan.pdf', 'x'.repeat(40));
+        write('partial/upload.part', 'in progress');
+        const missing = path.join(root, 'blobs', 'dd', 'gone.pdf');
+
+        const file = (filePath, size, owner, course, type) => ({ path: filePath, size, owner, ownerName: `Teacher ${owner}`, course, type });
+        const report = await buildStorageReport({
+            files: [
+                file(shared, 100, 1, 'Cell Biology', 'pdf'),
+                file(shared, 100, 2, 'Evolution', 'pdf'),
+                file(video, 300, 1, 'Cell Biology', 'video')
+            ],
+            blobs: [
+                { hash: 'a', path: shared, size: 100, refCount: 2 },
+                { hash: 'b', path: video, size: 300, refCount: 1 },
+                { hash: 'c', path: path.join(root, 'blobs/cc/orphan.pdf'), size: 40, refCount: 0 },
+                { hash: 'd', path: missing, size: 10, refCount: 1 }
+            ],
+            otherPaths: [submission, null],
+            uploadRoot: root,
+            skip: [path.join(root, 'partial')]
+        });
+
+        expect(report.quotas).toEqual({ teacher_bytes: MB, global_bytes: 2 * MB });
+        expect(report.totals).toEqual({ files: 3, logical_bytes: 500, stored_bytes: 400, saved_by_deduplication_bytes: 100, blobs: 4 });
+        expect(report.by_teacher).toEqual([
+            { owner: 1, ownerName: 'Teacher 1', files: 2, bytes: 400, quota_used: 0 },
+            { owner: 2, ownerName: 'Teacher 2', files: 1, bytes: 100, quota_used: 0 }
+        ]);
+        expect(report.by_course.map(entry => [entry.course, entry.bytes])).toEqual([['Cell Biology', 400], ['Evolution', 100]]);
+        expect(report.by_type.map(entry => [entry.type, entry.files])).toEqual([['video', 1], ['pdf', 2]]);
+
+        const [{ modified_at: modifiedAt, ...orphan }, ...otherOrphans] = report.orphaned_files;
+        expect(orphan).toEqual({ path: path.join('blobs', 'cc', 'orphan.pdf'), size: 40 });
+        expect(modifiedAt.getTime()).toBe(fs.statSync(path.join(root, 'blobs/cc/orphan.pdf')).mtime.getTime());
+        expect(otherOrphans).toEqual([]);
+        expect(report.orphaned_bytes).toBe(40);
+        expect(report.orphaned_blobs).toEqual([
+            { hash: 'c', path: path.join('blobs', 'cc', 'orphan.pdf'), size: 40, ref_count: 0, missing: false },
+            { hash: 'd', path: path.join('blobs', 'dd', 'gone.pdf'), size: 10, ref_count: 1, missing: true }
+        ]);
+    });
+
+    test('an empty or missing upload directory reports nothing', async () => {
+        const report = await buildStorageReport({ files: [], blobs: [], uploadRoot: path.join(root, 'none') });
+
+        expect(report.totals).toEqual({ files: 0, logical_bytes: 0, stored_bytes: 0, saved_by_deduplication_bytes: 0, blobs: 0 });
+        expect(report.orphaned_files).toEqual([]);
+        expect(report.by_teacher).toEqual([]);
+    });
+});
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const express = require('express');
+const request = require('supertest');
+const { ChunkedUploads, UploadError, uploadRouter } = require('../utils/chunkedUpload');
+
+const CHUNK_SIZE = 1024;
+const FILE = crypto.randomBytes(2.5 * CHUNK_SIZE);
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+const chunksOf = (data) => {
+    const chunks = [];
+    for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+        chunks.push({ offset, data: data.subarray(offset, offset + CHUNK_SIZE) });
+    }
+    return chunks;
+};
+const fileChecksum = (data) => crypto.createHash('sha256')
+    .update(Buffer.concat(chunksOf(data).map(chunk => sha256(chunk.data))))
+    .digest('hex');
+
+describe('ChunkedUploads', () => {
+    let dir;
+    let uploads;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chunked-upload-test-'));
+        uploads = new ChunkedUploads({ dir, chunkSize: CHUNK_SIZE, maxSize: 10 * CHUNK_SIZE, maxPending: 2, maxPendingSize: 4 * CHUNK_SIZE });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const sendAll = async (upload, owner) => {
+        for (const chunk of chunksOf(FILE)) {
+            await uploads.writeChunk(upload.id, {
+                owner,
+                offset: chunk.offset,
+                length: chunk.data.length,
+                checksum: sha256(chunk.data).toString('hex'),
+                stream: Readable.from([chunk.data])
+            });
+        }
+    };
+
+    // Moves the file away like the material storage does, and records each call
+    const finalizer = () => {
+        const calls = [];
+        const finalize = async (filePath, upload) => {
+            calls.push(upload.id);
+            const target = path.join(dir, `material-${calls.length}`);
+            await fs.promises.rename(filePath, target);
+            return { status: 201, body: { material: { id: calls.length, file: target } } };
+        };
+        return { calls, finalize };
+    };
+
+    test('receives the chunks and hands the whole file to finalize', async () => {
+        const upload = await uploads.create({ owner: 7, fileName: 'lecture.mp4', size: FILE.length, details: { title: 'Mitosis' } });
+        await sendAll(upload, 7);
+        const { calls, finalize } = finalizer();
+
+        const result = await uploads.complete(upload.id, { owner: 7, checksum: fileChecksum(FILE), finalize });
+
+        expect(calls).toEqual([upload.id]);
+        expect(fs.readFileSync(result.body.material.file)).toEqual(FILE);
+        expect(fs.readdirSync(dir).sort()).toEqual([`${upload.id}.json`, 'material-1']);
+        expect(await uploads.get(upload.id, 7)).toMatchObject({ offset: FILE.length, details: { title: 'Mitosis' } });
+    });
+
+    test('completing twice at once, or again later, finalizes once and answers the same result', async () => {
+        const upload = await uploads.create({ owner: 7, fileName: 'lecture.mp4', size: FILE.length });
+        await sendAll(upload, 7);
+        const { calls, finalize } = finalizer();
+        const checksum = fileChecksum(FILE);
+
+        const [first, second] = await Promise.all([
+            uploads.complete(upload.id, { owner: 7, checksum, finalize }),
+            uploads.complete(upload.id, { owner: 7, checksum, finalize })
+        ]);
+        const retry = await uploads.complete(upload.id, { owner: 7, checksum, finalize });
+        // After a restart the result is read back from the upload's details
+        const restarted = new ChunkedUploads({ dir, chunkSize: CHUNK_SIZE });
+        const afterRestart = await restarted.complete(upload.id, { owner: 7, checksum, finalize });
+
+        expect(calls).toHaveLength(1);
+        expect(second).toEqual(first);
+        expect(retry).toEqual(first);
+        expect(afterRestart).toEqual(first);
+        await expect(uploads.complete(upload.id, { owner: 7, checksum: 'f'.repeat(64), finalize }))
+            .rejects.toMatchObject({ status: 409 });
+    });
+
+    test('other users cannot see, write, complete or cancel an upload', async () => {
+        const upload = await uploads.create({ owner: 7, fileName: 'lecture.mp4', size: FILE.length });
+        const chunk = chunksOf(FILE)[0];
+        const notFound = { status: 404, message: 'Upload not found' };
+
+        await expect(uploads.get(upload.id, 8)).rejects.toMatchObject(notFound);
+        await expect(uploads.writeChunk(upload.id, {
+            owner: 8,
+            offset: 0,
+            length: chunk.data.length,
+            checksum: sha256(chunk.data).toString('hex'),
+            stream: Readable.from([chunk.data])
+        })).rejects.toMatchObject(notFound);
+        await expect(uploads.cancel(upload.id, 8)).rejects.toMatchObject(notFound);
+
+        await sendAll(upload, 7);
+        const { calls, finalize } = finalizer();
+        await expect(uploads.complete(upload.id, { owner: 8, checksum: fileChecksum(FILE), finalize }))
+            .rejects.toMatchObject(notFound);
+        expect(calls).toEqual([]);
+        expect((await uploads.get(upload.id, '7')).offset).toBe(FILE.length);
+    });
+
+    test('limits the number and total size of each user\'s unfinished uploads', async () => {
+        const first = await uploads.create({ owner: 7, fileName: 'a.mp4', size: 3 * CHUNK_SIZE });
+        await expect(uploads.create({ owner: 7, fileName: 'b.mp4', size: 2 * CHUNK_SIZE }))
+            .rejects.toMatchObject({ status: 429 });
+
+        await uploads.create({ owner: 7, fileName: 'b.mp4', size: CHUNK_SIZE });
+        await expect(uploads.create({ owner: 7, fileName: 'c.mp4', size: 1 }))
+            .rejects.toThrow('You have 2 unfinished uploads');
+
+        // Other users have their own limits, and a cancelled upload no longer counts
+        await uploads.create({ owner: 8, fileName: 'a.mp4', size: 4 * CHUNK_SIZE });
+        await uploads.cancel(first.id, 7);
+        await uploads.create({ owner: 7, fileName: 'c.mp4', size: 1 });
+    });
+
+    test('starting uploads at the same time cannot get past the limits', async () => {
+        const results = await Promise.allSettled([1, 2, 3, 4].map(n => (
+            uploads.create({ owner: 7, fileName: `${n}.mp4`, size: CHUNK_SIZE })
+        )));
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+    });
+
+    test('a file refused by finalize cancels the upload', async () => {
+        const upload = await uploads.create({ owner: 7, fileName: 'lecture.mp4', size: FILE.length });
+        await sendAll(upload, 7);
+        const finalize = async () => {
+            throw new UploadError(413, 'Storage quota exceeded');
+        };
+
+        await expect(uploads.complete(upload.id, { owner: 7, checksum: fileChecksum(FILE), finalize }))
+            .rejects.toThrow('Storage quota exceeded');
+        expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    test('a failed finalize can be retried', async () => {
+        const upload = await uploads.create({ owner: 7, fileName: 'lecture.mp4', size: FILE.length });
+        await sendAll(upload, 7);
+        const { calls, finalize } = finalizer();
+        const failing = async () => {
+            throw new Error('database is locked');
+        };
+
+        await expect(uploads.complete(upload.id, { owner: 7, checksum: fileChecksum(FILE), finalize: failing }))
+            .rejects.toThrow('database is locked');
+        await uploads.complete(upload.id, { owner: 7, checksum: fileChecksum(FILE), finalize });
+        expect(calls).toEqual([upload.id]);
+    });
+
+    test('a different file is rejected and has to be uploaded again', async () => {
+        const upload = await uploads.create({ owner: 7, fileName: 'lecture.mp4', size: FILE.length });
+        await sendAll(upload, 7);
+        const { calls, finalize } = finalizer();
+
+        await expect(uploads.complete(upload.id, { owner: 7, checksum: fileChecksum(Buffer.alloc(FILE.length)), finalize }))
+            .rejects.toMatchObject({ status: 422 });
+        expect(calls).toEqual([]);
+        await expect(uploads.get(upload.id, 7)).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('sweep removes uploads untouched for too long', async () => {
+        const stale = await uploads.create({ owner: 7, fileName: 'a.mp4', size: CHUNK_SIZE });
+        const fresh = await uploads.create({ owner: 7, fileName: 'b.mp4', size: CHUNK_SIZE });
+        const info = path.join(dir, `${stale.id}.json`);
+        const details = JSON.parse(fs.readFileSync(info, 'utf8'));
+        fs.writeFileSync(info, JSON.stringify({ ...details, updatedAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString() }));
+
+        expect(await uploads.sweep()).toBe(1);
+        await expect(uploads.get(stale.id)).rejects.toMatchObject({ status: 404 });
+        expect((await uploads.get(fresh.id)).offset).toBe(0);
+    });
+});
+
+describe('uploadRouter', () => {
+    let dir;
+    let app;
+    let materials;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-router-test-'));
+        materials = [];
+        const uploads = new ChunkedUploads({ dir, chunkSize: CHUNK_SIZE });
+
+        app = express();
+        app.use(express.json());
+        // Stands in for the servers' authentication
+        app.use((req, res, next) => {
+            if (!req.get('X-User')) return res.status(401).json({ error: 'Access token required' });
+            req.user = { id: Number(req.get('X-User')) };
+            next();
+        });
+        app.use('/uploads', uploadRouter(uploads, {
+            ownerOf: (req) => req.user.id,
+            async details(req) {
+                if (!req.body.title) throw new UploadError(400, 'Title is required');
+                return { title: req.body.title };
+            },
+            async finalize(req, file, upload) {
+                if (upload.details.title === 'Too big') {
+                    return { status: 413, body: { error: 'Storage quota exceeded' } };
+                }
+                const data = await fs.promises.readFile(file.path);
+                await fs.promises.unlink(file.path);
+                materials.push({ owner: req.user.id, title: upload.details.title, fileName: file.originalname, data });
+                return { status: 201, body: { message: 'Material uploaded successfully', material: { id: materials.length } } };
+            },
+            errorKey: 'error'
+        }));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const upload = async (title, user = '7') => {
+        const started = await request(app).post('/uploads').set('X-User', user)
+            .send({ fileName: 'Mitosis.mp4', size: FILE.length, title });
+        expect(started.status).toBe(201);
+        const { id } = started.body.upload;
+
+        for (const chunk of chunksOf(FILE)) {
+            const sent = await request(app).put(`/uploads/${id}?offset=${chunk.offset}`).set('X-User', user)
+                .set('Content-Type', 'application/octet-stream')
+                .set('X-Chunk-Checksum', sha256(chunk.data).toString('hex'))
+                .send(chunk.data);
+            expect(sent.body).toEqual({ offset: chunk.offset + chunk.data.length });
+        }
+        return id;
+    };
+
+    test('an upload becomes a material when it completes', async () => {
+        const id = await upload('Mitosis');
+
+        const completed = await request(app).post(`/uploads/${id}/complete`).set('X-User', '7').send({ checksum: fileChecksum(FILE) });
+        const again = await request(app).post(`/uploads/${id}/complete`).set('X-User', '7').send({ checksum: fileChecksum(FILE) });
+
+        expect(completed.status).toBe(201);
+        expect(completed.body).toEqual({ message: 'Material uploaded successfully', material: { id: 1 } });
+        expect(again.status).toBe(201);
+        expect(again.body).toEqual(completed.body);
+        expect(materials).toEqual([{ owner: 7, title: 'Mitosis', fileName: 'Mitosis.mp4', data: FILE }]);
+    });
+
+    test('answers errors the way the server does', async () => {
+        expect((await request(app).post('/uploads').send({ fileName: 'a.mp4', size: 1, title: 'A' })).status).toBe(401);
+
+        const invalid = await request(app).post('/uploads').set('X-User', '7').send({ fileName: 'a.mp4', size: 1 });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body).toEqual({ error: 'Title is required' });
+
+        const id = await upload('Mitosis');
+        const wrongOffset = await request(app).put(`/uploads/${id}?offset=0`).set('X-User', '7')
+            .set('Content-Type', 'application/octet-stream')
+            .set('X-Chunk-Checksum', sha256(FILE.subarray(0, CHUNK_SIZE)).toString('hex'))
+            .send(FILE.subarray(0, CHUNK_SIZE));
+        expect(wrongOffset.status).toBe(409);
+        expect(wrongOffset.body).toEqual({ error: `Expected the chunk at offset ${FILE.length}`, offset: FILE.length });
+
+        const someoneElse = await request(app).get(`/uploads/${id}`).set('X-User', '8');
+        expect(someoneElse.status).toBe(404);
+        expect(someoneElse.body).toEqual({ error: 'Upload not found' });
+    });
+
+    test('a material refused on completion cancels the upload', async () => {
+        const id = await upload('Too big');
+
+        const refused = await request(app).post(`/uploads/${id}/complete`).set('X-User', '7').send({ checksum: fileChecksum(FILE) });
+        expect(refused.status).toBe(413);
+        expect(refused.body).toEqual({ error: 'Storage quota exceeded' });
+        expect((await request(app).get(`/uploads/${id}`).set('X-User', '7')).status).toBe(404);
+        expect(materials).toEqual([]);
+    });
+});
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isExtractable, extractDocumentText } = require('../utils/documentText');
+
+// The lecture notes in WORD/ and PDF/ are the real library; cell-division.pptx was written
+// by PptxGenJS, encrypted.docx by officecrypto-tool (ECMA-376 agile encryption)
+const sample = (folder, name) => path.join(__dirname, '..', folder, name);
+const fixture = (name) => path.join(__dirname, 'fixtures', 'documents', name);
+
+describe('extractDocumentText', () => {
+    let tmp;
+
+    beforeAll(() => {
+        tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'document-text-test-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmp, { recursive: true, force: true });
+    });
+
+    // A copy of a sample with `change` applied to its bytes
+    const damaged = (source, name, change) => {
+        const target = path.join(tmp, name);
+        fs.writeFileSync(target, change(Buffer.from(fs.readFileSync(source))));
+        return target;
+    };
+
+    test('PDF: text, page count and headings from font sizes', async () => {
+        const { text, pageCount, headings } = await extractDocumentText(sample('PDF', 'Animal Behavior.pdf'));
+
+        expect(pageCount).toBe(7);
+        expect(text.startsWith('Animal Behavior\nFixed Action Pattern (Niko Tinbergen)\n')).toBe(true);
+        expect(headings.slice(0, 3)).toEqual([
+            { level: 1, text: 'Animal Behavior' },
+            { level: 2, text: 'Fixed Action Pattern (Niko Tinbergen)' },
+            { level: 2, text: 'Learning' }
+        ]);
+    });
+
+    test('DOCX: text, the page count Word saved and headings from heading styles', async () => {
+        const { text, pageCount, headings } = await extractDocumentText(sample('WORD', 'The Cell 2.docx'));
+
+        expect(pageCount).toBe(9);
+        expect(text).toContain('Substances passing through change depending on the cell’s needs.');
+        expect(headings.slice(0, 4)).toEqual([
+            { level: 3, text: 'Passive Transport' },
+            { level: 4, text: '1. Diffusion' },
+            { level: 4, text: '2. Osmosis' },
+            { level: 3, text: 'Active Transport' }
+        ]);
+    });
+
+    test('the same notes as PDF and DOCX give the same headings', async () => {
+        const pdf = await extractDocumentText(sample('PDF', 'Biochemistry 1.pdf'));
+        const docx = await extractDocumentText(sample('WORD', 'Biochemistry 1.docx'));
+
+        expect(pdf.pageCount).toBe(docx.pageCount);
+        expect(pdf.headings.slice(0, 4)).toEqual(docx.headings.slice(0, 4));
+    });
+
+    test('every sample in the library can be read', async () => {
+        for (const folder of ['PDF', 'WORD']) {
+            for (const name of fs.readdirSync(path.join(__dirname, '..', folder))) {
+                const { text, pageCount } = await extractDocumentText(sample(folder, name));
+                expect(text.length).toBeGreaterThan(1000);
+                expect(pageCount).toBeGreaterThan(0);
+            }
+        }
+    });
+
+    test('PPTX: slides in order, with their titles as headings', async () => {
+        const { text, pageCount, headings } = await extractDocumentText(fixture('cell-division.pptx'));
+
+        expect(pageCount).toBe(4);
+        expect(text).toBe([
+            'Cell Division\nMitosis → growth & repair\nMeiosis → gametes',
+            'Prophase\nChromatin condenses into chromosomes',
+            'Metaphase\nChromosomes line up at the equator',
+            'Summary: cells divide to grow and to reproduce'
+        ].join('\n\n'));
+        expect(headings).toEqual([
+            { level: 1, text: 'Cell Division' },
+            { level: 1, text: 'Prophase' },
+            { level: 1, text: 'Metaphase' }
+        ]);
+    });
+
+    test('the original file name picks the format of a stored file without an extension', async () => {
+        const stored = path.join(tmp, 'upload-1234');
+        fs.copyFileSync(sample('WORD', 'Cell Division.docx'), stored);
+
+        const { text } = await extractDocumentText(stored, 'Cell Division.docx');
+        expect(text.startsWith('Cell Division\nMitosis and Meiosis')).toBe(true);
+    });
+
+    test('rejects formats it cannot read', async () => {
+        expect(isExtractable('notes.doc')).toBe(false);
+        expect(isExtractable('Notes.PDF')).toBe(true);
+        await expect(extractDocumentText(fixture('cell-division.pptx'), 'slides.ppt')).rejects.toThrow('Text cannot be extracted from .ppt');
+        await expect(extractDocumentText(fixture('cell-division.pptx'), 'slides')).rejects.toThrow('files without an extension');
+    });
+
+    test('rejects password-protected documents', async () => {
+        await expect(extractDocumentText(fixture('encrypted.pdf'))).rejects.toThrow('Encrypted PDFs are not supported');
+        await expect(extractDocumentText(fixture('encrypted.docx'))).rejects.toThrow('Password-protected or pre-2007 Office file');
+    });
+
+    test('rejects a truncated DOCX', async () => {
+        const truncated = damaged(sample('WORD', 'Animal Behavior.docx'), 'truncated.docx', data => data.subarray(0, data.length / 2));
+        await expect(extractDocumentText(truncated)).rejects.toThrow('Not a ZIP archive');
+    });
+
+    test('rejects a DOCX whose document part is damaged', async () => {
+        const corrupt = damaged(sample('WORD', 'Animal Behavior.docx'), 'corrupt.docx', data => {
+            // Scramble the start of word/document.xml's compressed data
+            const header = data.indexOf('word/document.xml');
+            for (let i = header + 40; i < header + 60; i++) data[i] ^= 0xff;
+            return data;
+        });
+        await expect(extractDocumentText(corrupt)).rejects.toThrow('Corrupt ZIP entry: word/document.xml');
+    });
+
+    test('rejects a presentation renamed as a Word document', async () => {
+        const renamed = path.join(tmp, 'renamed.docx');
+        fs.copyFileSync(fixture('cell-division.pptx'), renamed);
+        await expect(extractDocumentText(renamed)).rejects.toThrow('Not a Word document');
+    });
+});
@@ -0,0 +1,123 @@
+const { isCorrect, gradeAnswers, toStudentQuestion, validateQuestion } = require('../utils/examGrading');
+
+describe('isCorrect', () => {
+    test('multiple choice answers ignore case and surrounding spaces', () => {
+        const question = { type: 'multiple_choice', correct_answer: 'Mitochondria' };
+
+        expect(isCorrect(question, '  mitochondria ')).toBe(true);
+        expect(isCorrect(question, 'Ribosome')).toBe(false);
+    });
+
+    test('true/false answers accept the usual spellings', () => {
+        const question = { type: 'true_false', correct_answer: 'True' };
+
+        for (const answer of [true, 'true', 'T', '1', 'yes']) {
+            expect(isCorrect(question, answer)).toBe(true);
+        }
+        expect(isCorrect(question, 'false')).toBe(false);
+        expect(isCorrect(question, 'maybe')).toBe(false);
+    });
+
+    test('numeric answers are accepted within the tolerance', () => {
+        const question = { type: 'numeric', correct_answer: '7.4', tolerance: 0.05 };
+
+        expect(isCorrect(question, '7.4')).toBe(true);
+        expect(isCorrect(question, '7.45')).toBe(true);
+        expect(isCorrect(question, 7.35)).toBe(true);
+        expect(isCorrect(question, '7.46')).toBe(false);
+        expect(isCorrect(question, 'seven')).toBe(false);
+    });
+
+    test('numeric answers without a tolerance must match, allowing for float rounding', () => {
+        const question = { type: 'numeric', correct_answer: '0.3' };
+
+        expect(isCorrect(question, 0.1 + 0.2)).toBe(true);
+        expect(isCorrect(question, '0.31')).toBe(false);
+    });
+
+    test('a missing answer is never correct', () => {
+        for (const answer of [undefined, null, '']) {
+            expect(isCorrect({ type: 'multiple_choice', correct_answer: '' }, answer)).toBe(false);
+        }
+    });
+});
+
+describe('gradeAnswers', () => {
+    const questions = [
+        { id: 1, type: 'multiple_choice', correct_answer: 'ATP', points: 2 },
+        { id: 2, type: 'true_false', correct_answer: 'false' },
+        { id: 3, type: 'numeric', correct_answer: '46', points: 3 }
+    ];
+
+    test('scores each question by its points', () => {
+        const result = gradeAnswers(questions, { 1: 'atp', 2: 'True', 3: '46' });
+
+        expect(result).toMatchObject({ score: 5, maxScore: 6, percentage: 83.33 });
+        expect(result.results).toEqual([
+            { question_id: 1, answer: 'atp', correct: true, points_awarded: 2, points: 2 },
+            { question_id: 2, answer: 'True', correct: false, points_awarded: 0, points: 1 },
+            { question_id: 3, answer: '46', correct: true, points_awarded: 3, points: 3 }
+        ]);
+    });
+
+    test('unanswered questions score nothing', () => {
+        const result = gradeAnswers(questions);
+
+        expect(result).toMatchObject({ score: 0, maxScore: 6, percentage: 0 });
+        expect(result.results.map(item => item.answer)).toEqual([null, null, null]);
+    });
+
+    test('an exam without questions scores 0%', () => {
+        expect(gradeAnswers([], {})).toEqual({ score: 0, maxScore: 0, percentage: 0, results: [] });
+    });
+});
+
+describe('toStudentQuestion', () => {
+    test('leaves out the answer key', () => {
+        const question = toStudentQuestion({
+            id: 4,
+            question_text: 'Which organelle makes ATP?',
+            type: 'multiple_choice',
+            options: '["Nucleus","Mitochondria"]',
+            correct_answer: 'Mitochondria',
+            explanation: 'The powerhouse of the cell',
+            points: 1
+        });
+
+        expect(question).toEqual({
+            id: 4,
+            question_text: 'Which organelle makes ATP?',
+            type: 'multiple_choice',
+            options: ['Nucleus', 'Mitochondria'],
+            points: 1
+        });
+    });
+
+    test('true/false questions always offer True and False', () => {
+        expect(toStudentQuestion({ id: 5, type: 'true_false', options: null }).options).toEqual(['True', 'False']);
+    });
+});
+
+describe('validateQuestion', () => {
+    const valid = { question_text: 'Which organelle makes ATP?', type: 'multiple_choice', options: ['Nucleus', 'Mitochondria'], correct_answer: 'mitochondria' };
+
+    test('accepts a complete question', () => {
+        expect(validateQuestion(valid)).toBeNull();
+        expect(validateQuestion({ ...valid, options: '["Nucleus","Mitochondria"]' })).toBeNull();
+        expect(validateQuestion({ question_text: 'Cells divide', type: 'true_false', correct_answer: 'T' })).toBeNull();
+        expect(validateQuestion({ question_text: 'Chromosomes?', type: 'numeric', correct_answer: '46' })).toBeNull();
+    });
+
+    test.each([
+        [{ question_text: '  ' }, 'Question text is required'],
+        [{ type: 'essay' }, 'Invalid question type'],
+        [{ correct_answer: '' }, 'Correct answer is required'],
+        [{ options: ['Mitochondria'] }, 'Multiple choice questions need at least two options'],
+        [{ options: 'not json' }, 'Multiple choice questions need at least two options'],
+        [{ correct_answer: 'Ribosome' }, 'Correct answer must be one of the options'],
+        [{ type: 'true_false', correct_answer: 'perhaps' }, 'Correct answer must be true or false'],
+        [{ type: 'numeric', correct_answer: 'many' }, 'Correct answer must be a number']
+    ])('refuses %o', (change, message) => {
+        expect(validateQuestion({ ...valid, ...change })).toBe(message);
+    });
+});
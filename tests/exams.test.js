@@ -0,0 +1,127 @@
+// Exam attempts on server-sqlite.js: start, resume, autosave, submit and expiry
+const request = require('supertest');
+const { loadSqliteServer } = require('./helpers/sqliteServer');
+
+const server = loadSqliteServer('exams-test');
+const { app, dbManager, createUser, authHeader } = server;
+
+const QUESTIONS = [
+    { question_text: 'Which organelle makes ATP?', type: 'multiple_choice', options: ['Nucleus', 'Mitochondria'], correct_answer: 'Mitochondria', points: 2 },
+    { question_text: 'Plant cells have a cell wall', type: 'true_false', correct_answer: 'true' },
+    { question_text: 'How many chromosomes in a human body cell?', type: 'numeric', correct_answer: '46', tolerance: 0 }
+];
+
+describe('exam attempts', () => {
+    let teacher;
+    let student;
+    let otherStudent;
+
+    const as = (user) => ({ Authorization: authHeader(user) });
+    const createExam = async (fields = {}) => {
+        const created = await request(app).post('/api/exams').set(as(teacher))
+            .send({ title: 'Cell Biology quiz', course_id: 2, duration: 20, grade: '11', questions: QUESTIONS, ...fields });
+        expect(created.status).toBe(201);
+        await request(app).put(`/api/exams/${created.body.exam.id}`).set(as(teacher)).send({ is_published: true });
+        return created.body.exam;
+    };
+    const start = (exam, user = student) => request(app).post(`/api/exams/${exam.id}/attempts`).set(as(user));
+    const answerIds = (attempt) => attempt.questions.map(question => question.id);
+
+    beforeAll(async () => {
+        await server.start();
+        teacher = await createUser({ name: 'Salma Teacher', role: 'teacher' });
+        student = await createUser({ name: 'Mona Student', grade: '11', program: 'EST' });
+        otherStudent = await createUser({ name: 'Youssef Student', grade: '11', program: 'ACT' });
+    });
+
+    afterAll(() => server.stop());
+
+    test('a student starts, saves, resumes and submits an attempt', async () => {
+        const exam = await createExam();
+
+        const started = await start(exam);
+        expect(started.status).toBe(201);
+        const { attempt } = started.body;
+        expect(attempt.status).toBe('in_progress');
+        expect(attempt.seconds_remaining).toBeGreaterThan(20 * 60 - 5);
+        // The answer key stays hidden while the attempt runs
+        expect(attempt.questions[0]).not.toHaveProperty('correct_answer');
+
+        const [choice, trueFalse, numeric] = answerIds(attempt);
+        const saved = await request(app).put(`/api/exams/attempts/${attempt.id}/answers`).set(as(student))
+            .send({ answers: { [choice]: 'mitochondria', [trueFalse]: 'false' } });
+        expect(saved.status).toBe(200);
+
+        // Starting again resumes the same attempt with the saved answers
+        const resumed = await start(exam);
+        expect(resumed.status).toBe(200);
+        expect(resumed.body.attempt.id).toBe(attempt.id);
+        expect(resumed.body.attempt.answers).toEqual({ [choice]: 'mitochondria', [trueFalse]: 'false' });
+
+        const submitted = await request(app).post(`/api/exams/attempts/${attempt.id}/submit`).set(as(student))
+            .send({ answers: { [trueFalse]: 'True', [numeric]: '46' } });
+        expect(submitted.status).toBe(200);
+        expect(submitted.body.attempt).toMatchObject({ status: 'submitted', score: 4, max_score: 4, percentage: 100 });
+        expect(submitted.body.attempt.questions[0].correct_answer).toBe('Mitochondria');
+
+        const again = await request(app).post(`/api/exams/attempts/${attempt.id}/submit`).set(as(student)).send({});
+        expect(again.status).toBe(409);
+        const late = await request(app).put(`/api/exams/attempts/${attempt.id}/answers`).set(as(student))
+            .send({ answers: { [numeric]: '23' } });
+        expect(late.status).toBe(409);
+    });
+
+    test('an attempt past its time is graded on the answers saved before it ran out', async () => {
+        const exam = await createExam({ title: 'Timed quiz' });
+        const { attempt } = (await start(exam)).body;
+        const [choice, , numeric] = answerIds(attempt);
+
+        await request(app).put(`/api/exams/attempts/${attempt.id}/answers`).set(as(student))
+            .send({ answers: { [choice]: 'Mitochondria' } });
+        await dbManager.run(`UPDATE exam_attempts SET expires_at = datetime('now', '-5 minutes') WHERE id = ?`, [attempt.id]);
+
+        const saving = await request(app).put(`/api/exams/attempts/${attempt.id}/answers`).set(as(student))
+            .send({ answers: { [numeric]: '46' } });
+        expect(saving.status).toBe(409);
+
+        const res = await request(app).get(`/api/exams/attempts/${attempt.id}`).set(as(student));
+        expect(res.body.attempt).toMatchObject({ status: 'expired', score: 2, max_score: 4 });
+    });
+
+    test('an expired attempt is closed when the student starts the exam again', async () => {
+        const exam = await createExam({ title: 'Retake quiz' });
+        const first = (await start(exam)).body.attempt;
+        await dbManager.run(`UPDATE exam_attempts SET expires_at = datetime('now', '-5 minutes') WHERE id = ?`, [first.id]);
+
+        const second = await start(exam);
+        expect(second.status).toBe(201);
+        expect(second.body.attempt.id).not.toBe(first.id);
+
+        const history = await request(app).get(`/api/exams/${exam.id}/attempts`).set(as(student));
+        expect(history.body.attempts.map(item => item.status).sort()).toEqual(['expired', 'in_progress']);
+    });
+
+    test('the attempt limit is enforced', async () => {
+        const exam = await createExam({ title: 'One-shot quiz', max_attempts: 1 });
+        const { attempt } = (await start(exam)).body;
+        await request(app).post(`/api/exams/attempts/${attempt.id}/submit`).set(as(student)).send({});
+
+        const res = await start(exam);
+        expect(res.status).toBe(403);
+    });
+
+    test('students only reach their own attempts and exams for their grade', async () => {
+        const exam = await createExam({ title: 'Private quiz' });
+        const { attempt } = (await start(exam)).body;
+
+        expect((await request(app).get(`/api/exams/attempts/${attempt.id}`).set(as(otherStudent))).status).toBe(404);
+        expect((await request(app).post(`/api/exams/attempts/${attempt.id}/submit`).set(as(otherStudent)).send({})).status).toBe(404);
+
+        const senior = await createUser({ name: 'Hana Senior', grade: '12', program: 'EST' });
+        expect((await start(exam, senior)).status).toBe(404);
+
+        const draft = (await request(app).post('/api/exams').set(as(teacher))
+            .send({ title: 'Draft quiz', course_id: 2, duration: 20, questions: QUESTIONS })).body.exam;
+        expect((await start(draft)).status).toBe(404);
+    });
+});
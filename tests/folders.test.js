@@ -0,0 +1,166 @@
+// routes/folders.js (the Mongo server's folder routes), run on the SQLite repository adapter
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+const sqlitePath = path.join(os.tmpdir(), `folders-test-${process.pid}.db`);
+Object.assign(process.env, { DB_DRIVER: 'sqlite', SQLITE_DB_PATH: sqlitePath, JWT_SECRET: 'folders-test-secret' });
+
+const repos = require('../repositories');
+const folderRoutes = require('../routes/folders');
+const { getFolderPermission, hasFolderPermission, getInheritedShares } = require('../utils/folderAccess');
+
+describe('folder routes', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/folders', folderRoutes);
+
+    const accounts = {};
+    const as = (name) => `Bearer ${jwt.sign({ userId: accounts[name]._id, tv: 0 }, process.env.JWT_SECRET)}`;
+    // Where multer stores a user's uploads before the route looks at them
+    const uploadDir = (name) => path.join(__dirname, '..', 'uploads', String(accounts[name]._id));
+    const storedUploads = (name) => (fs.existsSync(uploadDir(name)) ? fs.readdirSync(uploadDir(name)) : []);
+
+    const createFolder = (name, fields = {}) => request(app)
+        .post('/api/folders')
+        .set('Authorization', as(name))
+        .send({ name: 'Genetics', course: 'Evolution', grade: '11', program: 'EST', ...fields });
+    const share = (name, folderId, userName, permission) => request(app)
+        .post(`/api/folders/${folderId}/share`)
+        .set('Authorization', as(name))
+        .send({ userIds: [String(accounts[userName]._id)], permission });
+    const uploadTo = (name, folderId, fields = { title: 'Punnett squares', type: 'pdf' }) => request(app)
+        .post(`/api/folders/${folderId}/materials`)
+        .set('Authorization', as(name))
+        .field(fields)
+        .attach('file', Buffer.from('%PDF-1.4 punnett'), { filename: 'punnett.pdf', contentType: 'application/pdf' });
+
+    beforeAll(async () => {
+        fs.rmSync(sqlitePath, { force: true });
+        await repos.connect();
+        for (const [name, role] of [['owner', 'teacher'], ['colleague', 'teacher'], ['outsider', 'teacher'], ['student', 'student']]) {
+            accounts[name] = await repos.users.create({
+                name,
+                email: `${name}@example.com`,
+                password: 'secret1',
+                role,
+                emailVerified: true
+            });
+        }
+    });
+
+    afterAll(async () => {
+        for (const name of Object.keys(accounts)) {
+            fs.rmSync(uploadDir(name), { recursive: true, force: true });
+        }
+        await repos.disconnect();
+        fs.rmSync(sqlitePath, { force: true });
+    });
+
+    test('a share on a folder applies to its subfolders', async () => {
+        const parent = (await createFolder('owner', { name: 'Inheritance' })).body.folder;
+        const child = (await createFolder('owner', { name: 'Mendel', parentFolder: parent._id })).body.folder;
+
+        expect((await request(app).get(`/api/folders/${child._id}`).set('Authorization', as('colleague'))).status).toBe(403);
+
+        expect((await share('owner', parent._id, 'colleague', 'read')).status).toBe(200);
+        const res = await request(app).get(`/api/folders/${child._id}`).set('Authorization', as('colleague'));
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toBe('read');
+
+        // Read access doesn't allow adding to the folder
+        expect((await createFolder('colleague', { name: 'Crosses', parentFolder: child._id })).status).toBe(403);
+    });
+
+    test('the strongest share in the chain wins and subfolders belong to the top owner', async () => {
+        const parent = (await createFolder('owner', { name: 'Ecology' })).body.folder;
+        const child = (await createFolder('owner', { name: 'Food webs', parentFolder: parent._id })).body.folder;
+        await share('owner', child._id, 'colleague', 'read');
+        await share('owner', parent._id, 'colleague', 'write');
+
+        const res = await request(app).get(`/api/folders/${child._id}`).set('Authorization', as('colleague'));
+        expect(res.body.permission).toBe('write');
+
+        const created = await createFolder('colleague', { name: 'Predators', parentFolder: child._id });
+        expect(created.status).toBe(201);
+        expect(String(created.body.folder.owner._id || created.body.folder.owner)).toBe(String(accounts.owner._id));
+    });
+
+    test('students can only be given read access', async () => {
+        const folder = (await createFolder('owner', { name: 'Revision' })).body.folder;
+
+        const res = await share('owner', folder._id, 'student', 'write');
+        expect(res.body.skipped).toEqual([{ user: String(accounts.student._id), reason: 'Students can only be given read access' }]);
+    });
+
+    test('a refused upload leaves no file behind', async () => {
+        const folder = (await createFolder('owner', { name: 'Private notes' })).body.folder;
+
+        expect((await uploadTo('outsider', folder._id)).status).toBe(403);
+        expect((await uploadTo('outsider', '999999')).status).toBe(404);
+        expect((await uploadTo('outsider', folder._id, { title: '', type: 'pdf' })).status).toBe(400);
+
+        expect(storedUploads('outsider')).toEqual([]);
+    });
+
+    describe('folder permissions', () => {
+        const folder = (name, fields = {}) => repos.folders.create({
+            name,
+            owner: accounts.owner._id,
+            course: 'Evolution',
+            grade: '11',
+            program: 'EST',
+            ...fields
+        });
+
+        test('the owner of any folder above has full control', async () => {
+            const top = await folder('Top');
+            const middle = await folder('Middle', { parentFolder: top._id, owner: accounts.colleague._id });
+            const bottom = await folder('Bottom', { parentFolder: middle._id, owner: accounts.colleague._id });
+
+            expect(await getFolderPermission(bottom, accounts.owner)).toBe('owner');
+            expect(await getFolderPermission(bottom, accounts.colleague)).toBe('owner');
+            expect(await getFolderPermission(top, accounts.colleague)).toBeNull();
+            expect(await getFolderPermission(top, { ...accounts.outsider, role: 'admin' })).toBe('owner');
+        });
+
+        test('public folders are readable, but not their subfolders', async () => {
+            const published = await folder('Published', { isPublic: true });
+            const inside = await folder('Inside', { parentFolder: published._id });
+
+            expect(await getFolderPermission(published, accounts.student)).toBe('read');
+            expect(await getFolderPermission(inside, accounts.student)).toBeNull();
+        });
+
+        test('inherited shares list the folder they come from, nearest first', async () => {
+            const top = await folder('Shared top', { sharedWith: [{ user: accounts.colleague._id, permission: 'read' }] });
+            const middle = await folder('Shared middle', { parentFolder: top._id, sharedWith: [{ user: accounts.outsider._id, permission: 'admin' }] });
+            const bottom = await folder('Shared bottom', { parentFolder: middle._id });
+
+            const shares = await getInheritedShares(bottom);
+            expect(shares.map(share => [String(share.user), share.permission, share.folder.name])).toEqual([
+                [String(accounts.outsider._id), 'admin', 'Shared middle'],
+                [String(accounts.colleague._id), 'read', 'Shared top']
+            ]);
+            expect(await getFolderPermission(bottom, accounts.outsider)).toBe('admin');
+        });
+
+        test('a cycle in the folder tree does not loop forever', async () => {
+            const first = await folder('Loop A');
+            const second = await folder('Loop B', { parentFolder: first._id });
+            await repos.folders.updateById(first._id, { parentFolder: second._id });
+
+            expect(await getFolderPermission(await repos.folders.findById(second._id), accounts.colleague)).toBeNull();
+        });
+
+        test('permission levels are ordered', () => {
+            expect(hasFolderPermission('admin', 'write')).toBe(true);
+            expect(hasFolderPermission('write', 'admin')).toBe(false);
+            expect(hasFolderPermission('owner', 'admin')).toBe(true);
+            expect(hasFolderPermission(null, 'read')).toBe(false);
+        });
+    });
+});
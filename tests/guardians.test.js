@@ -0,0 +1,112 @@
+// Guardian accounts on server-sqlite.js: read-only access to their linked students only
+const request = require('supertest');
+const { loadSqliteServer } = require('./helpers/sqliteServer');
+
+const server = loadSqliteServer('guardians-test');
+const { app, createUser, authHeader } = server;
+
+describe('guardian access', () => {
+    let admin;
+    let teacher;
+    let guardian;
+    let child;
+    let otherStudent;
+
+    const as = (user) => ({ Authorization: authHeader(user) });
+    const link = (studentIds, user = admin) => request(app).post(`/api/admin/guardians/${guardian.id}/students`)
+        .set(as(user)).send({ student_ids: studentIds, relationship: 'mother' });
+
+    beforeAll(async () => {
+        await server.start();
+        admin = await createUser({ name: 'Site Admin', role: 'admin' });
+        teacher = await createUser({ name: 'Salma Teacher', role: 'teacher' });
+        guardian = await createUser({ name: 'Amira Guardian', role: 'guardian' });
+        child = await createUser({ name: 'Mona Student', grade: '11', program: 'EST' });
+        otherStudent = await createUser({ name: 'Omar Student', grade: '11', program: 'EST' });
+
+        expect((await link([child.id])).status).toBe(201);
+
+        // A graded assignment and a finished exam for both students
+        const assignment = (await request(app).post('/api/assignments').set(as(teacher)).send({
+            title: 'Osmosis lab report', course_id: 2, grade: '11', max_score: 20, is_published: true,
+            due_date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+        })).body.assignment;
+        const exam = (await request(app).post('/api/exams').set(as(teacher)).send({
+            title: 'Cell quiz', course_id: 2, duration: 10, grade: '11',
+            questions: [{ question_text: 'Plant cells have a cell wall', type: 'true_false', correct_answer: 'true' }]
+        })).body.exam;
+        await request(app).put(`/api/exams/${exam.id}`).set(as(teacher)).send({ is_published: true });
+
+        for (const [student, score] of [[child, 18], [otherStudent, 7]]) {
+            const { submission } = (await request(app).post(`/api/assignments/${assignment.id}/submissions`)
+                .set(as(student)).field('submission_text', 'Water moved into the cells')).body;
+            await request(app).put(`/api/assignments/${assignment.id}/submissions/${submission.id}/grade`)
+                .set(as(teacher)).send({ score, feedback: `Scored ${score}` });
+
+            const { attempt } = (await request(app).post(`/api/exams/${exam.id}/attempts`).set(as(student))).body;
+            await request(app).post(`/api/exams/attempts/${attempt.id}/submit`).set(as(student))
+                .send({ answers: { [attempt.questions[0].id]: 'true' } });
+        }
+    });
+
+    afterAll(() => server.stop());
+
+    test('a guardian lists only their linked students', async () => {
+        const res = await request(app).get('/api/guardian/students').set(as(guardian));
+
+        expect(res.status).toBe(200);
+        expect(res.body.students.map(student => student.id)).toEqual([child.id]);
+    });
+
+    test('a linked student\'s progress is visible', async () => {
+        const assignments = await request(app).get(`/api/guardian/students/${child.id}/assignments`).set(as(guardian));
+        expect(assignments.status).toBe(200);
+        // The seeded Cell Biology assignments are listed too
+        expect(assignments.body.assignments.find(item => item.title === 'Osmosis lab report'))
+            .toMatchObject({ status: 'graded', score: 18, feedback: 'Scored 18' });
+
+        const exams = await request(app).get(`/api/guardian/students/${child.id}/exams`).set(as(guardian));
+        expect(exams.body.results).toEqual([expect.objectContaining({ title: 'Cell quiz', percentage: 100, passed: true })]);
+        // Scores only; the questions and answers stay private
+        expect(exams.body.results[0]).not.toHaveProperty('answers');
+        expect(exams.body.results[0]).not.toHaveProperty('questions');
+
+        for (const view of ['attendance', 'announcements']) {
+            expect((await request(app).get(`/api/guardian/students/${child.id}/${view}`).set(as(guardian))).status).toBe(200);
+        }
+    });
+
+    test('other students are out of reach', async () => {
+        for (const view of ['attendance', 'assignments', 'exams', 'announcements']) {
+            const res = await request(app).get(`/api/guardian/students/${otherStudent.id}/${view}`).set(as(guardian));
+            expect(res.status).toBe(404);
+        }
+    });
+
+    test('the rest of the API is closed to guardians', async () => {
+        for (const url of ['/api/exams', '/api/assignments', '/api/exams/1/attempts', '/api/announcements/feed']) {
+            const res = await request(app).get(url).set(as(guardian));
+            expect(res.status).toBe(403);
+            expect(res.body.error).toBe('Guardian accounts can only view their linked students');
+        }
+        expect((await request(app).get('/api/auth/me').set(as(guardian))).status).toBe(200);
+    });
+
+    test('only guardians use the guardian views', async () => {
+        const res = await request(app).get(`/api/guardian/students/${child.id}/assignments`).set(as(child));
+        expect(res.status).toBe(403);
+    });
+
+    test('only admins link students, and only students can be linked', async () => {
+        expect((await link([otherStudent.id], teacher)).status).toBe(403);
+        expect((await link([teacher.id])).status).toBe(400);
+    });
+
+    test('unlinking a student ends the access', async () => {
+        const unlinked = await request(app).delete(`/api/admin/guardians/${guardian.id}/students/${child.id}`).set(as(admin));
+        expect(unlinked.status).toBe(200);
+
+        const res = await request(app).get(`/api/guardian/students/${child.id}/assignments`).set(as(guardian));
+        expect(res.status).toBe(404);
+    });
+});
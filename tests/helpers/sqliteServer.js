@@ -0,0 +1,44 @@
+// Loads server-sqlite.js on a throwaway database for supertest. Each test file gets its own
+// copy of the server (Jest isolates modules per file), so call this once per file.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+function loadSqliteServer(name) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+    Object.assign(process.env, { SQLITE_DB_PATH: path.join(dir, 'platform.db'), JWT_SECRET: `${name}-secret` });
+
+    const { app, dbManager } = require('../../server-sqlite');
+
+    // Insert an approved, verified account. Most tests sign tokens directly (authHeader) and
+    // leave out the password; give one to log in through /api/auth/login.
+    const createUser = async ({ name: userName, role = 'student', grade = null, program = null, email, password }) => {
+        const result = await dbManager.run(
+            `INSERT INTO users (name, email, password_hash, role, grade, program, email_verified, status)
+             VALUES (?, ?, ?, ?, ?, ?, 1, 'approved')`,
+            [
+                userName, email || `${userName.toLowerCase().replace(/\W+/g, '.')}@example.com`,
+                password ? await bcrypt.hash(password, 4) : 'unused', role, grade, program
+            ]
+        );
+        return dbManager.get('SELECT * FROM users WHERE id = ?', [result.id]);
+    };
+
+    const authHeader = (user) => `Bearer ${jwt.sign({ userId: user.id, tv: user.token_version || 0 }, process.env.JWT_SECRET)}`;
+
+    return {
+        app,
+        dbManager,
+        createUser,
+        authHeader,
+        start: () => dbManager.initialize(),
+        async stop() {
+            await dbManager.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { loadSqliteServer };
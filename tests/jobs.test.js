@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../database/init');
+const { JobScheduler, parseWindow, inWindow } = require('../database/jobs');
+
+const HOUR = 60 * 60 * 1000;
+// Local time, as the windows are
+const at = (hours, minutes = 0) => new Date(2026, 2, 2, hours, minutes);
+
+describe('time windows', () => {
+    test('are parsed into minutes of the day', () => {
+        expect(parseWindow('02:00-05:30')).toEqual({ start: 120, end: 330, label: '02:00-05:30' });
+        expect(parseWindow(' 2:00 - 5:30 ')).toEqual({ start: 120, end: 330, label: '2:00-5:30' });
+        expect(parseWindow(null)).toBeNull();
+    });
+
+    test.each(['2-5', '02:00', '24:00-05:00', '02:60-05:00', 'nightly'])('refuse %p', (value) => {
+        expect(() => parseWindow(value)).toThrow(`Invalid time window "${value}"`);
+    });
+
+    test('include their start but not their end', () => {
+        const window = parseWindow('02:00-05:00');
+
+        expect(inWindow(window, at(2))).toBe(true);
+        expect(inWindow(window, at(4, 59))).toBe(true);
+        expect(inWindow(window, at(5))).toBe(false);
+        expect(inWindow(window, at(1, 59))).toBe(false);
+        expect(inWindow(null, at(12))).toBe(true);
+    });
+
+    test('may wrap past midnight', () => {
+        const window = parseWindow('22:00-02:00');
+
+        expect(inWindow(window, at(23))).toBe(true);
+        expect(inWindow(window, at(1))).toBe(true);
+        expect(inWindow(window, at(2))).toBe(false);
+        expect(inWindow(window, at(12))).toBe(false);
+    });
+});
+
+describe('JobScheduler', () => {
+    let root;
+    let db;
+    let scheduler;
+
+    beforeEach(async () => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+        db = new DatabaseManager(path.join(root, 'db.sqlite'));
+        await db.initialize();
+        scheduler = new JobScheduler(db);
+    });
+
+    afterEach(async () => {
+        scheduler.stop();
+        await db.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('refuses duplicate and incomplete jobs', () => {
+        scheduler.register('cleanup', { interval: HOUR, run: () => ({}) });
+
+        expect(() => scheduler.register('cleanup', { interval: HOUR, run: () => ({}) })).toThrow('already registered');
+        expect(() => scheduler.register('broken', { interval: 0, run: () => ({}) })).toThrow('needs an interval');
+        expect(() => scheduler.register('broken', { interval: HOUR })).toThrow('needs an interval');
+        expect(() => scheduler.register('broken', { interval: HOUR, window: 'later', run: () => ({}) })).toThrow('Invalid time window');
+    });
+
+    test('records a successful run with its result', async () => {
+        const admin = await db.run(`INSERT INTO users (name, email, password_hash, role) VALUES ('Site Admin', 'admin@example.com', 'x', 'admin')`);
+        scheduler.register('cleanup', { interval: HOUR, run: async ({ source }) => ({ removed: 3, source }) });
+
+        const run = await scheduler.runJob('cleanup', { requestedBy: admin.id });
+
+        expect(run).toMatchObject({ job: 'cleanup', source: 'manual', status: 'succeeded', result: { removed: 3, source: 'manual' }, error: null });
+        expect(run.started_at).toBeInstanceOf(Date);
+        expect(run.finished_at).toBeInstanceOf(Date);
+        expect((await scheduler.history())[0]).toMatchObject({ id: run.id, requested_by_name: 'Site Admin' });
+    });
+
+    test('records a failed run without throwing', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        scheduler.register('backup', { interval: HOUR, run: async () => { throw new Error('Disk full'); } });
+
+        const run = await scheduler.runJob('backup');
+
+        expect(run).toMatchObject({ status: 'failed', error: 'Disk full', result: null });
+        expect(scheduler.isRunning('backup')).toBe(false);
+        console.error.mockRestore();
+    });
+
+    test('runs a job only once at a time', async () => {
+        let finish;
+        scheduler.register('slow', { interval: HOUR, run: () => new Promise(resolve => { finish = resolve; }) });
+
+        const first = scheduler.runJob('slow');
+        await new Promise(resolve => setImmediate(resolve));
+        expect(scheduler.isRunning('slow')).toBe(true);
+        await expect(scheduler.runJob('slow')).rejects.toThrow('Job slow is already running');
+
+        while (!finish) await new Promise(resolve => setImmediate(resolve));
+        finish({ done: true });
+        expect((await first).status).toBe('succeeded');
+        await expect(scheduler.runJob('unknown')).rejects.toThrow('Unknown job: unknown');
+    });
+
+    test('a tick runs the jobs that are due', async () => {
+        const runs = [];
+        const record = (name) => async () => { runs.push(name); return {}; };
+        scheduler
+            .register('hourly', { interval: HOUR, run: record('hourly') })
+            .register('nightly', { interval: 24 * HOUR, window: '02:00-05:00', run: record('nightly') })
+            .register('disabled', { interval: HOUR, enabled: false, run: record('disabled') });
+
+        await scheduler.tick(at(12));
+        expect(runs).toEqual(['hourly']);
+
+        // Not due again until its interval has passed since it last started
+        scheduler.lastStarted.set('hourly', at(12));
+        await scheduler.tick(at(12, 30));
+        expect(runs).toEqual(['hourly']);
+
+        await scheduler.tick(at(3));
+        expect(runs).toEqual(['hourly', 'nightly']);
+    });
+
+    test('a scheduled run with nothing to do is not kept', async () => {
+        scheduler.register('idle', { interval: HOUR, run: async () => null });
+
+        expect(await scheduler.runJob('idle', { source: 'schedule' })).toBeNull();
+        expect(await scheduler.history()).toEqual([]);
+
+        // A manual run is always recorded
+        expect((await scheduler.runJob('idle')).result).toBeNull();
+        expect(await scheduler.history()).toHaveLength(1);
+    });
+
+    test('on start, runs cut short by a restart are failed and last starts restored', async () => {
+        await db.run(`INSERT INTO job_runs (job, source, started_at) VALUES ('backup', 'schedule', '2026-03-02 01:00:00')`);
+        scheduler.register('backup', { interval: 24 * HOUR, window: '02:00-05:00', run: async () => ({}) });
+
+        await scheduler.start();
+
+        expect((await scheduler.history({ job: 'backup' }))[0])
+            .toMatchObject({ status: 'failed', error: 'Interrupted by a server restart' });
+        expect(scheduler.lastStarted.get('backup')).toEqual(new Date('2026-03-02T01:00:00Z'));
+    });
+
+    test('status lists every job with its schedule and latest run', async () => {
+        scheduler
+            .register('backup', { description: 'Nightly backup', interval: 24 * HOUR, window: '02:00-05:00', run: async () => ({ files: 2 }) })
+            .register('cleanup', { interval: 30 * 60 * 1000, run: async () => ({}) })
+            .register('off', { interval: HOUR, enabled: false, run: async () => ({}) });
+        await scheduler.runJob('backup');
+
+        const [backup, cleanup, off] = await scheduler.status();
+
+        expect(backup).toMatchObject({
+            name: 'backup',
+            description: 'Nightly backup',
+            interval_minutes: 1440,
+            window: '02:00-05:00',
+            schedule: 'Every 24 hours, 02:00-05:00',
+            running: false,
+            last_run: expect.objectContaining({ status: 'succeeded', result: { files: 2 } })
+        });
+        expect(backup.next_due_at.getTime()).toBe(scheduler.lastStarted.get('backup').getTime() + 24 * HOUR);
+        expect(cleanup).toMatchObject({ schedule: 'Every 30 minutes', last_run: null });
+        expect(off).toMatchObject({ schedule: 'Every 1 hour', next_due_at: null });
+    });
+});
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../database/init');
+const {
+    LIBRARY_FOLDER_NAME,
+    parseLectureName,
+    matchCourse,
+    importLibrary,
+    formatImportReport
+} = require('../database/libraryImport');
+
+const COURSES = [
+    { id: 1, name: 'Biochemistry' },
+    { id: 2, name: 'Cell Biology' },
+    { id: 6, name: 'Cell Division' },
+    { id: 8, name: 'General Biology' }
+];
+
+describe('lecture names', () => {
+    test.each([
+        ['Biochemistry 2.docx', { topic: 'Biochemistry', part: 2 }],
+        ['The_Cell_1.pdf', { topic: 'The Cell', part: 1 }],
+        ['Cell Division - 12.pptx', { topic: 'Cell Division', part: 12 }],
+        ['Animal Behavior.pdf', { topic: 'Animal Behavior', part: null }],
+        ['Chapter 100.pdf', { topic: 'Chapter 100', part: null }]
+    ])('%s', (fileName, lecture) => {
+        expect(parseLectureName(fileName)).toEqual(lecture);
+    });
+});
+
+describe('matchCourse', () => {
+    test('matches the course name, an alias or a course named in the topic', () => {
+        expect(matchCourse('cell-division', COURSES).id).toBe(6);
+        expect(matchCourse('The Cell', COURSES).id).toBe(2);
+        expect(matchCourse('Biology', COURSES).id).toBe(8);
+        expect(matchCourse('Intro to Biochemistry', COURSES).id).toBe(1);
+    });
+
+    test('prefers the longest course name in the topic', () => {
+        expect(matchCourse('Cell Division review', [...COURSES, { id: 9, name: 'Cell' }]).id).toBe(6);
+    });
+
+    test('gives null when nothing matches', () => {
+        expect(matchCourse('Astronomy', COURSES)).toBeNull();
+        expect(matchCourse('Biochemistry2', COURSES)).toBeNull();
+    });
+});
+
+describe('importLibrary', () => {
+    let root;
+    let library;
+    let uploadDir;
+    let db;
+    let teacherId;
+
+    const write = (name, data) => fs.writeFileSync(path.join(library, name), data);
+    const run = (options = {}) => importLibrary(db, [library], { ownerId: teacherId, uploadDir, ...options });
+
+    beforeEach(async () => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'library-import-test-'));
+        library = path.join(root, 'WORD');
+        uploadDir = path.join(root, 'uploads');
+        fs.mkdirSync(library);
+
+        write('Biochemistry 2.docx', 'enzyme kinetics');
+        write('The Cell 1.pdf', 'organelles');
+        write('Biochemistry copy.docx', 'enzyme kinetics');
+        write('Astronomy.pdf', 'stars');
+        write('notes.txt', 'todo');
+        write('.DS_Store', '');
+        write('~$Biochemistry 2.docx', 'lock file');
+
+        db = new DatabaseManager(path.join(root, 'db.sqlite'));
+        await db.initialize();
+        ({ id: teacherId } = await db.run(
+            `INSERT INTO users (name, email, password_hash, role) VALUES ('Salma Teacher', 'salma@example.com', 'x', 'teacher')`
+        ));
+    });
+
+    afterEach(async () => {
+        await db.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('a dry run reports what would be imported and writes nothing', async () => {
+        const report = await run({ dryRun: true });
+
+        expect(report.imported).toEqual([
+            expect.objectContaining({ title: 'Biochemistry (Part 2)', course: 'Biochemistry', type: 'docx', material_id: null }),
+            expect.objectContaining({ title: 'The Cell (Part 1)', course: 'Cell Biology', type: 'pdf', material_id: null })
+        ]);
+        expect(report.skipped.map(item => item.reason)).toEqual([
+            'No course matches "Astronomy"',
+            expect.stringMatching(/^Same content as .*Biochemistry 2\.docx$/),
+            'Unsupported file type .txt'
+        ]);
+        expect(await db.get('SELECT COUNT(*) as count FROM materials WHERE owner_id = ?', [teacherId])).toEqual({ count: 0 });
+        expect(fs.existsSync(uploadDir)).toBe(false);
+    });
+
+    test('imports files as materials in the course\'s lecture notes folder', async () => {
+        const report = await run({ isPublic: true });
+        expect(report.imported).toHaveLength(2);
+        expect(report.failed).toEqual([]);
+
+        const materials = await db.query(
+            `SELECT m.*, f.name as folder_name, c.name as course_name FROM materials m
+             JOIN folders f ON m.folder_id = f.id JOIN courses c ON m.course_id = c.id
+             WHERE m.owner_id = ? ORDER BY m.id`,
+            [teacherId]
+        );
+        expect(materials.map(material => material.id)).toEqual(report.imported.map(item => item.material_id));
+        expect(materials[0]).toMatchObject({
+            title: 'Biochemistry (Part 2)',
+            file_name: 'Biochemistry 2.docx',
+            file_size: 15,
+            course_name: 'Biochemistry',
+            folder_name: LIBRARY_FOLDER_NAME,
+            grade: '12',
+            is_public: 1,
+            extraction_status: 'pending'
+        });
+
+        // Stored in the blob store, the copy in the owner's directory taken over
+        expect(materials[0].file_path.startsWith(path.join(uploadDir, 'blobs'))).toBe(true);
+        expect(fs.readFileSync(materials[0].file_path, 'utf8')).toBe('enzyme kinetics');
+        expect(fs.readdirSync(path.join(uploadDir, String(teacherId)))).toEqual([]);
+    });
+
+    test('files imported before are skipped, and new ones go into the same folder', async () => {
+        await run();
+        write('Cell 2.pdf', 'cell membrane');
+
+        const report = await run();
+
+        expect(report.imported.map(item => item.title)).toEqual(['Cell (Part 2)']);
+        expect(report.skipped.filter(item => item.reason.startsWith('Already imported as material'))).toHaveLength(3);
+        const folders = await db.query('SELECT course_id FROM folders WHERE owner_id = ? AND name = ?', [teacherId, LIBRARY_FOLDER_NAME]);
+        expect(folders.map(folder => folder.course_id).sort()).toEqual([1, 2]);
+    });
+
+    test('a missing directory is reported as failed', async () => {
+        const report = await importLibrary(db, [path.join(root, 'PDF'), library], { ownerId: teacherId, uploadDir, dryRun: true });
+
+        expect(report.failed).toEqual([{ file: path.join(root, 'PDF'), error: expect.stringContaining('ENOENT') }]);
+        expect(report.imported).toHaveLength(2);
+    });
+
+    test('the report summary lists every file', async () => {
+        const summary = formatImportReport(await run({ dryRun: true }));
+
+        expect(summary.split('\n')).toEqual([
+            'Would import:',
+            expect.stringMatching(/Biochemistry 2\.docx -> Biochemistry \/ Biochemistry \(Part 2\)$/),
+            expect.stringMatching(/The Cell 1\.pdf -> Cell Biology \/ The Cell \(Part 1\)$/),
+            'Skipped:',
+            expect.stringMatching(/Astronomy\.pdf: No course matches "Astronomy"$/),
+            expect.stringMatching(/Biochemistry copy\.docx: Same content as /),
+            expect.stringMatching(/notes\.txt: Unsupported file type \.txt$/),
+            '2 to import, 3 skipped, 0 failed'
+        ]);
+    });
+});
@@ -0,0 +1,143 @@
+// utils/loginThrottle.js and the login throttling on server-sqlite.js
+const request = require('supertest');
+const {
+    LOGIN_MAX_ATTEMPTS,
+    LOGIN_LOCKOUT_MINUTES,
+    LOGIN_IP_MAX_FAILURES,
+    retryDelaySeconds,
+    getAccountBlock,
+    getIpBlock,
+    lockoutUntil,
+    blockedResponse
+} = require('../utils/loginThrottle');
+const { loadSqliteServer } = require('./helpers/sqliteServer');
+
+const server = loadSqliteServer('login-throttle-test');
+const { app, dbManager, createUser, authHeader } = server;
+
+const NOW = Date.parse('2026-03-02T10:00:00Z');
+const secondsAgo = (seconds) => new Date(NOW - seconds * 1000);
+
+describe('account throttling', () => {
+    test('the first failures are free, then the wait doubles up to a minute', () => {
+        expect([0, 1, 2, 3, 4, 5, 8, 9, 20].map(retryDelaySeconds)).toEqual([0, 0, 0, 1, 2, 4, 32, 60, 60]);
+    });
+
+    test('an account waits out the delay after its latest failure', () => {
+        expect(getAccountBlock({ failures: 2, lastFailedAt: secondsAgo(0) }, NOW)).toBeNull();
+        expect(getAccountBlock({ failures: 5, lastFailedAt: secondsAgo(1) }, NOW)).toEqual({ locked: false, retryAfter: 3 });
+        expect(getAccountBlock({ failures: 5, lastFailedAt: secondsAgo(4) }, NOW)).toBeNull();
+    });
+
+    test('a locked account waits until the lock ends', () => {
+        const block = getAccountBlock({ failures: 0, lockedUntil: new Date(NOW + 90 * 1000) }, NOW);
+
+        expect(block).toEqual({ locked: true, retryAfter: 90 });
+        expect(getAccountBlock({ lockedUntil: secondsAgo(1) }, NOW)).toBeNull();
+        expect(lockoutUntil(NOW).getTime()).toBe(NOW + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+    });
+
+    test('an account without failures is never blocked', () => {
+        expect(getAccountBlock({}, NOW)).toBeNull();
+    });
+});
+
+describe('address throttling', () => {
+    test('blocks an address once it reaches the failure limit, until its oldest failure leaves the window', () => {
+        expect(getIpBlock({ failures: LOGIN_IP_MAX_FAILURES - 1, oldestFailureAt: secondsAgo(60) }, NOW)).toBeNull();
+        expect(getIpBlock({ failures: LOGIN_IP_MAX_FAILURES, oldestFailureAt: secondsAgo(60) }, NOW))
+            .toEqual({ locked: true, retryAfter: 14 * 60 });
+        // Never tells the client to retry right away
+        expect(getIpBlock({ failures: LOGIN_IP_MAX_FAILURES, oldestFailureAt: secondsAgo(20 * 60) }, NOW))
+            .toEqual({ locked: true, retryAfter: 1 });
+    });
+});
+
+describe('blockedResponse', () => {
+    test('describes a lockout in minutes and a delay in seconds', () => {
+        expect(blockedResponse({ locked: true, retryAfter: 61 })).toEqual({
+            error: 'Too many failed login attempts. Try again in 2 minutes.',
+            locked: true,
+            retryAfter: 61
+        });
+        expect(blockedResponse({ locked: false, retryAfter: 1 }, 'message').message)
+            .toBe('Too many failed login attempts. Wait 1 second before trying again.');
+    });
+});
+
+describe('login throttling', () => {
+    let admin;
+    const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+
+    beforeAll(async () => {
+        await server.start();
+        admin = await createUser({ name: 'Site Admin', role: 'admin' });
+    });
+
+    afterAll(() => server.stop());
+
+    test('repeated wrong passwords slow the account down', async () => {
+        const user = await createUser({ name: 'Mona Student', grade: '11', program: 'EST', password: 'secret1' });
+
+        for (let i = 0; i < 3; i++) {
+            expect((await login('mona.student@example.com', 'wrong-password')).status).toBe(400);
+        }
+        const counters = await dbManager.get('SELECT failed_login_attempts FROM users WHERE id = ?', [user.id]);
+        expect(counters.failed_login_attempts).toBe(3);
+
+        // Two more failures make a 4 second wait (long enough to outlast SQLite's whole-second timestamps)
+        await dbManager.run(
+            `UPDATE users SET failed_login_attempts = 5, last_failed_login = CURRENT_TIMESTAMP WHERE id = ?`,
+            [user.id]
+        );
+
+        // Even the right password waits out the delay
+        const res = await login('mona.student@example.com', 'secret1');
+        expect(res.status).toBe(429);
+        expect(res.body.locked).toBe(false);
+        expect([3, 4]).toContain(res.body.retryAfter);
+        expect(res.headers['retry-after']).toBe(String(res.body.retryAfter));
+    });
+
+    test('the account is locked after too many failures until an admin unlocks it', async () => {
+        const user = await createUser({ name: 'Omar Student', grade: '11', program: 'EST', password: 'secret1' });
+        await dbManager.run(
+            `UPDATE users SET failed_login_attempts = ?, last_failed_login = datetime('now', '-5 minutes') WHERE id = ?`,
+            [LOGIN_MAX_ATTEMPTS - 1, user.id]
+        );
+
+        const locked = await login('omar.student@example.com', 'wrong-password');
+        expect(locked.status).toBe(429);
+        expect(locked.body).toMatchObject({ locked: true, retryAfter: LOGIN_LOCKOUT_MINUTES * 60 });
+        expect((await login('omar.student@example.com', 'secret1')).status).toBe(429);
+
+        const event = await dbManager.get(`SELECT * FROM activity_logs WHERE action = 'account_locked' AND user_id = ?`, [user.id]);
+        expect(event).toBeTruthy();
+
+        await request(app).put(`/api/admin/users/${user.id}/unlock`).set('Authorization', authHeader(admin));
+        expect((await login('omar.student@example.com', 'secret1')).status).toBe(200);
+    });
+
+    test('an address with too many failures is blocked, for unknown accounts too', async () => {
+        await login('nobody@example.com', 'wrong-password');
+        const { ip_address: ip } = await dbManager.get(
+            `SELECT ip_address FROM login_attempts WHERE identifier = 'nobody@example.com'`
+        );
+        // Fill the window up to one failure short of the limit (the tests above failed a few times)
+        const { count } = await dbManager.get(
+            'SELECT COUNT(*) as count FROM login_attempts WHERE ip_address = ? AND succeeded = 0',
+            [ip]
+        );
+        for (let i = count; i < LOGIN_IP_MAX_FAILURES - 1; i++) {
+            await dbManager.run(
+                `INSERT INTO login_attempts (identifier, ip_address, succeeded) VALUES (?, ?, 0)`,
+                [`guess${i}@example.com`, ip]
+            );
+        }
+
+        expect((await login('nobody@example.com', 'wrong-password')).status).toBe(400);
+        const res = await login('site.admin@example.com', 'anything');
+        expect(res.status).toBe(429);
+        expect(res.body.locked).toBe(true);
+    });
+});
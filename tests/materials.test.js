@@ -0,0 +1,191 @@
+// Material file versions in routes/materials.js (the Mongo server's material routes), run on
+// the SQLite repository adapter
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+const sqlitePath = path.join(os.tmpdir(), `materials-test-${process.pid}.db`);
+Object.assign(process.env, { DB_DRIVER: 'sqlite', SQLITE_DB_PATH: sqlitePath, JWT_SECRET: 'materials-test-secret' });
+
+const repos = require('../repositories');
+const materialRoutes = require('../routes/materials');
+const { setTransport } = require('../utils/mailer');
+
+describe('material versions', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/materials', materialRoutes);
+
+    const accounts = {};
+    const sent = [];
+    const blobDirs = new Set();
+    const as = (name) => `Bearer ${jwt.sign({ userId: accounts[name]._id, tv: 0 }, process.env.JWT_SECRET)}`;
+    const uploadDir = (name) => path.join(__dirname, '..', 'uploads', String(accounts[name]._id));
+    const pdf = (text) => Buffer.from(`%PDF-1.4 ${text}`);
+
+    const createMaterial = (fields = {}) => request(app)
+        .post('/api/materials')
+        .set('Authorization', as('teacher'))
+        .field({ title: 'Krebs cycle', type: 'pdf', course: 'Cell Respiration', grade: '11', program: 'EST', isPublic: 'true', ...fields })
+        .attach('file', pdf('first draft'), { filename: 'krebs.pdf', contentType: 'application/pdf' });
+    const uploadVersion = (id, text, note, name = 'teacher') => request(app)
+        .post(`/api/materials/${id}/versions`)
+        .set('Authorization', as(name))
+        .field(note ? { note } : {})
+        .attach('file', pdf(text), { filename: 'krebs-v2.pdf', contentType: 'application/pdf' });
+    // The file of a download, as text
+    const download = async (url, name) => {
+        const res = await request(app).get(url).set('Authorization', as(name)).responseType('blob');
+        return res.status === 200 ? res.body.toString() : res.status;
+    };
+    // Update emails are sent in the background
+    const mailTo = async (email) => {
+        for (let i = 0; i < 100; i++) {
+            const message = sent.find(item => item.to === email);
+            if (message) return message;
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        throw new Error(`No mail to ${email}`);
+    };
+    const isUpdated = async (id) => (await request(app).get(`/api/materials/${id}`).set('Authorization', as('student'))).body.material.isUpdated;
+
+    beforeAll(async () => {
+        fs.rmSync(sqlitePath, { force: true });
+        await repos.connect();
+        setTransport({ sendMail: async (message) => { sent.push(message); return {}; } });
+        for (const [name, role] of [['teacher', 'teacher'], ['colleague', 'teacher'], ['student', 'student']]) {
+            accounts[name] = await repos.users.create({
+                name,
+                email: `${name}@example.com`,
+                password: 'secret1',
+                role,
+                emailVerified: true,
+                studentInfo: role === 'student' ? { grade: '11', program: 'EST' } : undefined
+            });
+        }
+    });
+
+    afterAll(async () => {
+        setTransport(null);
+        for (const name of Object.keys(accounts)) {
+            fs.rmSync(uploadDir(name), { recursive: true, force: true });
+        }
+        // The blob directories of the deleted materials' files, unless something else is stored there
+        for (const directory of [...blobDirs, path.join(__dirname, '..', 'uploads', 'blobs')]) {
+            try {
+                fs.rmdirSync(directory);
+            } catch (error) {
+                // Not empty, or already gone
+            }
+        }
+        await repos.disconnect();
+        fs.rmSync(sqlitePath, { force: true });
+    });
+
+    test('a new file keeps the old one as an earlier version and flags the students who had it', async () => {
+        const { material } = (await createMaterial()).body;
+        expect(await download(`/api/materials/${material._id}/download`, 'student')).toBe('%PDF-1.4 first draft');
+        expect(await isUpdated(material._id)).toBe(false);
+
+        const res = await uploadVersion(material._id, 'second draft', 'Added the electron transport chain');
+        expect(res.status).toBe(201);
+        expect(res.body.material.version).toBe(2);
+        expect(res.body.versions.map(({ version, current, note, fileName }) => ({ version, current, note, fileName }))).toEqual([
+            { version: 2, current: true, note: 'Added the electron transport chain', fileName: 'krebs-v2.pdf' },
+            { version: 1, current: false, note: null, fileName: 'krebs.pdf' }
+        ]);
+        expect(res.body.versions[0]).not.toHaveProperty('filePath');
+
+        // The student who downloaded version 1 is told, by email and on the material
+        expect((await mailTo('student@example.com')).subject).toBe('Updated: Krebs cycle');
+        expect(await isUpdated(material._id)).toBe(true);
+        expect(await download(`/api/materials/${material._id}/download`, 'student')).toBe('%PDF-1.4 second draft');
+        expect(await isUpdated(material._id)).toBe(false);
+
+        // Views and downloads carry over to the new version
+        const stored = await repos.materials.findById(material._id);
+        expect(stored.downloadCount).toBe(2);
+    });
+
+    test('earlier versions can be listed and downloaded by teachers with access', async () => {
+        const { material } = (await createMaterial()).body;
+        await uploadVersion(material._id, 'second draft');
+
+        const list = await request(app).get(`/api/materials/${material._id}/versions`).set('Authorization', as('teacher'));
+        expect(list.body.version).toBe(2);
+        expect(list.body.versions.map(version => version.version)).toEqual([2, 1]);
+
+        expect(await download(`/api/materials/${material._id}/versions/1/download`, 'teacher')).toBe('%PDF-1.4 first draft');
+        expect(await download(`/api/materials/${material._id}/versions/3/download`, 'teacher')).toBe(404);
+        expect(await download(`/api/materials/${material._id}/versions/1/download`, 'colleague')).toBe(404);
+        expect(await download(`/api/materials/${material._id}/versions/1/download`, 'student')).toBe(403);
+    });
+
+    test('rolling back restores an earlier file as a new version', async () => {
+        const { material } = (await createMaterial()).body;
+        await uploadVersion(material._id, 'second draft');
+        const rollback = (version) => request(app)
+            .post(`/api/materials/${material._id}/versions/${version}/rollback`)
+            .set('Authorization', as('teacher'));
+
+        const res = await rollback(1);
+        expect(res.status).toBe(200);
+        expect(res.body.message).toBe('Version 1 restored as version 3');
+        expect(res.body.versions.map(({ version, note }) => [version, note || null])).toEqual([
+            [3, 'Restored version 1'],
+            [2, null],
+            [1, null]
+        ]);
+        expect(await download(`/api/materials/${material._id}/download`, 'teacher')).toBe('%PDF-1.4 first draft');
+
+        expect((await rollback(3)).status).toBe(400);
+        expect((await rollback(7)).status).toBe(404);
+    });
+
+    test('deleting the material deletes the files of every version', async () => {
+        const { material } = (await createMaterial()).body;
+        await uploadVersion(material._id, 'third draft');
+        await request(app).post(`/api/materials/${material._id}/versions/1/rollback`).set('Authorization', as('teacher'));
+        const stored = await repos.materials.findById(material._id);
+        const files = [stored.filePath, ...stored.versions.map(version => version.filePath)];
+        // Versions 1 and 3 share a file
+        expect(new Set(files).size).toBe(2);
+        files.forEach(file => blobDirs.add(path.dirname(file)));
+
+        // The first draft is still used by the materials of the tests above
+        const res = await request(app).delete(`/api/materials/${material._id}`).set('Authorization', as('teacher'));
+        expect(res.status).toBe(200);
+        expect(fs.existsSync(stored.filePath)).toBe(true);
+        expect(fs.existsSync(files.find(file => file !== stored.filePath))).toBe(false);
+    });
+
+    test('links have no file to replace, and refused uploads are not kept', async () => {
+        const link = (await request(app).post('/api/materials').set('Authorization', as('teacher')).send({
+            title: 'Krebs cycle animation', type: 'link', url: 'https://example.com/krebs', course: 'Cell Respiration', grade: '11', program: 'EST'
+        })).body.material;
+        const before = fs.readdirSync(uploadDir('teacher'));
+
+        const res = await uploadVersion(link._id, 'not for a link');
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Links have no file to replace');
+        expect((await uploadVersion(link._id, 'not allowed', null, 'colleague')).status).toBe(404);
+        expect(fs.readdirSync(uploadDir('teacher'))).toEqual(before);
+        expect(fs.existsSync(uploadDir('colleague')) ? fs.readdirSync(uploadDir('colleague')) : []).toEqual([]);
+    });
+
+    test('deleting every material leaves no stored files behind', async () => {
+        const files = (await repos.materials.find({ owner: accounts.teacher._id }))
+            .flatMap(material => [material.filePath, ...(material.versions || []).map(version => version.filePath)])
+            .filter(Boolean);
+        expect(files.length).toBeGreaterThan(0);
+        files.forEach(file => blobDirs.add(path.dirname(file)));
+
+        for (const material of await repos.materials.find({ owner: accounts.teacher._id })) {
+            await request(app).delete(`/api/materials/${material._id}`).set('Authorization', as('teacher'));
+        }
+        expect(files.filter(file => fs.existsSync(file))).toEqual([]);
+    });
+});
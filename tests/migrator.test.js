@@ -0,0 +1,200 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../database/init');
+const Migrator = require('../database/migrator');
+
+describe('migrator', () => {
+    let root;
+    let directory;
+    let db;
+
+    const write = (file, sql) => fs.writeFileSync(path.join(directory, file), sql);
+    const tables = async () => (await db.query(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+    )).map(row => row.name);
+
+    beforeEach(async () => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'migrator-test-'));
+        directory = path.join(root, 'migrations');
+        fs.mkdirSync(directory);
+        write('001_initial.up.sql', 'CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);');
+        write('001_initial.down.sql', 'DROP TABLE users;');
+        write('002_courses.up.sql', 'CREATE TABLE courses (id INTEGER PRIMARY KEY, teacher_id INTEGER REFERENCES users(id));');
+        write('002_courses.down.sql', 'DROP TABLE courses;');
+        write('010_notes.up.sql', 'CREATE TABLE notes (id INTEGER PRIMARY KEY);');
+        write('010_notes.down.sql', 'DROP TABLE notes;');
+        write('README.md', 'Not a migration');
+
+        db = new DatabaseManager(path.join(root, 'db.sqlite'));
+        await db.connect();
+        await db.run('PRAGMA foreign_keys = ON');
+    });
+
+    afterEach(async () => {
+        await db.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    describe('list', () => {
+        test('pairs up and down files in version order', () => {
+            const list = new Migrator(db, directory).list();
+
+            expect(list.map(migration => [migration.version, migration.name])).toEqual([
+                [1, '001_initial'],
+                [2, '002_courses'],
+                [10, '010_notes']
+            ]);
+            expect(list[0].down).toBe(path.join(directory, '001_initial.down.sql'));
+        });
+
+        test('refuses two migrations with the same version', () => {
+            write('002_other.up.sql', 'SELECT 1;');
+
+            expect(() => new Migrator(db, directory).list()).toThrow('have the same version');
+        });
+
+        test('refuses a migration without an up file', () => {
+            write('011_half.down.sql', 'SELECT 1;');
+
+            expect(() => new Migrator(db, directory).list()).toThrow('Migration 011_half has no .up.sql file');
+        });
+    });
+
+    describe('migrate', () => {
+        test('applies pending migrations once and records them', async () => {
+            const migrator = new Migrator(db, directory);
+
+            expect(await migrator.migrate()).toEqual(['001_initial', '002_courses', '010_notes']);
+            expect(await tables()).toEqual(['courses', 'notes', 'schema_version', 'users']);
+            expect(await migrator.currentVersion()).toBe(10);
+
+            expect(await migrator.migrate()).toEqual([]);
+            const rows = await db.query('SELECT version, checksum FROM schema_version');
+            expect(rows.map(row => row.version)).toEqual([1, 2, 10]);
+            rows.forEach(row => expect(row.checksum).toMatch(/^[0-9a-f]{64}$/));
+        });
+
+        test('stops at the requested version', async () => {
+            const migrator = new Migrator(db, directory);
+
+            expect(await migrator.migrate({ to: 2 })).toEqual(['001_initial', '002_courses']);
+            expect(await migrator.currentVersion()).toBe(2);
+            expect(await migrator.migrate()).toEqual(['010_notes']);
+        });
+
+        test('a dry run changes nothing', async () => {
+            const migrator = new Migrator(db, directory);
+
+            expect(await migrator.migrate({ dryRun: true })).toEqual(['001_initial', '002_courses', '010_notes']);
+            expect(await tables()).toEqual([]);
+        });
+
+        test('a failing migration is rolled back and not recorded', async () => {
+            write('011_broken.up.sql', 'CREATE TABLE half_done (id INTEGER); INSERT INTO missing_table VALUES (1);');
+            const migrator = new Migrator(db, directory);
+
+            await expect(migrator.migrate()).rejects.toThrow('missing_table');
+            expect(await tables()).not.toContain('half_done');
+            expect(await migrator.currentVersion()).toBe(10);
+        });
+
+        test('a foreign-keys-off migration is refused if it leaves violations', async () => {
+            const migrator = new Migrator(db, directory);
+            await migrator.migrate();
+            write('011_rebuild.up.sql', `-- migrator: foreign-keys-off
+                INSERT INTO courses (id, teacher_id) VALUES (1, 99);`);
+
+            await expect(migrator.migrate()).rejects.toThrow('Migration leaves 1 foreign key violation(s) in courses');
+            expect(await db.query('SELECT * FROM courses')).toEqual([]);
+            expect((await db.get('PRAGMA foreign_keys')).foreign_keys).toBe(1);
+        });
+    });
+
+    describe('rollback', () => {
+        test('reverts the last migrations', async () => {
+            const migrator = new Migrator(db, directory);
+            await migrator.migrate();
+
+            expect(await migrator.rollback()).toEqual(['010_notes']);
+            expect(await migrator.rollback({ to: 0 })).toEqual(['002_courses', '001_initial']);
+            expect(await tables()).toEqual(['schema_version']);
+            expect(await migrator.currentVersion()).toBe(0);
+        });
+
+        test('a dry run changes nothing', async () => {
+            const migrator = new Migrator(db, directory);
+            await migrator.migrate();
+
+            expect(await migrator.rollback({ steps: 2, dryRun: true })).toEqual(['010_notes', '002_courses']);
+            expect(await tables()).toEqual(['courses', 'notes', 'schema_version', 'users']);
+            expect(await migrator.currentVersion()).toBe(10);
+        });
+
+        test('refuses a migration without a down file', async () => {
+            fs.unlinkSync(path.join(directory, '010_notes.down.sql'));
+            const migrator = new Migrator(db, directory);
+            await migrator.migrate();
+
+            await expect(migrator.rollback()).rejects.toThrow('Migration 010_notes cannot be reverted');
+            expect(await migrator.currentVersion()).toBe(10);
+        });
+    });
+
+    describe('status', () => {
+        test('reports applied, modified and reversible migrations', async () => {
+            fs.unlinkSync(path.join(directory, '010_notes.down.sql'));
+            const migrator = new Migrator(db, directory);
+            await migrator.migrate({ to: 2 });
+            write('002_courses.up.sql', 'CREATE TABLE courses (id INTEGER PRIMARY KEY, title TEXT);');
+
+            const status = await migrator.status();
+            expect(status.map(({ name, applied, modified, reversible }) => ({ name, applied, modified, reversible }))).toEqual([
+                { name: '001_initial', applied: true, modified: false, reversible: true },
+                { name: '002_courses', applied: true, modified: true, reversible: true },
+                { name: '010_notes', applied: false, modified: false, reversible: false }
+            ]);
+            expect(status[0].appliedAt).toBeTruthy();
+        });
+    });
+
+    describe('databases from before migrations', () => {
+        test('are recorded at the baseline migration and brought up to date', async () => {
+            await db.exec('CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT)');
+            const migrator = new Migrator(db, directory);
+
+            // Reading the status leaves the database alone
+            expect(await migrator.currentVersion()).toBe(1);
+            expect(await tables()).toEqual(['users']);
+
+            expect(await migrator.migrate()).toEqual(['002_courses', '010_notes']);
+            expect(await db.get('SELECT name, checksum FROM schema_version WHERE version = 1'))
+                .toEqual({ name: '001_initial', checksum: null });
+        });
+
+        test('are refused when they already have tables of later migrations', async () => {
+            await db.exec('CREATE TABLE users (id INTEGER PRIMARY KEY); CREATE TABLE courses (id INTEGER PRIMARY KEY);');
+
+            await expect(new Migrator(db, directory).migrate())
+                .rejects.toThrow('does not match migration 001 (already has courses)');
+            expect(await tables()).toEqual(['courses', 'users']);
+        });
+
+        test('are refused when they miss tables of the baseline', async () => {
+            write('001_initial.up.sql', 'CREATE TABLE users (id INTEGER PRIMARY KEY); CREATE TABLE IF NOT EXISTS roles (id INTEGER);');
+            await db.exec('CREATE TABLE users (id INTEGER PRIMARY KEY)');
+
+            await expect(new Migrator(db, directory).currentVersion()).rejects.toThrow('(missing roles)');
+        });
+    });
+
+    test('the platform migrations apply, revert and apply again', async () => {
+        const migrator = new Migrator(db);
+        const names = migrator.list().map(migration => migration.name);
+
+        expect(await migrator.migrate()).toEqual(names);
+        expect(await migrator.rollback({ to: 0 })).toEqual([...names].reverse());
+        expect(await tables()).toEqual(['schema_version']);
+        expect(await migrator.migrate()).toEqual(names);
+    });
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { readPdfLines } = require('../utils/pdf');
+
+// The lecture notes in PDF/ were exported from Word; encrypted.pdf was saved with a password
+// (AES-256) by pdf-lib
+const sample = (name) => fs.readFileSync(path.join(__dirname, '..', 'PDF', name));
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'documents', name));
+
+const pageText = (page) => page.map(line => line.text).join('\n');
+
+describe('readPdfLines', () => {
+    test('reads every page with its lines and font sizes', () => {
+        const { pageCount, pages } = readPdfLines(sample('Animal Behavior.pdf'));
+
+        expect(pageCount).toBe(7);
+        expect(pages).toHaveLength(7);
+        expect(pages[0].slice(0, 3)).toEqual([
+            { text: 'Animal Behavior', size: expect.closeTo(25.944, 2) },
+            { text: 'Fixed Action Pattern (Niko Tinbergen)', size: expect.closeTo(21.96, 2) },
+            { text: 'A fixed action pattern (FAP) is an innate, highly stereotypical behavior that,', size: expect.closeTo(14.04, 2) }
+        ]);
+    });
+
+    test('pages without text, such as a full-page picture, are empty', () => {
+        const { pages } = readPdfLines(sample('Animal Behavior.pdf'));
+        expect(pages[6]).toEqual([]);
+    });
+
+    test('reads the text of every page', () => {
+        const { pageCount, pages } = readPdfLines(sample('Biochemistry 1.pdf'));
+
+        expect(pageCount).toBe(10);
+        expect(pages.every(page => page.length > 0)).toBe(true);
+        expect(pageText(pages[0])).toContain('An atom is made up of three subatomic particles: protons, neutrons, and');
+    });
+
+    test('rejects encrypted files', () => {
+        expect(() => readPdfLines(fixture('encrypted.pdf'))).toThrow('Encrypted PDFs are not supported');
+    });
+
+    test('rejects files that are not PDFs', () => {
+        expect(() => readPdfLines(fs.readFileSync(path.join(__dirname, '..', 'WORD', 'Animal Behavior.docx')))).toThrow('Not a PDF file');
+        expect(() => readPdfLines(Buffer.alloc(0))).toThrow('Not a PDF file');
+    });
+
+    test('reads what is left of a truncated file', () => {
+        const data = sample('Animal Behavior.pdf');
+        const { pages } = readPdfLines(data.subarray(0, Math.floor(data.length / 10)));
+
+        expect(pageText(pages[0])).toContain('Fixed Action Pattern (Niko Tinbergen)');
+    });
+
+    test('skips a damaged content stream and reads the other pages', () => {
+        const data = Buffer.from(sample('Animal Behavior.pdf'));
+        // Scramble the middle of the first page's content stream (object 4)
+        const start = data.indexOf('stream', data.indexOf('4 0 obj')) + 200;
+        for (let i = start; i < start + 50; i++) data[i] ^= 0x55;
+
+        const { pageCount, pages } = readPdfLines(data);
+        expect(pageCount).toBe(7);
+        expect(pages[0]).toEqual([]);
+        expect(pageText(pages[1]).length).toBeGreaterThan(0);
+    });
+
+    test('a PDF header followed by garbage has no pages', () => {
+        const data = Buffer.concat([Buffer.from('%PDF-1.4\n'), Buffer.alloc(2000, 0xa7)]);
+        expect(readPdfLines(data)).toEqual({ pageCount: 0, pages: [] });
+    });
+
+    test('a page tree that refers back to itself is read once', () => {
+        const data = Buffer.from([
+            '%PDF-1.4',
+            '1 0 obj <</Type/Catalog/Pages 2 0 R>> endobj',
+            '2 0 obj <</Type/Pages/Kids[2 0 R 3 0 R]>> endobj',
+            '3 0 obj <</Type/Page/Parent 2 0 R>> endobj',
+            ''
+        ].join('\n'));
+        expect(readPdfLines(data)).toEqual({ pageCount: 1, pages: [[]] });
+    });
+});
@@ -0,0 +1,96 @@
+// Question bank and blueprint exams on server-sqlite.js
+const request = require('supertest');
+const { loadSqliteServer } = require('./helpers/sqliteServer');
+
+const server = loadSqliteServer('question-bank-test');
+const { app, createUser, authHeader } = server;
+
+describe('blueprint exams', () => {
+    let teacher;
+    let otherTeacher;
+    let exam;
+
+    const as = (user) => ({ Authorization: authHeader(user) });
+    const addToBank = (fields) => request(app).post('/api/question-bank').set(as(teacher)).send({
+        course: 'Cell Biology',
+        type: 'true_false',
+        correct_answer: 'true',
+        ...fields
+    });
+    const saveBlueprint = (rules, user = teacher) => request(app).put(`/api/exams/${exam.id}/blueprint`).set(as(user)).send({ rules });
+
+    beforeAll(async () => {
+        await server.start();
+        teacher = await createUser({ name: 'Salma Teacher', role: 'teacher' });
+        otherTeacher = await createUser({ name: 'Karim Teacher', role: 'teacher' });
+
+        for (let i = 1; i <= 4; i++) {
+            expect((await addToBank({ topic: 'Mitosis', difficulty: 'easy', question_text: `Mitosis fact ${i}` })).status).toBe(201);
+        }
+        for (let i = 1; i <= 2; i++) {
+            await addToBank({ topic: 'Meiosis', difficulty: 'hard', question_text: `Meiosis fact ${i}`, program: 'ACT' });
+        }
+
+        exam = (await request(app).post('/api/exams').set(as(teacher))
+            .send({ title: 'Cell division', course_id: 2, duration: 30, grade: '11' })).body.exam;
+    });
+
+    afterAll(() => server.stop());
+
+    test('bank questions are validated like exam questions', async () => {
+        const res = await addToBank({ topic: 'Mitosis', question_text: 'Broken', correct_answer: 'perhaps' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Correct answer must be true or false');
+    });
+
+    test('a blueprint the bank cannot fill is refused', async () => {
+        const res = await saveBlueprint([{ topic: 'Mitosis', count: 5 }]);
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/Not enough questions in the bank for 5 × Mitosis/);
+    });
+
+    test('only the exam owner can change its blueprint', async () => {
+        expect((await saveBlueprint([{ topic: 'Mitosis', count: 1 }], otherTeacher)).status).toBe(404);
+    });
+
+    test('each student is served a paper drawn by the rules', async () => {
+        const saved = await saveBlueprint([
+            { topic: 'mitosis', difficulty: 'easy', count: 3 },
+            { topic: 'Meiosis', count: 1 }
+        ]);
+        expect(saved.status).toBe(200);
+        expect(saved.body).toMatchObject({ assembly: 'blueprint', question_count: 4 });
+
+        const blueprint = await request(app).get(`/api/exams/${exam.id}/blueprint`).set(as(teacher));
+        expect(blueprint.body.rules.map(rule => rule.available)).toEqual([4, 2]);
+
+        // The blueprint's questions count towards publishing
+        const published = await request(app).put(`/api/exams/${exam.id}`).set(as(teacher)).send({ is_published: true });
+        expect(published.status).toBe(200);
+
+        const student = await createUser({ name: 'Mona Student', grade: '11', program: 'ACT' });
+        const { attempt } = (await request(app).post(`/api/exams/${exam.id}/attempts`).set(as(student))).body;
+        const texts = attempt.questions.map(question => question.question_text);
+
+        expect(texts).toHaveLength(4);
+        expect(new Set(texts).size).toBe(4);
+        expect(texts.filter(text => text.startsWith('Mitosis'))).toHaveLength(3);
+        expect(texts.filter(text => text.startsWith('Meiosis'))).toHaveLength(1);
+    });
+
+    test('students only draw questions written for their program', async () => {
+        const student = await createUser({ name: 'Omar Student', grade: '11', program: 'EST' });
+
+        const res = await request(app).post(`/api/exams/${exam.id}/attempts`).set(as(student));
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/Not enough questions in the bank for 1 × Meiosis/);
+    });
+
+    test('an empty blueprint switches the exam back to its fixed questions', async () => {
+        const res = await saveBlueprint([]);
+
+        expect(res.body).toMatchObject({ assembly: 'fixed', question_count: 0 });
+    });
+});
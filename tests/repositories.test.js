@@ -0,0 +1,324 @@
+// The same repository cases run against the SQLite adapter and the Mongo adapter, so the
+// routes in routes/ behave the same whichever DB_DRIVER is chosen.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const sqlitePath = path.join(os.tmpdir(), `repositories-test-${process.pid}.db`);
+
+const DRIVERS = [
+    ['sqlite', { DB_DRIVER: 'sqlite', SQLITE_DB_PATH: sqlitePath }],
+    ['mongo', process.env.MONGODB_TEST_URI && { DB_DRIVER: 'mongo', MONGODB_URI: process.env.MONGODB_TEST_URI }]
+];
+
+for (const [driver, env] of DRIVERS) {
+    // Without a MongoDB to connect to the Mongo cases are skipped; tests/setup/mongoServer.js
+    // fails the run in CI instead, unless SKIP_MONGO_TESTS=1
+    const suite = env ? describe : describe.skip;
+
+    suite(`${driver} adapter`, () => {
+        let repos;
+        let teacher;
+        let student;
+        let folder;
+
+        // Unique per test, so cases don't see each other's records
+        let sequence = 0;
+        const unique = (prefix) => `${prefix}-${++sequence}-${Date.now()}`;
+
+        const createMaterial = (data = {}) => repos.materials.create({
+            title: unique('Material'),
+            type: 'pdf',
+            fileName: 'notes.pdf',
+            filePath: '/uploads/notes.pdf',
+            fileSize: 1024,
+            folder: folder._id,
+            owner: teacher._id,
+            course: 'Cell Biology',
+            grade: '11',
+            program: 'EST',
+            ...data
+        });
+
+        beforeAll(async () => {
+            fs.rmSync(sqlitePath, { force: true });
+            Object.assign(process.env, env);
+            jest.isolateModules(() => {
+                repos = require('../repositories');
+            });
+            await repos.connect();
+
+            teacher = await repos.users.create({ name: 'Teacher', email: `${unique('teacher')}@example.com`, password: 'secret1', role: 'teacher' });
+            student = await repos.users.create({
+                name: 'Student',
+                email: `${unique('student')}@example.com`,
+                password: 'secret1',
+                role: 'student',
+                studentInfo: { grade: '11', program: 'EST' }
+            });
+            folder = await repos.folders.create({ name: 'Cells', course: 'Cell Biology', grade: '11', program: 'EST', owner: teacher._id });
+        });
+
+        afterAll(async () => {
+            if (repos) await repos.disconnect();
+            fs.rmSync(sqlitePath, { force: true });
+        });
+
+        describe('CRUD', () => {
+            test('create stores a record and findById loads it', async () => {
+                const user = await repos.users.create({ name: 'Ada', email: `${unique('ada')}@example.com`, password: 'secret1', role: 'student' });
+
+                const loaded = await repos.users.findById(user._id);
+                expect(loaded.name).toBe('Ada');
+                expect(loaded.role).toBe('student');
+                expect(repos.sameId(loaded, user._id)).toBe(true);
+            });
+
+            test('create runs the entity hooks', async () => {
+                const user = await repos.users.create({ name: 'Hash', email: `${unique('hash')}@example.com`, password: 'secret1', role: 'student' });
+                const loaded = await repos.users.findById(user._id);
+
+                expect(loaded.password).not.toBe('secret1');
+                expect(await repos.users.comparePassword(loaded, 'secret1')).toBe(true);
+                expect(await repos.users.comparePassword(loaded, 'wrong')).toBe(false);
+                expect(JSON.parse(JSON.stringify(loaded)).password).toBeUndefined();
+            });
+
+            test('findOne, count and updateById', async () => {
+                const email = `${unique('count')}@example.com`;
+                const user = await repos.users.create({ name: 'Before', email, password: 'secret1', role: 'student' });
+
+                expect(await repos.users.count({ email })).toBe(1);
+                expect(await repos.users.updateById(user._id, { name: 'After' })).toBe(true);
+                expect((await repos.users.findOne({ email })).name).toBe('After');
+            });
+
+            test('deleteById removes the record', async () => {
+                const user = await repos.users.create({ name: 'Gone', email: `${unique('gone')}@example.com`, password: 'secret1', role: 'student' });
+
+                expect(await repos.users.deleteById(user._id)).toBe(true);
+                expect(await repos.users.findById(user._id)).toBeNull();
+                expect(await repos.users.deleteById(user._id)).toBe(false);
+            });
+
+            test('invalid ids find nothing', async () => {
+                expect(repos.isValidId('not an id')).toBe(false);
+                expect(await repos.users.findById('not an id')).toBeNull();
+                expect(await repos.users.updateById('not an id', { name: 'x' })).toBe(false);
+            });
+
+            test('findOneAndUpdate applies $inc and returns the new state', async () => {
+                const material = await createMaterial({ viewCount: 2 });
+
+                const updated = await repos.materials.findOneAndUpdate(
+                    { _id: material._id },
+                    { $inc: { viewCount: 3 } },
+                    { select: 'viewCount' }
+                );
+                expect(updated.viewCount).toBe(5);
+                expect(await repos.materials.findOneAndUpdate({ title: unique('missing') }, { $inc: { viewCount: 1 } })).toBeNull();
+            });
+
+            test('updateMany and deleteMany report how many records they touched', async () => {
+                const tag = unique('batch');
+                await Promise.all([1, 2, 3].map(() => createMaterial({ tags: [tag] })));
+
+                expect(await repos.materials.updateMany({ tags: tag }, { $set: { priority: 'high' } })).toBe(3);
+                expect(await repos.materials.count({ tags: tag, priority: 'high' })).toBe(3);
+                expect(await repos.materials.deleteMany({ tags: tag })).toBe(3);
+                expect(await repos.materials.count({ tags: tag })).toBe(0);
+            });
+        });
+
+        describe('query operators', () => {
+            let tag;
+            let materials;
+
+            beforeAll(async () => {
+                tag = unique('query');
+                materials = [
+                    await createMaterial({ title: 'Mitosis notes', type: 'pdf', viewCount: 1, tags: [tag, 'mitosis'] }),
+                    await createMaterial({ title: 'Meiosis slides', type: 'pptx', viewCount: 5, tags: [tag], dueDate: new Date('2030-01-15T00:00:00Z') }),
+                    await createMaterial({ title: 'Cell cycle video', type: 'video', viewCount: 9, tags: [tag], sharedWith: [{ user: student._id, permission: 'read' }] })
+                ];
+            });
+
+            const titles = async (filter, options = {}) => (await repos.materials.find({ $and: [{ tags: tag }, filter] }, { sort: { title: 1 }, ...options }))
+                .map(material => material.title);
+
+            test('equality, $in, $nin and $ne', async () => {
+                expect(await titles({ type: 'pdf' })).toEqual(['Mitosis notes']);
+                expect(await titles({ type: { $in: ['pdf', 'video'] } })).toEqual(['Cell cycle video', 'Mitosis notes']);
+                expect(await titles({ type: { $nin: ['pdf', 'video'] } })).toEqual(['Meiosis slides']);
+                expect(await titles({ type: { $ne: 'pdf' } })).toEqual(['Cell cycle video', 'Meiosis slides']);
+            });
+
+            test('$gt, $gte, $lt and $lte', async () => {
+                expect(await titles({ viewCount: { $gt: 1 } })).toEqual(['Cell cycle video', 'Meiosis slides']);
+                expect(await titles({ viewCount: { $gte: 5, $lt: 9 } })).toEqual(['Meiosis slides']);
+                expect(await titles({ viewCount: { $lte: 1 } })).toEqual(['Mitosis notes']);
+                expect(await titles({ dueDate: { $gt: new Date('2030-01-01T00:00:00Z') } })).toEqual(['Meiosis slides']);
+            });
+
+            test('$exists', async () => {
+                expect(await titles({ dueDate: { $exists: true } })).toEqual(['Meiosis slides']);
+                expect(await titles({ dueDate: { $exists: false } })).toEqual(['Cell cycle video', 'Mitosis notes']);
+            });
+
+            test('$regex with options', async () => {
+                expect(await titles({ title: { $regex: 'OSIS', $options: 'i' } })).toEqual(['Meiosis slides', 'Mitosis notes']);
+                expect(await titles({ title: { $regex: 'video$' } })).toEqual(['Cell cycle video']);
+            });
+
+            test('$or and $and', async () => {
+                expect(await titles({ $or: [{ type: 'pdf' }, { viewCount: 9 }] })).toEqual(['Cell cycle video', 'Mitosis notes']);
+                expect(await titles({ $and: [{ viewCount: { $gt: 1 } }, { type: 'pptx' }] })).toEqual(['Meiosis slides']);
+            });
+
+            test('dotted paths into arrays', async () => {
+                expect(await titles({ 'sharedWith.user': student._id })).toEqual(['Cell cycle video']);
+                expect(await titles({ tags: 'mitosis' })).toEqual(['Mitosis notes']);
+            });
+
+            test('sort, skip, limit and select', async () => {
+                const found = await repos.materials.find({ tags: tag }, { sort: { viewCount: -1 }, skip: 1, limit: 1, select: 'title viewCount' });
+
+                expect(found).toHaveLength(1);
+                expect(found[0].title).toBe('Meiosis slides');
+                expect(found[0].viewCount).toBe(5);
+                expect(found[0].fileName).toBeUndefined();
+            });
+
+            test('distinct and group', async () => {
+                expect((await repos.materials.distinct('type', { tags: tag })).sort()).toEqual(['pdf', 'pptx', 'video']);
+
+                const [totals] = await repos.materials.group({ tags: tag }, { count: 'count', sum: { views: 'viewCount' } });
+                expect(totals.count).toBe(3);
+                expect(totals.views).toBe(15);
+            });
+
+            test('group sums a field over array elements', async () => {
+                const versionTag = unique('versions');
+                const versions = [
+                    { version: 1, fileName: 'v1.pdf', filePath: '/uploads/v1.pdf', fileSize: 100, uploadedBy: teacher._id, uploadedAt: new Date() },
+                    { version: 2, fileName: 'v2.pdf', filePath: '/uploads/v2.pdf', fileSize: 200, uploadedBy: teacher._id, uploadedAt: new Date() }
+                ];
+                const versioned = [await createMaterial({ tags: [versionTag], versions }), await createMaterial({ tags: [versionTag] })];
+
+                const [totals] = await repos.materials.group({ tags: versionTag }, { sum: { current: 'fileSize', versions: { total: 'versions.fileSize' } } });
+                expect(totals).toEqual({ _id: null, current: 2048, versions: 300 });
+
+                await repos.materials.deleteMany({ _id: { $in: versioned.map(material => material._id) } });
+            });
+
+            afterAll(() => repos.materials.deleteMany({ _id: { $in: materials.map(material => material._id) } }));
+        });
+
+        describe('populate', () => {
+            test('references are replaced with the selected fields of the referenced records', async () => {
+                const material = await createMaterial({ uploadedBy: student._id });
+
+                const loaded = await repos.materials.findById(material._id, { populate: { owner: 'name email', uploadedBy: 'name' } });
+                expect(loaded.owner.name).toBe('Teacher');
+                expect(loaded.owner.email).toBe(teacher.email);
+                expect(loaded.owner.password).toBeUndefined();
+                expect(loaded.uploadedBy.name).toBe('Student');
+            });
+
+            test('references inside arrays', async () => {
+                const material = await createMaterial({
+                    versions: [{ version: 1, fileName: 'old.pdf', filePath: '/uploads/old.pdf', fileSize: 10, uploadedBy: student._id, uploadedAt: new Date() }],
+                    sharedWith: [{ user: student._id, permission: 'read' }]
+                });
+
+                const loaded = await repos.materials.findById(material._id);
+                await repos.materials.populate(loaded, { 'versions.uploadedBy': 'name', 'sharedWith.user': 'name' });
+                expect(loaded.versions[0].uploadedBy.name).toBe('Student');
+                expect(loaded.sharedWith[0].user.name).toBe('Student');
+            });
+
+            test('virtual lists', async () => {
+                const parent = await repos.folders.create({ name: unique('Parent'), course: 'Cell Biology', grade: '11', program: 'EST', owner: teacher._id });
+                await repos.folders.create({ name: 'Child', parentFolder: parent._id, course: 'Cell Biology', grade: '11', program: 'EST', owner: teacher._id });
+
+                const loaded = await repos.folders.findById(parent._id, { populate: { subfolders: 'name path' } });
+                expect(loaded.subfolders.map(child => child.name)).toEqual(['Child']);
+                expect(loaded.subfolders[0].path).toBe(`${parent.name}/Child`);
+            });
+
+            test('records in a list are populated together', async () => {
+                const tag = unique('populate');
+                await createMaterial({ tags: [tag] });
+                await createMaterial({ tags: [tag], owner: student._id });
+
+                const found = await repos.materials.find({ tags: tag }, { sort: { _id: 1 }, populate: { owner: 'name' } });
+                expect(found.map(material => material.owner.name)).toEqual(['Teacher', 'Student']);
+                expect(found[1].folder).toEqual(folder._id);
+            });
+        });
+
+        describe('save', () => {
+            test('persists changed fields, including nested ones', async () => {
+                const loaded = await repos.users.findById(student._id);
+                loaded.name = 'Renamed Student';
+                loaded.studentInfo.grade = '12';
+                await repos.users.save(loaded);
+
+                const reloaded = await repos.users.findById(student._id);
+                expect(reloaded.name).toBe('Renamed Student');
+                expect(reloaded.studentInfo.grade).toBe('12');
+                expect(reloaded.studentInfo.program).toBe('EST');
+            });
+
+            test('persists changes to arrays of objects', async () => {
+                const material = await createMaterial();
+                const loaded = await repos.materials.findById(material._id);
+
+                loaded.sharedWith.push({ user: student._id, permission: 'write' });
+                loaded.versions.push({ version: 1, fileName: 'notes.pdf', filePath: '/uploads/notes.pdf', fileSize: 1024, uploadedBy: teacher._id, note: 'first', uploadedAt: new Date() });
+                loaded.version = 2;
+                loaded.tags = ['updated'];
+                await repos.materials.save(loaded);
+
+                const reloaded = await repos.materials.findById(material._id);
+                expect(reloaded.version).toBe(2);
+                expect(reloaded.tags).toEqual(['updated']);
+                expect(reloaded.sharedWith).toHaveLength(1);
+                expect(repos.sameId(reloaded.sharedWith[0].user, student._id)).toBe(true);
+                expect(reloaded.sharedWith[0].permission).toBe('write');
+                expect(reloaded.versions).toHaveLength(1);
+                expect(reloaded.versions[0].note).toBe('first');
+            });
+
+            test('runs the entity hooks for the changed fields', async () => {
+                const user = await repos.users.create({ name: 'Hooks', email: `${unique('hooks')}@example.com`, password: 'secret1', role: 'student' });
+                const loaded = await repos.users.findById(user._id);
+                const tokenVersion = loaded.tokenVersion || 0;
+
+                loaded.password = 'secret2';
+                await repos.users.save(loaded);
+
+                const reloaded = await repos.users.findById(user._id);
+                expect(await repos.users.comparePassword(reloaded, 'secret2')).toBe(true);
+                expect(reloaded.tokenVersion).toBe(tokenVersion + 1);
+                expect(reloaded.passwordChangedAt).toBeInstanceOf(Date);
+            });
+
+            test('folders keep their path in step with their name', async () => {
+                const loaded = await repos.folders.findById(folder._id);
+                loaded.name = 'Cell Structure';
+                await repos.folders.save(loaded);
+
+                expect((await repos.folders.findById(folder._id)).path).toBe('Cell Structure');
+            });
+
+            test('a record without changes is not written', async () => {
+                const loaded = await repos.materials.findById((await createMaterial())._id);
+                const updatedAt = loaded.updatedAt;
+
+                await repos.materials.save(loaded);
+                expect((await repos.materials.findById(loaded._id)).updatedAt).toEqual(updatedAt);
+            });
+        });
+    });
+}
@@ -0,0 +1,123 @@
+// database/search.js and material search on server-sqlite.js
+const request = require('supertest');
+const { toFtsQuery, toHighlightHtml } = require('../database/search');
+const { loadSqliteServer } = require('./helpers/sqliteServer');
+
+const server = loadSqliteServer('search-test');
+const { app, dbManager, createUser, authHeader } = server;
+
+describe('toFtsQuery', () => {
+    test('every word must match', () => {
+        expect(toFtsQuery('cell membrane')).toBe('"cell" "membrane"');
+    });
+
+    test('quoted words match as a phrase', () => {
+        expect(toFtsQuery('"cell membrane" transport')).toBe('"cell membrane" "transport"');
+        // An unclosed quote runs to the end
+        expect(toFtsQuery('osmosis "active transport')).toBe('"osmosis" "active transport"');
+    });
+
+    test('a trailing * matches by prefix', () => {
+        expect(toFtsQuery('mito*')).toBe('"mito"*');
+        expect(toFtsQuery('mito**')).toBe('"mito"*');
+        expect(toFtsQuery('*')).toBeNull();
+    });
+
+    test('FTS5 syntax is searched as plain words', () => {
+        expect(toFtsQuery('cell OR NOT membrane')).toBe('"cell" "OR" "NOT" "membrane"');
+        expect(toFtsQuery('title:cell (membrane)')).toBe('"title:cell" "(membrane)"');
+        expect(toFtsQuery('cell"s')).toBe('"cells"');
+    });
+
+    test('words in any script are kept', () => {
+        expect(toFtsQuery('خلية')).toBe('"خلية"');
+    });
+
+    test('nothing to search for gives null', () => {
+        for (const search of ['', '   ', '""', '- + :', null, undefined]) {
+            expect(toFtsQuery(search)).toBeNull();
+        }
+    });
+});
+
+describe('toHighlightHtml', () => {
+    test('escapes the text and marks the matches', () => {
+        expect(toHighlightHtml('<b>Cell</b> \u0002membrane\u0003 & "walls"'))
+            .toBe('&lt;b&gt;Cell&lt;/b&gt; <mark>membrane</mark> &amp; &quot;walls&quot;');
+    });
+
+    test('passes missing values through', () => {
+        expect(toHighlightHtml(null)).toBeNull();
+        expect(toHighlightHtml(undefined)).toBeNull();
+    });
+});
+
+describe('material search', () => {
+    let teacher;
+
+    const addMaterial = async (fields) => {
+        const { id } = await dbManager.run(
+            `INSERT INTO materials (title, description, tags, content_text, type, course_id, owner_id, url)
+             VALUES (?, ?, ?, ?, 'link', 2, ?, 'https://example.com')`,
+            [fields.title, fields.description || null, fields.tags || null, fields.content_text || null, teacher.id]
+        );
+        return id;
+    };
+    const search = async (text) => {
+        const res = await request(app).get('/api/materials').query({ search: text }).set('Authorization', authHeader(teacher));
+        expect(res.status).toBe(200);
+        return res.body.materials;
+    };
+
+    beforeAll(async () => {
+        await server.start();
+        teacher = await createUser({ name: 'Salma Teacher', role: 'teacher' });
+
+        await addMaterial({ title: 'Mitosis stages', description: 'Prophase to telophase' });
+        await addMaterial({ title: 'Cell organelles', content_text: 'The mitochondria make ATP for the cell membrane pumps' });
+        await addMaterial({ title: 'Membrane transport', tags: '["cell membrane", "osmosis"]' });
+        await addMaterial({ title: 'Plant <cells>', description: 'Cell walls and chloroplasts' });
+    });
+
+    afterAll(() => server.stop());
+
+    test('title matches rank above matches in the document text', async () => {
+        const titles = (await search('membrane')).map(material => material.title);
+
+        expect(titles).toEqual(['Membrane transport', 'Cell organelles']);
+    });
+
+    test('prefixes, phrases and stemming', async () => {
+        expect((await search('mito*')).map(material => material.title).sort()).toEqual(['Cell organelles', 'Mitosis stages']);
+        expect((await search('"membrane pumps"')).map(material => material.title)).toEqual(['Cell organelles']);
+        expect((await search('"pumps membrane"'))).toEqual([]);
+        // Porter stemming: "walls" is indexed as "wall"
+        expect((await search('wall')).map(material => material.title)).toEqual(['Plant <cells>']);
+    });
+
+    test('results carry escaped highlights and a snippet, but not the document text', async () => {
+        const [plant] = await search('cells');
+        expect(plant.title_highlight).toBe('Plant &lt;<mark>cells</mark>&gt;');
+
+        const [organelles] = await search('ATP');
+        expect(organelles.snippet).toContain('<mark>ATP</mark>');
+        expect(organelles).not.toHaveProperty('content_text');
+    });
+
+    test('search syntax in the text cannot break the query', async () => {
+        expect(await search('membrane AND OR (')).toEqual([]);
+        expect((await search('" *')).length).toBeGreaterThanOrEqual(4);
+    });
+
+    test('the index follows changes to materials', async () => {
+        const id = await addMaterial({ title: 'Photosynthesis notes' });
+        expect(await search('photosynthesis')).toHaveLength(1);
+
+        await dbManager.run(`UPDATE materials SET title = 'Respiration notes' WHERE id = ?`, [id]);
+        expect(await search('photosynthesis')).toEqual([]);
+        expect(await search('respiration')).toHaveLength(1);
+
+        await dbManager.run('DELETE FROM materials WHERE id = ?', [id]);
+        expect(await search('respiration')).toEqual([]);
+    });
+});
@@ -0,0 +1,104 @@
+// Login, registration and the pages on server-sqlite.js: the browser pages authenticate with
+// the session cookie set at login
+const request = require('supertest');
+const { setTransport } = require('../utils/mailer');
+const { loadSqliteServer } = require('./helpers/sqliteServer');
+
+const server = loadSqliteServer('sessions-test');
+const { app, createUser, authHeader } = server;
+
+describe('sessions and registration', () => {
+    let sent = [];
+    // Verification emails are sent in the background
+    const mailTo = async (email) => {
+        for (let i = 0; i < 100; i++) {
+            const message = sent.find(item => item.to === email);
+            if (message) return message;
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        throw new Error(`No mail to ${email}`);
+    };
+    const login = (client, email, password = 'secret1') => client.post('/api/auth/login').send({ email, password });
+
+    beforeAll(async () => {
+        await server.start();
+        setTransport({ sendMail: async (message) => { sent.push(message); return {}; } });
+    });
+
+    afterAll(async () => {
+        setTransport(null);
+        await server.stop();
+    });
+
+    test('logging in starts a session the pages can use until logout', async () => {
+        await createUser({ name: 'Salma Teacher', role: 'teacher', password: 'secret1' });
+        const browser = request.agent(app);
+
+        const res = await login(browser, 'salma.teacher@example.com');
+        expect(res.status).toBe(200);
+        expect(res.headers['set-cookie'].join()).toMatch(/connect\.sid=.*HttpOnly/);
+        expect(res.body.user).toMatchObject({ name: 'Salma Teacher', role: 'teacher' });
+
+        const me = await browser.get('/api/auth/me');
+        expect(me.status).toBe(200);
+        expect(me.body.user.email).toBe('salma.teacher@example.com');
+
+        await browser.post('/api/auth/logout').send({});
+        expect((await browser.get('/api/auth/me')).status).toBe(401);
+    });
+
+    test('a wrong password is refused', async () => {
+        await createUser({ name: 'Karim Teacher', role: 'teacher', password: 'secret1' });
+
+        const res = await login(request(app), 'karim.teacher@example.com', 'wrong-password');
+        expect(res.status).toBe(400);
+        expect(res.body.token).toBeUndefined();
+    });
+
+    test('a new account logs in once its email is verified and an admin approved it', async () => {
+        const admin = await createUser({ name: 'Site Admin', role: 'admin' });
+        const registered = await request(app).post('/api/auth/register')
+            .send({ name: 'Mona Student', email: 'mona@example.com', password: 'secret1', role: 'student', grade: '11', program: 'EST' });
+        expect(registered.status).toBe(201);
+        expect(registered.body.token).toBeUndefined();
+
+        const unverified = await login(request(app), 'mona@example.com');
+        expect(unverified.status).toBe(403);
+        expect(unverified.body.emailVerified).toBe(false);
+
+        const token = (await mailTo('mona@example.com')).text.match(/verify=([0-9a-f]+)/)[1];
+        expect((await request(app).post('/api/auth/verify-email').send({ token })).status).toBe(200);
+
+        const pending = await login(request(app), 'mona@example.com');
+        expect(pending.status).toBe(403);
+        expect(pending.body.status).toBe('pending');
+
+        await request(app).put(`/api/admin/users/${registered.body.user.id}/approve`).set('Authorization', authHeader(admin));
+        const approved = await login(request(app), 'mona@example.com');
+        expect(approved.status).toBe(200);
+        expect(approved.body.user).toMatchObject({ role: 'student', grade: '11', program: 'EST' });
+    });
+
+    test('admin accounts cannot be registered', async () => {
+        const res = await request(app).post('/api/auth/register')
+            .send({ name: 'Sneaky', email: 'sneaky@example.com', password: 'secret1', role: 'admin' });
+
+        expect(res.status).toBe(400);
+    });
+
+    test('roles limit what an account can do', async () => {
+        const student = await createUser({ name: 'Omar Student', grade: '11', program: 'EST' });
+
+        const res = await request(app).post('/api/exams').set('Authorization', authHeader(student))
+            .send({ title: 'Not allowed', course_id: 2, duration: 10 });
+        expect(res.status).toBe(403);
+    });
+
+    test('the login, registration and upload pages are served', async () => {
+        for (const page of ['/login', '/register', '/upload']) {
+            const res = await request(app).get(page);
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toMatch(/text\/html/);
+        }
+    });
+});
@@ -0,0 +1,26 @@
+// Jest global setup: starts a throwaway MongoDB for the Mongo adapter tests and passes its
+// address on in MONGODB_TEST_URI. An address already set there (a CI service, a local mongod)
+// is used as it is. When neither is available the run fails in CI (CI set), so the Mongo
+// adapter is never left untested by accident; SKIP_MONGO_TESTS=1 leaves its tests out on
+// purpose. Elsewhere they are reported as skipped.
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+module.exports = async () => {
+    if (process.env.MONGODB_TEST_URI) return;
+
+    if (process.env.SKIP_MONGO_TESTS === '1') {
+        console.warn('\nMongoDB adapter tests are skipped (SKIP_MONGO_TESTS=1)');
+        return;
+    }
+
+    try {
+        globalThis.mongoServer = await MongoMemoryServer.create();
+        process.env.MONGODB_TEST_URI = globalThis.mongoServer.getUri();
+    } catch (error) {
+        const reason = `mongod could not be started (${error.message.split('\n')[0]})`;
+        if (process.env.CI) {
+            throw new Error(`The MongoDB adapter tests need a MongoDB: ${reason}. Set MONGODB_TEST_URI, or SKIP_MONGO_TESTS=1 to leave them out.`);
+        }
+        console.warn(`\nMongoDB adapter tests will be skipped: ${reason}`);
+    }
+};
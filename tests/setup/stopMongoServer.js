@@ -0,0 +1,4 @@
+// Jest global teardown: stops the MongoDB started by ./mongoServer.js
+module.exports = async () => {
+    if (globalThis.mongoServer) await globalThis.mongoServer.stop();
+};
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, toCsv, readXlsx, writeXlsx, readSpreadsheet } = require('../utils/spreadsheet');
+const { createZip } = require('../utils/zip');
+
+// roster.xlsx and roster-1904.xlsx were saved by ExcelJS the way Excel stores a sheet (shared
+// strings, styles with date formats); inline-strings.xlsx is written the way streaming
+// exporters do (inline strings, prefixed elements, ISO date cells, cells without references)
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'spreadsheets', name));
+
+describe('readXlsx', () => {
+    test('reads shared strings, including rich text and escaped characters', () => {
+        const rows = readXlsx(fixture('roster.xlsx'));
+
+        expect(rows[0]).toEqual(['Name', 'Email', 'Phone', 'Grade', 'Program', 'Enrolled', 'Last login']);
+        expect(rows[1].slice(0, 3)).toEqual(['Amira Hassan', 'amira@example.com', '+20 100 555 0101']);
+        expect(rows[2][0]).toBe('Omar & Sons <Test>');
+    });
+
+    test('reads numbers, text numbers and booleans as they are stored', () => {
+        const rows = readXlsx(fixture('roster.xlsx'));
+
+        expect(rows[1][3]).toBe('11');
+        expect(rows[2][3]).toBe('12');
+        expect(rows[3][4]).toBe('TRUE');
+    });
+
+    test('fills skipped cells with empty strings and drops empty rows', () => {
+        const rows = readXlsx(fixture('roster.xlsx'));
+
+        expect(rows).toHaveLength(4);
+        expect(rows[2]).toEqual(['Omar & Sons <Test>', 'omar@example.com', '', '12', '', '2023-02-28', '45678.5']);
+        expect(rows[3]).toEqual(['Layla', 'layla@example.com', '', '10', 'TRUE']);
+    });
+
+    test('reads cells formatted as dates as dates', () => {
+        const rows = readXlsx(fixture('roster.xlsx'));
+
+        // Custom format dd/mm/yyyy, built-in format 14, and a date with a time of day
+        expect(rows[1][5]).toBe('2024-09-01');
+        expect(rows[2][5]).toBe('2023-02-28');
+        expect(rows[1][6]).toBe('2025-01-15 08:30:00');
+    });
+
+    test('leaves numbers in other formats alone', () => {
+        expect(readXlsx(fixture('roster.xlsx'))[2][6]).toBe('45678.5');
+    });
+
+    test('reads dates in workbooks using the 1904 date system', () => {
+        expect(readXlsx(fixture('roster-1904.xlsx'))).toEqual([['Name', 'Enrolled'], ['Amira', '2024-09-01']]);
+    });
+
+    test('reads inline strings from the first sheet in workbook order', () => {
+        expect(readXlsx(fixture('inline-strings.xlsx'))).toEqual([
+            ['Name', 'Email', 'Grade', 'Enrolled', 'Note'],
+            ['Nour El-Sayed', 'nour@example.com', '9', '2024-09-01', 'Grade 9'],
+            ['Yūsuf', 'yusuf@example.com', '', '2024-09-01 13:45:00', '#N/A']
+        ]);
+    });
+
+    test('reads back what writeXlsx writes', () => {
+        const rows = [
+            ['Name', 'Note'],
+            ['A & B', '<b>bold</b>'],
+            ['=SUM(A1)', '  spaced  '],
+            ['Line\nbreak', null]
+        ];
+
+        expect(readXlsx(writeXlsx(rows))).toEqual([
+            ['Name', 'Note'],
+            ['A & B', '<b>bold</b>'],
+            ['=SUM(A1)', '  spaced  '],
+            ['Line\nbreak', '']
+        ]);
+    });
+
+    test('rejects files that are not workbooks', () => {
+        expect(() => readXlsx(fixture('roster.csv'))).toThrow();
+        expect(() => readXlsx(createZip([{ name: 'xl/workbook.xml', data: '<workbook/>' }]))).toThrow('Workbook has no worksheet');
+    });
+});
+
+describe('parseCsv', () => {
+    test('reads quoted fields, escaped quotes and line breaks, dropping blank lines and the BOM', () => {
+        expect(readSpreadsheet(fixture('roster.csv'), 'roster.csv')).toEqual([
+            ['Name', 'Email', 'Grade', 'Program'],
+            ['El-Sayed, Nour', 'nour@example.com', '9', 'EST'],
+            ['Line\r\nbreak', 'say "hi"', '10', ''],
+            ['Last', 'last@example.com', '12', 'ACT']
+        ]);
+    });
+
+    test('reads back what toCsv writes', () => {
+        const rows = [['a,b', 'say "hi"'], ['multi\nline', '']];
+        expect(parseCsv(toCsv(rows))).toEqual(rows);
+    });
+});
+
+describe('toCsv', () => {
+    test('neutralises values spreadsheets would run as formulas', () => {
+        expect(toCsv([['=1+1', '@SUM(A1)', '+cmd', '-2', '+20 100 555 0101']]))
+            .toBe("'=1+1,'@SUM(A1),'+cmd,-2,+20 100 555 0101\r\n");
+    });
+});
+
+describe('readSpreadsheet', () => {
+    test('chooses the reader from the file extension', () => {
+        expect(readSpreadsheet(fixture('roster.xlsx'), 'Roster.XLSX')[0][0]).toBe('Name');
+        expect(() => readSpreadsheet(fixture('roster.xlsx'), 'roster.xls')).toThrow('Only CSV and XLSX files are supported');
+    });
+});
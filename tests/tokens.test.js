@@ -0,0 +1,103 @@
+// utils/tokens.js and the refresh token rotation on server-sqlite.js
+const request = require('supertest');
+const { hashToken, createToken } = require('../utils/tokens');
+const { loadSqliteServer } = require('./helpers/sqliteServer');
+
+const server = loadSqliteServer('tokens-test');
+const { app, dbManager, createUser } = server;
+
+describe('createToken', () => {
+    test('returns a random token with its keyed hash and expiry', () => {
+        const before = Date.now();
+        const first = createToken(60 * 1000);
+        const second = createToken(60 * 1000);
+
+        expect(first.token).toMatch(/^[0-9a-f]{64}$/);
+        expect(first.token).not.toBe(second.token);
+        expect(first.tokenHash).toBe(hashToken(first.token));
+        expect(first.tokenHash).not.toBe(first.token);
+        expect(first.expiresAt.getTime()).toBeGreaterThanOrEqual(before + 60 * 1000);
+        expect(first.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 60 * 1000);
+    });
+
+    test('the hash depends on JWT_SECRET', () => {
+        const secret = process.env.JWT_SECRET;
+        const hash = hashToken('abc');
+        try {
+            process.env.JWT_SECRET = 'another-secret';
+            expect(hashToken('abc')).not.toBe(hash);
+        } finally {
+            process.env.JWT_SECRET = secret;
+        }
+        expect(hashToken('abc')).toBe(hash);
+    });
+});
+
+describe('refresh tokens', () => {
+    let count = 0;
+    // A fresh account and login for each test, so revocations don't leak between tests
+    const logIn = async () => {
+        count += 1;
+        const user = await createUser({ name: `Token User ${count}`, role: 'student', grade: '11', program: 'EST', password: 'secret1' });
+        const res = await request(app).post('/api/auth/login').send({ email: user.email, password: 'secret1' });
+        expect(res.status).toBe(200);
+        return { user, ...res.body };
+    };
+    const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+    const me = (token) => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    beforeAll(() => server.start());
+    afterAll(() => server.stop());
+
+    test('only the hash of a refresh token is stored', async () => {
+        const { user, refreshToken } = await logIn();
+
+        const rows = await dbManager.query('SELECT token_hash FROM refresh_tokens WHERE user_id = ?', [user.id]);
+        expect(rows).toEqual([{ token_hash: hashToken(refreshToken) }]);
+    });
+
+    test('each refresh rotates the refresh token', async () => {
+        const { refreshToken } = await logIn();
+
+        const first = await refresh(refreshToken);
+        expect(first.status).toBe(200);
+        expect(first.body.refreshToken).not.toBe(refreshToken);
+        expect((await me(first.body.token)).status).toBe(200);
+
+        const second = await refresh(first.body.refreshToken);
+        expect(second.status).toBe(200);
+    });
+
+    test('reusing a rotated token revokes the whole login', async () => {
+        const { refreshToken } = await logIn();
+        const rotated = (await refresh(refreshToken)).body.refreshToken;
+
+        expect((await refresh(refreshToken)).status).toBe(401);
+        // The token issued in its place no longer works either
+        expect((await refresh(rotated)).status).toBe(401);
+    });
+
+    test('logging out revokes the refresh token', async () => {
+        const { refreshToken } = await logIn();
+
+        await request(app).post('/api/auth/logout').send({ refreshToken });
+        expect((await refresh(refreshToken)).status).toBe(401);
+    });
+
+    test('logging out everywhere ends every login of the account', async () => {
+        const { user, token, refreshToken } = await logIn();
+        const other = await request(app).post('/api/auth/login').send({ email: user.email, password: 'secret1' });
+
+        const res = await request(app).post('/api/auth/logout-all').set('Authorization', `Bearer ${token}`);
+        expect(res.status).toBe(200);
+
+        expect((await me(token)).status).toBe(401);
+        expect((await me(other.body.token)).status).toBe(401);
+        expect((await refresh(refreshToken)).status).toBe(401);
+        expect((await refresh(other.body.refreshToken)).status).toBe(401);
+    });
+
+    test('an unknown refresh token is refused', async () => {
+        expect((await refresh('0'.repeat(64))).status).toBe(401);
+    });
+});
@@ -0,0 +1,137 @@
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'two-factor-test-secret';
+
+const {
+    RECOVERY_CODE_COUNT,
+    generateSecret,
+    verifyTotp,
+    provisioningUri,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    signChallenge,
+    verifyChallenge
+} = require('../utils/twoFactor');
+
+// The RFC 6238 SHA-1 test secret ("12345678901234567890") and the last six digits of its test vectors
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP = 30 * 1000;
+
+describe('verifyTotp', () => {
+    test.each([
+        [59, '287082', 1],
+        [1111111109, '081804', 37037036],
+        [1234567890, '005924', 41152263]
+    ])('matches the RFC 6238 code at %i seconds', (seconds, code, step) => {
+        expect(verifyTotp(RFC_SECRET, code, -1, seconds * 1000)).toBe(step);
+    });
+
+    test('accepts the code of one step either side for clock drift', () => {
+        const time = 59 * 1000;
+
+        expect(verifyTotp(RFC_SECRET, '287082', -1, time + STEP)).toBe(1);
+        expect(verifyTotp(RFC_SECRET, '287082', -1, time - STEP)).toBe(1);
+        expect(verifyTotp(RFC_SECRET, '287082', -1, time + 2 * STEP)).toBeNull();
+        expect(verifyTotp(RFC_SECRET, '287082', -1, time - 2 * STEP)).toBeNull();
+    });
+
+    test('refuses a code from a step already used', () => {
+        const time = 59 * 1000;
+
+        expect(verifyTotp(RFC_SECRET, '287082', 1, time)).toBeNull();
+        expect(verifyTotp(RFC_SECRET, '287082', 2, time + STEP)).toBeNull();
+        expect(verifyTotp(RFC_SECRET, '287082', 0, time)).toBe(1);
+    });
+
+    test('ignores spaces and refuses anything but six digits', () => {
+        expect(verifyTotp(RFC_SECRET, '287 082', -1, 59 * 1000)).toBe(1);
+        for (const code of ['28708', '2870821', 'abcdef', '', null, undefined]) {
+            expect(verifyTotp(RFC_SECRET, code, -1, 59 * 1000)).toBeNull();
+        }
+    });
+
+    test('refuses a wrong code', () => {
+        expect(verifyTotp(RFC_SECRET, '287083', -1, 59 * 1000)).toBeNull();
+    });
+});
+
+describe('secrets', () => {
+    test('new secrets are 160-bit base32 strings', () => {
+        const secret = generateSecret();
+
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(generateSecret()).not.toBe(secret);
+    });
+
+    test('the provisioning URI carries the secret and code settings', () => {
+        const uri = new URL(provisioningUri(RFC_SECRET, 'salma@example.com'));
+
+        expect(uri.protocol).toBe('otpauth:');
+        expect(decodeURIComponent(uri.pathname)).toMatch(/:salma@example\.com$/);
+        expect(Object.fromEntries(uri.searchParams)).toMatchObject({
+            secret: RFC_SECRET,
+            algorithm: 'SHA1',
+            digits: '6',
+            period: '30'
+        });
+    });
+
+    test('stored secrets are encrypted and decrypt to the original', () => {
+        const first = encryptSecret(RFC_SECRET);
+        const second = encryptSecret(RFC_SECRET);
+
+        expect(first).not.toContain(RFC_SECRET);
+        expect(first).not.toBe(second);
+        expect(decryptSecret(first)).toBe(RFC_SECRET);
+        expect(decryptSecret(second)).toBe(RFC_SECRET);
+    });
+
+    test('a tampered secret fails to decrypt', () => {
+        const [iv, tag, encrypted] = encryptSecret(RFC_SECRET).split('.');
+        const bytes = Buffer.from(encrypted, 'base64');
+        bytes[0] ^= 1;
+
+        expect(() => decryptSecret([iv, tag, bytes.toString('base64')].join('.'))).toThrow();
+    });
+});
+
+describe('recovery codes', () => {
+    test('are generated with their hashes', () => {
+        const { codes, hashes } = generateRecoveryCodes();
+
+        expect(codes).toHaveLength(RECOVERY_CODE_COUNT);
+        expect(new Set(codes).size).toBe(RECOVERY_CODE_COUNT);
+        codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}$/));
+        expect(hashes).toEqual(codes.map(hashRecoveryCode));
+    });
+
+    test('match however they are typed', () => {
+        const hash = hashRecoveryCode('3f9a-c21b');
+
+        expect(hashRecoveryCode('3F9A C21B')).toBe(hash);
+        expect(hashRecoveryCode('3f9ac21b')).toBe(hash);
+        expect(hashRecoveryCode('3f9a-c21c')).not.toBe(hash);
+    });
+});
+
+describe('challenge tokens', () => {
+    test('are only accepted for their purpose', () => {
+        const token = signChallenge(42, 'login');
+
+        expect(verifyChallenge(token, 'login')).toBe('42');
+        expect(verifyChallenge(token, 'setup')).toBeNull();
+        expect(verifyChallenge('not-a-token', 'login')).toBeNull();
+    });
+
+    test('cannot stand in for an access token', () => {
+        expect(jwt.decode(signChallenge(42, 'login')).userId).toBeUndefined();
+    });
+
+    test('access tokens are not challenges', () => {
+        const accessToken = jwt.sign({ userId: 42 }, process.env.JWT_SECRET);
+
+        expect(verifyChallenge(accessToken, 'login')).toBeNull();
+    });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { crc32, readZip, readZipText, openZip, createZip, ZipWriter } = require('../utils/zip');
+
+// The archives in fixtures/zip were made with Info-ZIP: infozip.zip with a deflated, a nested
+// and a stored entry, zip64.zip with -fz (ZIP64 records), streamed.zip from standard input
+// (sizes in a data descriptor) and encrypted.zip with -P
+const fixture = (name) => path.join(__dirname, 'fixtures', 'zip', name);
+const NOTES = 'Mitosis produces two identical daughter cells.\n'.repeat(200);
+
+const streamText = async (entry) => {
+    const chunks = [];
+    for await (const chunk of await entry.stream()) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+};
+
+describe('crc32', () => {
+    test('matches the standard check value', () => {
+        expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+        expect(crc32(Buffer.alloc(0))).toBe(0);
+    });
+
+    test('can be computed a chunk at a time', () => {
+        const data = Buffer.from(NOTES);
+        expect(crc32(data.subarray(1000), crc32(data.subarray(0, 1000)))).toBe(crc32(data));
+    });
+});
+
+describe('readZip', () => {
+    test('reads deflated, stored and nested entries', () => {
+        const entries = readZip(fs.readFileSync(fixture('infozip.zip')));
+
+        expect(readZipText(entries, 'notes.txt')).toBe(NOTES);
+        expect(readZipText(entries, 'folder/inner.txt')).toBe('nested');
+        expect(readZipText(entries, 'stored.txt')).toBe('stored as is');
+        expect(entries.get('notes.txt').size).toBe(NOTES.length);
+        expect(readZipText(entries, 'missing.txt')).toBeNull();
+    });
+
+    test('reads archives with ZIP64 records', () => {
+        const entries = readZip(fs.readFileSync(fixture('zip64.zip')));
+        expect(readZipText(entries, 'notes.txt')).toBe(NOTES);
+        expect(readZipText(entries, 'stored.txt')).toBe('stored as is');
+    });
+
+    test('reads entries whose sizes follow the data', () => {
+        const entries = readZip(fs.readFileSync(fixture('streamed.zip')));
+        expect(readZipText(entries, '-')).toBe('piped through zip');
+    });
+
+    test('rejects encrypted entries', () => {
+        const entries = readZip(fs.readFileSync(fixture('encrypted.zip')));
+        expect(() => entries.get('notes.txt').read()).toThrow('Encrypted ZIP entries are not supported: notes.txt');
+    });
+
+    test('rejects files that are not ZIP archives', () => {
+        expect(() => readZip(Buffer.from('notes'))).toThrow('Not a ZIP archive');
+        expect(() => readZip(fs.readFileSync(path.join(__dirname, 'fixtures', 'documents', 'encrypted.docx'))))
+            .toThrow('Password-protected or pre-2007 Office file');
+
+        const data = fs.readFileSync(fixture('infozip.zip'));
+        expect(() => readZip(data.subarray(0, data.length - 30))).toThrow('Not a ZIP archive');
+    });
+
+    test('rejects an entry whose data is damaged', () => {
+        const data = Buffer.from(fs.readFileSync(fixture('infozip.zip')));
+        data[data.indexOf('stored as is')] ^= 0xff;
+
+        const entries = readZip(data);
+        expect(() => entries.get('stored.txt').read()).toThrow('Corrupt ZIP entry: stored.txt');
+        expect(readZipText(entries, 'notes.txt')).toBe(NOTES);
+    });
+
+    test('reads back what createZip wrote', () => {
+        const entries = readZip(createZip([
+            { name: 'notes.txt', data: NOTES },
+            { name: 'empty.txt', data: '' },
+            { name: 'Zellteilung/Übersicht.txt', data: Buffer.from('Mitose') }
+        ]));
+
+        expect([...entries.keys()]).toEqual(['notes.txt', 'empty.txt', 'Zellteilung/Übersicht.txt']);
+        expect(readZipText(entries, 'notes.txt')).toBe(NOTES);
+        expect(readZipText(entries, 'empty.txt')).toBe('');
+        expect(readZipText(entries, 'Zellteilung/Übersicht.txt')).toBe('Mitose');
+    });
+});
+
+describe('openZip and ZipWriter', () => {
+    let tmp;
+
+    beforeAll(() => {
+        tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmp, { recursive: true, force: true });
+    });
+
+    test('streams entries of archives made by other tools', async () => {
+        for (const name of ['infozip.zip', 'zip64.zip']) {
+            const entries = await openZip(fixture(name));
+            expect(await streamText(entries.get('notes.txt'))).toBe(NOTES);
+            expect(await streamText(entries.get('stored.txt'))).toBe('stored as is');
+        }
+        expect(await streamText((await openZip(fixture('streamed.zip'))).get('-'))).toBe('piped through zip');
+    });
+
+    test('reads back what ZipWriter wrote from buffers, strings and streams', async () => {
+        const target = path.join(tmp, 'written.zip');
+        const zip = await ZipWriter.create(target);
+        await zip.add('notes.txt', NOTES);
+        await zip.add('empty.txt', Buffer.alloc(0));
+        const streamed = await zip.add('streamed.txt', Readable.from([Buffer.from('one '), Buffer.from('two')]));
+        await zip.close();
+
+        expect(streamed).toEqual({ size: 7, compressedSize: expect.any(Number), crc32: crc32(Buffer.from('one two')) });
+
+        const entries = await openZip(target);
+        expect([...entries.keys()]).toEqual(['notes.txt', 'empty.txt', 'streamed.txt']);
+        expect(await streamText(entries.get('notes.txt'))).toBe(NOTES);
+        expect(await streamText(entries.get('empty.txt'))).toBe('');
+        expect(await streamText(entries.get('streamed.txt'))).toBe('one two');
+
+        // Entries of unknown size are written with ZIP64 sizes, which the in-memory reader also follows
+        expect(readZipText(readZip(fs.readFileSync(target)), 'streamed.txt')).toBe('one two');
+    });
+
+    test('a damaged entry fails when streamed', async () => {
+        const target = path.join(tmp, 'damaged.zip');
+        const data = Buffer.from(fs.readFileSync(fixture('infozip.zip')));
+        data[data.indexOf('stored as is')] ^= 0xff;
+        fs.writeFileSync(target, data);
+
+        const entries = await openZip(target);
+        await expect(streamText(entries.get('stored.txt'))).rejects.toThrow('Corrupt ZIP entry: stored.txt');
+    });
+
+    test('an encrypted entry is rejected before it is read', async () => {
+        const entries = await openZip(fixture('encrypted.zip'));
+        await expect(entries.get('notes.txt').stream()).rejects.toThrow('Encrypted ZIP entries are not supported');
+    });
+});
@@ -0,0 +1,241 @@
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Content-addressed storage for uploaded files. An upload is hashed (SHA-256) and stored
+// once as uploads/blobs/<first two hex digits>/<hash><extension>; uploading the same
+// content again reuses that file. The blob index counts the materials (and material
+// versions) that reference each file, and the file is deleted when the count reaches zero.
+//
+// The index is the storage of whichever server is running, with these methods:
+//   get(hash), findByPath(path)         -> { hash, path, size, refCount } or null
+//   insert({ hash, path, size, refCount }) (rejects when the hash is already there)
+//   setPath(hash, path)
+//   addReferences(hash, delta)          -> the new refCount, or null when there is no such blob
+//   remove(hash)
+
+const UPLOAD_ROOT = path.join(__dirname, '..', 'uploads');
+const BLOB_DIR = path.join(UPLOAD_ROOT, 'blobs');
+
+const MB = 1024 * 1024;
+
+// Quotas in MB from the environment; 0 means unlimited
+const quotaBytes = (value, fallback) => {
+    const megabytes = parseInt(value, 10);
+    return (Number.isNaN(megabytes) || megabytes < 0 ? fallback : megabytes) * MB;
+};
+
+// The teacher quota counts every file of every material a teacher owns, earlier versions
+// included; the global quota counts each stored file once. Admins have no quota of their own.
+const STORAGE_QUOTAS = {
+    teacher: quotaBytes(process.env.TEACHER_STORAGE_QUOTA_MB, 2048),
+    global: quotaBytes(process.env.STORAGE_QUOTA_MB, 20480)
+};
+
+const formatBytes = (bytes) => (bytes >= 1024 * MB
+    ? `${(bytes / (1024 * MB)).toFixed(1)} GB`
+    : `${(bytes / MB).toFixed(1)} MB`);
+
+// SHA-256 of a file, read as a stream so large videos are not loaded into memory
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+const exists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+// Rename, or copy when the upload and the blob directory are on different file systems
+async function moveFile(from, to) {
+    try {
+        await fs.rename(from, to);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        await fs.copyFile(from, to);
+        await fs.unlink(from);
+    }
+}
+
+// Refusal ({ status, message }) when storing `size` more bytes would exceed a quota, else null.
+// `ownerUsage` is the owner's current usage; `newBytes` is what the upload adds to the disk
+// (0 when its content is already stored).
+function checkQuota({ role, ownerUsage, totalUsage, size, newBytes }) {
+    if (role === 'teacher' && STORAGE_QUOTAS.teacher && ownerUsage + size > STORAGE_QUOTAS.teacher) {
+        return {
+            status: 413,
+            message: `Storage quota exceeded: ${formatBytes(ownerUsage)} of ${formatBytes(STORAGE_QUOTAS.teacher)} used`
+        };
+    }
+    if (STORAGE_QUOTAS.global && totalUsage + newBytes > STORAGE_QUOTAS.global) {
+        return { status: 507, message: 'The server is out of storage space for uploads' };
+    }
+    return null;
+}
+
+class BlobStore {
+    constructor(index, { root = BLOB_DIR } = {}) {
+        this.index = index;
+        this.root = root || BLOB_DIR;
+    }
+
+    // Hash and size of an uploaded file, and whether its content is already stored
+    async inspect(filePath) {
+        const [hash, { size }] = await Promise.all([hashFile(filePath), fs.stat(filePath)]);
+        const blob = await this.index.get(hash);
+        return { hash, size, stored: Boolean(blob) && await exists(blob.path) };
+    }
+
+    // Move an upload into the store (or drop it when the content is already there) and add a
+    // reference; returns the stored file's path
+    async add(filePath, fileName, { hash, size } = {}) {
+        if (!hash) ({ hash, size } = await this.inspect(filePath));
+
+        const blob = await this.index.get(hash);
+        if (blob && await exists(blob.path)) {
+            await fs.unlink(filePath).catch(() => {});
+            await this.index.addReferences(hash, 1);
+            return blob.path;
+        }
+
+        const target = path.join(this.root, hash.slice(0, 2), `${hash}${path.extname(fileName || '').toLowerCase()}`);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await moveFile(filePath, target);
+
+        // A blob whose file has gone missing gets this copy
+        if (blob) {
+            await this.index.setPath(hash, target);
+            await this.index.addReferences(hash, 1);
+            return target;
+        }
+
+        try {
+            await this.index.insert({ hash, path: target, size, refCount: 1 });
+        } catch (error) {
+            // The same content was stored by a concurrent upload
+            const stored = await this.index.get(hash);
+            if (!stored) throw error;
+            if (stored.path !== target) await fs.unlink(target).catch(() => {});
+            await this.index.addReferences(hash, 1);
+            return stored.path;
+        }
+        return target;
+    }
+
+    // Another reference to a stored file, e.g. a material version restored by a rollback
+    async retain(filePath) {
+        const blob = filePath && await this.index.findByPath(filePath);
+        if (blob) await this.index.addReferences(blob.hash, 1);
+    }
+
+    // Drop a reference, deleting the file with the last one. Files stored before the blob
+    // store existed have no blob and are deleted straight away.
+    async release(filePath) {
+        if (!filePath) return;
+
+        const blob = await this.index.findByPath(filePath);
+        if (blob) {
+            const remaining = await this.index.addReferences(blob.hash, -1);
+            if (remaining !== null && remaining > 0) return;
+            await this.index.remove(blob.hash);
+        }
+
+        try {
+            await fs.unlink(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error deleting file:', error);
+        }
+    }
+}
+
+// Paths of every file under a directory
+async function listFiles(directory) {
+    const entries = await fs.readdir(directory, { withFileTypes: true }).catch(() => []);
+    const files = [];
+    for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) files.push(...await listFiles(entryPath));
+        else if (entry.isFile()) files.push(entryPath);
+    }
+    return files;
+}
+
+// Storage usage from the files materials reference ({ path, size, owner, ownerName, course, type },
+// one per material and per earlier version) and the blob index. `logical` bytes count each
+// reference, `stored` bytes each distinct file. Orphans are files under `uploadRoot` that
+// nothing references (other than `otherPaths`, e.g. assignment submissions) and are not in a
+// `skip` directory (unfinished resumable uploads), and blobs with no references or no file.
+async function buildStorageReport({ files, blobs, otherPaths = [], uploadRoot = UPLOAD_ROOT, skip = [] }) {
+    const group = (key, label) => {
+        const totals = new Map();
+        for (const file of files) {
+            const id = String(file[key] === null || file[key] === undefined ? '' : file[key]);
+            const entry = totals.get(id) || { [key]: file[key], ...(label ? { [label]: file[label] } : {}), files: 0, bytes: 0 };
+            entry.files += 1;
+            entry.bytes += file.size || 0;
+            totals.set(id, entry);
+        }
+        return [...totals.values()].sort((a, b) => b.bytes - a.bytes);
+    };
+
+    const sizes = new Map(files.filter(file => file.path).map(file => [path.resolve(file.path), file.size || 0]));
+    const logical = files.reduce((sum, file) => sum + (file.size || 0), 0);
+    const stored = [...sizes.values()].reduce((sum, size) => sum + size, 0);
+
+    const referenced = new Set([...sizes.keys(), ...otherPaths.filter(Boolean).map(file => path.resolve(file))]);
+    const skipped = skip.map(directory => path.resolve(directory));
+    const orphanedFiles = [];
+    for (const file of await listFiles(uploadRoot)) {
+        if (referenced.has(file) || skipped.some(directory => file.startsWith(directory + path.sep))) continue;
+        // A file deleted since the directory was listed is gone, not orphaned
+        const stats = await fs.stat(file).catch(error => {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        });
+        if (!stats) continue;
+        const { size, mtime } = stats;
+        orphanedFiles.push({ path: path.relative(uploadRoot, file), size, modified_at: mtime });
+    }
+
+    const orphanedBlobs = [];
+    for (const blob of blobs) {
+        const missing = !await exists(blob.path);
+        if (missing || blob.refCount <= 0) {
+            orphanedBlobs.push({ hash: blob.hash, path: path.relative(uploadRoot, blob.path), size: blob.size, ref_count: blob.refCount, missing });
+        }
+    }
+
+    return {
+        quotas: { teacher_bytes: STORAGE_QUOTAS.teacher || null, global_bytes: STORAGE_QUOTAS.global || null },
+        totals: {
+            files: files.length,
+            logical_bytes: logical,
+            stored_bytes: stored,
+            saved_by_deduplication_bytes: logical - stored,
+            blobs: blobs.length
+        },
+        by_teacher: group('owner', 'ownerName').map(entry => ({
+            ...entry,
+            quota_used: STORAGE_QUOTAS.teacher ? Math.round((entry.bytes / STORAGE_QUOTAS.teacher) * 1000) / 10 : null
+        })),
+        by_course: group('course'),
+        by_type: group('type'),
+        orphaned_files: orphanedFiles,
+        orphaned_bytes: orphanedFiles.reduce((sum, file) => sum + file.size, 0),
+        orphaned_blobs: orphanedBlobs
+    };
+}
+
+module.exports = {
+    UPLOAD_ROOT,
+    BLOB_DIR,
+    STORAGE_QUOTAS,
+    hashFile,
+    checkQuota,
+    BlobStore,
+    buildStorageReport
+};
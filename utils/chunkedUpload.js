@@ -0,0 +1,423 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { Transform, pipeline } = require('stream');
+const { promisify } = require('util');
+
+const pipelineAsync = promisify(pipeline);
+
+// Resumable uploads for files too large for one request (recorded lecture videos).
+//
+//   1. create: the client sends the file's name, size and details, and gets an upload id and
+//      the chunk size.
+//   2. writeChunk: each chunk is sent in order with its offset and SHA-256; it is streamed onto
+//      the end of the partial file and kept only when it arrived whole with that checksum, so
+//      the partial file always ends on a chunk boundary.
+//   3. After a disconnect the client asks for the upload's offset and carries on from there.
+//   4. complete: the client sends the file's checksum, the SHA-256 of its chunks' SHA-256
+//      digests joined together (a browser cannot hash a multi-gigabyte file in one go), and the
+//      file is handed to the caller's finalize step (which makes it a material) when it matches.
+//
+// Every upload belongs to the user who started it; other users' uploads are not found, and
+// each user may only have `maxPending` unfinished uploads of `maxPendingSize` bytes at a time.
+// Each upload is <id>.part (the data received so far) and <id>.json (its details, and once
+// complete the finalize result) in `dir`, so uploads also survive a server restart. Uploads
+// left untouched for `expireAfter` ms are removed by sweep().
+
+const MB = 1024 * 1024;
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const CHECKSUM_PATTERN = /^[0-9a-f]{64}$/;
+
+class UploadError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const sha256 = () => crypto.createHash('sha256');
+
+// The file checksum of the protocol: SHA-256 over the SHA-256 of each `chunkSize` slice
+function fileChecksum(filePath, chunkSize) {
+    return new Promise((resolve, reject) => {
+        const list = sha256();
+        let chunk = sha256();
+        let filled = 0;
+
+        fs.createReadStream(filePath)
+            .on('data', (data) => {
+                for (let start = 0; start < data.length;) {
+                    const end = Math.min(data.length, start + chunkSize - filled);
+                    chunk.update(data.subarray(start, end));
+                    filled += end - start;
+                    start = end;
+                    if (filled === chunkSize) {
+                        list.update(chunk.digest());
+                        chunk = sha256();
+                        filled = 0;
+                    }
+                }
+            })
+            .on('end', () => {
+                if (filled > 0) list.update(chunk.digest());
+                resolve(list.digest('hex'));
+            })
+            .on('error', reject);
+    });
+}
+
+class ChunkedUploads {
+    constructor({
+        dir,
+        chunkSize = 8 * MB,
+        maxSize = 4096 * MB,
+        allowedTypes = null,
+        maxPending = 5,
+        maxPendingSize = 8192 * MB,
+        expireAfter = 24 * 60 * 60 * 1000
+    }) {
+        this.dir = dir;
+        this.chunkSize = chunkSize;
+        this.maxSize = maxSize;
+        this.allowedTypes = allowedTypes;
+        this.maxPending = maxPending;
+        this.maxPendingSize = maxPendingSize;
+        this.expireAfter = expireAfter;
+        this.writing = new Set();
+        this.finishing = new Set();
+        // id -> the promise of its completion, shared by every request to complete it
+        this.completing = new Map();
+        this.starting = Promise.resolve();
+    }
+
+    paths(id) {
+        if (!ID_PATTERN.test(id || '')) throw new UploadError(404, 'Upload not found');
+        return {
+            data: path.join(this.dir, `${id}.part`),
+            info: path.join(this.dir, `${id}.json`)
+        };
+    }
+
+    // Start an upload of `size` bytes for `owner` (a user id); `details` is kept with it
+    // (title, description, ...)
+    create({ owner, fileName, size, details = {} }) {
+        // One at a time, so two requests cannot both fit under the owner's limits
+        const created = this.starting.then(() => this.start({ owner, fileName, size, details }));
+        this.starting = created.catch(() => {});
+        return created;
+    }
+
+    async start({ owner, fileName, size, details }) {
+        const extension = path.extname(fileName || '').toLowerCase();
+        if (owner === undefined || owner === null) {
+            throw new UploadError(401, 'Sign in to upload files');
+        }
+        if (!fileName || !extension) {
+            throw new UploadError(400, 'File name is required');
+        }
+        if (this.allowedTypes && !this.allowedTypes.includes(extension)) {
+            throw new UploadError(400, 'File type not allowed');
+        }
+        if (!Number.isSafeInteger(size) || size <= 0) {
+            throw new UploadError(400, 'File size must be a positive number of bytes');
+        }
+        if (size > this.maxSize) {
+            throw new UploadError(413, `File is larger than the ${Math.round(this.maxSize / MB)} MB limit`);
+        }
+
+        const pending = (await this.list()).filter(upload => upload.owner === String(owner) && !upload.result);
+        if (pending.length >= this.maxPending) {
+            throw new UploadError(429, `You have ${pending.length} unfinished uploads; finish or cancel one first`);
+        }
+        if (pending.reduce((sum, upload) => sum + upload.size, size) > this.maxPendingSize) {
+            throw new UploadError(429, `Your unfinished uploads would exceed ${Math.round(this.maxPendingSize / MB)} MB; finish or cancel one first`);
+        }
+
+        const upload = {
+            id: crypto.randomUUID(),
+            owner: String(owner),
+            fileName: path.basename(fileName),
+            size,
+            chunkSize: this.chunkSize,
+            details,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        const { data, info } = this.paths(upload.id);
+
+        await fsp.mkdir(this.dir, { recursive: true });
+        await fsp.writeFile(data, '');
+        await fsp.writeFile(info, JSON.stringify(upload));
+        return { ...upload, offset: 0 };
+    }
+
+    // The details of every upload, finished or not
+    async list() {
+        const names = await fsp.readdir(this.dir).catch(() => []);
+        const uploads = await Promise.all(names
+            .filter(name => name.endsWith('.json'))
+            .map(name => fsp.readFile(path.join(this.dir, name), 'utf8').then(JSON.parse).catch(() => null)));
+        return uploads.filter(Boolean);
+    }
+
+    // An upload with its offset, the number of bytes received; with `owner`, only when it is theirs
+    async get(id, owner) {
+        const { data, info } = this.paths(id);
+        try {
+            const upload = JSON.parse(await fsp.readFile(info, 'utf8'));
+            if (owner !== undefined && upload.owner !== String(owner)) {
+                throw new UploadError(404, 'Upload not found');
+            }
+            // A completed upload's data has gone to its material
+            const offset = upload.result ? upload.size : (await fsp.stat(data)).size;
+            return { ...upload, offset };
+        } catch (error) {
+            if (error.code === 'ENOENT') throw new UploadError(404, 'Upload not found');
+            throw error;
+        }
+    }
+
+    // Append the chunk at `offset` read from `stream` (an incoming request); `length` is its
+    // declared size and `checksum` its SHA-256. Resolves to the upload's new offset.
+    async writeChunk(id, { owner, offset, length, checksum, stream }) {
+        const upload = await this.get(id, owner);
+        const { data } = this.paths(id);
+
+        if (this.writing.has(id) || this.finishing.has(id)) {
+            throw new UploadError(409, 'A chunk of this upload is already being received', { offset: upload.offset });
+        }
+        if (offset !== upload.offset) {
+            throw new UploadError(409, `Expected the chunk at offset ${upload.offset}`, { offset: upload.offset });
+        }
+        const expected = Math.min(upload.chunkSize, upload.size - upload.offset);
+        if (expected <= 0) {
+            throw new UploadError(409, 'Every chunk has been received', { offset: upload.offset });
+        }
+        if (length !== expected) {
+            throw new UploadError(400, `Chunk must be ${expected} bytes`, { offset: upload.offset });
+        }
+        if (!CHECKSUM_PATTERN.test(checksum || '')) {
+            throw new UploadError(400, 'Chunk checksum (SHA-256, hex) is required', { offset: upload.offset });
+        }
+
+        this.writing.add(id);
+        const hash = sha256();
+        let received = 0;
+        const measure = new Transform({
+            transform(chunk, encoding, callback) {
+                received += chunk.length;
+                if (received > expected) {
+                    callback(new UploadError(400, `Chunk must be ${expected} bytes`, { offset: upload.offset }));
+                    return;
+                }
+                hash.update(chunk);
+                callback(null, chunk);
+            }
+        });
+
+        try {
+            await pipelineAsync(stream, measure, fs.createWriteStream(data, { flags: 'a' }));
+            if (received !== expected) {
+                throw new UploadError(400, `Chunk must be ${expected} bytes`, { offset: upload.offset });
+            }
+            if (hash.digest('hex') !== checksum) {
+                throw new UploadError(422, 'Chunk checksum does not match; send it again', { offset: upload.offset });
+            }
+        } catch (error) {
+            // Drop whatever arrived of a broken chunk so the upload resumes on its boundary
+            await fsp.truncate(data, upload.offset).catch(() => {});
+            throw error;
+        } finally {
+            this.writing.delete(id);
+        }
+
+        await this.touch(id, upload);
+        return upload.offset + expected;
+    }
+
+    // Check the whole file against `checksum` and pass it to `finalize(filePath, upload)`, which
+    // takes the file away (into a material) and resolves to the result to answer with. The
+    // result is kept with the upload: completing it again, at the same time or as a retry after
+    // a lost response, answers the same result instead of finalizing twice. A finalize that
+    // throws an UploadError refuses the file, and the upload is cancelled.
+    async complete(id, { owner, checksum, finalize }) {
+        let completion = this.completing.get(id);
+        if (!completion) {
+            completion = this.get(id, owner).then(upload => (upload.result ? upload : this.finish(upload, checksum, finalize)));
+            this.completing.set(id, completion);
+            completion.catch(() => this.completing.delete(id));
+        }
+
+        const upload = await completion;
+        if (upload.owner !== String(owner)) {
+            throw new UploadError(404, 'Upload not found');
+        }
+        if (upload.checksum !== checksum) {
+            throw new UploadError(409, 'This upload was completed with a different file checksum');
+        }
+        return upload.result;
+    }
+
+    async finish(upload, checksum, finalize) {
+        const { id } = upload;
+        const { data } = this.paths(id);
+
+        if (this.writing.has(id) || upload.offset !== upload.size) {
+            throw new UploadError(409, `Only ${upload.offset} of ${upload.size} bytes have been received`, { offset: upload.offset });
+        }
+        if (!CHECKSUM_PATTERN.test(checksum || '')) {
+            throw new UploadError(400, 'File checksum is required');
+        }
+
+        this.finishing.add(id);
+        let result;
+        try {
+            if (await fileChecksum(data, upload.chunkSize) !== checksum) {
+                // The chunks were each intact, so this is a different file: start again
+                await this.remove(id);
+                throw new UploadError(422, 'File checksum does not match; upload the file again');
+            }
+            try {
+                result = await finalize(data, upload);
+            } catch (error) {
+                if (error instanceof UploadError) await this.remove(id);
+                throw error;
+            }
+        } finally {
+            this.finishing.delete(id);
+        }
+
+        const completed = { ...upload, checksum, result };
+        await this.touch(id, completed);
+        await fsp.unlink(data).catch(() => {});
+        return completed;
+    }
+
+    // Cancel an upload of `owner`; one that is being completed has to finish first
+    async cancel(id, owner) {
+        await this.get(id, owner);
+        if (this.finishing.has(id)) {
+            throw new UploadError(409, 'This upload is being completed');
+        }
+        await this.remove(id);
+    }
+
+    async remove(id) {
+        const { data, info } = this.paths(id);
+        this.completing.delete(id);
+        await Promise.all([data, info].map(file => fsp.unlink(file).catch(() => {})));
+    }
+
+    async touch(id, { offset, ...upload }) {
+        const { info } = this.paths(id);
+        await fsp.writeFile(info, JSON.stringify({ ...upload, updatedAt: new Date().toISOString() }));
+    }
+
+    // Remove uploads untouched for longer than expireAfter, and the results of completed ones;
+    // resolves to how many
+    async sweep() {
+        const entries = await fsp.readdir(this.dir).catch(() => []);
+        const ids = new Set(entries.map(name => name.replace(/\.(part|json)$/, '')).filter(id => ID_PATTERN.test(id)));
+        const cutoff = Date.now() - this.expireAfter;
+        let removed = 0;
+
+        for (const id of ids) {
+            if (this.writing.has(id) || this.finishing.has(id)) continue;
+            try {
+                const upload = await this.get(id);
+                if (new Date(upload.updatedAt).getTime() >= cutoff) continue;
+            } catch (error) {
+                // Details without data, or unreadable: nothing to resume
+            }
+            await this.remove(id);
+            removed++;
+        }
+        return removed;
+    }
+}
+
+// Express routes for the protocol, for a server to mount behind its authentication (the
+// owner of an upload is `req.user`, by `ownerOf(req)`):
+//   POST   /                    start ({ fileName, size, ...}); `details(req)` checks the rest of
+//                               the body and resolves to what is kept for finalize
+//   GET    /:uploadId           offset reached, to resume after a disconnect
+//   PUT    /:uploadId?offset=N  one chunk as the raw body, X-Chunk-Checksum: <sha-256>
+//   POST   /:uploadId/complete  finish ({ checksum }); `finalize(req, file, upload)` is given
+//                               the file like a multer upload ({ path, originalname, size }) and
+//                               resolves to the { status, body } to answer with
+//   DELETE /:uploadId           cancel
+// Errors are answered as { [errorKey]: message }, like the server's other routes.
+function uploadRouter(uploads, { ownerOf, details, finalize, errorKey = 'message' }) {
+    const router = express.Router();
+
+    const handle = (action) => async (req, res) => {
+        try {
+            await action(req, res);
+        } catch (error) {
+            if (error instanceof UploadError) {
+                // Whatever was left of a rejected chunk is not needed
+                if (!req.complete) req.resume();
+                return res.status(error.status).json({ [errorKey]: error.message, ...error.details });
+            }
+            // The connection dropped mid-chunk; the client resumes from the upload's offset
+            if (res.headersSent || req.destroyed) {
+                return;
+            }
+            console.error('Chunked upload error:', error);
+            res.status(500).json({ [errorKey]: 'Upload failed' });
+        }
+    };
+
+    router.post('/', handle(async (req, res) => {
+        const { fileName, size } = req.body;
+        const upload = await uploads.create({ owner: ownerOf(req), fileName, size, details: await details(req) });
+        res.status(201).json({ upload });
+    }));
+
+    router.get('/:uploadId', handle(async (req, res) => {
+        res.json({ upload: await uploads.get(req.params.uploadId, ownerOf(req)) });
+    }));
+
+    router.put('/:uploadId', handle(async (req, res) => {
+        const offset = await uploads.writeChunk(req.params.uploadId, {
+            owner: ownerOf(req),
+            offset: Number(req.query.offset),
+            length: Number(req.headers['content-length']),
+            checksum: req.headers['x-chunk-checksum'],
+            stream: req
+        });
+        res.json({ offset });
+    }));
+
+    router.post('/:uploadId/complete', handle(async (req, res) => {
+        const { status, body } = await uploads.complete(req.params.uploadId, {
+            owner: ownerOf(req),
+            checksum: req.body.checksum,
+            finalize: async (filePath, upload) => {
+                const answer = await finalize(req, { path: filePath, originalname: upload.fileName, size: upload.size }, upload);
+                if (answer.status >= 400) {
+                    throw new UploadError(answer.status, answer.body[errorKey], answer.body);
+                }
+                return answer;
+            }
+        });
+        res.status(status).json(body);
+    }));
+
+    router.delete('/:uploadId', handle(async (req, res) => {
+        await uploads.cancel(req.params.uploadId, ownerOf(req));
+        res.json({ message: 'Upload cancelled' });
+    }));
+
+    return router;
+}
+
+module.exports = {
+    UploadError,
+    ChunkedUploads,
+    fileChecksum,
+    uploadRouter
+};
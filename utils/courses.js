@@ -0,0 +1,13 @@
+// Available courses based on Dr. Salma's expertise
+const AVAILABLE_COURSES = [
+    'Biochemistry',
+    'Cell Biology', 
+    'Animal Behavior',
+    'Evolution',
+    'Photosynthesis',
+    'Cell Division',
+    'Cell Respiration',
+    'General Biology'
+];
+
+module.exports = { AVAILABLE_COURSES };
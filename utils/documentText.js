@@ -0,0 +1,228 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { readZip, readZipText } = require('./zip');
+const { decodeXml } = require('./spreadsheet');
+const { readPdfLines } = require('./pdf');
+
+// Text, page count and headings of uploaded documents (PDF, DOCX and PPTX), for indexing
+// materials. Headings are [{ level, text }]: Word heading styles and slide titles where the
+// document has them, otherwise lines set noticeably larger than the body text.
+
+const MAX_TEXT_LENGTH = 1000000;
+const MAX_HEADINGS = 200;
+const MAX_HEADING_LENGTH = 150;
+
+// Lines ({ text, size }) larger than the body text, ranked by size (level 1 is the largest)
+function headingsBySize(lines) {
+    const round = (size) => Math.round(size * 2) / 2;
+    const charsBySize = new Map();
+    for (const line of lines) {
+        const size = round(line.size);
+        charsBySize.set(size, (charsBySize.get(size) || 0) + line.text.length);
+    }
+    if (charsBySize.size === 0) return [];
+    const bodySize = [...charsBySize.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+    const isLarge = (line) => round(line.size) >= bodySize * 1.1
+        && line.text.length <= MAX_HEADING_LENGTH
+        && /\p{L}/u.test(line.text);
+
+    // Large text repeated through the document is a running header, not a heading
+    const occurrences = new Map();
+    for (const line of lines.filter(isLarge)) {
+        occurrences.set(line.text, (occurrences.get(line.text) || 0) + 1);
+    }
+    const isHeading = (line) => isLarge(line) && occurrences.get(line.text) < 3;
+    const headingSizes = [...new Set(lines.filter(isHeading).map(line => round(line.size)))].sort((a, b) => b - a);
+
+    const headings = [];
+    let previous = null;
+    lines.forEach((line, index) => {
+        if (!isHeading(line)) return;
+
+        // Consecutive lines of the same size are one heading wrapped over several lines
+        const size = round(line.size);
+        if (previous && previous.index === index - 1 && previous.size === size
+            && previous.heading.text.length + line.text.length < MAX_HEADING_LENGTH) {
+            previous.heading.text += ` ${line.text}`;
+            previous.index = index;
+            return;
+        }
+
+        const heading = { level: Math.min(headingSizes.indexOf(size) + 1, 3), text: line.text };
+        headings.push(heading);
+        previous = { heading, size, index };
+    });
+
+    return headings;
+}
+
+function extractPdf(buffer) {
+    const { pageCount, pages } = readPdfLines(buffer);
+
+    return {
+        text: pages.map(lines => lines.map(line => line.text).join('\n')).filter(Boolean).join('\n\n'),
+        pageCount,
+        headings: headingsBySize(pages.flat())
+    };
+}
+
+// Paragraph text of a WordprocessingML or DrawingML fragment (<w:t>/<a:t> runs, tabs, breaks)
+function runText(xml, prefix) {
+    // <w:tab/> is a tab character; tab elements with attributes are tab stop definitions
+    const pattern = new RegExp(`<${prefix}:t(?:\\s[^>]*)?>([^<]*)</${prefix}:t>|<${prefix}:(tab)/>|<${prefix}:(br|cr)(?:\\s[^>]*)?/>`, 'g');
+    let text = '';
+    for (const [, value, tab, lineBreak] of xml.matchAll(pattern)) {
+        if (tab) text += '\t';
+        else if (lineBreak) text += '\n';
+        else text += decodeXml(value);
+    }
+    return text.replace(/[ \t]+/g, ' ').trim();
+}
+
+// Paragraph styles by id: { level } for headings and { size } in points when set
+function readDocxStyles(stylesXml) {
+    const styles = new Map();
+    const defaults = /<w:rPrDefault>[\s\S]*?<w:sz w:val="(\d+)"/.exec(stylesXml);
+
+    for (const [, id, body] of stylesXml.matchAll(/<w:style\b[^>]*w:styleId="([^"]+)"[^>]*>([\s\S]*?)<\/w:style>/g)) {
+        const name = (/<w:name w:val="([^"]+)"/.exec(body) || [])[1] || '';
+        const heading = /^heading (\d)$/i.exec(name);
+        const outline = /<w:outlineLvl w:val="(\d)"/.exec(body);
+        const size = /<w:sz w:val="(\d+)"/.exec(body);
+
+        let level = null;
+        if (heading) level = Number(heading[1]);
+        else if (name === 'Title') level = 1;
+        else if (outline && outline[1] !== '9') level = Number(outline[1]) + 1;
+
+        styles.set(id, { level, size: size ? Number(size[1]) / 2 : null });
+    }
+
+    // Word's own default is 10pt when the document does not set one
+    return { styles, defaultSize: defaults ? Number(defaults[1]) / 2 : 10 };
+}
+
+function extractDocx(buffer) {
+    const entries = readZip(buffer);
+    const documentXml = readZipText(entries, 'word/document.xml');
+    if (!documentXml) {
+        throw new Error('Not a Word document (word/document.xml is missing)');
+    }
+
+    const { styles, defaultSize } = readDocxStyles(readZipText(entries, 'word/styles.xml') || '');
+    const paragraphs = [];
+
+    for (const [xml] of documentXml.matchAll(/<w:p[\s>][\s\S]*?<\/w:p>/g)) {
+        const text = runText(xml, 'w');
+        if (!text) continue;
+
+        const properties = (/<w:pPr>[\s\S]*?<\/w:pPr>/.exec(xml) || [''])[0];
+        const style = styles.get((/<w:pStyle w:val="([^"]+)"/.exec(properties) || [])[1]) || {};
+        const outline = /<w:outlineLvl w:val="(\d)"/.exec(properties);
+        const runSizes = [...xml.matchAll(/<w:sz w:val="(\d+)"/g)].map(([, size]) => Number(size) / 2);
+
+        paragraphs.push({
+            text,
+            level: outline && outline[1] !== '9' ? Number(outline[1]) + 1 : style.level,
+            size: runSizes.length ? Math.max(...runSizes) : style.size || defaultSize
+        });
+    }
+
+    const styled = paragraphs.filter(paragraph => paragraph.level && paragraph.text.length <= MAX_HEADING_LENGTH);
+    const headings = styled.length
+        ? styled.map(({ level, text }) => ({ level, text }))
+        : headingsBySize(paragraphs);
+
+    // Word stores the page count it last laid out; there is no layout engine here to recount it
+    const pages = /<Pages>(\d+)<\/Pages>/.exec(readZipText(entries, 'docProps/app.xml') || '');
+
+    return {
+        text: paragraphs.map(paragraph => paragraph.text).join('\n'),
+        pageCount: pages ? Number(pages[1]) : null,
+        headings
+    };
+}
+
+// Slide XML entry names in presentation order
+function slideNames(entries) {
+    const presentation = readZipText(entries, 'ppt/presentation.xml') || '';
+    const rels = readZipText(entries, 'ppt/_rels/presentation.xml.rels') || '';
+    const targets = new Map();
+    for (const [element] of rels.matchAll(/<Relationship\b[^>]*>/g)) {
+        const id = /\bId="([^"]+)"/.exec(element);
+        const target = /\bTarget="([^"]+)"/.exec(element);
+        if (id && target) {
+            targets.set(id[1], target[1].startsWith('/') ? target[1].slice(1) : path.posix.join('ppt', target[1]));
+        }
+    }
+
+    const ordered = [...presentation.matchAll(/<p:sldId\b[^>]*r:id="([^"]+)"/g)]
+        .map(([, id]) => targets.get(id))
+        .filter(name => name && entries.has(name));
+    if (ordered.length) return ordered;
+
+    const slideNumber = (name) => Number(/slide(\d+)\.xml$/.exec(name)[1]);
+    return [...entries.keys()]
+        .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+        .sort((a, b) => slideNumber(a) - slideNumber(b));
+}
+
+function extractPptx(buffer) {
+    const entries = readZip(buffer);
+    if (!entries.has('ppt/presentation.xml')) {
+        throw new Error('Not a PowerPoint presentation (ppt/presentation.xml is missing)');
+    }
+
+    const slides = slideNames(entries).map(name => {
+        const xml = readZipText(entries, name);
+        const paragraphs = [...xml.matchAll(/<a:p[\s>][\s\S]*?<\/a:p>/g)]
+            .map(([paragraph]) => runText(paragraph, 'a'))
+            .filter(Boolean);
+
+        const titleShape = [...xml.matchAll(/<p:sp[\s>][\s\S]*?<\/p:sp>/g)]
+            .map(([shape]) => shape)
+            .find(shape => /<p:ph\b[^>]*type="(?:title|ctrTitle)"/.test(shape));
+        const title = titleShape
+            ? [...titleShape.matchAll(/<a:p[\s>][\s\S]*?<\/a:p>/g)].map(([paragraph]) => runText(paragraph, 'a')).filter(Boolean).join(' ')
+            : '';
+
+        return { title, text: paragraphs.join('\n') };
+    });
+
+    return {
+        text: slides.map(slide => slide.text).filter(Boolean).join('\n\n'),
+        pageCount: slides.length,
+        headings: slides.filter(slide => slide.title).map(slide => ({ level: 1, text: slide.title }))
+    };
+}
+
+const EXTRACTORS = {
+    '.pdf': extractPdf,
+    '.docx': extractDocx,
+    '.pptx': extractPptx
+};
+
+const isExtractable = (fileName) => Boolean(fileName) && Object.prototype.hasOwnProperty.call(EXTRACTORS, path.extname(fileName).toLowerCase());
+
+// { text, pageCount, headings } of a document; the extension of `fileName` (the original
+// upload name, since stored files may have none) picks the format
+async function extractDocumentText(filePath, fileName = filePath) {
+    const extension = path.extname(fileName).toLowerCase();
+    if (!isExtractable(fileName)) {
+        throw new Error(`Text cannot be extracted from ${extension || 'files without an extension'}`);
+    }
+
+    const { text, pageCount, headings } = EXTRACTORS[extension](await fs.readFile(filePath));
+
+    return {
+        text: text.length > MAX_TEXT_LENGTH ? text.slice(0, MAX_TEXT_LENGTH) : text,
+        pageCount,
+        headings: headings.slice(0, MAX_HEADINGS)
+    };
+}
+
+module.exports = {
+    isExtractable,
+    extractDocumentText
+};
@@ -0,0 +1,149 @@
+// Email templates, each returns { subject, text, html }
+
+const PLATFORM_NAME = 'Dr. Salma Biology Platform';
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Wrap paragraphs and an optional call-to-action button in the shared layout
+function layout({ greeting, paragraphs, action, footer }) {
+    const text = [
+        greeting,
+        '',
+        ...paragraphs.flatMap(paragraph => [paragraph, '']),
+        ...(action ? [`${action.label}: ${action.url}`, ''] : []),
+        ...(footer ? [footer, ''] : []),
+        PLATFORM_NAME
+    ].join('\n');
+
+    const html = `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;">
+    <h2 style="color: #2c5aa0;">${PLATFORM_NAME}</h2>
+    <p>${escapeHtml(greeting)}</p>
+    ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n    ')}
+    ${action ? `<p><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 12px 24px; background: #2c5aa0; color: #fff; text-decoration: none; border-radius: 6px;">${escapeHtml(action.label)}</a></p>
+    <p style="font-size: 12px; color: #6c757d;">Or paste this link into your browser: ${escapeHtml(action.url)}</p>` : ''}
+    ${footer ? `<p style="font-size: 12px; color: #6c757d;">${escapeHtml(footer)}</p>` : ''}
+</div>`;
+
+    return { text, html };
+}
+
+function passwordReset({ name, url, expiresInMinutes }) {
+    return {
+        subject: 'Reset your password',
+        ...layout({
+            greeting: `Hello ${name},`,
+            paragraphs: ['We received a request to reset the password for your account.'],
+            action: { label: 'Reset password', url },
+            footer: `This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask for a reset you can ignore this email.`
+        })
+    };
+}
+
+function emailVerification({ name, url, expiresInHours }) {
+    return {
+        subject: 'Verify your email address',
+        ...layout({
+            greeting: `Hello ${name},`,
+            paragraphs: [`Thanks for registering with the ${PLATFORM_NAME}. Please confirm your email address.`],
+            action: { label: 'Verify email', url },
+            footer: `This link expires in ${expiresInHours} hours.`
+        })
+    };
+}
+
+function passwordChanged({ name }) {
+    return {
+        subject: 'Your password was changed',
+        ...layout({
+            greeting: `Hello ${name},`,
+            paragraphs: [
+                'The password for your account was just changed.',
+                'If you did not make this change, reset your password right away and contact the administrator.'
+            ]
+        })
+    };
+}
+
+// The teacher's optional personal message is included as its own paragraph
+function invitation({ teacherName, grade, program, message, url, expiresInDays }) {
+    return {
+        subject: `${teacherName} invited you to the ${PLATFORM_NAME}`,
+        ...layout({
+            greeting: 'Hello,',
+            paragraphs: [
+                `${teacherName} has invited you to join the Grade ${grade} ${program} biology class on the ${PLATFORM_NAME}.`,
+                ...(message ? [`Message from ${teacherName}: ${message}`] : []),
+                'Accept the invitation to choose your password and activate your account.'
+            ],
+            action: { label: 'Accept invitation', url },
+            footer: `This invitation expires in ${expiresInDays} day${expiresInDays === 1 ? '' : 's'}.`
+        })
+    };
+}
+
+// One paragraph per line of each linked student's week; empty sections are left out
+function guardianDigest({ name, students, url }) {
+    const list = (items, format) => items.map(format).join('; ');
+    const paragraphs = students.flatMap(student => [
+        `${student.name}: attended ${student.attendance.attended} of ${student.attendance.total} live session${student.attendance.total === 1 ? '' : 's'} this week.`,
+        ...(student.graded.length
+            ? [`Assignments graded: ${list(student.graded, item => `${item.title} (${item.score}/${item.max_score})`)}`]
+            : []),
+        ...(student.exams.length
+            ? [`Exam results: ${list(student.exams, item => `${item.title} ${Math.round(item.percentage)}% (${item.passed ? 'passed' : 'not passed'})`)}`]
+            : []),
+        ...(student.missing.length
+            ? [`Missed deadlines: ${list(student.missing, item => item.title)}`]
+            : []),
+        ...(student.upcoming.length
+            ? [`Due in the next week: ${list(student.upcoming, item => `${item.title} (${new Date(item.due_date).toDateString()})`)}`]
+            : []),
+        ...(student.announcements.length
+            ? [`New announcements: ${list(student.announcements, item => item.title)}`]
+            : [])
+    ]);
+
+    return {
+        subject: `Weekly summary for ${students.map(student => student.name).join(', ')}`,
+        ...layout({
+            greeting: `Hello ${name},`,
+            paragraphs: ['Here is what happened in biology class over the past week.', ...paragraphs],
+            action: { label: 'View details', url },
+            footer: 'You receive this summary every week. You can turn it off from your account.'
+        })
+    };
+}
+
+// Sent to students who downloaded a material before its file was replaced
+function materialUpdated({ name, title, version, note, url }) {
+    return {
+        subject: `Updated: ${title}`,
+        ...layout({
+            greeting: `Hello ${name},`,
+            paragraphs: [
+                `"${title}", which you downloaded earlier, has been updated (version ${version}).`,
+                ...(note ? [`What changed: ${note}`] : []),
+                'Please download it again to get the latest copy.'
+            ],
+            action: { label: 'View materials', url }
+        })
+    };
+}
+
+module.exports = {
+    escapeHtml,
+    passwordReset,
+    emailVerification,
+    passwordChanged,
+    invitation,
+    guardianDigest,
+    materialUpdated
+};
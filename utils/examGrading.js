@@ -0,0 +1,132 @@
+// Auto-grading helpers for exam attempts
+
+const QUESTION_TYPES = ['multiple_choice', 'true_false', 'numeric'];
+
+// Parse a JSON column, falling back when it is empty or malformed
+function parseJson(value, fallback) {
+    if (value === null || value === undefined || value === '') {
+        return fallback;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+// Normalize a true/false answer ("True", true, "t", 1...) to 'true' or 'false'
+function normalizeBoolean(value) {
+    const text = String(value).trim().toLowerCase();
+    if (['true', 't', '1', 'yes'].includes(text)) return 'true';
+    if (['false', 'f', '0', 'no'].includes(text)) return 'false';
+    return null;
+}
+
+// Check a single answer against its question
+function isCorrect(question, answer) {
+    if (answer === null || answer === undefined || answer === '') {
+        return false;
+    }
+
+    switch (question.type) {
+        case 'multiple_choice':
+            return String(answer).trim().toLowerCase() ===
+                String(question.correct_answer).trim().toLowerCase();
+        case 'true_false':
+            return normalizeBoolean(answer) !== null &&
+                normalizeBoolean(answer) === normalizeBoolean(question.correct_answer);
+        case 'numeric': {
+            const given = parseFloat(answer);
+            const expected = parseFloat(question.correct_answer);
+            if (isNaN(given) || isNaN(expected)) return false;
+            const tolerance = Math.abs(parseFloat(question.tolerance) || 0);
+            // Small epsilon so that 0.1 + 0.2 style rounding never fails an exact answer
+            return Math.abs(given - expected) <= tolerance + 1e-9;
+        }
+        default:
+            return false;
+    }
+}
+
+// Grade a set of answers (keyed by question id) against the served questions
+function gradeAnswers(questions, answers = {}) {
+    let score = 0;
+    let maxScore = 0;
+
+    const results = questions.map(question => {
+        const points = parseInt(question.points) || 1;
+        const answer = answers[question.id];
+        const correct = isCorrect(question, answer);
+
+        maxScore += points;
+        if (correct) score += points;
+
+        return {
+            question_id: question.id,
+            answer: answer === undefined ? null : answer,
+            correct,
+            points_awarded: correct ? points : 0,
+            points
+        };
+    });
+
+    const percentage = maxScore > 0 ? Math.round((score / maxScore) * 10000) / 100 : 0;
+
+    return { score, maxScore, percentage, results };
+}
+
+// Strip the answer key from a question before sending it to a student
+function toStudentQuestion(question) {
+    return {
+        id: question.id,
+        question_text: question.question_text,
+        type: question.type,
+        options: question.type === 'true_false' ? ['True', 'False'] : parseJson(question.options, []),
+        points: question.points
+    };
+}
+
+// Validate question input, returns an error message or null
+function validateQuestion(question) {
+    if (!question.question_text || !String(question.question_text).trim()) {
+        return 'Question text is required';
+    }
+    if (!QUESTION_TYPES.includes(question.type)) {
+        return 'Invalid question type';
+    }
+    if (question.correct_answer === undefined || question.correct_answer === null || question.correct_answer === '') {
+        return 'Correct answer is required';
+    }
+
+    if (question.type === 'multiple_choice') {
+        const options = Array.isArray(question.options) ? question.options : parseJson(question.options, null);
+        if (!Array.isArray(options) || options.length < 2) {
+            return 'Multiple choice questions need at least two options';
+        }
+        const matches = options.some(option =>
+            String(option).trim().toLowerCase() === String(question.correct_answer).trim().toLowerCase()
+        );
+        if (!matches) {
+            return 'Correct answer must be one of the options';
+        }
+    } else if (question.type === 'true_false') {
+        if (normalizeBoolean(question.correct_answer) === null) {
+            return 'Correct answer must be true or false';
+        }
+    } else if (question.type === 'numeric') {
+        if (isNaN(parseFloat(question.correct_answer))) {
+            return 'Correct answer must be a number';
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    parseJson,
+    isCorrect,
+    gradeAnswers,
+    toStudentQuestion,
+    validateQuestion
+};
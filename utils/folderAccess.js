@@ -0,0 +1,82 @@
+const { folders, sameId } = require('../repositories');
+
+// Folder permissions, weakest first. A share on a folder also applies to everything below it,
+// and the owner of any folder in the chain has full control of its subfolders.
+//   read  - browse the folder and download its materials
+//   write - upload, edit, create subfolders and move things around inside the folder
+//   admin - everything above plus share/unshare, make public and delete
+//   owner - the folder's owner (and platform admins)
+const PERMISSION_LEVELS = { read: 1, write: 2, admin: 3, owner: 4 };
+
+// The folder followed by its ancestors up to the root
+async function getFolderChain(folder) {
+    const chain = [folder];
+    const seen = new Set([folder._id.toString()]);
+    let current = folder;
+
+    while (current.parentFolder && !seen.has(current.parentFolder.toString())) {
+        current = await folders.findById(current.parentFolder);
+        if (!current) break;
+        seen.add(current._id.toString());
+        chain.push(current);
+    }
+
+    return chain;
+}
+
+// Effective permission of a user on a folder, or null when they have none
+async function getFolderPermission(folder, user) {
+    if (user.role === 'admin') return 'owner';
+
+    const chain = await getFolderChain(folder);
+    let best = null;
+
+    for (const item of chain) {
+        if (sameId(item.owner, user._id)) return 'owner';
+
+        const share = item.sharedWith.find(entry => sameId(entry.user, user._id));
+        if (share && (!best || PERMISSION_LEVELS[share.permission] > PERMISSION_LEVELS[best])) {
+            best = share.permission;
+        }
+    }
+
+    // Public folders are readable by everyone; publishing doesn't cascade to subfolders
+    if (!best && folder.isPublic) best = 'read';
+
+    return best;
+}
+
+function hasFolderPermission(permission, required) {
+    return Boolean(permission) && PERMISSION_LEVELS[permission] >= PERMISSION_LEVELS[required];
+}
+
+// Load a folder and check the user has at least `required` on it.
+// Resolves to { folder, permission }, { folder: null } when it doesn't exist, or { forbidden: true }.
+async function loadFolderWithPermission(folderId, user, required) {
+    const folder = await folders.findById(folderId);
+    if (!folder) return { folder: null };
+
+    const permission = await getFolderPermission(folder, user);
+    if (!hasFolderPermission(permission, required)) return { folder, permission, forbidden: true };
+
+    return { folder, permission };
+}
+
+// Shares granted on the folder's ancestors, nearest ancestor first
+async function getInheritedShares(folder) {
+    const chain = await getFolderChain(folder);
+    return chain.slice(1).flatMap(ancestor => ancestor.sharedWith.map(share => ({
+        user: share.user,
+        permission: share.permission,
+        folder: { _id: ancestor._id, name: ancestor.name, path: ancestor.path }
+    })));
+}
+
+module.exports = {
+    PERMISSION_LEVELS,
+    getFolderChain,
+    getFolderPermission,
+    hasFolderPermission,
+    loadFolderWithPermission,
+    getInheritedShares
+};
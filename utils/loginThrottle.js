@@ -0,0 +1,75 @@
+// Brute-force protection for logins, shared by both servers. Each server stores the counters;
+// this module decides how long a client has to wait.
+//
+// Per account: the first few failures are free, then each further failure doubles the wait
+// before the next attempt, and LOGIN_MAX_ATTEMPTS failures lock the account for
+// LOGIN_LOCKOUT_MINUTES. Per IP address: LOGIN_IP_MAX_FAILURES failures (for any accounts,
+// including ones that don't exist) within LOGIN_IP_WINDOW_MINUTES block that address.
+
+const LOGIN_FREE_ATTEMPTS = 3;
+const LOGIN_MAX_DELAY_SECONDS = 60;
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const LOGIN_IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 50;
+const LOGIN_IP_WINDOW_MINUTES = 15;
+
+const toTime = (value) => (value ? new Date(value).getTime() : 0);
+
+// Seconds to wait after the latest of `failures` consecutive failures
+function retryDelaySeconds(failures) {
+    if (failures < LOGIN_FREE_ATTEMPTS) return 0;
+    return Math.min(2 ** (failures - LOGIN_FREE_ATTEMPTS), LOGIN_MAX_DELAY_SECONDS);
+}
+
+// When the account may next try to log in: { locked, retryAfter } in seconds, or null if it can now
+function getAccountBlock({ failures = 0, lastFailedAt, lockedUntil }, now = Date.now()) {
+    const lockedFor = toTime(lockedUntil) - now;
+    if (lockedFor > 0) {
+        return { locked: true, retryAfter: Math.ceil(lockedFor / 1000) };
+    }
+
+    const waitFor = toTime(lastFailedAt) + retryDelaySeconds(failures) * 1000 - now;
+    if (lastFailedAt && waitFor > 0) {
+        return { locked: false, retryAfter: Math.ceil(waitFor / 1000) };
+    }
+
+    return null;
+}
+
+// Same for an IP address, given its failures in the window and when the oldest of them happened
+function getIpBlock({ failures = 0, oldestFailureAt }, now = Date.now()) {
+    if (failures < LOGIN_IP_MAX_FAILURES) return null;
+    const waitFor = toTime(oldestFailureAt) + LOGIN_IP_WINDOW_MINUTES * 60 * 1000 - now;
+    return { locked: true, retryAfter: Math.max(Math.ceil(waitFor / 1000), 1) };
+}
+
+// Start of the window that IP failures are counted over
+const ipWindowStart = (now = Date.now()) => new Date(now - LOGIN_IP_WINDOW_MINUTES * 60 * 1000);
+
+// Lockout end for an account that has just reached LOGIN_MAX_ATTEMPTS
+const lockoutUntil = (now = Date.now()) => new Date(now + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+
+// Response body for a blocked attempt (sent with status 429 and a Retry-After header)
+function blockedResponse(block, key = 'error') {
+    const minutes = Math.ceil(block.retryAfter / 60);
+    return {
+        [key]: block.locked
+            ? `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+            : `Too many failed login attempts. Wait ${block.retryAfter} second${block.retryAfter === 1 ? '' : 's'} before trying again.`,
+        locked: block.locked,
+        retryAfter: block.retryAfter
+    };
+}
+
+module.exports = {
+    LOGIN_MAX_ATTEMPTS,
+    LOGIN_LOCKOUT_MINUTES,
+    LOGIN_IP_MAX_FAILURES,
+    LOGIN_IP_WINDOW_MINUTES,
+    retryDelaySeconds,
+    getAccountBlock,
+    getIpBlock,
+    ipWindowStart,
+    lockoutUntil,
+    blockedResponse
+};
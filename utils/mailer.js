@@ -0,0 +1,73 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing mail. The transport is chosen by EMAIL_TRANSPORT:
+//   smtp   - EMAIL_HOST/EMAIL_PORT/EMAIL_USER/EMAIL_PASS (default when EMAIL_HOST is set)
+//   json   - nodemailer JSON transport, messages are returned instead of sent (default otherwise)
+//   stream - nodemailer stream transport, prints the raw message
+// Tests can plug in any nodemailer transport (e.g. a local SMTP stand-in) with setTransport().
+
+let transporter = null;
+
+function createTransport() {
+    const type = process.env.EMAIL_TRANSPORT || (process.env.EMAIL_HOST ? 'smtp' : 'json');
+
+    switch (type) {
+        case 'smtp':
+            return nodemailer.createTransport({
+                host: process.env.EMAIL_HOST,
+                port: parseInt(process.env.EMAIL_PORT) || 587,
+                secure: parseInt(process.env.EMAIL_PORT) === 465,
+                auth: process.env.EMAIL_USER
+                    ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+                    : undefined
+            });
+        case 'stream':
+            return nodemailer.createTransport({ streamTransport: true, newline: 'unix', buffer: true });
+        case 'json':
+            return nodemailer.createTransport({ jsonTransport: true });
+        default:
+            throw new Error(`Unknown EMAIL_TRANSPORT: ${type}`);
+    }
+}
+
+function getTransport() {
+    if (!transporter) {
+        transporter = createTransport();
+    }
+    return transporter;
+}
+
+// Replace the transport (pass null to go back to the configured one)
+function setTransport(transport) {
+    transporter = transport;
+}
+
+// Public base URL used to build links in emails
+function appUrl(pathname = '') {
+    const base = (process.env.APP_URL || process.env.FRONTEND_URL || `http://localhost:${process.env.PORT || 5000}`)
+        .replace(/\/$/, '');
+    return `${base}${pathname}`;
+}
+
+async function sendMail({ to, subject, text, html }) {
+    const info = await getTransport().sendMail({
+        from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'Dr. Salma Biology Platform <no-reply@bioplatform.com>',
+        to,
+        subject,
+        text,
+        html
+    });
+
+    if (process.env.NODE_ENV === 'development' && info.message) {
+        console.log(`📧 Email to ${to}: ${subject}`);
+    }
+
+    return info;
+}
+
+module.exports = {
+    sendMail,
+    getTransport,
+    setTransport,
+    appUrl
+};
@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { materials, users, blobs } = require('../repositories');
+const { UPLOAD_ROOT, BlobStore, checkQuota, buildStorageReport } = require('./blobStore');
+const { ChunkedUploads } = require('./chunkedUpload');
+
+// Material files for the routes in routes/: uploads go through the blob store with the
+// storage quotas checked first, and deleting a material releases its files.
+
+// Blob index (see utils/blobStore.js) on the blobs repository
+const blobIndex = {
+    get: (hash) => blobs.findOne({ hash }),
+    findByPath: (filePath) => blobs.findOne({ path: filePath }),
+    insert: (blob) => blobs.create(blob),
+    setPath: (hash, filePath) => blobs.updateOne({ hash }, { $set: { path: filePath } }),
+    async addReferences(hash, delta) {
+        const blob = await blobs.findOneAndUpdate({ hash }, { $inc: { refCount: delta } });
+        return blob ? blob.refCount : null;
+    },
+    remove: (hash) => blobs.deleteMany({ hash })
+};
+
+const blobStore = new BlobStore(blobIndex);
+
+// Resumable uploads of large material files (/api/materials/uploads), kept in uploads/partial
+// until they are complete
+const materialUploads = new ChunkedUploads({
+    dir: path.join(__dirname, '..', 'uploads', 'partial'),
+    chunkSize: (parseInt(process.env.UPLOAD_CHUNK_SIZE_MB) || 8) * 1024 * 1024,
+    maxSize: (parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 4096) * 1024 * 1024,
+    maxPending: parseInt(process.env.MAX_PENDING_UPLOADS) || 5,
+    maxPendingSize: (parseInt(process.env.MAX_PENDING_UPLOAD_MB) || 8192) * 1024 * 1024,
+    allowedTypes: ['.jpeg', '.jpg', '.png', '.gif', '.pdf', '.doc', '.docx', '.ppt', '.pptx', '.mp4', '.avi', '.mov', '.xlsx', '.xls', '.txt']
+});
+
+// Every file materials reference, the current one and earlier versions of each
+async function materialFiles() {
+    const list = await materials.find({}, {
+        select: 'owner course type fileSize filePath versions',
+        populate: { owner: 'name' }
+    });
+
+    return list.flatMap(material => [material, ...(material.versions || [])]
+        .filter(file => file.filePath)
+        .map(file => ({
+            path: file.filePath,
+            size: file.fileSize || 0,
+            owner: material.owner ? String(material.owner._id) : null,
+            ownerName: material.owner ? material.owner.name : null,
+            course: material.course,
+            type: material.type
+        })));
+}
+
+// Bytes used by an owner's materials, and by all stored files counted once. Both are summed by
+// the database: every file materials reference (earlier versions included), less the bytes of
+// the extra references to each blob (see utils/blobStore.js).
+const FILE_BYTES = { sum: { current: 'fileSize', versions: { total: 'versions.fileSize' } } };
+const bytesOf = (totals) => (totals ? totals.current + totals.versions : 0);
+
+async function storageUsage(ownerId) {
+    const [[owned], [all], shared] = await Promise.all([
+        materials.group({ owner: ownerId }, FILE_BYTES),
+        materials.group({}, FILE_BYTES),
+        blobs.group({ refCount: { $gt: 1 } }, { by: 'refCount', sum: { bytes: 'size' } })
+    ]);
+
+    return {
+        ownerUsage: bytesOf(owned),
+        totalUsage: bytesOf(all) - shared.reduce((sum, blob) => sum + (blob._id - 1) * blob.bytes, 0)
+    };
+}
+
+// Store a multer upload for a material of `ownerId`. Resolves to { refused: { status, message } }
+// when it would exceed a storage quota (the upload is deleted), otherwise to { file } with the
+// material's fileName, filePath, fileSize and contentHash.
+async function storeMaterialFile(upload, ownerId) {
+    const [owner, inspected] = await Promise.all([
+        users.findById(ownerId, { select: 'role' }),
+        blobStore.inspect(upload.path)
+    ]);
+    const { ownerUsage, totalUsage } = await storageUsage(ownerId);
+
+    const refused = checkQuota({
+        role: owner && owner.role,
+        ownerUsage,
+        totalUsage,
+        size: inspected.size,
+        newBytes: inspected.stored ? 0 : inspected.size
+    });
+    if (refused) {
+        await fs.unlink(upload.path).catch(() => {});
+        return { refused };
+    }
+
+    const filePath = await blobStore.add(upload.path, upload.originalname, inspected);
+    return {
+        file: {
+            fileName: upload.originalname,
+            filePath,
+            fileSize: inspected.size,
+            contentHash: inspected.hash
+        }
+    };
+}
+
+// Release the current file and every earlier version of a deleted material
+async function releaseMaterialFiles(material) {
+    for (const file of [material, ...(material.versions || [])]) {
+        await blobStore.release(file.filePath);
+    }
+}
+
+// Avatars stored under /uploads are the only other files users reference
+async function avatarFiles() {
+    const list = await users.find({ avatar: { $regex: '^/uploads/' } }, { select: 'avatar' });
+    return list.map(user => path.join(UPLOAD_ROOT, user.avatar.slice('/uploads/'.length)));
+}
+
+async function storageReport() {
+    const [files, blobList, otherPaths] = await Promise.all([materialFiles(), blobs.find(), avatarFiles()]);
+    return buildStorageReport({ files, blobs: blobList, otherPaths, skip: [materialUploads.dir] });
+}
+
+module.exports = {
+    blobStore,
+    materialUploads,
+    storageUsage,
+    storeMaterialFile,
+    releaseMaterialFiles,
+    storageReport
+};
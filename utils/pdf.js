@@ -0,0 +1,705 @@
+const zlib = require('zlib');
+
+// Minimal PDF text reader for the documents we upload (lecture notes exported from word
+// processors): objects and object streams, FlateDecode, simple fonts with WinAnsi encoding
+// and Type0 fonts with ToUnicode maps. Encrypted PDFs are rejected; text in other encodings
+// (scanned pages, fonts without a Unicode mapping) and damaged streams are skipped.
+
+class Ref {
+    constructor(num, gen) {
+        this.num = num;
+        this.gen = gen;
+    }
+
+    get key() {
+        return `${this.num} ${this.gen}`;
+    }
+}
+
+// Content-stream operator (Tj, Tf, BT...) or other bare keyword
+class Op {
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+const EOF = Symbol('eof');
+const ARRAY_END = Symbol('array end');
+const DICT_END = Symbol('dict end');
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([...'()<>[]{}/%'].map(char => char.charCodeAt(0)));
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+const ESCAPES = { n: 0x0a, r: 0x0d, t: 0x09, b: 0x08, f: 0x0c };
+
+// Reads PDF values from a Buffer: numbers, booleans, null, names (as strings), strings
+// (as Buffers), arrays, dictionaries (as objects), references and operators
+class Lexer {
+    constructor(buffer, pos = 0) {
+        this.buffer = buffer;
+        this.pos = pos;
+    }
+
+    skipSpace() {
+        const buffer = this.buffer;
+        while (this.pos < buffer.length) {
+            if (WHITESPACE.has(buffer[this.pos])) {
+                this.pos++;
+            } else if (buffer[this.pos] === 0x25) { // % comment to the end of the line
+                while (this.pos < buffer.length && buffer[this.pos] !== 0x0a && buffer[this.pos] !== 0x0d) this.pos++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    next() {
+        this.skipSpace();
+        const buffer = this.buffer;
+        if (this.pos >= buffer.length) return EOF;
+
+        const char = buffer[this.pos];
+        if (char === 0x2f) return this.readName();
+        if (char === 0x28) return this.readLiteralString();
+        if (char === 0x3c) {
+            if (buffer[this.pos + 1] === 0x3c) {
+                this.pos += 2;
+                return this.readDict();
+            }
+            return this.readHexString();
+        }
+        if (char === 0x5b) {
+            this.pos++;
+            return this.readArray();
+        }
+        if (char === 0x5d) {
+            this.pos++;
+            return ARRAY_END;
+        }
+        if (char === 0x3e) {
+            this.pos += buffer[this.pos + 1] === 0x3e ? 2 : 1;
+            return DICT_END;
+        }
+
+        const start = this.pos;
+        while (this.pos < buffer.length && !WHITESPACE.has(buffer[this.pos]) && !DELIMITERS.has(buffer[this.pos])) {
+            this.pos++;
+        }
+        if (this.pos === start) {
+            this.pos++; // stray delimiter such as { or )
+            return this.next();
+        }
+
+        const word = buffer.toString('latin1', start, this.pos);
+        if (NUMBER.test(word)) return Number(word);
+        if (word === 'true') return true;
+        if (word === 'false') return false;
+        if (word === 'null') return null;
+        return new Op(word);
+    }
+
+    // Like next(), but "1 0 R" is read as one reference
+    readValue() {
+        const value = this.next();
+        if (typeof value !== 'number' || !Number.isInteger(value)) return value;
+
+        const saved = this.pos;
+        const gen = this.next();
+        if (typeof gen === 'number' && Number.isInteger(gen)) {
+            const keyword = this.next();
+            if (keyword instanceof Op && keyword.name === 'R') return new Ref(value, gen);
+        }
+        this.pos = saved;
+        return value;
+    }
+
+    readName() {
+        const buffer = this.buffer;
+        const start = ++this.pos;
+        while (this.pos < buffer.length && !WHITESPACE.has(buffer[this.pos]) && !DELIMITERS.has(buffer[this.pos])) {
+            this.pos++;
+        }
+        return buffer.toString('latin1', start, this.pos)
+            .replace(/#([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+
+    readLiteralString() {
+        const buffer = this.buffer;
+        const bytes = [];
+        let depth = 1;
+        this.pos++;
+
+        while (this.pos < buffer.length) {
+            const char = buffer[this.pos++];
+            if (char === 0x28) {
+                depth++;
+            } else if (char === 0x29 && --depth === 0) {
+                break;
+            } else if (char === 0x5c) {
+                const escaped = buffer[this.pos++];
+                if (escaped >= 0x30 && escaped <= 0x37) {
+                    let octal = escaped - 0x30;
+                    for (let i = 0; i < 2 && buffer[this.pos] >= 0x30 && buffer[this.pos] <= 0x37; i++) {
+                        octal = octal * 8 + buffer[this.pos++] - 0x30;
+                    }
+                    bytes.push(octal & 0xff);
+                } else if (escaped === 0x0d || escaped === 0x0a) {
+                    if (escaped === 0x0d && buffer[this.pos] === 0x0a) this.pos++; // line continuation
+                } else {
+                    const letter = String.fromCharCode(escaped);
+                    bytes.push(ESCAPES[letter] !== undefined ? ESCAPES[letter] : escaped);
+                }
+                continue;
+            }
+            bytes.push(char);
+        }
+
+        return Buffer.from(bytes);
+    }
+
+    readHexString() {
+        const end = this.buffer.indexOf(0x3e, this.pos);
+        const stop = end === -1 ? this.buffer.length : end;
+        let hex = this.buffer.toString('latin1', this.pos + 1, stop).replace(/[^0-9a-f]/gi, '');
+        if (hex.length % 2) hex += '0';
+        this.pos = stop + 1;
+        return Buffer.from(hex, 'hex');
+    }
+
+    readArray() {
+        const items = [];
+        for (;;) {
+            const value = this.readValue();
+            if (value === ARRAY_END || value === EOF) return items;
+            if (value !== DICT_END) items.push(value);
+        }
+    }
+
+    readDict() {
+        const dict = {};
+        for (;;) {
+            const key = this.next();
+            if (key === DICT_END || key === EOF) return dict;
+            if (typeof key !== 'string') continue;
+
+            const value = this.readValue();
+            if (value === DICT_END || value === EOF) return dict;
+            dict[key] = value;
+        }
+    }
+}
+
+// Inflated data, or null when the stream is damaged beyond reading
+function inflate(data) {
+    try {
+        return zlib.inflateSync(data);
+    } catch (error) {
+        // Streams cut short by a sloppy writer still hold most of their text
+        try {
+            return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        } catch (retryError) {
+            return null;
+        }
+    }
+}
+
+// The objects of a PDF file, found by scanning for "N G obj" rather than trusting the
+// cross-reference table, so damaged and incrementally updated files still open
+class PdfDocument {
+    constructor(buffer) {
+        if (buffer.toString('latin1', 0, 1024).indexOf('%PDF-') === -1) {
+            throw new Error('Not a PDF file');
+        }
+
+        const text = buffer.toString('latin1');
+        if (/\/Encrypt[\s<\d]/.test(text)) {
+            throw new Error('Encrypted PDFs are not supported');
+        }
+
+        this.buffer = buffer;
+        this.objects = new Map();
+        this.readObjects(text);
+        this.readObjectStreams();
+    }
+
+    readObjects(text) {
+        const buffer = this.buffer;
+        const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const lexer = new Lexer(buffer, match.index + match[0].length);
+            const value = lexer.readValue();
+            let stream = null;
+
+            lexer.skipSpace();
+            if (text.startsWith('stream', lexer.pos)) {
+                let start = lexer.pos + 6;
+                if (buffer[start] === 0x0d) start++;
+                if (buffer[start] === 0x0a) start++;
+
+                let end = -1;
+                const length = value && value.Length;
+                if (typeof length === 'number' && /^\s*endstream/.test(text.substr(start + length, 20))) {
+                    end = start + length;
+                } else {
+                    end = text.indexOf('endstream', start);
+                    if (end === -1) break;
+                    if (buffer[end - 1] === 0x0a) end--;
+                    if (buffer[end - 1] === 0x0d) end--;
+                }
+
+                stream = buffer.subarray(start, end);
+                pattern.lastIndex = end;
+            } else {
+                pattern.lastIndex = lexer.pos;
+            }
+
+            // A later definition (an incremental update) replaces an earlier one
+            this.objects.set(`${match[1]} ${match[2]}`, { value, stream });
+        }
+    }
+
+    // PDF 1.5 files keep most small objects (fonts, widths, pages) compressed in object streams
+    readObjectStreams() {
+        for (const entry of [...this.objects.values()]) {
+            if (!entry.value || entry.value.Type !== 'ObjStm') continue;
+
+            const data = this.decode(entry);
+            if (!data) continue;
+
+            const lexer = new Lexer(data);
+            const count = this.resolve(entry.value.N) || 0;
+            const first = this.resolve(entry.value.First) || 0;
+            const offsets = [];
+            for (let i = 0; i < count; i++) {
+                offsets.push([lexer.next(), lexer.next()]);
+            }
+
+            for (const [num, offset] of offsets) {
+                const key = `${num} 0`;
+                if (typeof num !== 'number' || this.objects.has(key)) continue;
+                const value = new Lexer(data, first + offset).readValue();
+                this.objects.set(key, { value, stream: null });
+            }
+        }
+    }
+
+    entry(ref) {
+        return ref instanceof Ref ? this.objects.get(ref.key) || null : null;
+    }
+
+    resolve(value) {
+        for (let depth = 0; value instanceof Ref && depth < 10; depth++) {
+            const entry = this.objects.get(value.key);
+            value = entry ? entry.value : null;
+        }
+        return value;
+    }
+
+    // Decoded stream data, or null for filters we do not handle (images and the like)
+    decode(entry) {
+        if (!entry || !entry.stream) return null;
+
+        const filter = this.resolve(entry.value.Filter);
+        const filters = (Array.isArray(filter) ? filter : [filter]).filter(Boolean).map(name => this.resolve(name));
+        let data = entry.stream;
+
+        for (const name of filters) {
+            if (name !== 'FlateDecode' && name !== 'Fl') return null;
+            data = inflate(data);
+            if (!data) return null;
+        }
+        return data;
+    }
+
+    catalog() {
+        let catalog = null;
+        for (const { value } of this.objects.values()) {
+            if (value && value.Type === 'Catalog') catalog = value;
+        }
+        return catalog;
+    }
+
+    // Leaf pages in document order, each with its (possibly inherited) resources
+    pages() {
+        const catalog = this.catalog();
+        const pages = [];
+        const seen = new Set();
+
+        const walk = (ref, inheritedResources) => {
+            const node = this.resolve(ref);
+            if (!node || typeof node !== 'object' || seen.has(node)) return;
+            seen.add(node);
+
+            const resources = this.resolve(node.Resources) || inheritedResources;
+            if (node.Type === 'Pages' || Array.isArray(this.resolve(node.Kids))) {
+                for (const kid of this.resolve(node.Kids) || []) walk(kid, resources);
+            } else {
+                pages.push({ node, resources });
+            }
+        };
+
+        if (catalog) walk(catalog.Pages, null);
+        return pages;
+    }
+
+    // Concatenated content streams of a page
+    contents(page) {
+        const contents = this.resolve(page.node.Contents);
+        const refs = Array.isArray(contents) ? contents : [page.node.Contents];
+        const parts = refs.map(ref => this.decode(this.entry(ref))).filter(Boolean);
+        return Buffer.concat(parts.flatMap(part => [part, Buffer.from('\n')]));
+    }
+}
+
+// Windows-1252 characters for bytes 0x80-0x9f (the rest of WinAnsiEncoding is Latin-1)
+const WIN_ANSI_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+
+const winAnsi = (code) => (code >= 0x80 && code <= 0x9f ? WIN_ANSI_HIGH[code - 0x80] : String.fromCharCode(code));
+
+// Glyph names used in /Differences arrays
+const GLYPH_NAMES = {
+    space: ' ', period: '.', comma: ',', colon: ':', semicolon: ';', hyphen: '-', endash: '–', emdash: '—',
+    parenleft: '(', parenright: ')', bracketleft: '[', bracketright: ']', slash: '/', question: '?',
+    exclam: '!', quotesingle: "'", quotedbl: '"', quoteleft: '‘', quoteright: '’', quotedblleft: '“',
+    quotedblright: '”', bullet: '•', ellipsis: '…', ampersand: '&', percent: '%', plus: '+', equal: '=',
+    degree: '°', underscore: '_', fi: 'fi', fl: 'fl', zero: '0', one: '1', two: '2', three: '3', four: '4',
+    five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+};
+
+function glyphText(name) {
+    if (GLYPH_NAMES[name]) return GLYPH_NAMES[name];
+    if (name.length === 1) return name;
+    const unicode = /^uni([0-9A-F]{4})$/.exec(name) || /^u([0-9A-F]{4,6})$/.exec(name);
+    return unicode ? String.fromCodePoint(parseInt(unicode[1], 16)) : '';
+}
+
+function utf16(buffer) {
+    let text = '';
+    for (let i = 0; i + 1 < buffer.length; i += 2) {
+        text += String.fromCharCode(buffer.readUInt16BE(i));
+    }
+    return text;
+}
+
+// code -> text from a ToUnicode CMap, with the code length its codespace uses
+function parseToUnicode(data) {
+    const cmap = data.toString('latin1');
+    const map = new Map();
+    const hex = (value) => parseInt(value, 16);
+
+    const codespace = /begincodespacerange\s*<([0-9a-f]+)>/i.exec(cmap);
+    const codeLength = codespace ? Math.ceil(codespace[1].length / 2) : null;
+
+    for (const [, block] of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const [, source, target] of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+            map.set(hex(source), utf16(Buffer.from(target, 'hex')));
+        }
+    }
+
+    for (const [, block] of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        const ranges = /<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(?:<([0-9a-f]*)>|\[([^\]]*)\])/gi;
+        for (const [, low, high, target, targets] of block.matchAll(ranges)) {
+            const first = hex(low);
+            const last = Math.min(hex(high), first + 0xffff);
+            if (targets !== undefined) {
+                const list = [...targets.matchAll(/<([0-9a-f]*)>/gi)].map(([, value]) => utf16(Buffer.from(value, 'hex')));
+                list.forEach((text, i) => map.set(first + i, text));
+            } else {
+                const base = Buffer.from(target, 'hex');
+                for (let code = first; code <= last && base.length >= 2; code++) {
+                    const text = Buffer.from(base);
+                    text.writeUInt16BE((base.readUInt16BE(base.length - 2) + code - first) & 0xffff, base.length - 2);
+                    map.set(code, utf16(text));
+                }
+            }
+        }
+    }
+
+    return { map, codeLength };
+}
+
+// Turns the bytes of a shown string into text and glyph widths for one font
+class Font {
+    constructor(doc, dict) {
+        this.composite = dict.Subtype === 'Type0';
+        this.toUnicode = null;
+        this.codeLength = this.composite ? 2 : 1;
+        this.widths = new Map();
+        this.defaultWidth = this.composite ? 1000 : 500;
+
+        const toUnicode = doc.entry(dict.ToUnicode);
+        const cmapData = toUnicode && doc.decode(toUnicode);
+        if (cmapData) {
+            const { map, codeLength } = parseToUnicode(cmapData);
+            this.toUnicode = map;
+            if (codeLength) this.codeLength = codeLength;
+        }
+
+        if (this.composite) {
+            const descendant = doc.resolve((doc.resolve(dict.DescendantFonts) || [])[0]) || {};
+            this.defaultWidth = doc.resolve(descendant.DW) || 1000;
+            this.readCidWidths(doc.resolve(descendant.W) || [], doc);
+        } else {
+            const firstChar = doc.resolve(dict.FirstChar) || 0;
+            (doc.resolve(dict.Widths) || []).forEach((width, i) => this.widths.set(firstChar + i, doc.resolve(width)));
+            const descriptor = doc.resolve(dict.FontDescriptor);
+            if (descriptor && descriptor.MissingWidth) this.defaultWidth = doc.resolve(descriptor.MissingWidth);
+            this.encoding = this.readEncoding(doc, doc.resolve(dict.Encoding));
+        }
+    }
+
+    // W is [first [w1 w2 ...]] or [first last w] entries
+    readCidWidths(list, doc) {
+        for (let i = 0; i < list.length;) {
+            const first = doc.resolve(list[i]);
+            const next = doc.resolve(list[i + 1]);
+            if (Array.isArray(next)) {
+                next.forEach((width, offset) => this.widths.set(first + offset, doc.resolve(width)));
+                i += 2;
+            } else {
+                const width = doc.resolve(list[i + 2]);
+                for (let code = first; code <= next && code - first < 0xffff; code++) this.widths.set(code, width);
+                i += 3;
+            }
+        }
+    }
+
+    readEncoding(doc, encoding) {
+        const table = [];
+        for (let code = 0; code < 256; code++) table.push(winAnsi(code));
+
+        const differences = encoding && typeof encoding === 'object' ? doc.resolve(encoding.Differences) || [] : [];
+        let code = 0;
+        for (const item of differences) {
+            if (typeof item === 'number') {
+                code = item;
+            } else if (typeof item === 'string' && code < 256) {
+                table[code++] = glyphText(item);
+            }
+        }
+        return table;
+    }
+
+    // [{ text, width, space }] for each character code in the string
+    decode(bytes) {
+        const glyphs = [];
+        for (let i = 0; i + this.codeLength <= bytes.length; i += this.codeLength) {
+            const code = this.codeLength === 1 ? bytes[i] : bytes.readUIntBE(i, this.codeLength);
+            let text = this.toUnicode ? this.toUnicode.get(code) : undefined;
+            if (text === undefined) text = this.composite ? '' : this.encoding[code];
+
+            glyphs.push({
+                text,
+                width: this.widths.has(code) ? this.widths.get(code) : this.defaultWidth,
+                space: this.codeLength === 1 && code === 32
+            });
+        }
+        return glyphs;
+    }
+}
+
+// Collects shown text into lines, starting a new line when the baseline moves and adding
+// a space when there is a visible gap between two pieces of text on the same line
+class LineCollector {
+    constructor() {
+        this.lines = [];
+        this.current = null;
+    }
+
+    add(text, { x, y, endX, size }) {
+        if (!text) return;
+        const line = this.current;
+
+        if (!line || Math.abs(y - line.y) > Math.max(size, line.size) * 0.5) {
+            this.current = { text, y, endX, size: text.trim() ? size : 0 };
+            this.lines.push(this.current);
+            return;
+        }
+
+        const gap = x - line.endX;
+        if ((gap > size * 0.15 || gap < -size) && !/\s$/.test(line.text) && !/^\s/.test(text)) {
+            line.text += ' ';
+        }
+        line.text += text;
+        line.endX = endX;
+        if (text.trim()) line.size = Math.max(line.size, size);
+    }
+}
+
+const multiply = ([a, b, c, d, e, f], [a2, b2, c2, d2, e2, f2]) => [
+    a * a2 + b * c2, a * b2 + b * d2,
+    c * a2 + d * c2, c * b2 + d * d2,
+    e * a2 + f * c2 + e2, e * b2 + f * d2 + f2
+];
+
+const MAX_FORM_DEPTH = 5;
+
+// Run the text operators of a content stream, sending what they show to `out`
+function readText(doc, content, resources, out, fontCache, depth = 0) {
+    const lexer = new Lexer(content);
+    const fonts = doc.resolve(resources && resources.Font) || {};
+    const xObjects = doc.resolve(resources && resources.XObject) || {};
+    let operands = [];
+
+    let font = null;
+    let fontSize = 0;
+    let textMatrix = [1, 0, 0, 1, 0, 0];
+    let lineMatrix = textMatrix;
+    let leading = 0;
+    let charSpacing = 0;
+    let wordSpacing = 0;
+    let scale = 1;
+
+    const moveLine = (tx, ty) => {
+        lineMatrix = multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+        textMatrix = lineMatrix;
+    };
+
+    const advance = (tx) => {
+        textMatrix = multiply([1, 0, 0, 1, tx, 0], textMatrix);
+    };
+
+    const show = (bytes) => {
+        if (!font || !Buffer.isBuffer(bytes)) return;
+
+        const x = textMatrix[4];
+        const y = textMatrix[5];
+        let text = '';
+        let width = 0;
+        for (const glyph of font.decode(bytes)) {
+            text += glyph.text;
+            width += (glyph.width / 1000 * fontSize + charSpacing + (glyph.space ? wordSpacing : 0)) * scale;
+        }
+        advance(width);
+
+        const size = Math.abs(fontSize) * Math.hypot(textMatrix[2], textMatrix[3]);
+        out.add(text, { x, y, endX: textMatrix[4], size });
+    };
+
+    const loadFont = (name) => {
+        const ref = fonts[name];
+        const key = ref instanceof Ref ? ref.key : null;
+        if (key && fontCache.has(key)) return fontCache.get(key);
+
+        const dict = doc.resolve(ref);
+        const loaded = dict ? new Font(doc, dict) : null;
+        if (key) fontCache.set(key, loaded);
+        return loaded;
+    };
+
+    for (let token = lexer.next(); token !== EOF; token = lexer.next()) {
+        if (!(token instanceof Op)) {
+            operands.push(token);
+            continue;
+        }
+
+        const args = operands;
+        operands = [];
+        switch (token.name) {
+            case 'BT':
+                textMatrix = lineMatrix = [1, 0, 0, 1, 0, 0];
+                break;
+            case 'Tf':
+                font = loadFont(args[0]);
+                fontSize = Number(args[1]) || 0;
+                break;
+            case 'Td':
+                moveLine(Number(args[0]) || 0, Number(args[1]) || 0);
+                break;
+            case 'TD':
+                leading = -(Number(args[1]) || 0);
+                moveLine(Number(args[0]) || 0, Number(args[1]) || 0);
+                break;
+            case 'Tm':
+                if (args.length === 6 && args.every(arg => typeof arg === 'number')) {
+                    textMatrix = lineMatrix = args;
+                }
+                break;
+            case 'T*':
+                moveLine(0, -leading);
+                break;
+            case 'TL':
+                leading = Number(args[0]) || 0;
+                break;
+            case 'Tc':
+                charSpacing = Number(args[0]) || 0;
+                break;
+            case 'Tw':
+                wordSpacing = Number(args[0]) || 0;
+                break;
+            case 'Tz':
+                scale = (Number(args[0]) || 100) / 100;
+                break;
+            case 'Tj':
+                show(args[0]);
+                break;
+            case "'":
+                moveLine(0, -leading);
+                show(args[0]);
+                break;
+            case '"':
+                wordSpacing = Number(args[0]) || 0;
+                charSpacing = Number(args[1]) || 0;
+                moveLine(0, -leading);
+                show(args[2]);
+                break;
+            case 'TJ':
+                for (const item of Array.isArray(args[0]) ? args[0] : []) {
+                    if (typeof item === 'number') {
+                        advance(-item / 1000 * fontSize * scale);
+                    } else {
+                        show(item);
+                    }
+                }
+                break;
+            case 'Do': {
+                // Form XObjects are content streams of their own, and may hold text
+                const entry = doc.entry(xObjects[args[0]]);
+                if (entry && entry.value.Subtype === 'Form' && depth < MAX_FORM_DEPTH) {
+                    const data = doc.decode(entry);
+                    const formResources = doc.resolve(entry.value.Resources) || resources;
+                    if (data) readText(doc, data, formResources, out, fontCache, depth + 1);
+                }
+                break;
+            }
+            case 'ID': {
+                // Inline image data runs to the next "EI" keyword
+                let end = lexer.pos;
+                do {
+                    end = content.indexOf('EI', end + 1, 'latin1');
+                } while (end !== -1 && !(WHITESPACE.has(content[end - 1]) && (end + 2 >= content.length || WHITESPACE.has(content[end + 2]))));
+                lexer.pos = end === -1 ? content.length : end + 2;
+                break;
+            }
+            default:
+                break;
+        }
+    }
+}
+
+// The text of each page of a PDF as lines with their font size:
+// { pageCount, pages: [[{ text, size }]] }
+function readPdfLines(buffer) {
+    const doc = new PdfDocument(buffer);
+    const pages = doc.pages();
+    const fontCache = new Map();
+
+    return {
+        pageCount: pages.length,
+        pages: pages.map(page => {
+            const out = new LineCollector();
+            readText(doc, doc.contents(page), page.resources, out, fontCache);
+
+            return out.lines
+                // Private-use characters are symbol-font glyphs such as list bullets
+                .map(line => ({ text: line.text.replace(/[\uE000-\uF8FF]/g, '').replace(/\s+/g, ' ').trim(), size: line.size }))
+                .filter(line => line.text);
+        })
+    };
+}
+
+module.exports = {
+    readPdfLines
+};
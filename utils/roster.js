@@ -0,0 +1,78 @@
+// Roster spreadsheet columns and row validation shared by import and export
+
+const GRADES = ['9', '10', '11', '12'];
+const PROGRAMS = ['EST', 'ACT', 'Both'];
+const MAX_ROSTER_ROWS = 2000;
+
+// Export header row; import also accepts the aliases below
+const ROSTER_HEADERS = ['Name', 'Email', 'Phone', 'Grade', 'Program', 'Status', 'Enrollment Date'];
+
+const HEADER_ALIASES = {
+    name: ['name', 'full name', 'student name', 'student'],
+    email: ['email', 'e-mail', 'email address', 'mail'],
+    phone: ['phone', 'phone number', 'mobile', 'mobile number', 'telephone'],
+    grade: ['grade', 'grade level', 'class', 'year'],
+    program: ['program', 'programme', 'track', 'exam']
+};
+
+const REQUIRED_COLUMNS = ['name', 'email', 'grade', 'program'];
+
+// Map roster fields to column indexes from the header row
+function mapColumns(headerRow) {
+    const headers = headerRow.map(header => String(header).trim().toLowerCase().replace(/\s+/g, ' '));
+    const columns = {};
+
+    Object.entries(HEADER_ALIASES).forEach(([field, aliases]) => {
+        const index = headers.findIndex(header => aliases.includes(header));
+        if (index !== -1) columns[field] = index;
+    });
+
+    const missing = REQUIRED_COLUMNS.filter(field => columns[field] === undefined);
+    return { columns, missing };
+}
+
+// Undo the apostrophe the CSV export puts in front of formula-like values
+function cleanCell(value) {
+    return String(value === undefined || value === null ? '' : value).trim().replace(/^'(?=[=@+-])/, '');
+}
+
+// "Grade 12", "12th", 12 -> '12'
+function normalizeGrade(value) {
+    const match = cleanCell(value).match(/^(?:grade\s*)?(\d{1,2})(?:st|nd|rd|th)?$/i);
+    return match ? String(parseInt(match[1])) : cleanCell(value);
+}
+
+// "est", "Both" -> 'EST', 'Both'
+function normalizeProgram(value) {
+    const text = cleanCell(value);
+    return PROGRAMS.find(program => program.toLowerCase() === text.toLowerCase()) || text;
+}
+
+// Turn one spreadsheet row into a roster entry plus a list of validation errors
+function parseRosterRow(cells, columns) {
+    const read = (field) => columns[field] === undefined ? '' : cleanCell(cells[columns[field]]);
+
+    const entry = {
+        name: read('name').replace(/\s+/g, ' '),
+        email: read('email').toLowerCase(),
+        phone: read('phone'),
+        grade: normalizeGrade(read('grade')),
+        program: normalizeProgram(read('program'))
+    };
+
+    const errors = [];
+    if (entry.name.length < 2) errors.push('Name must be at least 2 characters');
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(entry.email)) errors.push('Invalid email');
+    if (!GRADES.includes(entry.grade)) errors.push(`Invalid grade "${entry.grade}" (expected ${GRADES.join(', ')})`);
+    if (!PROGRAMS.includes(entry.program)) errors.push(`Invalid program "${entry.program}" (expected ${PROGRAMS.join(', ')})`);
+    if (entry.phone && !/^\+?[\d\s().-]{6,20}$/.test(entry.phone)) errors.push('Invalid phone number');
+
+    return { entry, errors };
+}
+
+module.exports = {
+    MAX_ROSTER_ROWS,
+    ROSTER_HEADERS,
+    mapColumns,
+    parseRosterRow
+};
@@ -0,0 +1,290 @@
+const path = require('path');
+const { readZip, readZipText, createZip } = require('./zip');
+
+// CSV and XLSX reading/writing for roster import and export.
+// Rows are arrays of strings; the first row is the header.
+
+// Parse RFC 4180 CSV (quoted fields, embedded commas/newlines, "" escapes)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    text = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Quote a CSV value, neutralising leading characters spreadsheets treat as formulas
+function csvValue(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=@\t\r]/.test(text) || /^[+-](?![\d\s().-]*$)/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    return rows.map(row => row.map(csvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function encodeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters other than tab/newline are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// Concatenate every <t> run inside an element (shared strings and inline strings may be rich text)
+function textRuns(xml) {
+    const parts = [];
+    const pattern = /<(?:\w+:)?t(?:\s[^>]*)?>([\s\S]*?)<\/(?:\w+:)?t>/g;
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        parts.push(decodeXml(match[1]));
+    }
+    return parts.join('');
+}
+
+// "AB12" -> 27 (zero-based column index)
+function columnIndex(reference) {
+    const letters = reference.replace(/\d+$/, '').toUpperCase();
+    let index = 0;
+    for (const letter of letters) {
+        index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+// Path of the first worksheet in workbook order
+function firstSheetPath(entries) {
+    const workbook = readZipText(entries, 'xl/workbook.xml');
+    const rels = readZipText(entries, 'xl/_rels/workbook.xml.rels');
+    const sheet = workbook && workbook.match(/<(?:\w+:)?sheet\b[^>]*\br:id="([^"]+)"/);
+
+    if (sheet && rels) {
+        const rel = rels.match(new RegExp(`<Relationship\\b[^>]*\\bId="${sheet[1]}"[^>]*>`));
+        const target = rel && rel[0].match(/\bTarget="([^"]+)"/);
+        if (target) {
+            return target[1].startsWith('/')
+                ? target[1].slice(1)
+                : path.posix.normalize(`xl/${target[1]}`);
+        }
+    }
+
+    return 'xl/worksheets/sheet1.xml';
+}
+
+// Built-in number formats that show dates or times (ECMA-376 18.8.30)
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+// Whether a custom number format code shows a date or time, e.g. 'dd/mm/yyyy' but not '0.00'
+function isDateFormat(code) {
+    const bare = code
+        .split(';')[0]
+        .replace(/"[^"]*"/g, '')
+        .replace(/\\./g, '')
+        .replace(/\[(?!h+\]|m+\]|s+\])[^\]]*\]/gi, '');
+    return /[ymdhs]/i.test(bare);
+}
+
+// Which cell styles (the s attribute, an index into cellXfs) show dates
+function dateStyles(stylesXml) {
+    const custom = new Map();
+    for (const match of stylesXml.matchAll(/<(?:\w+:)?numFmt\b[^>]*>/g)) {
+        const id = match[0].match(/\bnumFmtId="(\d+)"/);
+        const code = match[0].match(/\bformatCode="([^"]*)"/);
+        if (id && code) custom.set(parseInt(id[1]), decodeXml(code[1]));
+    }
+
+    const cellXfs = (stylesXml.match(/<(?:\w+:)?cellXfs\b[\s\S]*?<\/(?:\w+:)?cellXfs>/) || [''])[0];
+    return (cellXfs.match(/<(?:\w+:)?xf\b[^>]*>/g) || []).map(xf => {
+        const id = parseInt((xf.match(/\bnumFmtId="(\d+)"/) || [])[1] || '0');
+        return custom.has(id) ? isDateFormat(custom.get(id)) : DATE_FORMAT_IDS.has(id);
+    });
+}
+
+// A date serial as 'YYYY-MM-DD', or 'YYYY-MM-DD HH:MM:SS' when it has a time of day. Serials
+// count days from 1899-12-30 (which absorbs Excel's phantom 29 February 1900), or from
+// 1904-01-01 in workbooks using the 1904 date system.
+function serialToDate(serial, date1904) {
+    const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+    const date = new Date(epoch + Math.round(serial * 86400) * 1000);
+    const iso = date.toISOString();
+    return date.getUTCHours() || date.getUTCMinutes() || date.getUTCSeconds()
+        ? `${iso.slice(0, 10)} ${iso.slice(11, 19)}`
+        : iso.slice(0, 10);
+}
+
+// Read the first worksheet of an XLSX file. Text, numbers and booleans are read as shown
+// without formatting; cells formatted as dates become 'YYYY-MM-DD' (with the time when set).
+function readXlsx(buffer) {
+    const entries = readZip(buffer);
+    const sheetXml = readZipText(entries, firstSheetPath(entries));
+    if (!sheetXml) {
+        throw new Error('Workbook has no worksheet');
+    }
+
+    const sharedXml = readZipText(entries, 'xl/sharedStrings.xml') || '';
+    const sharedStrings = (sharedXml.match(/<(?:\w+:)?si\b[\s\S]*?<\/(?:\w+:)?si>/g) || []).map(textRuns);
+    const styles = dateStyles(readZipText(entries, 'xl/styles.xml') || '');
+    const date1904 = /<(?:\w+:)?workbookPr\b[^>]*\bdate1904="(1|true)"/.test(readZipText(entries, 'xl/workbook.xml') || '');
+
+    const rows = [];
+    const rowPattern = /<(?:\w+:)?row\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?row>/g;
+    const cellPattern = /<(?:\w+:)?c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?c>)/g;
+    let rowMatch;
+
+    while ((rowMatch = rowPattern.exec(sheetXml)) !== null) {
+        const rowNumber = rowMatch[1].match(/\br="(\d+)"/);
+        const rowIndex = rowNumber ? parseInt(rowNumber[1]) - 1 : rows.length;
+        const row = [];
+        let cellMatch;
+
+        while ((cellMatch = cellPattern.exec(rowMatch[2])) !== null) {
+            const attributes = cellMatch[1];
+            const body = cellMatch[2] || '';
+            const reference = attributes.match(/\br="([A-Z]+\d+)"/);
+            const type = (attributes.match(/\bt="(\w+)"/) || [])[1];
+            const style = (attributes.match(/\bs="(\d+)"/) || [])[1];
+            const valueMatch = body.match(/<(?:\w+:)?v>([\s\S]*?)<\/(?:\w+:)?v>/);
+            const raw = valueMatch ? decodeXml(valueMatch[1]) : '';
+
+            let value;
+            if (type === 's') value = sharedStrings[parseInt(raw)] || '';
+            else if (type === 'inlineStr') value = textRuns(body);
+            else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+            else if (type === 'd') value = raw.replace('T', ' ').replace(/( 00:00:00)?(\.\d+)?Z?$/, '');
+            else if ((!type || type === 'n') && raw !== '' && styles[style] && Number.isFinite(Number(raw))) value = serialToDate(Number(raw), date1904);
+            else value = raw;
+
+            row[reference ? columnIndex(reference[1]) : row.length] = value;
+        }
+
+        rows[rowIndex] = Array.from(row, cell => cell === undefined ? '' : cell);
+    }
+
+    return Array.from(rows, row => row || []).filter(cells => cells.some(cell => String(cell).trim() !== ''));
+}
+
+// Write rows to a single-sheet XLSX workbook (all cells as inline strings)
+function writeXlsx(rows, sheetName = 'Sheet1') {
+    const sheetRows = rows.map((row, r) => `<row r="${r + 1}">${row.map((value, c) =>
+        `<c r="${columnName(c)}${r + 1}" t="inlineStr"><is><t xml:space="preserve">${encodeXml(value === null || value === undefined ? '' : value)}</t></is></c>`
+    ).join('')}</row>`).join('');
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${encodeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                `<sheetData>${sheetRows}</sheetData>` +
+                '</worksheet>'
+        }
+    ]);
+}
+
+// Read an uploaded CSV or XLSX file into rows based on its extension
+function readSpreadsheet(buffer, fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+    if (extension === '.csv') return parseCsv(buffer.toString('utf8'));
+    if (extension === '.xlsx') return readXlsx(buffer);
+    throw new Error('Only CSV and XLSX files are supported');
+}
+
+module.exports = {
+    parseCsv,
+    toCsv,
+    readXlsx,
+    writeXlsx,
+    readSpreadsheet,
+    decodeXml
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// Single-use tokens sent by email (password reset, email verification, invitations).
+// Only an HMAC of the token is stored, so a leaked database cannot be used to reset passwords.
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+const INVITATION_TTL_DAYS = 7;
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque, stored hashed and rotated on every use
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+    return crypto
+        .createHmac('sha256', process.env.JWT_SECRET || 'fallback-secret')
+        .update(String(token))
+        .digest('hex');
+}
+
+// Create a token and its stored hash, expiring after ttlMs
+function createToken(ttlMs) {
+    const token = generateToken();
+    return {
+        token,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs)
+    };
+}
+
+module.exports = {
+    PASSWORD_RESET_TTL_MINUTES,
+    EMAIL_VERIFICATION_TTL_HOURS,
+    INVITATION_TTL_DAYS,
+    ACCESS_TOKEN_TTL,
+    REFRESH_TOKEN_TTL_DAYS,
+    hashToken,
+    createToken
+};
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { hashToken } = require('./tokens');
+
+// TOTP two-factor authentication (RFC 6238: SHA-1, 6 digits, 30 second steps), recovery codes
+// and the short-lived challenge token that links the password step of a login to the code step.
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step either side for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Dr. Salma Biology Platform';
+
+// Roles that must use 2FA when the require_staff_2fa setting is on
+const STAFF_ROLES = ['teacher', 'admin'];
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+// A new random TOTP secret, base32 encoded for authenticator apps
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function totpAt(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+    return String(code).padStart(TOTP_DIGITS, '0');
+}
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+// Check a code and return the time step it matched, or null. Steps at or before
+// lastUsedStep are refused so a code can't be replayed.
+function verifyTotp(secret, code, lastUsedStep = -1, time = Date.now()) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(candidate)) return null;
+
+    const now = currentStep(time);
+    for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+        if (step <= lastUsedStep) continue;
+        const expected = totpAt(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+            return step;
+        }
+    }
+
+    return null;
+}
+
+// otpauth:// URI that authenticator apps read from a QR code
+function provisioningUri(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Secrets are stored encrypted (AES-256-GCM) so a database dump alone can't generate codes
+function encryptionKey() {
+    return crypto.createHash('sha256')
+        .update(process.env.TWO_FACTOR_KEY || process.env.JWT_SECRET || 'fallback-secret')
+        .digest();
+}
+
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// Single-use recovery codes like "3f9a-c21b"; only their HMACs are stored
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(4).toString('hex');
+        return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+function hashRecoveryCode(code) {
+    return hashToken(`recovery:${normalizeRecoveryCode(code)}`);
+}
+
+// Challenge tokens carry `sub` rather than `userId`, so they can't be used as access tokens.
+// purpose is 'login' (enter a code) or 'setup' (enrolment is required before logging in).
+function signChallenge(userId, purpose) {
+    return jwt.sign(
+        { sub: String(userId), purpose: `2fa-${purpose}` },
+        process.env.JWT_SECRET || 'fallback-secret',
+        { expiresIn: CHALLENGE_TTL }
+    );
+}
+
+// User id from a valid challenge token for the given purpose, or null
+function verifyChallenge(token, purpose) {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+        return decoded.purpose === `2fa-${purpose}` ? decoded.sub : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    STAFF_ROLES,
+    RECOVERY_CODE_COUNT,
+    generateSecret,
+    verifyTotp,
+    provisioningUri,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    signChallenge,
+    verifyChallenge
+};
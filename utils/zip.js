@@ -0,0 +1,476 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const zlib = require('zlib');
+const { Readable, Transform, Writable, pipeline } = require('stream');
+const { promisify } = require('util');
+
+const pipelineAsync = promisify(pipeline);
+
+// ZIP reading and writing: in memory for the Office formats we handle (XLSX, DOCX, PPTX), and
+// streamed to and from disk for backups. Supports stored and deflated entries and ZIP64
+// (entries or archives over 4 GB, more than 65,535 entries); encrypted entries are rejected.
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIR = 0x06064b50;
+const ZIP64_END_LOCATOR = 0x07064b50;
+const ZIP64_EXTRA = 0x0001;
+
+const MAX16 = 0xffff;
+const MAX32 = 0xffffffff;
+const END_SIZE = 22;
+const ZIP64_END_SIZE = 56;
+const ZIP64_LOCATOR_SIZE = 20;
+
+// Deflate can grow incompressible data a little, so entries this large get ZIP64 sizes
+const ZIP64_ENTRY_SIZE = 0xff000000;
+
+// Office files saved with a password, and .doc/.xls/.ppt files, are OLE compound files
+const OLE_SIGNATURE = Buffer.from('d0cf11e0a1b11ae1', 'hex');
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// CRC-32 of `buffer`, continuing from `crc` (the CRC of the data before it)
+function crc32(buffer, crc = 0) {
+    if (zlib.crc32) return zlib.crc32(buffer, crc);
+
+    crc = (crc ^ 0xffffffff) >>> 0;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// The end of central directory record in the last bytes of an archive:
+// { count, size, offset } of the central directory, and where a ZIP64 end record is
+function readEnd(tail) {
+    // The record is 22 bytes plus a comment of up to 64 KB
+    for (let i = tail.length - END_SIZE; i >= Math.max(0, tail.length - END_SIZE - MAX16); i--) {
+        if (tail.readUInt32LE(i) !== END_OF_CENTRAL_DIR) continue;
+
+        const locator = i - ZIP64_LOCATOR_SIZE;
+        const hasZip64 = locator >= 0 && tail.readUInt32LE(locator) === ZIP64_END_LOCATOR;
+        return {
+            count: tail.readUInt16LE(i + 10),
+            size: tail.readUInt32LE(i + 12),
+            offset: tail.readUInt32LE(i + 16),
+            zip64Offset: hasZip64 ? Number(tail.readBigUInt64LE(locator + 8)) : null
+        };
+    }
+    throw new Error('Not a ZIP archive');
+}
+
+// The ZIP64 end of central directory record, which holds the real count, size and offset
+function readZip64End(record) {
+    if (record.length < ZIP64_END_SIZE || record.readUInt32LE(0) !== ZIP64_END_OF_CENTRAL_DIR) {
+        throw new Error('Corrupt ZIP64 end of central directory');
+    }
+    return {
+        count: Number(record.readBigUInt64LE(32)),
+        size: Number(record.readBigUInt64LE(40)),
+        offset: Number(record.readBigUInt64LE(48))
+    };
+}
+
+// The entries listed in a central directory: [{ name, method, flags, crc32, compressedSize,
+// size, localOffset }]; sizes and offsets too large for 32 bits are read from the ZIP64 extra field
+function readCentralDirectory(directory, count) {
+    const entries = [];
+    let offset = 0;
+
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== CENTRAL_HEADER) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+
+        const nameLength = directory.readUInt16LE(offset + 28);
+        const extraLength = directory.readUInt16LE(offset + 30);
+        const commentLength = directory.readUInt16LE(offset + 32);
+        const entry = {
+            name: directory.toString('utf8', offset + 46, offset + 46 + nameLength),
+            flags: directory.readUInt16LE(offset + 8),
+            method: directory.readUInt16LE(offset + 10),
+            crc32: directory.readUInt32LE(offset + 16),
+            compressedSize: directory.readUInt32LE(offset + 20),
+            size: directory.readUInt32LE(offset + 24),
+            localOffset: directory.readUInt32LE(offset + 42)
+        };
+
+        const extra = directory.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength);
+        for (let at = 0; at + 4 <= extra.length; at += 4 + extra.readUInt16LE(at + 2)) {
+            if (extra.readUInt16LE(at) !== ZIP64_EXTRA) continue;
+
+            // Only the fields that overflowed are present, in this order
+            let field = at + 4;
+            for (const key of ['size', 'compressedSize', 'localOffset']) {
+                if (entry[key] !== MAX32) continue;
+                if (field + 8 > at + 4 + extra.readUInt16LE(at + 2)) {
+                    throw new Error(`Corrupt ZIP64 extra field: ${entry.name}`);
+                }
+                entry[key] = Number(extra.readBigUInt64LE(field));
+                field += 8;
+            }
+        }
+
+        entries.push(entry);
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+function checkReadable(entry) {
+    if (entry.flags & FLAG_ENCRYPTED) {
+        throw new Error(`Encrypted ZIP entries are not supported: ${entry.name}`);
+    }
+    if (entry.method !== 0 && entry.method !== 8) {
+        throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+    }
+}
+
+// Where an entry's data starts, from its local header (30 bytes plus the name and extra field)
+function dataOffset(entry, header) {
+    if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_HEADER) {
+        throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+    }
+    return entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+}
+
+// Read the central directory of an archive in memory and return a Map of entry name ->
+// { size, read() }; read() checks the data against the entry's CRC-32 and size
+function readZip(buffer) {
+    if (buffer.subarray(0, 8).equals(OLE_SIGNATURE)) {
+        throw new Error('Password-protected or pre-2007 Office file (not a ZIP archive)');
+    }
+
+    let end = readEnd(buffer);
+    if (end.zip64Offset !== null) {
+        end = readZip64End(buffer.subarray(end.zip64Offset, end.zip64Offset + ZIP64_END_SIZE));
+    }
+
+    const entries = new Map();
+    for (const entry of readCentralDirectory(buffer.subarray(end.offset, end.offset + end.size), end.count)) {
+        entries.set(entry.name, {
+            size: entry.size,
+            read() {
+                checkReadable(entry);
+                const start = dataOffset(entry, buffer.subarray(entry.localOffset, entry.localOffset + 30));
+                const raw = buffer.subarray(start, start + entry.compressedSize);
+
+                let data;
+                try {
+                    data = entry.method === 8 ? zlib.inflateRawSync(raw) : raw;
+                } catch (error) {
+                    throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+                }
+                if (data.length !== entry.size || crc32(data) !== entry.crc32) {
+                    throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+                }
+                return data;
+            }
+        });
+    }
+
+    return entries;
+}
+
+// Read one entry as UTF-8 text, or null when it is missing
+function readZipText(entries, name) {
+    const entry = entries.get(name);
+    return entry ? entry.read().toString('utf8') : null;
+}
+
+async function readAt(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    if (bytesRead < length) {
+        throw new Error('Truncated ZIP archive');
+    }
+    return buffer;
+}
+
+// Passes data through, failing at the end unless it matched the entry's CRC-32 and size
+function checkEntry(entry) {
+    let crc = 0;
+    let size = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            crc = crc32(chunk, crc);
+            size += chunk.length;
+            callback(null, chunk);
+        },
+        flush(callback) {
+            callback(crc === entry.crc32 && size === entry.size ? null : new Error(`Corrupt ZIP entry: ${entry.name}`));
+        }
+    });
+}
+
+// Open a ZIP file on disk without reading its contents; resolves to a Map of entry name ->
+// { size, stream() }. stream() resolves to a readable stream of the entry's data, which fails
+// at the end when the data does not match the entry's CRC-32 and size.
+async function openZip(filePath) {
+    const handle = await fsp.open(filePath, 'r');
+    let directory;
+    try {
+        const { size: fileSize } = await handle.stat();
+        const tailLength = Math.min(fileSize, END_SIZE + MAX16 + ZIP64_LOCATOR_SIZE);
+        let end = readEnd(await readAt(handle, fileSize - tailLength, tailLength));
+        if (end.zip64Offset !== null) {
+            end = readZip64End(await readAt(handle, end.zip64Offset, ZIP64_END_SIZE));
+        }
+        if (end.offset + end.size > fileSize) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+        directory = readCentralDirectory(await readAt(handle, end.offset, end.size), end.count);
+    } finally {
+        await handle.close();
+    }
+
+    const streamEntry = async (entry) => {
+        checkReadable(entry);
+        const header = await fsp.open(filePath, 'r');
+        let start;
+        try {
+            start = dataOffset(entry, await readAt(header, entry.localOffset, 30));
+        } finally {
+            await header.close();
+        }
+
+        const source = entry.compressedSize > 0
+            ? fs.createReadStream(filePath, { start, end: start + entry.compressedSize - 1 })
+            : Readable.from([]);
+        const stages = entry.method === 8 ? [source, zlib.createInflateRaw(), checkEntry(entry)] : [source, checkEntry(entry)];
+        return pipeline(...stages, () => {});
+    };
+
+    return new Map(directory.map(entry => [entry.name, { size: entry.size, stream: () => streamEntry(entry) }]));
+}
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Local file header; with `zip64` the sizes go in a ZIP64 extra field
+function localHeader({ name, time, date, crc, compressedSize, size, zip64 }) {
+    const header = Buffer.alloc(30 + name.length + (zip64 ? 20 : 0));
+    header.writeUInt32LE(LOCAL_HEADER, 0);
+    header.writeUInt16LE(zip64 ? 45 : 20, 4); // version needed
+    header.writeUInt16LE(FLAG_UTF8, 6);
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(zip64 ? MAX32 : compressedSize, 18);
+    header.writeUInt32LE(zip64 ? MAX32 : size, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(zip64 ? 20 : 0, 28);
+    name.copy(header, 30);
+    if (zip64) {
+        header.writeUInt16LE(ZIP64_EXTRA, 30 + name.length);
+        header.writeUInt16LE(16, 32 + name.length);
+        header.writeBigUInt64LE(BigInt(size), 34 + name.length);
+        header.writeBigUInt64LE(BigInt(compressedSize), 42 + name.length);
+    }
+    return header;
+}
+
+// Central directory header; sizes and offsets past 32 bits go in a ZIP64 extra field
+function centralHeader({ name, time, date, crc, compressedSize, size, localOffset }) {
+    const large = [size, compressedSize, localOffset].filter(value => value >= MAX32);
+    const header = Buffer.alloc(46 + name.length + (large.length ? 4 + 8 * large.length : 0));
+    header.writeUInt32LE(CENTRAL_HEADER, 0);
+    header.writeUInt16LE(large.length ? 45 : 20, 4); // version made by
+    header.writeUInt16LE(large.length ? 45 : 20, 6); // version needed
+    header.writeUInt16LE(FLAG_UTF8, 8);
+    header.writeUInt16LE(8, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(Math.min(compressedSize, MAX32), 20);
+    header.writeUInt32LE(Math.min(size, MAX32), 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt16LE(large.length ? 4 + 8 * large.length : 0, 30);
+    header.writeUInt32LE(Math.min(localOffset, MAX32), 42);
+    name.copy(header, 46);
+    if (large.length) {
+        header.writeUInt16LE(ZIP64_EXTRA, 46 + name.length);
+        header.writeUInt16LE(8 * large.length, 48 + name.length);
+        large.forEach((value, index) => header.writeBigUInt64LE(BigInt(value), 50 + name.length + 8 * index));
+    }
+    return header;
+}
+
+// End of central directory, preceded by the ZIP64 record and locator when a value overflows
+function endRecords(count, size, offset) {
+    const end = Buffer.alloc(END_SIZE);
+    end.writeUInt32LE(END_OF_CENTRAL_DIR, 0);
+    end.writeUInt16LE(Math.min(count, MAX16), 8);
+    end.writeUInt16LE(Math.min(count, MAX16), 10);
+    end.writeUInt32LE(Math.min(size, MAX32), 12);
+    end.writeUInt32LE(Math.min(offset, MAX32), 16);
+    if (count < MAX16 && size < MAX32 && offset < MAX32) return end;
+
+    const zip64 = Buffer.alloc(ZIP64_END_SIZE + ZIP64_LOCATOR_SIZE);
+    zip64.writeUInt32LE(ZIP64_END_OF_CENTRAL_DIR, 0);
+    zip64.writeBigUInt64LE(BigInt(ZIP64_END_SIZE - 12), 4); // size of the rest of the record
+    zip64.writeUInt16LE(45, 12);
+    zip64.writeUInt16LE(45, 14);
+    zip64.writeBigUInt64LE(BigInt(count), 24);
+    zip64.writeBigUInt64LE(BigInt(count), 32);
+    zip64.writeBigUInt64LE(BigInt(size), 40);
+    zip64.writeBigUInt64LE(BigInt(offset), 48);
+    zip64.writeUInt32LE(ZIP64_END_LOCATOR, 56);
+    zip64.writeBigUInt64LE(BigInt(offset + size), 64); // where the ZIP64 record starts
+    zip64.writeUInt32LE(1, 72); // number of disks
+    return Buffer.concat([zip64, end]);
+}
+
+// Build a ZIP archive in memory from [{ name, data }] (data is a Buffer or string)
+function createZip(files) {
+    const { time, date } = dosDateTime(new Date());
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data), 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const entry = { name, time, date, crc: crc32(data), compressedSize: compressed.length, size: data.length, localOffset: offset };
+
+        const local = localHeader(entry);
+        locals.push(local, compressed);
+        centrals.push(centralHeader(entry));
+        offset += local.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centrals);
+    return Buffer.concat([...locals, centralDirectory, endRecords(files.length, centralDirectory.length, offset)]);
+}
+
+// Writes a ZIP file to disk an entry at a time, compressing each as it streams in:
+//   const zip = await ZipWriter.create(filePath);
+//   await zip.add('notes.txt', 'text or a Buffer');
+//   await zip.add('lecture.mp4', fs.createReadStream(videoPath), { size });
+//   await zip.close();
+// The local headers are filled in once each entry is written, so nothing is held in memory.
+class ZipWriter {
+    constructor(handle) {
+        this.handle = handle;
+        this.offset = 0;
+        this.entries = [];
+    }
+
+    static async create(filePath) {
+        return new ZipWriter(await fsp.open(filePath, 'w'));
+    }
+
+    async write(buffer) {
+        const position = this.offset;
+        this.offset += buffer.length;
+        await this.handle.write(buffer, 0, buffer.length, position);
+    }
+
+    // Add an entry from a Buffer, a string or a readable stream. `size` (the stream's length,
+    // when known) decides whether the entry needs ZIP64 sizes; unknown sizes always get them.
+    // Resolves to { size, compressedSize, crc32 }.
+    async add(name, source, { size } = {}) {
+        if (!(source instanceof Readable)) {
+            const data = Buffer.isBuffer(source) ? source : Buffer.from(String(source), 'utf8');
+            source = Readable.from([data]);
+            size = data.length;
+        }
+
+        const { time, date } = dosDateTime(new Date());
+        const entry = {
+            name: Buffer.from(name, 'utf8'),
+            time,
+            date,
+            crc: 0,
+            compressedSize: 0,
+            size: 0,
+            localOffset: this.offset,
+            zip64: size === undefined || size >= ZIP64_ENTRY_SIZE
+        };
+        await this.write(localHeader(entry));
+
+        const measure = new Transform({
+            transform(chunk, encoding, callback) {
+                entry.crc = crc32(chunk, entry.crc);
+                entry.size += chunk.length;
+                callback(null, chunk);
+            }
+        });
+        const sink = new Writable({
+            write: (chunk, encoding, callback) => {
+                entry.compressedSize += chunk.length;
+                this.write(chunk).then(() => callback(), callback);
+            }
+        });
+        await pipelineAsync(source, measure, zlib.createDeflateRaw(), sink);
+
+        if (!entry.zip64 && (entry.size >= MAX32 || entry.compressedSize >= MAX32)) {
+            throw new Error(`ZIP entry ${name} is larger than its declared size`);
+        }
+        const header = localHeader(entry);
+        await this.handle.write(header, 0, header.length, entry.localOffset);
+
+        this.entries.push(entry);
+        return { size: entry.size, compressedSize: entry.compressedSize, crc32: entry.crc };
+    }
+
+    // Write the central directory and close the file
+    async close() {
+        try {
+            const start = this.offset;
+            let batch = [];
+            let batchLength = 0;
+            for (const entry of this.entries) {
+                const header = centralHeader(entry);
+                batch.push(header);
+                batchLength += header.length;
+                if (batchLength >= 1024 * 1024) {
+                    await this.write(Buffer.concat(batch));
+                    batch = [];
+                    batchLength = 0;
+                }
+            }
+            if (batch.length) await this.write(Buffer.concat(batch));
+
+            await this.write(endRecords(this.entries.length, this.offset - start, start));
+        } finally {
+            await this.handle.close();
+        }
+    }
+
+    // Close the file without finishing it, after a failed add()
+    async abort() {
+        await this.handle.close().catch(() => {});
+    }
+}
+
+module.exports = {
+    crc32,
+    readZip,
+    readZipText,
+    openZip,
+    createZip,
+    ZipWriter
+};